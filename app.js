@@ -66,11 +66,7 @@ async function updateVersionBadgeFromSW() {
 })();
 
 // --- Constants & Config ---
-const DOH = new Date('2024-08-07T00:00:00Z');
-const PROGRESSION = {m:11, d:5};
-const SWITCH = {m:9, d:30};
 const AIRCRAFT_ORDER = ["777","787","330","767","320","737","220"];
-const HEALTH_MO = 58.80;
 const DIVIDEND_GROSS_UP = { eligible: 1.38, nonEligible: 1.15 };
 const CAPITAL_GAINS_INCLUSION = 0.5;
 const FIN_CUSTOM_STORAGE_KEY = 'acpay.fin.custom';
@@ -129,11 +125,33 @@ const CALENDAR_STORAGE_KEY = 'acpay.calendar.schedule';
 const CALENDAR_SYNC_ENDPOINT = '/sync/calendar';
 const CALENDAR_SYNC_ENDPOINT_KEY = 'acpay.calendar.sync.endpoint';
 const CALENDAR_SYNC_TOKEN_KEY = 'acpay.calendar.sync.token';
+const CALENDAR_ICS_FEED_TOKEN_KEY = 'acpay.calendar.sync.feedToken';
 const CALENDAR_SYNC_PENDING_KEY = 'acpay.calendar.sync.pending';
 const CALENDAR_SYNC_LAST_KEY = 'acpay.calendar.sync.last';
+const CALENDAR_SYNC_ETAG_KEY = 'acpay.calendar.sync.etag';
+const CALENDAR_SYNC_BASE_KEY = 'acpay.calendar.sync.base';
+const CALENDAR_SYNC_CONFLICT_RETRIES = 3;
+// Record keys besides eventsByDate that the sync base keeps and a conflict merges.
+const CALENDAR_SYNC_MERGED_KEYS = ['blockMonthsByMonthKey', 'blockMonthRecurring', 'hotels', 'prefs', 'monthAnnotations'];
 const CALENDAR_PREFS_KEY = 'acpay.calendar.prefs';
 const CALENDAR_VACATION_CREDIT_KEY_PREFIX = 'acpay.calendar.vacationCredit.';
+const CALENDAR_PAY_CHECK_KEY_PREFIX = 'acpay.calendar.payCheck.';
+const CALENDAR_PDF_WORKER_SRC = 'vendor/pdfjs/pdf.worker.min.js';
 const APP_MODE_STORAGE_KEY = 'acpay.app.mode';
+const PILOT_PROFILE_STORAGE_KEY = 'acpay.pilot.profile';
+const PAYROLL_LEDGER_STORAGE_KEY = 'acpay.pay.ledger';
+const PAYROLL_LEDGER_MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+const RETRO_PAY_STORAGE_KEY = 'acpay.pay.retro';
+const RETRO_PAY_MAX_MONTHS = 36;
+const CAREER_STORAGE_KEY = 'acpay.pay.career';
+const CAREER_MAX_PATHS = 3;
+const REGISTERED_ROOM_STORAGE_KEY = 'acpay.pay.registered';
+const REGISTERED_ROOM_FIELDS = ['earnedIncome', 'rrsp', 'tfsa', 'tfsaWithdrawals', 'fhsa'];
+const ESOP_STORAGE_KEY = 'acpay.pay.esop';
+const SCENARIO_STORAGE_KEY = 'acpay.pay.scenarios';
+const SCENARIO_HASH_PREFIX = '#scenarios=';
+const DEEP_LINK_VERSION = 1;
+const MONTHLY_CALENDAR_STORAGE_KEY = 'acpay.pay.monthlyCalendar';
 const APP_MODE_CLASSIC = 'classic';
 const APP_MODE_ALIGNED = 'aligned';
 const CALENDAR_WEEKDAYS = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
@@ -141,6 +159,7 @@ let finAirportCodeMode = 'iata';
 const finHiddenContext = { page: null, fin: null, registration: '' };
 let flightLookupCarrier = 'ACA';
 let appMode = APP_MODE_CLASSIC;
+let pilotProfile = null;
 
 function normalizeAppMode(value){
   return String(value || '').trim().toLowerCase() === APP_MODE_ALIGNED
@@ -165,686 +184,2328 @@ function saveAppMode(mode){
   }
 }
 
-function isContractAlignedMode(){
-  return normalizeAppMode(appMode) === APP_MODE_ALIGNED;
+// --- Pilot profile ---
+// Seat, fleet, hire date and base used wherever the app previously assumed a
+// YYZ-based 320 FO hired on DEFAULT_DOH.
+function getDefaultPilotProfile(){
+  return {
+    seat: 'FO',
+    fleet: '320',
+    doh: DEFAULT_DOH.toISOString().slice(0, 10),
+    base: 'YYZ',
+    province: 'MB',
+    xlr: true,
+    stepOverride: null
+  };
 }
 
-function applyAppModeUI(){
-  const normalizedMode = normalizeAppMode(appMode);
-  appMode = normalizedMode;
-  document.body?.setAttribute('data-app-mode', normalizedMode);
-  const isAligned = normalizedMode === APP_MODE_ALIGNED;
-  const toggle = document.getElementById('app-mode-toggle');
-  if (toggle){
-    toggle.classList.toggle('is-on', isAligned);
-    toggle.setAttribute('aria-checked', String(isAligned));
-  }
-  document.getElementById('app-mode-label-classic')?.classList.toggle('is-active', !isAligned);
-  document.getElementById('app-mode-label-aligned')?.classList.toggle('is-active', isAligned);
+function normalizePilotProfile(raw){
+  const defaults = getDefaultPilotProfile();
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const seat = ['FO', 'CA', 'RP'].includes(source.seat) ? source.seat : defaults.seat;
+  const allowedFleet = seat === 'RP' ? ['777', '787', '330'] : AIRCRAFT_ORDER;
+  let fleet = String(source.fleet || '').trim();
+  if (!allowedFleet.includes(fleet)){
+    fleet = allowedFleet.includes(defaults.fleet) ? defaults.fleet : allowedFleet[0];
+  }
+  const dohText = String(source.doh || '').trim();
+  const dohValid = /^\d{4}-\d{2}-\d{2}$/.test(dohText)
+    && Number.isFinite(Date.parse(`${dohText}T00:00:00Z`));
+  const base = String(source.base || '').trim().toUpperCase();
+  const province = String(source.province || '').trim().toUpperCase();
+  const stepOverride = Number(source.stepOverride);
+  return {
+    seat,
+    fleet,
+    doh: dohValid ? dohText : defaults.doh,
+    base: PILOT_BASES[base] ? base : defaults.base,
+    province: PROVINCES.includes(province) ? province : defaults.province,
+    xlr: typeof source.xlr === 'boolean' ? source.xlr : defaults.xlr,
+    stepOverride: Number.isInteger(stepOverride) && stepOverride >= 1 && stepOverride <= 12
+      ? stepOverride
+      : null
+  };
 }
 
-function rerenderModeDependentViews(){
-  renderCalendarIfVisible();
-  refreshCalendarDetail();
-  refreshCalendarPairingDetail();
-  refreshCalendarDayDetail();
-  refreshCalendarCreditDetail();
-  refreshCalendarTafbDetail();
-  refreshCalendarBlockGrowthDetail();
-  if (currentModernSubTab === 'modern-monthly'){
-    calcMonthlyModern();
-  } else if (currentModernSubTab === 'modern-vo'){
-    calcVOModern();
-  } else if (currentModernSubTab === 'modern-annual-advanced'){
-    calcAdvancedReturn(true);
-  } else {
-    calcAnnualModern();
-  }
-  if (currentModernDutyTab === 'modern-rest'){
-    void calcRestModern();
-  } else if (currentModernDutyTab === 'modern-duty'){
-    void calcDutyModern();
+function loadPilotProfile(){
+  try {
+    const stored = localStorage.getItem(PILOT_PROFILE_STORAGE_KEY);
+    return normalizePilotProfile(stored ? JSON.parse(stored) : null);
+  } catch (err){
+    console.warn('Failed to load pilot profile', err);
+    return normalizePilotProfile(null);
   }
 }
 
-function setAppMode(mode, { persist = true, rerender = true } = {}){
-  const normalizedMode = normalizeAppMode(mode);
-  const changed = normalizedMode !== appMode;
-  appMode = normalizedMode;
-  applyAppModeUI();
-  if (persist){
-    saveAppMode(normalizedMode);
-  }
-  if (changed && rerender){
-    rerenderModeDependentViews();
+function savePilotProfile(profile){
+  try {
+    localStorage.setItem(PILOT_PROFILE_STORAGE_KEY, JSON.stringify(normalizePilotProfile(profile)));
+  } catch (err){
+    console.warn('Failed to save pilot profile', err);
   }
 }
 
-function normalizeFr24Headers(value){
-  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
-  const clean = {};
-  Object.entries(value).forEach(([key, val]) => {
-    if (typeof key !== 'string') return;
-    if (['string', 'number', 'boolean'].includes(typeof val)){
-      clean[key] = String(val);
-    }
+function getPilotProfile(){
+  if (!pilotProfile) pilotProfile = loadPilotProfile();
+  return pilotProfile;
+}
+
+function getPilotHireDate(){
+  return new Date(`${getPilotProfile().doh}T00:00:00Z`);
+}
+
+function getHomeBase(){
+  const code = getPilotProfile().base;
+  return { code, ...PILOT_BASES[code] };
+}
+
+function getHomeBaseTimeZone(){
+  return getHomeBase().timeZone;
+}
+
+/*
+ * Step in effect on a given (local) date for the profile's hire date and
+ * step override; see stepOnServiceDate.
+ */
+function getPilotStepOnDate(date = new Date(), profile = getPilotProfile()){
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  return stepOnServiceDate(new Date(`${profile.doh}T00:00:00Z`), day, profile.stepOverride);
+}
+
+function setPilotProfile(profile, { persist = true, applyToPay = true } = {}){
+  const previousBase = getPilotProfile().base;
+  pilotProfile = normalizePilotProfile(profile);
+  if (persist) savePilotProfile(pilotProfile);
+  if (applyToPay) applyPilotProfileToPayInputs();
+  applyHomeBaseToDutyInputs(previousBase);
+  renderPilotProfileForm();
+  rerenderModeDependentViews();
+}
+
+function setSelectValueIfPresent(el, value){
+  if (!el) return;
+  const match = Array.from(el.options).find((opt) => String(opt.value) === String(value));
+  if (!match || el.value === match.value) return;
+  el.value = match.value;
+  el.dispatchEvent(new Event('change'));
+}
+
+function applyPilotProfileToPayInputs(){
+  const profile = getPilotProfile();
+  ['modern', 'modern-mon', 'modern-ot'].forEach((prefix) => {
+    setSelectValueIfPresent(document.getElementById(`${prefix}-seat`), profile.seat);
+    setSelectValueIfPresent(document.getElementById(`${prefix}-ac`), profile.fleet);
+    setSelectValueIfPresent(document.getElementById(`${prefix}-prov`), profile.province);
+    const xlrEl = document.getElementById(`${prefix}-xlr`);
+    if (xlrEl) xlrEl.checked = profile.xlr && profile.fleet === '320';
   });
-  return clean;
 }
 
-function normalizeFr24AuthMode(value){
-  const normalized = String(value || '').trim().toLowerCase();
-  if (normalized === 'bearer') return 'bearer';
-  if (normalized === 'x-api-key' || normalized === 'xapikey') return 'x-api-key';
-  return 'auto';
+// Duty/rest airport fields default to the home base; only follow a base change
+// while they still hold the previous base (or nothing).
+function applyHomeBaseToDutyInputs(previousBase = 'YYZ'){
+  const base = getPilotProfile().base;
+  ['modern-duty-departure', 'modern-duty-arrival', 'modern-rest-layover-location'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const current = normalizeAirportCode(el.value);
+    if (!current || current === previousBase) el.value = base;
+  });
 }
 
-function getFr24AuthMode(){
+function renderPilotProfileForm(){
+  const profile = getPilotProfile();
+  const seatEl = document.getElementById('modern-profile-seat');
+  const fleetEl = document.getElementById('modern-profile-fleet');
+  if (seatEl) seatEl.value = profile.seat;
+  if (fleetEl){
+    updateAircraftOptions(profile.seat, fleetEl);
+    fleetEl.value = profile.fleet;
+  }
+  const dohEl = document.getElementById('modern-profile-doh');
+  if (dohEl) dohEl.value = profile.doh;
+  const baseEl = document.getElementById('modern-profile-base');
+  if (baseEl) baseEl.value = profile.base;
+  const provEl = document.getElementById('modern-profile-prov');
+  if (provEl) provEl.value = profile.province;
+  const xlrEl = document.getElementById('modern-profile-xlr');
+  if (xlrEl) xlrEl.checked = profile.xlr;
+  const stepEl = document.getElementById('modern-profile-step');
+  if (stepEl) stepEl.value = profile.stepOverride ? String(profile.stepOverride) : '';
+  const summaryEl = document.getElementById('modern-profile-summary');
+  if (summaryEl){
+    const step = getPilotStepOnDate(new Date(), profile);
+    const stepNote = profile.stepOverride ? 'override' : `from DOH ${profile.doh}`;
+    summaryEl.textContent = `${profile.fleet} ${profile.seat}, ${profile.base} base. Current step ${step} (${stepNote}).`;
+  }
+}
+
+function readPilotProfileForm(){
+  const current = getPilotProfile();
+  return {
+    seat: document.getElementById('modern-profile-seat')?.value ?? current.seat,
+    fleet: document.getElementById('modern-profile-fleet')?.value ?? current.fleet,
+    doh: document.getElementById('modern-profile-doh')?.value ?? current.doh,
+    base: document.getElementById('modern-profile-base')?.value ?? current.base,
+    province: document.getElementById('modern-profile-prov')?.value ?? current.province,
+    xlr: document.getElementById('modern-profile-xlr')?.checked ?? current.xlr,
+    stepOverride: document.getElementById('modern-profile-step')?.value || null
+  };
+}
+
+function initPilotProfile(){
+  pilotProfile = loadPilotProfile();
+  const seatEl = document.getElementById('modern-profile-seat');
+  seatEl?.addEventListener('change', () => {
+    updateAircraftOptions(seatEl.value, document.getElementById('modern-profile-fleet'));
+  });
+  applyHomeBaseToDutyInputs();
+  ['seat', 'fleet', 'doh', 'base', 'prov', 'xlr', 'step'].forEach((field) => {
+    document.getElementById(`modern-profile-${field}`)?.addEventListener('change', () => {
+      setPilotProfile(readPilotProfileForm());
+    });
+  });
+  renderPilotProfileForm();
+}
+
+/*
+ * Year-to-date payroll ledger: one entry per calendar month with the gross,
+ * pension, CPP/QPP, CPP2/QPP2, EI and tax actually paid, stored as
+ * { [year]: { [MM]: { ...fields, source } } }.  Monthly and the Calendar pay
+ * statement check read cumulative figures from it instead of annualising.
+ */
+function loadPayrollLedger(){
   try {
-    const stored = localStorage.getItem(FLIGHTRADAR24_AUTH_MODE_KEY);
-    return normalizeFr24AuthMode(stored);
+    const stored = JSON.parse(localStorage.getItem(PAYROLL_LEDGER_STORAGE_KEY) || 'null');
+    return stored && typeof stored === 'object' ? stored : {};
   } catch (err){
-    console.warn('Failed to read FR24 auth mode', err);
-    return 'auto';
+    console.warn('Failed to load payroll ledger', err);
+    return {};
   }
 }
 
-function setFr24AuthMode(value){
-  const normalized = normalizeFr24AuthMode(value);
+function savePayrollLedger(ledger){
   try {
-    localStorage.setItem(FLIGHTRADAR24_AUTH_MODE_KEY, normalized);
+    localStorage.setItem(PAYROLL_LEDGER_STORAGE_KEY, JSON.stringify(ledger));
   } catch (err){
-    console.warn('Failed to store FR24 auth mode', err);
+    console.warn('Failed to save payroll ledger', err);
   }
-  return normalized;
 }
 
-function normalizeFr24ProxyBase(value){
-  const normalized = normalizeProxyTarget(value);
-  if (!normalized) return '';
-  let cleaned = normalized.replace(/\/+$/, '');
-  if (cleaned.toLowerCase().endsWith('/fr24')){
-    cleaned = cleaned.slice(0, -5);
+function getPayrollLedgerYear(year){
+  const months = loadPayrollLedger()[String(year)];
+  return months && typeof months === 'object' ? months : {};
+}
+
+function setPayrollLedgerMonth(monthKey, entry){
+  const normalized = normalizeCalendarMonthKey(monthKey);
+  if (!normalized) return;
+  const [year, month] = normalized.split('-');
+  const ledger = loadPayrollLedger();
+  const months = { ...(ledger[year] || {}) };
+  if (entry){
+    const cleaned = { source: entry.source === 'calendar' ? 'calendar' : 'manual' };
+    PAYROLL_LEDGER_FIELDS.forEach((field) => {
+      const value = Number(entry[field]);
+      cleaned[field] = Number.isFinite(value) ? +value.toFixed(2) : 0;
+    });
+    months[month] = cleaned;
+  } else {
+    delete months[month];
   }
-  return cleaned;
+  if (Object.keys(months).length){
+    ledger[year] = months;
+  } else {
+    delete ledger[year];
+  }
+  savePayrollLedger(ledger);
 }
 
-function getFr24ProxyBase(){
-  try {
-    const stored = localStorage.getItem(FLIGHTRADAR24_PROXY_BASE_KEY);
-    return normalizeFr24ProxyBase(stored);
-  } catch (err){
-    console.warn('Failed to read FR24 proxy base', err);
-    return '';
+/*
+ * Cumulative gross and contributions before the given month, or null when
+ * the ledger has nothing for that year (callers then fall back to the
+ * annualised estimate).
+ */
+function getPayrollLedgerYtd(monthKey){
+  const normalized = normalizeCalendarMonthKey(monthKey);
+  if (!normalized) return null;
+  const [year, month] = normalized.split('-').map(Number);
+  const months = getPayrollLedgerYear(year);
+  if (!Object.keys(months).length) return null;
+  const totals = sumPayrollLedger(months, month - 1);
+  return { gross: totals.gross, cpp: totals.cpp, cpp2: totals.cpp2, ei: totals.ei };
+}
+
+function getPayrollLedgerSelectedYear(){
+  const value = Number(document.getElementById('modern-ledger-year')?.value);
+  return Number.isInteger(value) ? value : new Date().getFullYear();
+}
+
+function getPayrollLedgerLimitMonths(months, province, rules){
+  const plan = province === 'QC' ? rules.qpp : rules.cpp;
+  const limits = [['ympe', plan.ympe], ['yampe', plan.yampe], ['mie', rules.ei.mie]];
+  const reached = {};
+  let cumulative = 0;
+  for (let month = 1; month <= 12; month += 1){
+    cumulative += Number(months[String(month).padStart(2, '0')]?.gross) || 0;
+    limits.forEach(([key, limit]) => {
+      if (!reached[key] && cumulative >= limit) reached[key] = month;
+    });
   }
+  return reached;
 }
 
-function setFr24ProxyBase(value){
-  const normalized = normalizeFr24ProxyBase(value);
+function renderPayrollLedger(){
+  const yearEl = document.getElementById('modern-ledger-year');
+  const tableEl = document.getElementById('modern-ledger-table');
+  const summaryEl = document.getElementById('modern-ledger-summary');
+  if (!tableEl || !summaryEl) return;
+  const currentYear = new Date().getFullYear();
+  const selectedYear = getPayrollLedgerSelectedYear();
+  if (yearEl){
+    const years = new Set([currentYear - 1, currentYear, selectedYear]);
+    Object.keys(loadPayrollLedger()).forEach((year) => {
+      if (/^\d{4}$/.test(year)) years.add(Number(year));
+    });
+    yearEl.innerHTML = [...years].sort((a, b) => b - a)
+      .map(year => `<option value="${year}">${year}</option>`)
+      .join('');
+    yearEl.value = String(selectedYear);
+  }
+  const months = getPayrollLedgerYear(selectedYear);
+  const rows = PAYROLL_LEDGER_MONTHS.map((label, index) => {
+    const month = String(index + 1).padStart(2, '0');
+    const entry = months[month];
+    const cells = PAYROLL_LEDGER_FIELDS.map((field) => {
+      const value = entry && Number.isFinite(entry[field]) ? entry[field].toFixed(2) : '';
+      return `<td><input type="number" inputmode="decimal" step="0.01" min="0" data-ledger-month="${month}" data-ledger-field="${field}" value="${value}" aria-label="${label} ${field}"></td>`;
+    }).join('');
+    const source = entry ? (entry.source === 'calendar' ? 'Calendar' : 'Manual') : '';
+    return `<tr><td>${label}</td>${cells}<td>${source}</td>` +
+      `<td><button class="btn btn-secondary" type="button" data-ledger-fill="${month}">From Calendar</button> ` +
+      `<button class="btn btn-secondary" type="button" data-ledger-clear="${month}"${entry ? '' : ' disabled'}>Clear</button></td></tr>`;
+  }).join('');
+  tableEl.innerHTML = `<div class="auditwrap"><table class="audit payroll-ledger-table">` +
+    `<thead><tr><th>Month</th><th>Gross</th><th>Pension</th><th>CPP/QPP</th><th>CPP2/QPP2</th><th>EI</th><th>Tax</th><th>Source</th><th></th></tr></thead>` +
+    `<tbody>${rows}</tbody></table></div>`;
+
+  const province = getPilotProfile().province;
+  let rules;
   try {
-    localStorage.setItem(FLIGHTRADAR24_PROXY_BASE_KEY, normalized);
+    rules = getTaxRules(selectedYear);
   } catch (err){
-    console.warn('Failed to store FR24 proxy base', err);
+    summaryEl.innerHTML = `<div class="simple"><div class="block"><div class="label">Error</div><div class="value">${escapeHtml(err.message)}</div></div></div>`;
+    return;
   }
-  return normalized;
+  const plan = province === 'QC' ? rules.qpp : rules.cpp;
+  const baseRate = province === 'QC' ? rules.qpp.rate_base_total : rules.cpp.rate_base;
+  const tier2Rate = province === 'QC' ? rules.qpp.rate_qpp2 : rules.cpp.rate_cpp2;
+  const eiMax = province === 'QC' ? rules.ei.max_prem_qc : rules.ei.max_prem;
+  const totals = sumPayrollLedger(months);
+  const reached = getPayrollLedgerLimitMonths(months, province, rules);
+  const reachedLabel = key => (reached[key] ? `Reached in ${PAYROLL_LEDGER_MONTHS[reached[key] - 1]}` : 'Not yet');
+  const estimate = estimatePayrollYearEnd({ year: selectedYear, province, months });
+  const blocks = [
+    { label: 'YTD gross', value: money(totals.gross) },
+    { label: 'CPP/QPP', value: `${money(totals.cpp)} of ${money((plan.ympe - plan.ybe) * baseRate)}` },
+    { label: 'CPP2/QPP2', value: `${money(totals.cpp2)} of ${money((plan.yampe - plan.ympe) * tier2Rate)}` },
+    { label: 'EI', value: `${money(totals.ei)} of ${money(eiMax)}` },
+    { label: 'Tax withheld', value: money(totals.tax) },
+    { label: `YMPE (${money(plan.ympe)})`, value: reachedLabel('ympe') },
+    { label: `YAMPE (${money(plan.yampe)})`, value: reachedLabel('yampe') },
+    { label: `MIE (${money(rules.ei.mie)})`, value: reachedLabel('mie') }
+  ];
+  if (estimate){
+    blocks.push({
+      label: estimate.balance >= 0 ? 'Estimated refund' : 'Estimated owing',
+      value: money(Math.abs(estimate.balance))
+    });
+  }
+  const note = estimate
+    ? `${estimate.recordedMonths} of 12 months recorded; the rest are projected at the recorded average. Year-end tax ${money(estimate.tax)} on ${money(estimate.taxable)} taxable (${province}) against ${money(estimate.withheld)} withheld.`
+    : 'Add a month by hand or fill it from the Calendar to start the ledger.';
+  summaryEl.innerHTML = `<div class="simple">${blocks
+    .map(block => `<div class="block"><div class="label">${escapeHtml(block.label)}</div><div class="value">${escapeHtml(block.value)}</div></div>`)
+    .join('')}</div><div class="muted-note">${escapeHtml(note)}</div>`;
 }
 
-function normalizeFr24BaseUrl(value){
-  const base = String(value ?? '').trim();
-  return base || FLIGHTRADAR24_DEFAULT_BASE;
+function setPayrollLedgerStatus(message){
+  const statusEl = document.getElementById('modern-ledger-status');
+  if (statusEl) statusEl.textContent = message || '';
 }
 
-function isOfficialFr24Base(baseUrl){
-  return String(baseUrl || '').toLowerCase().includes('fr24api.flightradar24.com');
+function savePayrollLedgerRow(month){
+  const year = getPayrollLedgerSelectedYear();
+  const entry = { source: 'manual' };
+  let hasValue = false;
+  document.querySelectorAll(`[data-ledger-month="${month}"]`).forEach((input) => {
+    const raw = String(input.value || '').trim();
+    if (raw) hasValue = true;
+    entry[input.dataset.ledgerField] = raw ? Number(raw) : 0;
+  });
+  setPayrollLedgerMonth(`${year}-${month}`, hasValue ? entry : null);
+  renderPayrollLedger();
 }
 
-function expandFinConfig(config){
-  if (!config) return [];
-  const start = Number(config.finStart);
-  const end = Number.isFinite(config.finEnd) ? Number(config.finEnd) : start;
-  if (!Number.isFinite(start) || !Number.isFinite(end)) return [];
-  const finStart = Math.min(start, end);
-  const finEnd = Math.max(start, end);
-  const entries = [];
-  for (let fin = finStart; fin <= finEnd; fin += 1){
-    entries.push({ ...config, finStart: fin, finEnd: fin });
+function fillPayrollLedgerFromCalendar(month){
+  const monthKey = `${getPayrollLedgerSelectedYear()}-${month}`;
+  const monthLabel = formatCalendarMonthLabel(monthKey);
+  if (!getCalendarMonthlyCreditMinutes(monthKey) && !getCalendarVacationCreditMinutes(monthKey)){
+    setPayrollLedgerStatus(`No calendar credit for ${monthLabel}.`);
+    return;
   }
-  return entries;
+  try {
+    const draft = getCalendarPayCheckDraft(monthKey);
+    const ytd = getPayrollLedgerYtd(monthKey) || { gross: 0, cpp: 0, cpp2: 0, ei: 0 };
+    const { monthly } = getCalendarPayCheckExpected(monthKey, { voMinutes: draft.voMinutes, esopPct: draft.esopPct, ytd });
+    setPayrollLedgerMonth(monthKey, {
+      source: 'calendar',
+      gross: monthly.gross,
+      pension: monthly.pension,
+      cpp: monthly.cpp_base,
+      cpp2: monthly.cpp2,
+      ei: monthly.ei,
+      tax: monthly.tax
+    });
+    setPayrollLedgerStatus(`Filled ${monthLabel} from the Calendar.`);
+  } catch (err){
+    console.error(err);
+    setPayrollLedgerStatus(err?.message || `Unable to fill ${monthLabel}.`);
+  }
+  renderPayrollLedger();
 }
 
-function expandFinConfigList(list){
-  if (!Array.isArray(list)) return [];
-  return list.flatMap(expandFinConfig);
+function initPayrollLedger(){
+  document.getElementById('modern-ledger-year')?.addEventListener('change', () => {
+    setPayrollLedgerStatus('');
+    renderPayrollLedger();
+  });
+  const tableEl = document.getElementById('modern-ledger-table');
+  if (!tableEl) return;
+  tableEl.addEventListener('change', (event) => {
+    const month = event.target?.dataset?.ledgerMonth;
+    if (!month) return;
+    setPayrollLedgerStatus('');
+    savePayrollLedgerRow(month);
+  });
+  tableEl.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('button');
+    if (!button) return;
+    if (button.dataset.ledgerFill){
+      hapticTap(button);
+      fillPayrollLedgerFromCalendar(button.dataset.ledgerFill);
+    } else if (button.dataset.ledgerClear){
+      hapticTap(button);
+      setPayrollLedgerMonth(`${getPayrollLedgerSelectedYear()}-${button.dataset.ledgerClear}`, null);
+      setPayrollLedgerStatus('');
+      renderPayrollLedger();
+    }
+  });
+  renderPayrollLedger();
 }
 
-function normalizeRegistration(reg){
-  return String(reg ?? '').trim().toUpperCase();
+// Pay year for a calendar month: months starting after the Sep 30 switch belong to that year's table.
+function getPayYearForMonth(monthKey){
+  const [year, month] = monthKey.split('-').map(Number);
+  const cutoff = new Date(year, SWITCH.m - 1, SWITCH.d);
+  return new Date(year, month - 1, 1) <= cutoff ? year - 1 : year;
 }
-function normalizeCallsign(value){
-  return String(value ?? '').trim().toUpperCase();
+
+function loadRetroPay(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(RETRO_PAY_STORAGE_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') return { months: {} };
+    return { ...stored, months: stored.months && typeof stored.months === 'object' ? stored.months : {} };
+  } catch (err){
+    console.warn('Failed to load retro pay', err);
+    return { months: {} };
+  }
 }
-function normalizeFr24List(input, normalizer){
-  if (input === null || input === undefined) return [];
-  const list = Array.isArray(input) ? input : String(input).split(',');
-  return list.map((value) => normalizer(value)).filter(Boolean);
+
+function saveRetroPay(state){
+  try {
+    localStorage.setItem(RETRO_PAY_STORAGE_KEY, JSON.stringify(state));
+  } catch (err){
+    console.warn('Failed to save retro pay', err);
+  }
 }
 
-function cloneFetchOptions(options){
-  if (!options) return {};
-  const cloned = { ...options };
-  if (options.headers instanceof Headers){
-    cloned.headers = new Headers(options.headers);
-  } else if (options.headers && typeof options.headers === 'object'){
-    cloned.headers = { ...options.headers };
+// Month keys from..to inclusive, capped at RETRO_PAY_MAX_MONTHS.
+function getRetroPayMonthKeys(from, to){
+  const start = normalizeCalendarMonthKey(from);
+  const end = normalizeCalendarMonthKey(to);
+  if (!start || !end || start > end) return [];
+  const keys = [];
+  let [year, month] = start.split('-').map(Number);
+  while (keys.length < RETRO_PAY_MAX_MONTHS){
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (key > end) break;
+    keys.push(key);
+    month += 1;
+    if (month > 12){ month = 1; year += 1; }
   }
-  return cloned;
+  return keys;
 }
 
-function sleepMs(duration){
-  const ms = Number(duration);
-  if (!Number.isFinite(ms) || ms <= 0) return Promise.resolve();
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Credit typed as h:mm or decimal hours, in minutes.
+function parseRetroPayMinutes(value){
+  const raw = String(value || '').trim();
+  if (!raw) return 0;
+  const clock = raw.match(/^(\d+):([0-5]\d)$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const hours = Number(raw);
+  return Number.isFinite(hours) && hours >= 0 ? Math.round(hours * 60) : 0;
+}
+
+function readRetroPayForm(){
+  const state = loadRetroPay();
+  const value = id => document.getElementById(id)?.value ?? '';
+  state.from = normalizeCalendarMonthKey(value('modern-retro-from')) || '';
+  state.to = normalizeCalendarMonthKey(value('modern-retro-to')) || '';
+  state.oldPack = value('modern-retro-old');
+  state.newPack = value('modern-retro-new');
+  state.raisePct = Number(value('modern-retro-raise')) || 0;
+  state.paidMonth = normalizeCalendarMonthKey(value('modern-retro-paid')) || '';
+  state.esopPct = Number(value('modern-retro-esop')) || 0;
+  state.maxcpp = Boolean(document.getElementById('modern-retro-maxcpp')?.checked);
+  return state;
+}
+
+function applyRetroPayForm(state){
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined && value !== null) el.value = String(value);
+  };
+  setValue('modern-retro-from', state.from);
+  setValue('modern-retro-to', state.to);
+  setValue('modern-retro-raise', state.raisePct);
+  setValue('modern-retro-paid', state.paidMonth);
+  setValue('modern-retro-esop', state.esopPct);
+  const maxCpp = document.getElementById('modern-retro-maxcpp');
+  if (maxCpp) maxCpp.checked = Boolean(state.maxcpp);
+}
+
+function populateRetroPayPackSelects(){
+  const state = loadRetroPay();
+  const packs = listRulePacks().filter(pack => pack.kind === 'contract');
+  const options = packs.map(pack => `<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.title)}</option>`).join('');
+  const oldSelect = document.getElementById('modern-retro-old');
+  const newSelect = document.getElementById('modern-retro-new');
+  if (oldSelect){
+    oldSelect.innerHTML = options;
+    if (packs.some(pack => pack.id === state.oldPack)) oldSelect.value = state.oldPack;
+  }
+  if (newSelect){
+    newSelect.innerHTML = '<option value="">Old rates + raise</option>' + options;
+    newSelect.value = packs.some(pack => pack.id === state.newPack) ? state.newPack : '';
+  }
+}
+
+function setRetroPayStatus(message){
+  const statusEl = document.getElementById('modern-retro-status');
+  if (statusEl) statusEl.textContent = message || '';
+}
+
+function renderRetroPayTable(){
+  const tableEl = document.getElementById('modern-retro-table');
+  if (!tableEl) return;
+  const state = loadRetroPay();
+  const keys = getRetroPayMonthKeys(state.from, state.to);
+  if (!keys.length){
+    tableEl.innerHTML = '<div class="muted-note">Pick the first and last month paid at the old rates.</div>';
+    return;
+  }
+  const rows = keys.map((key) => {
+    const entry = state.months[key];
+    const label = formatCalendarMonthLabel(key);
+    const credit = entry ? formatDurationMinutes(entry.creditMinutes) : '';
+    const vo = entry && entry.voMinutes ? formatDurationMinutes(entry.voMinutes) : '';
+    const source = entry ? (entry.source === 'calendar' ? 'Calendar' : 'Manual') : '';
+    return `<tr><td>${escapeHtml(label)}</td>` +
+      `<td><input type="text" inputmode="decimal" placeholder="h:mm" data-retro-month="${key}" data-retro-field="creditMinutes" value="${credit}" aria-label="${escapeHtml(label)} credit"></td>` +
+      `<td><input type="text" inputmode="decimal" placeholder="h:mm" data-retro-month="${key}" data-retro-field="voMinutes" value="${vo}" aria-label="${escapeHtml(label)} VO credit"></td>` +
+      `<td>${source}</td>` +
+      `<td><button class="btn btn-secondary" type="button" data-retro-fill="${key}">From Calendar</button></td></tr>`;
+  }).join('');
+  const capped = keys.length === RETRO_PAY_MAX_MONTHS ? `<div class="muted-note">Limited to ${RETRO_PAY_MAX_MONTHS} months.</div>` : '';
+  tableEl.innerHTML = `<div class="auditwrap"><table class="audit retro-pay-table">` +
+    `<thead><tr><th>Month</th><th>Credit</th><th>VO credit</th><th>Source</th><th></th></tr></thead>` +
+    `<tbody>${rows}</tbody></table></div>${capped}`;
+}
+
+function saveRetroPayRow(monthKey){
+  const state = readRetroPayForm();
+  const entry = { source: 'manual', creditMinutes: 0, voMinutes: 0 };
+  let hasValue = false;
+  document.querySelectorAll(`[data-retro-month="${monthKey}"]`).forEach((input) => {
+    if (String(input.value || '').trim()) hasValue = true;
+    entry[input.dataset.retroField] = parseRetroPayMinutes(input.value);
+  });
+  if (hasValue){
+    state.months[monthKey] = entry;
+  } else {
+    delete state.months[monthKey];
+  }
+  saveRetroPay(state);
+  renderRetroPayTable();
 }
 
-function mergeHeaderObjects(base = {}, extra = {}){
-  const headers = {};
-  const apply = (source) => {
-    if (!source) return;
-    if (source instanceof Headers){
-      source.forEach((value, key) => {
-        headers[key] = value;
-      });
+// Calendar credit (vacation included) for each month; VO typed in by hand is kept.
+function fillRetroPayFromCalendar(monthKeys){
+  const state = readRetroPayForm();
+  const missing = [];
+  monthKeys.forEach((key) => {
+    const creditMinutes = getCalendarMonthlyCreditMinutes(key) + getCalendarVacationCreditMinutes(key);
+    if (!creditMinutes){
+      missing.push(formatCalendarMonthLabel(key));
       return;
     }
-    if (typeof source === 'object'){
-      Object.entries(source).forEach(([key, value]) => {
-        headers[key] = value;
-      });
-    }
-  };
-  apply(base);
-  apply(extra);
-  return headers;
+    state.months[key] = { source: 'calendar', creditMinutes, voMinutes: state.months[key]?.voMinutes || 0 };
+  });
+  saveRetroPay(state);
+  setRetroPayStatus(missing.length ? `No calendar credit for ${missing.join(', ')}.` : 'Filled from the Calendar.');
+  renderRetroPayTable();
 }
 
-function isFr24ProxyUrl(url){
-  const proxyBase = getFr24ProxyBase();
-  if (!proxyBase) return false;
+function calcRetroPay(){
+  const out = document.getElementById('modern-retro-out');
   try {
-    return new URL(url).origin === new URL(proxyBase).origin;
-  } catch (_err){
-    return false;
+    const state = readRetroPayForm();
+    saveRetroPay(state);
+    const keys = getRetroPayMonthKeys(state.from, state.to);
+    const profile = getPilotProfile();
+    const months = keys
+      .filter(key => state.months[key])
+      .map(key => ({
+        month: key,
+        year: getPayYearForMonth(key),
+        step: getPilotStepOnDate(new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, 1), profile),
+        creditMinutes: state.months[key].creditMinutes,
+        voMinutes: state.months[key].voMinutes
+      }));
+    const paidMonth = state.paidMonth || getCalendarMonthKey(new Date());
+    const res = computeRetroPay({
+      months,
+      seat: profile.seat,
+      ac: profile.fleet,
+      xlrOn: profile.xlr,
+      province: profile.province,
+      oldPack: getRulePack(state.oldPack),
+      newPack: state.newPack ? getRulePack(state.newPack) : null,
+      raisePct: state.raisePct,
+      hireDate: getPilotHireDate(),
+      esopPct: state.esopPct,
+      paidYear: Number(paidMonth.slice(0, 4)),
+      ytd: state.maxcpp ? null : getPayrollLedgerYtd(paidMonth),
+      maxcpp: state.maxcpp
+    });
+    renderRetroPayResult(res, { ...state, paidMonth });
+  } catch (err){
+    if (out) out.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    console.error(err);
   }
 }
 
-async function fetchWithCorsFallback(url, options = {}){
-  const trimmedUrl = normalizeProxyTarget(url);
-  if (!trimmedUrl) throw new Error('Missing URL for live data request.');
-  const headers = options?.headers;
-  const headerEntries = headers instanceof Headers
-    ? Array.from(headers.entries())
-    : (headers && typeof headers === 'object' ? Object.entries(headers) : []);
-  const hasAuthHeader = headerEntries.some(([key]) => ['authorization', 'x-api-key'].includes(String(key || '').toLowerCase()));
-  const attempts = [];
-  const seen = new Set();
-  let lastError = null;
-  let proxies = CORS_PROXY_FALLBACKS
-    .filter((proxy) => !hasAuthHeader || proxy.allowsAuth)
-    .sort((a, b) => {
-      // For FlightRadar24 calls in the browser, prioritize CORS-friendly proxies before direct
-      // to avoid the 200-with-CORS-blocked pattern seen on the official API host.
-      const order = ['isomorphic', 'corsproxy.io', 'allorigins', 'direct'];
-      try {
-        const host = new URL(trimmedUrl).hostname || '';
-        if (host.includes('flightradar24.com')){
-          return order.indexOf(a.label) - order.indexOf(b.label);
-        }
-      } catch (_err){ /* noop */ }
-      return 0;
+function renderRetroPayResult(res, state){
+  const out = document.getElementById('modern-retro-out');
+  if (!out) return;
+  const blocks = [
+    ['Retro gross', res.gross],
+    ['Pension', res.pension],
+    ['Union dues', res.union],
+    ['ESOP', res.esop],
+    ['Income tax (bonus method)', res.tax],
+    ['CPP/QPP', res.cpp],
+    ['EI', res.ei],
+    ['Net retro', res.net],
+    ['ESOP match (taxable)', res.esop_match]
+  ];
+  const rows = res.months.map(row => `<tr><td>${escapeHtml(formatCalendarMonthLabel(row.month))}</td>` +
+    `<td>${formatDurationMinutes(row.credits * 60)}</td><td>${row.step}</td>` +
+    `<td>${money(row.old_rate)}</td><td>${money(row.new_rate)}</td>` +
+    `<td>${money(row.retro)}</td><td>${money(row.pension)}</td><td>${money(row.esop)}</td></tr>`).join('');
+  const note = `Paid in ${formatCalendarMonthLabel(state.paidMonth)} as a lump sum; tax is the difference between annual tax on ${money(res.annual_income)} of regular pay with and without the ${money(res.taxable)} taxable retro (after pension and union dues). ` +
+    (state.maxcpp ? 'CPP/QPP and EI are treated as maxed.' : 'CPP/QPP and EI follow the YTD ledger for that month when it has entries, otherwise the flat rates.');
+  out.innerHTML = `<div class="simple">${blocks
+    .map(([label, value]) => `<div class="block"><div class="label">${escapeHtml(label)}</div><div class="value">${money(value)}</div></div>`)
+    .join('')}</div>` +
+    `<details class="drawer"><summary>Retro by month</summary><div class="auditwrap"><table class="audit retro-pay-table">` +
+    `<thead><tr><th>Month</th><th>Credit + OT/VO</th><th>Step</th><th>Old rate</th><th>New rate</th><th>Retro</th><th>Pension</th><th>ESOP</th></tr></thead>` +
+    `<tbody>${rows}</tbody></table></div></details>` +
+    `<div class="muted-note">${escapeHtml(note)}</div>`;
+}
+
+function initRetroPay(){
+  applyRetroPayForm(loadRetroPay());
+  ['modern-retro-from', 'modern-retro-to'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      saveRetroPay(readRetroPayForm());
+      setRetroPayStatus('');
+      renderRetroPayTable();
     });
-  if (isFr24ProxyUrl(trimmedUrl)){
-    const direct = proxies.find((proxy) => proxy.label === 'direct');
-    proxies = direct ? [direct] : proxies;
-  }
-  for (const proxy of proxies){
-    const target = proxy.build(trimmedUrl);
-    if (!target || seen.has(target)) continue;
-    seen.add(target);
-    try {
-      const resp = await fetch(target, cloneFetchOptions(options));
-      if (!resp.ok){
-        let bodySnippet = '';
-        try {
-          bodySnippet = await resp.text();
-        } catch (_err){
-          bodySnippet = '';
-        }
-        const snippet = bodySnippet ? bodySnippet.replace(/\s+/g, ' ').trim().slice(0, 120) : '';
-        const err = new Error(`HTTP ${resp.status}${snippet ? `: ${snippet}` : ''}`);
-        err.status = resp.status;
-        err.kind = (resp.status === 401 || resp.status === 403) ? 'auth' : 'http';
-        throw err;
-      }
-      return resp;
-    } catch (err){
-      const status = Number(err?.status);
-      const kind = err?.kind
-        || ((status === 401 || status === 403) ? 'auth' : (Number.isFinite(status) ? 'http' : 'network'));
-      attempts.push({
-        label: proxy.label,
-        message: err?.message || String(err),
-        status: Number.isFinite(status) ? status : null,
-        kind
-      });
-      lastError = err;
-    }
-  }
-  if (attempts.length){
-    console.warn('Live data request failed across all proxies', { url: trimmedUrl, attempts, lastError });
-  }
-  const attemptLabels = attempts.map(entry => entry?.label).filter(Boolean);
-  const authAttempt = attempts.find(entry => entry?.kind === 'auth');
-  const httpAttempt = attempts.find(entry => entry?.kind === 'http' && entry?.status);
-  const networkAttempt = attempts.find(entry => entry?.kind === 'network');
-  let friendly = 'Live data temporarily unavailable.';
-  if (authAttempt){
-    friendly = 'Auth rejected (401/403).';
-  } else if (httpAttempt){
-    friendly = `HTTP ${httpAttempt.status}.`;
-  } else if (networkAttempt){
-    friendly = 'Network/CORS failure.';
-  }
-  if (attempts.length){
-    const tried = Array.from(new Set(attemptLabels)).join(', ');
-    if (tried){
-      friendly = `${friendly} Tried ${tried}.`;
-    }
-  }
-  const error = new Error(friendly);
-  if (authAttempt?.status) error.status = authAttempt.status;
-  else if (httpAttempt?.status) error.status = httpAttempt.status;
-  if (authAttempt) error.kind = 'auth';
-  else if (httpAttempt) error.kind = 'http';
-  else if (networkAttempt) error.kind = 'network';
-  if (attempts.length) error.attempts = attempts;
-  if (lastError) error.cause = lastError;
-  throw error;
+  });
+  const tableEl = document.getElementById('modern-retro-table');
+  tableEl?.addEventListener('change', (event) => {
+    const monthKey = event.target?.dataset?.retroMonth;
+    if (!monthKey) return;
+    setRetroPayStatus('');
+    saveRetroPayRow(monthKey);
+  });
+  tableEl?.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('button');
+    if (!button?.dataset.retroFill) return;
+    hapticTap(button);
+    fillRetroPayFromCalendar([button.dataset.retroFill]);
+  });
+  addTapListener(document.getElementById('modern-retro-fill'), (e)=>{
+    hapticTap(e.currentTarget);
+    const state = readRetroPayForm();
+    fillRetroPayFromCalendar(getRetroPayMonthKeys(state.from, state.to));
+  });
+  addTapListener(document.getElementById('modern-retro-calc'), (e)=>{ hapticTap(e.currentTarget); calcRetroPay(); });
+  renderRetroPayTable();
 }
 
-function getFr24ApiConfig(){
+function getDefaultCareerPath(label = 'Path A'){
+  const profile = getPilotProfile();
+  return { label, changes: [{ from: profile.doh, seat: profile.seat, ac: profile.fleet, xlr: profile.xlr }] };
+}
+
+function loadCareerPlan(){
   try {
-    const stored = JSON.parse(localStorage.getItem(FLIGHTRADAR24_CONFIG_KEY) || '{}');
-    return {
-      baseUrl: normalizeFr24BaseUrl(stored.baseUrl),
-      apiToken: typeof stored.apiToken === 'string' ? stored.apiToken.trim() : '',
-      apiVersion: typeof stored.apiVersion === 'string' && stored.apiVersion.trim()
-        ? stored.apiVersion.trim()
-        : FLIGHTRADAR24_DEFAULT_VERSION,
-      headers: normalizeFr24Headers(stored.headers)
-    };
+    const stored = JSON.parse(localStorage.getItem(CAREER_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object' && Array.isArray(stored.paths) && stored.paths.length) return stored;
   } catch (err){
-    console.warn('Invalid FlightRadar24 config; falling back to defaults.', err);
-    return {
-      baseUrl: FLIGHTRADAR24_DEFAULT_BASE,
-      apiToken: '',
-      apiVersion: FLIGHTRADAR24_DEFAULT_VERSION,
-      headers: {}
-    };
+    console.warn('Failed to load career plan', err);
   }
+  return { paths: [getDefaultCareerPath()] };
 }
 
-function saveFr24ApiConfig(partial){
+function saveCareerPlan(plan){
   try {
-    const current = getFr24ApiConfig();
-    const merged = {
-      ...current,
-      ...partial,
-      headers: partial.headers !== undefined ? normalizeFr24Headers(partial.headers) : current.headers
-    };
-    merged.baseUrl = normalizeFr24BaseUrl(merged.baseUrl);
-    merged.apiVersion = (merged.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION).trim() || FLIGHTRADAR24_DEFAULT_VERSION;
-    merged.apiToken = (merged.apiToken || '').trim();
-    localStorage.setItem(FLIGHTRADAR24_CONFIG_KEY, JSON.stringify(merged));
-    return merged;
+    localStorage.setItem(CAREER_STORAGE_KEY, JSON.stringify(plan));
   } catch (err){
-    console.warn('Failed to save FlightRadar24 config', err);
-    return getFr24ApiConfig();
+    console.warn('Failed to save career plan', err);
   }
 }
 
-function buildFr24Headers({ authMode } = {}){
-  const config = getFr24ApiConfig();
-  const userHeaders = normalizeFr24Headers(config.headers);
-  const headers = { Accept: 'application/json', ...userHeaders };
-  const apiVersionHeader = config.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION;
-  const token = config.apiToken ? config.apiToken.trim() : '';
-  const mode = normalizeFr24AuthMode(authMode ?? getFr24AuthMode());
-  const setIfMissing = (name, value) => {
-    if (!value) return;
-    const exists = Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase());
-    if (!exists){
-      headers[name] = value;
+function renderCareerPaths(plan = loadCareerPlan()){
+  const container = document.getElementById('modern-career-paths');
+  if (!container) return;
+  const seatOptions = value => ['FO', 'CA', 'RP']
+    .map(seat => `<option${seat === value ? ' selected' : ''}>${seat}</option>`).join('');
+  const fleetOptions = value => AIRCRAFT_ORDER
+    .map(ac => `<option${ac === value ? ' selected' : ''}>${ac}</option>`).join('');
+  container.innerHTML = plan.paths.map((path, pathIndex) => {
+    const rows = path.changes.map((change, changeIndex) => `<tr>` +
+      `<td><input type="date" data-career-path="${pathIndex}" data-career-change="${changeIndex}" data-career-field="from" value="${escapeHtml(change.from || '')}" aria-label="Change date"></td>` +
+      `<td><select data-career-path="${pathIndex}" data-career-change="${changeIndex}" data-career-field="seat" aria-label="Seat">${seatOptions(change.seat)}</select></td>` +
+      `<td><select data-career-path="${pathIndex}" data-career-change="${changeIndex}" data-career-field="ac" aria-label="Fleet">${fleetOptions(change.ac)}</select></td>` +
+      `<td><input type="checkbox" data-career-path="${pathIndex}" data-career-change="${changeIndex}" data-career-field="xlr"${change.xlr ? ' checked' : ''} aria-label="XLR"></td>` +
+      `<td><button class="btn btn-secondary" type="button" data-career-remove-change="${pathIndex}:${changeIndex}"${path.changes.length > 1 ? '' : ' disabled'}>Remove</button></td></tr>`).join('');
+    return `<div class="career-path">` +
+      `<div><label>Path name</label><input type="text" data-career-path="${pathIndex}" data-career-field="label" value="${escapeHtml(path.label || '')}"></div>` +
+      `<div class="auditwrap"><table class="audit career-path-table">` +
+      `<thead><tr><th>From</th><th>Seat</th><th>Fleet</th><th>XLR</th><th></th></tr></thead><tbody>${rows}</tbody></table></div>` +
+      `<div class="modern-controls"><button class="btn btn-secondary" type="button" data-career-add-change="${pathIndex}">Add seat/fleet change</button>` +
+      (plan.paths.length > 1 ? ` <button class="btn btn-secondary" type="button" data-career-remove-path="${pathIndex}">Remove path</button>` : '') +
+      `</div></div>`;
+  }).join('');
+  const addPath = document.getElementById('modern-career-add-path');
+  if (addPath) addPath.disabled = plan.paths.length >= CAREER_MAX_PATHS;
+}
+
+function readCareerForm(){
+  const plan = loadCareerPlan();
+  const value = id => document.getElementById(id)?.value ?? '';
+  plan.retireDate = value('modern-career-retire');
+  plan.birthDate = value('modern-career-birth');
+  plan.avgMonthlyHours = value('modern-career-hours');
+  plan.longRunGrowth = value('modern-career-growth');
+  plan.taxIndexation = value('modern-career-indexation');
+  plan.pensionAccrualRate = value('modern-career-accrual');
+  document.querySelectorAll('#modern-career-paths [data-career-field]').forEach((input) => {
+    const path = plan.paths[Number(input.dataset.careerPath)];
+    if (!path) return;
+    if (input.dataset.careerField === 'label'){
+      path.label = input.value;
+      return;
     }
+    const change = path.changes[Number(input.dataset.careerChange)];
+    if (!change) return;
+    change[input.dataset.careerField] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return plan;
+}
+
+function applyCareerForm(plan){
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined && value !== null) el.value = String(value);
   };
-  if (token){
-    if (mode === 'x-api-key'){
-      setIfMissing('X-API-Key', token);
-      setIfMissing('x-api-key', token);
-    } else {
-      setIfMissing('Authorization', `Bearer ${token}`);
+  setValue('modern-career-retire', plan.retireDate);
+  setValue('modern-career-birth', plan.birthDate);
+  setValue('modern-career-hours', plan.avgMonthlyHours);
+  setValue('modern-career-growth', plan.longRunGrowth);
+  setValue('modern-career-indexation', plan.taxIndexation);
+  setValue('modern-career-accrual', plan.pensionAccrualRate);
+}
+
+function updateCareerPlan(edit){
+  const plan = readCareerForm();
+  edit(plan);
+  saveCareerPlan(plan);
+  renderCareerPaths(plan);
+}
+
+function percentInput(value, fallback){
+  const raw = String(value ?? '').trim();
+  if (!raw) return fallback;
+  const number = Number(raw);
+  return Number.isFinite(number) ? number / 100 : fallback;
+}
+
+function calcCareerForecast(){
+  const out = document.getElementById('modern-career-out');
+  try {
+    const plan = readCareerForm();
+    saveCareerPlan(plan);
+    if (!plan.retireDate) throw new Error('Enter a retirement date');
+    const profile = getPilotProfile();
+    const today = new Date();
+    const hireDate = getPilotHireDate();
+    const taxIndexation = percentInput(plan.taxIndexation, CAREER_DEFAULTS.taxIndexation);
+    const results = compareCareerPaths({
+      paths: plan.paths.map((path, index) => ({ label: path.label || `Path ${String.fromCharCode(65 + index)}`, path: path.changes })),
+      hireDate,
+      startDate: new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())),
+      retireDate: plan.retireDate,
+      province: profile.province,
+      avgMonthlyHours: Number(plan.avgMonthlyHours) || CAREER_DEFAULTS.avgMonthlyHours,
+      longRunGrowth: percentInput(plan.longRunGrowth, null),
+      taxIndexation,
+      pensionAccrualRate: percentInput(plan.pensionAccrualRate, CAREER_DEFAULTS.pensionAccrualRate),
+      stepOverride: profile.stepOverride
+    });
+    if (plan.birthDate){
+      results.forEach((result) => {
+        try {
+          result.pension_estimate = estimateDefinedBenefitPension({
+            earnings: result.years, hireDate, birthDate: plan.birthDate, retireDate: plan.retireDate, taxIndexation
+          });
+        } catch (err){
+          result.pension_error = err.message;
+        }
+      });
     }
+    renderCareerForecast(results);
+  } catch (err){
+    if (out) out.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    console.error(err);
   }
-  setIfMissing('Accept-Version', apiVersionHeader);
-  setIfMissing('API-Version', apiVersionHeader);
-  return headers;
 }
 
-function buildFr24Url(path, params = {}){
-  const { baseUrl } = getFr24ApiConfig();
-  const proxyBase = getFr24ProxyBase();
-  const effectiveBase = proxyBase
-    ? `${proxyBase.replace(/\/+$/, '')}/fr24/`
-    : (baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
-  const url = new URL(path, effectiveBase);
-  Object.entries(params).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== ''){
-      url.searchParams.set(key, value);
+function renderCareerForecast(results){
+  const out = document.getElementById('modern-career-out');
+  if (!out) return;
+  const signedMoney = value => (value > 0 ? '+' : value < 0 ? '−' : '') + money(Math.abs(value));
+  const summaryRows = results.map((result, index) => `<tr><td>${escapeHtml(result.label)}</td>` +
+    `<td>${money(result.net)}</td><td>${index ? signedMoney(result.difference.net) : '—'}</td>` +
+    `<td>${money(result.annual_pension)}</td><td>${index ? signedMoney(result.difference.annual_pension) : '—'}</td>` +
+    `<td>${money(result.gross)}</td></tr>`).join('');
+  const drawers = results.map(result => {
+    const rows = result.years.map(year => `<tr><td>${year.year}</td><td>${escapeHtml(year.seat)} ${escapeHtml(year.ac)}</td><td>${year.step}</td>` +
+      `<td>${money(year.gross)}</td><td>${money(year.tax)}</td><td>${money(year.net)}</td>` +
+      `<td>${money(year.cumulative_net)}</td><td>${money(year.annual_pension)}</td></tr>`).join('');
+    return `<details class="drawer"><summary>${escapeHtml(result.label)} by year</summary><div class="auditwrap"><table class="audit">` +
+      `<thead><tr><th>Year</th><th>Position</th><th>Step</th><th>Gross</th><th>Tax</th><th>Net</th><th>Cumulative net</th><th>Pension / yr</th></tr></thead>` +
+      `<tbody>${rows}</tbody></table></div></details>`;
+  }).join('');
+  const growth = (100 * results[0].long_run_growth).toFixed(1);
+  out.innerHTML = `<div class="auditwrap"><table class="audit">` +
+    `<thead><tr><th>Path</th><th>Career net</th><th>vs first</th><th>Pension / yr at retirement</th><th>vs first</th><th>Career gross</th></tr></thead>` +
+    `<tbody>${summaryRows}</tbody></table></div>${renderCareerPensionEstimates(results)}${drawers}` +
+    `<div class="muted-note">From today to retirement at the profile DOH, province and step progression; pension / yr includes the service from the DOH to today. Pay tables past the projected years grow ${growth}% a year; amounts are in future dollars.</div>`;
+}
+
+// Defined benefit estimate per path, shown once a date of birth is entered.
+function renderCareerPensionEstimates(results){
+  if (!results.some(result => result.pension_estimate || result.pension_error)) return '';
+  const rows = results.map((result) => {
+    const estimate = result.pension_estimate;
+    if (!estimate) return `<tr><td>${escapeHtml(result.label)}</td><td colspan="6">${escapeHtml(result.pension_error || '')}</td></tr>`;
+    const years = estimate.best_years.length ? `${estimate.best_years[0]}–${estimate.best_years[estimate.best_years.length - 1]}` : '';
+    return `<tr><td>${escapeHtml(result.label)}</td>` +
+      `<td>${money(estimate.best_average)} <span class="muted-note">${years}</span></td>` +
+      `<td>${estimate.service.toFixed(1)} yrs at ${estimate.age.toFixed(1)}</td>` +
+      `<td>${estimate.reduction ? `${(100 * estimate.reduction).toFixed(1)}%` : 'None'}</td>` +
+      `<td>${money(estimate.lifetime)}${estimate.capped ? ' (ITA max)' : ''}</td>` +
+      `<td>${money(estimate.bridge)}</td><td>${money(estimate.before_bridge_end)}</td></tr>`;
+  }).join('');
+  const rules = getPensionRules();
+  const bridgeAge = rules.bridge.toAge;
+  return `<h4>Defined benefit pension</h4><div class="auditwrap"><table class="audit">` +
+    `<thead><tr><th>Path</th><th>Best average</th><th>Credited service</th><th>Early reduction</th><th>Lifetime / yr</th><th>Bridge to ${bridgeAge} / yr</th><th>Total before ${bridgeAge}</th></tr></thead>` +
+    `<tbody>${rows}</tbody></table></div>` +
+    `<div class="muted-note">${(100 * rules.accrualRate).toFixed(1)}% of the best ${rules.bestAverageYears}-year average per year of service from the DOH, held to the Income Tax Act maximum. ` +
+    `Unreduced at ${rules.unreduced.age}, ${rules.unreduced.points} points or ${rules.unreduced.service} years of service; otherwise ${(100 * rules.earlyReduction).toFixed(0)}% less for each year short. ` +
+    `The best average uses forecast years only.</div>`;
+}
+
+function initCareerForecast(){
+  applyCareerForm(loadCareerPlan());
+  renderCareerPaths();
+  const container = document.getElementById('modern-career-paths');
+  container?.addEventListener('change', () => saveCareerPlan(readCareerForm()));
+  container?.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('button');
+    if (!button) return;
+    const { careerAddChange, careerRemoveChange, careerRemovePath } = button.dataset;
+    if (careerAddChange !== undefined){
+      hapticTap(button);
+      updateCareerPlan((plan) => {
+        const changes = plan.paths[Number(careerAddChange)].changes;
+        changes.push({ ...changes[changes.length - 1], from: '' });
+      });
+    } else if (careerRemoveChange !== undefined){
+      hapticTap(button);
+      const [pathIndex, changeIndex] = careerRemoveChange.split(':').map(Number);
+      updateCareerPlan(plan => plan.paths[pathIndex].changes.splice(changeIndex, 1));
+    } else if (careerRemovePath !== undefined){
+      hapticTap(button);
+      updateCareerPlan(plan => plan.paths.splice(Number(careerRemovePath), 1));
     }
   });
-  return url.toString();
+  addTapListener(document.getElementById('modern-career-add-path'), (e)=>{
+    hapticTap(e.currentTarget);
+    updateCareerPlan((plan) => {
+      if (plan.paths.length >= CAREER_MAX_PATHS) return;
+      const copy = JSON.parse(JSON.stringify(plan.paths[plan.paths.length - 1]));
+      plan.paths.push({ ...copy, label: `Path ${String.fromCharCode(65 + plan.paths.length)}` });
+    });
+  });
+  addTapListener(document.getElementById('modern-career-calc'), (e)=>{ hapticTap(e.currentTarget); calcCareerForecast(); });
 }
 
-async function fetchFr24WithAuthFallback(url, options = {}){
-  const mode = normalizeFr24AuthMode(getFr24AuthMode());
-  const modesToTry = mode === 'auto' ? ['bearer', 'x-api-key'] : [mode];
-  let lastError = null;
-  for (let idx = 0; idx < modesToTry.length; idx += 1){
-    const authMode = modesToTry[idx];
-    const baseHeaders = buildFr24Headers({ authMode });
-    const mergedHeaders = mergeHeaderObjects(baseHeaders, options.headers);
-    try {
-      const resp = await fetchWithCorsFallback(url, { ...options, headers: mergedHeaders });
-      if (mode === 'auto'){
-        setFr24AuthMode(authMode);
-      }
-      return resp;
-    } catch (err){
-      lastError = err;
-      const status = Number(err?.status);
-      const isAuthReject = status === 401 || status === 403;
-      if (!isAuthReject || idx === modesToTry.length - 1){
-        throw err;
-      }
-    }
+function loadRegisteredRoom(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(REGISTERED_ROOM_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object') return { ...stored, years: stored.years && typeof stored.years === 'object' ? stored.years : {} };
+  } catch (err){
+    console.warn('Failed to load registered account room', err);
   }
-  throw lastError;
+  return { years: {} };
 }
 
-function extractFr24DataRows(payload){
-  const candidates = [
-    payload,
-    payload?.data,
-    payload?.result,
-    payload?.response,
-    payload?.result?.response,
-    payload?.response?.result,
-    payload?.data?.result,
-    payload?.data?.response
-  ];
-  for (const candidate of candidates){
-    if (!candidate || typeof candidate !== 'object') continue;
-    if (Array.isArray(candidate)) return candidate;
-    if (Array.isArray(candidate.flights)) return candidate.flights;
-    if (Array.isArray(candidate.events)) return candidate.events;
-    if (Array.isArray(candidate.data)) return candidate.data;
-    if (candidate.data && typeof candidate.data === 'object' && !Array.isArray(candidate.data)){
-      const values = Object.values(candidate.data).filter((item) => item !== undefined && item !== null);
-      if (values.length) return values;
-    }
+function saveRegisteredRoom(state){
+  try {
+    localStorage.setItem(REGISTERED_ROOM_STORAGE_KEY, JSON.stringify(state));
+  } catch (err){
+    console.warn('Failed to save registered account room', err);
   }
-  return [];
 }
 
-function normalizeFr24Timestamp(ts){
-  const num = Number(ts);
-  if (!Number.isFinite(num)) return null;
-  return num > 1e12 ? Math.round(num / 1000) : Math.round(num);
+function readRegisteredRoomForm(){
+  const state = loadRegisteredRoom();
+  const value = id => document.getElementById(id)?.value ?? '';
+  state.startYear = value('modern-room-start');
+  state.rrspLimit = value('modern-room-rrsp');
+  state.tfsaRoom = value('modern-room-tfsa');
+  state.fhsaRoom = value('modern-room-fhsa');
+  state.fhsaLifetime = value('modern-room-fhsa-used');
+  document.querySelectorAll('#modern-room-years [data-room-field]').forEach((input) => {
+    const year = input.dataset.roomYear;
+    state.years[year] = { ...(state.years[year] || {}), [input.dataset.roomField]: input.value };
+  });
+  return state;
 }
 
-function formatFr24DateTimeUtc(date){
-  const d = new Date(date);
-  if (!Number.isFinite(d.getTime())) return '';
-  const pad = (value) => String(value).padStart(2, '0');
-  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`
-    + `T${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+function applyRegisteredRoomForm(state){
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined && value !== null) el.value = String(value);
+  };
+  setValue('modern-room-start', state.startYear);
+  setValue('modern-room-rrsp', state.rrspLimit);
+  setValue('modern-room-tfsa', state.tfsaRoom);
+  setValue('modern-room-fhsa', state.fhsaRoom);
+  setValue('modern-room-fhsa-used', state.fhsaLifetime);
 }
 
-function parseFr24Date(value){
-  if (value === null || value === undefined) return null;
-  if (typeof value === 'number' && Number.isFinite(value)){
-    return normalizeFr24Timestamp(value);
+// One row of contributions per tracked year, through the Annual tab's year.
+function renderRegisteredRoomYears(state = loadRegisteredRoom(), throughYear = Number(document.getElementById('modern-year')?.value)){
+  const container = document.getElementById('modern-room-years');
+  if (!container) return;
+  const startYear = Number(state.startYear);
+  if (!startYear || !throughYear || startYear > throughYear){
+    container.innerHTML = '<div class="muted-note">Enter the first tracked year, no later than the Annual year, to list contributions by year.</div>';
+    return;
   }
-  if (typeof value === 'string'){
-    const trimmed = value.trim();
-    if (trimmed && /^\d+$/.test(trimmed)){
-      return normalizeFr24Timestamp(Number(trimmed));
-    }
+  const placeholders = { earnedIncome: 'From Annual', rrsp: '0', tfsa: '0', tfsaWithdrawals: '0', fhsa: '0' };
+  const rows = [];
+  for (let year = startYear; year <= throughYear; year += 1){
+    const entry = state.years[year] || {};
+    const cells = REGISTERED_ROOM_FIELDS.map((field) => {
+      if (field === 'rrsp' && year === throughYear) return '<td class="muted-note">From return</td>';
+      return `<td><input type="number" step="100" data-room-year="${year}" data-room-field="${field}" value="${escapeHtml(String(entry[field] ?? ''))}" placeholder="${placeholders[field]}" aria-label="${field} ${year}"></td>`;
+    }).join('');
+    rows.push(`<tr><td>${year}</td>${cells}</tr>`);
   }
-  const parsed = Date.parse(value);
-  if (Number.isFinite(parsed)) return Math.round(parsed / 1000);
-  return normalizeFr24Timestamp(value);
+  container.innerHTML = `<div class="auditwrap"><table class="audit registered-room-table">` +
+    `<thead><tr><th>Year</th><th>Earned income</th><th>RRSP</th><th>TFSA</th><th>TFSA withdrawals</th><th>FHSA</th></tr></thead>` +
+    `<tbody>${rows.join('')}</tbody></table></div>`;
 }
 
-function normalizeFr24GateEventType(value){
-  const raw = String(value ?? '').trim().toLowerCase();
-  if (!raw) return '';
-  const compact = raw.replace(/[\s-]+/g, '_');
-  return FR24_GATE_EVENT_TYPE_ALIASES[compact] || compact;
+/*
+ * Room by year for the advanced return, or null until a first year and its
+ * RRSP deduction limit are entered.  Blank earned income is estimated from
+ * the Annual inputs (step advancing a year at a time); the return's own
+ * year uses its RRSP contributions and union dues.
+ */
+function computeReturnRegisteredRoom({ baseParams, baseResult, advancedParams }){
+  const state = readRegisteredRoomForm();
+  saveRegisteredRoom(state);
+  renderRegisteredRoomYears(state, baseParams.year);
+  const startYear = Number(state.startYear);
+  if (!startYear || String(state.rrspLimit ?? '').trim() === '') return null;
+  if (startYear > baseParams.year) throw new Error(`The first tracked year is after ${baseParams.year}`);
+  const years = [];
+  for (let year = startYear; year <= baseParams.year; year += 1){
+    const entry = state.years[year] || {};
+    const current = year === baseParams.year;
+    let earnedIncome = Number(entry.earnedIncome);
+    let pensionable = earnedIncome;
+    if (String(entry.earnedIncome ?? '').trim() === '' || !Number.isFinite(earnedIncome)){
+      const annual = current ? baseResult : computeAnnual({ ...baseParams, year, stepInput: clampStep(baseParams.stepInput + year - baseParams.year) });
+      const union = current ? normalizeAmount(advancedParams.unionDues) : (annual.union_annual ?? (annual.monthly?.union_dues || 0) * 12);
+      pensionable = annual.gross;
+      earnedIncome = annual.gross - union;
+    }
+    years.push({
+      year,
+      earnedIncome,
+      pensionAdjustment: computePensionAdjustment({ year, earnings: pensionable }),
+      rrsp: current ? normalizeAmount(advancedParams.rrsp) : entry.rrsp,
+      tfsa: entry.tfsa,
+      tfsaWithdrawals: entry.tfsaWithdrawals,
+      fhsa: entry.fhsa
+    });
+  }
+  return computeRegisteredRoom({
+    years,
+    rrspLimit: Number(state.rrspLimit),
+    tfsaRoom: Number(state.tfsaRoom) || 0,
+    fhsaRoom: String(state.fhsaRoom ?? '').trim() === '' ? null : Number(state.fhsaRoom),
+    fhsaLifetime: Number(state.fhsaLifetime) || 0
+  });
 }
 
-function normalizeFr24HistoricEvent(entry){
-  if (!entry || typeof entry !== 'object') return null;
-  const flightId = normalizeFr24FlightId(entry)
-    || normalizeFr24FlightId(entry?.flight)
-    || normalizeFr24FlightId(entry?.flight?.id)
-    || normalizeFr24FlightId(entry?.flight_id)
-    || normalizeFr24FlightId(entry?.event?.flight_id);
-  const type = normalizeFr24GateEventType(
-    entry.event_type
-    ?? entry.eventType
-    ?? entry.type
-    ?? entry.event?.type
-    ?? entry.event?.event_type
-    ?? entry.event?.eventType
-    ?? ''
-  );
-  const timestamp = parseFr24Date(
-    entry.timestamp
-    ?? entry.event_time
-    ?? entry.eventTimestamp
-    ?? entry.time
-    ?? entry.ts
-    ?? entry.event?.timestamp
-    ?? entry.event?.event_time
-    ?? entry.event?.eventTime
-  );
-  if (!flightId || !type || !Number.isFinite(timestamp)) return null;
-  return { flightId, type, timestamp };
+function renderRegisteredRoom(room){
+  if (!room) return '';
+  const signed = value => value < 0 ? '−' + money(Math.abs(value)) : money(value);
+  const rows = room.years.map(row => `<tr><td>${row.year}</td>` +
+    `<td class="num">${signed(row.rrsp.limit)}</td><td class="num">${money(row.rrsp.contributions)}</td><td class="num">${money(row.rrsp.pension_adjustment)}</td><td class="num">${money(row.rrsp.new_room)}</td>` +
+    `<td class="num">${signed(row.tfsa.room)}</td><td class="num">${money(row.tfsa.contributions)}</td>` +
+    `<td class="num">${row.fhsa ? signed(row.fhsa.room) : '—'}</td><td class="num">${row.fhsa ? money(row.fhsa.contributions) : '—'}</td></tr>`).join('');
+  const warnings = room.warnings.map(text => `<div class="room-warning">${escapeHtml(text)}</div>`).join('');
+  const next = room.next;
+  const nextHTML = next ? `<div class="muted-note">For ${next.year}: RRSP deduction limit ${signed(next.rrsp_limit)}, TFSA room ${signed(next.tfsa_room)}` +
+    (next.fhsa_room === null ? '' : `, FHSA room ${money(next.fhsa_room)}`) + '.</div>' : '';
+  return `<details class="drawer" open><summary>Registered account room</summary>${warnings}` +
+    `<div class="auditwrap"><table class="audit">` +
+    `<thead><tr><th>Year</th><th class="num">RRSP limit</th><th class="num">RRSP</th><th class="num">PA</th><th class="num">New RRSP room</th><th class="num">TFSA room</th><th class="num">TFSA</th><th class="num">FHSA room</th><th class="num">FHSA</th></tr></thead>` +
+    `<tbody>${rows}</tbody></table></div>${nextHTML}</details>`;
+}
+
+function initRegisteredRoom(){
+  applyRegisteredRoomForm(loadRegisteredRoom());
+  renderRegisteredRoomYears();
+  const drawer = document.getElementById('modern-room');
+  drawer?.addEventListener('change', (event) => {
+    const state = readRegisteredRoomForm();
+    saveRegisteredRoom(state);
+    if (event.target?.id === 'modern-room-start') renderRegisteredRoomYears(state);
+  });
+  document.getElementById('modern-year')?.addEventListener('change', () => renderRegisteredRoomYears());
 }
 
-function deriveFr24FlightStatus(entry, departureTime, arrivalTime){
-  if (!entry) return 'planned';
-  if (entry.flight_ended === false) return 'active';
-  if (entry.flight_ended === true) return 'completed';
-  const statusText = String(entry.status ?? entry.flight_status ?? entry.flightstatus ?? '').toLowerCase();
-  const compactStatus = statusText.replace(/[\s_-]+/g, '');
-  if (['active', 'enroute', 'inair', 'inflight'].some((needle) => compactStatus.includes(needle))) return 'active';
-  if (statusText.includes('landed') || statusText.includes('arrived')) return 'completed';
-  if (Number.isFinite(departureTime) && !Number.isFinite(arrivalTime)) return 'active';
-  if (Number.isFinite(departureTime) && Number.isFinite(arrivalTime)) return 'completed';
-  return 'planned';
+function loadEsopState(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(ESOP_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object'){
+      return { ...stored, lots: Array.isArray(stored.lots) ? stored.lots : [], sales: Array.isArray(stored.sales) ? stored.sales : [] };
+    }
+  } catch (err){
+    console.warn('Failed to load ESOP lots', err);
+  }
+  return { lots: [], sales: [] };
 }
 
-function populateFr24ConfigForm(){
-  const config = getFr24ApiConfig();
-  const baseInput = document.getElementById('fr24-base-url');
-  const tokenInput = document.getElementById('fr24-token');
-  const versionInput = document.getElementById('fr24-version');
-  const extraHeadersInput = document.getElementById('fr24-extra-headers');
-  const proxyInput = document.getElementById('fr24-proxy-url');
-  const statusEl = document.getElementById('fr24-status');
-  if (baseInput) baseInput.value = config.baseUrl || FLIGHTRADAR24_DEFAULT_BASE;
-  if (tokenInput) tokenInput.value = config.apiToken || '';
-  if (versionInput) versionInput.value = config.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION;
-  if (extraHeadersInput){
-    const headers = normalizeFr24Headers(config.headers);
-    extraHeadersInput.value = Object.keys(headers).length ? JSON.stringify(headers, null, 2) : '';
+function saveEsopState(state){
+  try {
+    localStorage.setItem(ESOP_STORAGE_KEY, JSON.stringify(state));
+  } catch (err){
+    console.warn('Failed to save ESOP lots', err);
+  }
+}
+
+function renderEsopTables(state = loadEsopState()){
+  const input = (kind, index, field, type, value, label, step = '0.01') =>
+    `<input type="${type}"${type === 'number' ? ` min="0" step="${step}"` : ''} data-esop-kind="${kind}" data-esop-index="${index}" data-esop-field="${field}" value="${escapeHtml(String(value ?? ''))}" aria-label="${label}">`;
+  const remove = (kind, index) => `<button class="btn btn-secondary" type="button" data-esop-remove="${kind}:${index}">Remove</button>`;
+  const lotsEl = document.getElementById('modern-esop-lots');
+  if (lotsEl){
+    lotsEl.innerHTML = state.lots.length ? `<div class="auditwrap"><table class="audit esop-table">` +
+      `<thead><tr><th>Month</th><th>Your contribution</th><th>Share price</th><th></th></tr></thead><tbody>` +
+      state.lots.map((lot, index) => `<tr><td>${input('lot', index, 'month', 'month', lot.month, 'Purchase month')}</td>` +
+        `<td>${input('lot', index, 'employee', 'number', lot.employee, 'Your contribution')}</td>` +
+        `<td>${input('lot', index, 'price', 'number', lot.price, 'Share price', '0.0001')}</td><td>${remove('lot', index)}</td></tr>`).join('') +
+      `</tbody></table></div>` : '<div class="muted-note">No purchases recorded yet.</div>';
+  }
+  const salesEl = document.getElementById('modern-esop-sales');
+  if (salesEl){
+    salesEl.innerHTML = state.sales.length ? `<div class="auditwrap"><table class="audit esop-table">` +
+      `<thead><tr><th>Date</th><th>Shares</th><th>Price</th><th>Commission</th><th></th></tr></thead><tbody>` +
+      state.sales.map((sale, index) => `<tr><td>${input('sale', index, 'date', 'date', sale.date, 'Sale date')}</td>` +
+        `<td>${input('sale', index, 'shares', 'number', sale.shares, 'Shares sold', '0.0001')}</td>` +
+        `<td>${input('sale', index, 'price', 'number', sale.price, 'Sale price', '0.0001')}</td>` +
+        `<td>${input('sale', index, 'commission', 'number', sale.commission, 'Commission')}</td><td>${remove('sale', index)}</td></tr>`).join('') +
+      `</tbody></table></div>` : '<div class="muted-note">No sales simulated.</div>';
+  }
+}
+
+function readEsopForm(){
+  const state = loadEsopState();
+  state.price = document.getElementById('modern-esop-price')?.value ?? '';
+  document.querySelectorAll('#modern-esop-plan [data-esop-kind]').forEach((input) => {
+    const list = input.dataset.esopKind === 'lot' ? state.lots : state.sales;
+    const row = list[Number(input.dataset.esopIndex)];
+    if (row) row[input.dataset.esopField] = input.value;
+  });
+  return state;
+}
+
+function updateEsopState(edit){
+  const state = readEsopForm();
+  edit(state);
+  saveEsopState(state);
+  renderEsopTables(state);
+}
+
+// Monthly ESOP deduction the Annual inputs give, to prefill a new purchase.
+function getEsopMonthlyContribution(){
+  try {
+    return computeAnnual(getAnnualParams(true)).monthly.esop || 0;
+  } catch (err){
+    return 0;
   }
-  if (proxyInput) proxyInput.value = getFr24ProxyBase();
-  if (statusEl){
-    statusEl.textContent = 'Settings are saved locally and used for live fin tracking.';
+}
+
+function nextEsopMonth(lots){
+  const last = lots.map(lot => lot.month).filter(Boolean).sort().pop();
+  if (!last) return getCalendarMonthKey(new Date());
+  const [year, month] = last.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+function getEsopPosition(state = loadEsopState()){
+  const today = new Date();
+  return computeEsopPosition({
+    lots: state.lots,
+    sales: state.sales,
+    price: String(state.price ?? '').trim() === '' ? null : Number(state.price),
+    asOf: new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()))
+  });
+}
+
+// Net gain (negative for a loss) on simulated ESOP sales in a tax year; 0 while the lots have errors.
+function getEsopCapitalGain(year){
+  try {
+    return getEsopPosition().by_year.find(entry => entry.year === year)?.gain || 0;
+  } catch (err){
+    return 0;
   }
 }
 
-function handleFr24ConfigSave(){
-  const statusEl = document.getElementById('fr24-status');
-  const baseInput = document.getElementById('fr24-base-url');
-  const tokenInput = document.getElementById('fr24-token');
-  const versionInput = document.getElementById('fr24-version');
-  const extraHeadersInput = document.getElementById('fr24-extra-headers');
-  const proxyInput = document.getElementById('fr24-proxy-url');
-  let extraHeaders = {};
-  if (extraHeadersInput && extraHeadersInput.value.trim()){
-    try {
-      const parsed = JSON.parse(extraHeadersInput.value);
-      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)){
-        throw new Error('Extra headers must be a JSON object.');
-      }
-      extraHeaders = parsed;
-    } catch (err){
-      if (statusEl){
-        statusEl.textContent = `Save failed: ${err.message}`;
-      }
-      return;
+function calcEsopPosition(){
+  const out = document.getElementById('modern-esop-out');
+  try {
+    const state = readEsopForm();
+    saveEsopState(state);
+    renderEsopPosition(getEsopPosition(state));
+  } catch (err){
+    if (out) out.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    console.error(err);
+  }
+}
+
+function renderEsopPosition(position){
+  const out = document.getElementById('modern-esop-out');
+  if (!out) return;
+  const shares = value => value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+  const signedMoney = value => (value < 0 ? '−' : '') + money(Math.abs(value));
+  const summaryRows = [
+    ['Shares held', shares(position.shares)],
+    ['Vested', shares(position.vested_shares)],
+    ['Unvested employer shares', shares(position.unvested_shares)],
+    ['Adjusted cost base', money(position.acb)],
+    ['ACB per share', money(position.acb_per_share)],
+    ...(position.market_value === null ? [] : [
+      ['Market value', money(position.market_value)],
+      ['Unrealized gain', signedMoney(position.unrealized_gain)]
+    ])
+  ].map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+  const lotRows = position.lots.map(lot => `<tr><td>${escapeHtml(lot.month)}</td><td class="num">${money(lot.price)}</td>` +
+    `<td class="num">${shares(lot.employee_shares)}</td><td class="num">${shares(lot.employer_shares)}</td>` +
+    `<td class="num">${money(lot.benefit)}</td><td class="num">${money(lot.acb)}</td><td>${lot.vested ? 'Vested' : escapeHtml(lot.vests)}</td></tr>`).join('');
+  const saleRows = position.sales.map(sale => `<tr><td>${escapeHtml(sale.date)}</td><td class="num">${shares(sale.shares)}</td>` +
+    `<td class="num">${money(sale.proceeds)}</td><td class="num">${money(sale.acb)}</td><td class="num">${signedMoney(sale.gain)}</td></tr>`).join('');
+  const yearRows = position.by_year.map(entry => `<tr><td>${entry.year}</td><td class="num">${money(entry.employee)}</td>` +
+    `<td class="num">${money(entry.benefit)}</td><td class="num">${signedMoney(entry.gain)}</td>` +
+    `<td class="num">${signedMoney(entry.gain * CAPITAL_GAINS_INCLUSION)}</td></tr>`).join('');
+  const warnings = position.warnings.map(text => `<div class="room-warning">${escapeHtml(text)}</div>`).join('');
+  out.innerHTML = `${warnings}<div class="auditwrap"><table class="audit"><tbody>${summaryRows}</tbody></table></div>` +
+    (lotRows ? `<details class="drawer"><summary>Lots</summary><div class="auditwrap"><table class="audit">` +
+      `<thead><tr><th>Month</th><th class="num">Price</th><th class="num">Your shares</th><th class="num">Employer shares</th><th class="num">Taxable benefit</th><th class="num">ACB</th><th>Employer shares vest</th></tr></thead>` +
+      `<tbody>${lotRows}</tbody></table></div></details>` : '') +
+    (saleRows ? `<details class="drawer" open><summary>Sales</summary><div class="auditwrap"><table class="audit">` +
+      `<thead><tr><th>Date</th><th class="num">Shares</th><th class="num">Proceeds</th><th class="num">ACB</th><th class="num">Gain</th></tr></thead>` +
+      `<tbody>${saleRows}</tbody></table></div></details>` : '') +
+    (yearRows ? `<div class="auditwrap"><table class="audit">` +
+      `<thead><tr><th>Year</th><th class="num">Contributions</th><th class="num">Taxable benefit</th><th class="num">Capital gain</th><th class="num">Taxable gain</th></tr></thead>` +
+      `<tbody>${yearRows}</tbody></table></div>` : '') +
+    `<div class="muted-note">The employer adds ${Math.round(100 * ESOP_TERMS.matchRate)}% in shares, taxed as a benefit at the purchase price and vesting after ${ESOP_TERMS.vestingMonths} months. ` +
+    `Shares pool into one average cost. Gains on sales in the Annual year are added to the advanced tax return's capital gains.</div>`;
+}
+
+function initEsopLots(){
+  const state = loadEsopState();
+  const priceInput = document.getElementById('modern-esop-price');
+  if (priceInput && state.price !== undefined) priceInput.value = String(state.price);
+  renderEsopTables(state);
+  const pane = document.getElementById('modern-esop-plan');
+  pane?.addEventListener('change', () => saveEsopState(readEsopForm()));
+  pane?.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('button[data-esop-remove]');
+    if (!button) return;
+    hapticTap(button);
+    const [kind, index] = button.dataset.esopRemove.split(':');
+    updateEsopState(current => (kind === 'lot' ? current.lots : current.sales).splice(Number(index), 1));
+  });
+  addTapListener(document.getElementById('modern-esop-add-lot'), (e)=>{
+    hapticTap(e.currentTarget);
+    updateEsopState((current) => {
+      const last = current.lots[current.lots.length - 1];
+      const employee = last ? last.employee : getEsopMonthlyContribution().toFixed(2);
+      current.lots.push({ month: nextEsopMonth(current.lots), employee, price: last ? last.price : '' });
+    });
+  });
+  addTapListener(document.getElementById('modern-esop-add-sale'), (e)=>{
+    hapticTap(e.currentTarget);
+    updateEsopState((current) => {
+      const today = new Date();
+      current.sales.push({ date: `${getCalendarMonthKey(today)}-${String(today.getDate()).padStart(2, '0')}`, shares: '', price: current.price || '', commission: 0 });
+    });
+  });
+  addTapListener(document.getElementById('modern-esop-calc'), (e)=>{ hapticTap(e.currentTarget); calcEsopPosition(); });
+}
+
+function loadScenarioState(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || 'null');
+    if (stored && Array.isArray(stored.scenarios)){
+      return {
+        scenarios: stored.scenarios.filter(scenario => scenario && scenario.name && scenario.params),
+        selected: Array.isArray(stored.selected) ? stored.selected : []
+      };
     }
+  } catch (err){
+    console.warn('Failed to load scenarios', err);
   }
-  const saved = saveFr24ApiConfig({
-    baseUrl: baseInput?.value ?? FLIGHTRADAR24_DEFAULT_BASE,
-    apiToken: tokenInput?.value?.trim() ?? '',
-    apiVersion: versionInput?.value?.trim() || FLIGHTRADAR24_DEFAULT_VERSION,
-    headers: extraHeaders
+  return { scenarios: [], selected: [] };
+}
+
+function saveScenarioState(state){
+  try {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(state));
+  } catch (err){
+    console.warn('Failed to save scenarios', err);
+  }
+}
+
+function setScenarioStatus(message){
+  const el = document.getElementById('modern-compare-status');
+  if (el) el.textContent = message || '';
+}
+
+// Add scenarios, replacing any saved under the same name, and select them.
+function mergeScenarios(incoming){
+  const state = loadScenarioState();
+  incoming.forEach((scenario) => {
+    const index = state.scenarios.findIndex(saved => saved.name === scenario.name);
+    if (index >= 0) state.scenarios[index] = scenario;
+    else state.scenarios.push(scenario);
   });
-  setFr24AuthMode('auto');
-  setFr24ProxyBase(proxyInput?.value ?? '');
-  if (statusEl){
-    const authSummary = saved.apiToken ? 'token' : 'no credentials';
-    statusEl.textContent = `Saved. Using ${saved.baseUrl} with ${authSummary}.`;
+  state.selected = incoming.map(scenario => scenario.name).slice(0, SCENARIO_COMPARE_MAX);
+  saveScenarioState(state);
+  renderScenarioList(state);
+  return state;
+}
+
+function describeScenario({ kind = 'annual', params }){
+  const common = [
+    `${params.seat} ${params.ac}`,
+    params.year,
+    params.tieOn ? 'tied step' : `step ${params.stepInput}`,
+    params.province
+  ];
+  const credit = (hours, minutes) => formatDurationMinutes(hours * 60 + minutes);
+  const details = {
+    annual: () => [`${params.avgMonthlyHours} hrs`, `ESOP ${params.esopPct}%`],
+    monthly: () => [
+      `${credit(params.creditH, params.creditM)} credit`,
+      ...(params.voCredits || params.voCreditMinutes ? [`${credit(params.voCredits, params.voCreditMinutes)} VO`] : []),
+      ...(params.tafb ? [`${params.tafb} hrs TAFB`] : []),
+      `advance ${money(params.adv)}`,
+      `ESOP ${params.esopPct}%`,
+      ...(params.maxcpp ? ['maxed CPP/EI'] : [])
+    ],
+    vo: () => [`${credit(params.creditH, params.creditM)} VO`]
+  }[kind]();
+  return [SCENARIO_KINDS[kind].label, ...common, ...details, ...(params.xlrOn ? ['XLR'] : [])].join(' · ');
+}
+
+function renderScenarioList(state = loadScenarioState()){
+  const list = document.getElementById('modern-compare-list');
+  if (!list) return;
+  if (!state.scenarios.length){
+    list.innerHTML = '<div class="muted-note">Set up the Annual, Monthly or VO tab, name it and save it here; save a few of one kind to compare them.</div>';
+    return;
   }
+  const rows = state.scenarios.map((scenario, index) => `<tr>` +
+    `<td><input type="checkbox" data-scenario-select="${index}"${state.selected.includes(scenario.name) ? ' checked' : ''} aria-label="Compare ${escapeHtml(scenario.name)}"></td>` +
+    `<td>${escapeHtml(scenario.name)}</td><td>${escapeHtml(describeScenario(scenario))}</td>` +
+    `<td><button class="btn btn-secondary" type="button" data-scenario-load="${index}">Load</button> ` +
+    `<button class="btn btn-secondary" type="button" data-scenario-remove="${index}">Remove</button></td></tr>`).join('');
+  list.innerHTML = `<div class="auditwrap"><table class="audit">` +
+    `<thead><tr><th></th><th>Scenario</th><th>Inputs</th><th></th></tr></thead><tbody>${rows}</tbody></table></div>`;
 }
 
+function getSelectedScenarios(state = loadScenarioState()){
+  return state.scenarios.filter(scenario => state.selected.includes(scenario.name));
+}
 
-const FIN_CONFIGS = expandFinConfigList([
-  { type: 'A220', finStart: 101, finEnd: 101, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GROV' },
-  { type: 'A220', finStart: 102, finEnd: 102, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXE' },
-  { type: 'A220', finStart: 103, finEnd: 103, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXN' },
-  { type: 'A220', finStart: 104, finEnd: 104, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXV' },
-  { type: 'A220', finStart: 105, finEnd: 105, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXW' },
-  { type: 'A220', finStart: 106, finEnd: 106, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXY' },
-  { type: 'A220', finStart: 107, finEnd: 107, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYA' },
-  { type: 'A220', finStart: 108, finEnd: 108, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYC' },
-  { type: 'A220', finStart: 109, finEnd: 109, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYE' },
-  { type: 'A220', finStart: 110, finEnd: 110, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYI' },
-  { type: 'A220', finStart: 111, finEnd: 111, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMYU' },
-  { type: 'A220', finStart: 112, finEnd: 112, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZN' },
-  { type: 'A220', finStart: 113, finEnd: 113, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZR' },
-  { type: 'A220', finStart: 114, finEnd: 114, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZY' },
-  { type: 'A220', finStart: 115, finEnd: 115, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNGV' },
-  { type: 'A220', finStart: 116, finEnd: 116, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNAM' },
-  { type: 'A220', finStart: 117, finEnd: 117, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZH' },
-  { type: 'A220', finStart: 118, finEnd: 118, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNBE' },
-  { type: 'A220', finStart: 119, finEnd: 119, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNBN' },
-  { type: 'A220', finStart: 120, finEnd: 120, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZS' },
-  { type: 'A220', finStart: 121, finEnd: 121, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZU' },
-  { type: 'A220', finStart: 122, finEnd: 122, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUAC' },
-  { type: 'A220', finStart: 123, finEnd: 123, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPG' },
-  { type: 'A220', finStart: 124, finEnd: 124, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPK' },
-  { type: 'A220', finStart: 125, finEnd: 125, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPL' },
-  { type: 'A220', finStart: 126, finEnd: 126, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVDP' },
-  { type: 'A220', finStart: 127, finEnd: 127, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVDQ' },
-  { type: 'A220', finStart: 128, finEnd: 128, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUH' },
-  { type: 'A220', finStart: 129, finEnd: 129, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUN' },
-  { type: 'A220', finStart: 130, finEnd: 130, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUO' },
-  { type: 'A220', finStart: 131, finEnd: 131, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUQ' },
-  { type: 'A220', finStart: 132, finEnd: 132, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUS' },
-  { type: 'A220', finStart: 133, finEnd: 133, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUT' },
-  { type: 'A220', finStart: 134, finEnd: 134, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-FDUW' },
-  { type: 'A220', finStart: 135, finEnd: 135, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-FDUY' },
-  { type: 'A220', finStart: 136, finEnd: 136, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GYLQ' },
-  { type: 'A220', finStart: 137, finEnd: 137, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GYLY' },
-  { type: 'A320 Jetz', finStart: 225, finEnd: 225, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
-  { type: 'A320 Jetz', finStart: 226, finEnd: 226, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
-  { type: 'A320 Jetz', finStart: 232, finEnd: 232, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
-  { type: 'A320', finStart: 235, finEnd: 235, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GJVT' },
-  { type: 'A320', finStart: 236, finEnd: 236, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GKOD' },
-  { type: 'A320', finStart: 237, finEnd: 237, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GKOE' },
-  { type: 'A320', finStart: 238, finEnd: 238, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FZUB' },
-  { type: 'A320', finStart: 239, finEnd: 239, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FXCD' },
-  { type: 'A320', finStart: 240, finEnd: 240, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FZQS' },
-  { type: 'A320', finStart: 241, finEnd: 241, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGJI' },
-  { type: 'A320', finStart: 242, finEnd: 242, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKH' },
-  { type: 'A320 Rouge', finStart: 243, finEnd: 243, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFCH' },
-  { type: 'A320 Rouge', finStart: 244, finEnd: 244, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFCI' },
-  { type: 'A320 Rouge', finStart: 245, finEnd: 245, j: 12, o: 0, y: 156, fdjs: 2, ofcr: 0, ccjs: 4, reg: 'C-GFCP' },
-  { type: 'A320 Rouge', finStart: 246, finEnd: 246, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFDU' },
-  { type: 'A320 Rouge', finStart: 247, finEnd: 247, j: 12, o: 0, y: 156, fdjs: 2, ofcr: 0, ccjs: 4, reg: 'C-GFWX' },
-  { type: 'A319', finStart: 251, finEnd: 251, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319', finStart: 252, finEnd: 252, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319 Rouge', finStart: 255, finEnd: 255, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJE' },
-  { type: 'A319 Rouge', finStart: 256, finEnd: 256, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJG' },
-  { type: 'A319 Rouge', finStart: 257, finEnd: 257, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJH' },
-  { type: 'A319', finStart: 258, finEnd: 258, j: 14, o: 0, y: 120, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319 Rouge', finStart: 259, finEnd: 259, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJP' },
-  { type: 'A319', finStart: 260, finEnd: 260, j: 14, o: 0, y: 120, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319 Rouge', finStart: 262, finEnd: 262, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYKW' },
-  { type: 'A319 Rouge', finStart: 263, finEnd: 263, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FZUG' },
-  { type: 'A319 Rouge', finStart: 272, finEnd: 272, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GARJ' },
-  { type: 'A319 Rouge', finStart: 273, finEnd: 273, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GARO' },
-  { type: 'A319 Rouge', finStart: 276, finEnd: 276, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHO' },
-  { type: 'A319 Rouge', finStart: 277, finEnd: 277, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319 Rouge', finStart: 278, finEnd: 278, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHY' },
-  { type: 'A319 Rouge', finStart: 279, finEnd: 279, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHZ' },
-  { type: 'A319', finStart: 280, finEnd: 280, j: 14, o: 0, y: 106, fdjs: 1, ofcr: 0, ccjs: 4 },
-  { type: 'A319 Rouge', finStart: 281, finEnd: 281, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIJ' },
-  { type: 'A319 Rouge', finStart: 283, finEnd: 283, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIM' },
-  { type: 'A319 Rouge', finStart: 284, finEnd: 284, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIN' },
-  { type: 'A319 Rouge', finStart: 286, finEnd: 286, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GITP' },
-  { type: 'A319 Rouge', finStart: 287, finEnd: 287, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GITR' },
-  { type: 'A319 Rouge', finStart: 290, finEnd: 290, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GSJB' },
-  { type: 'A320', finStart: 401, finEnd: 401, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6 },
-  { type: 'A320', finStart: 402, finEnd: 402, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FPWE' },
-  { type: 'A320', finStart: 405, finEnd: 405, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FDCA' },
-  { type: 'A320', finStart: 415, finEnd: 415, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6 },
-  { type: 'A320 Jetz', finStart: 416, finEnd: 416, j: 70, o: 0, y: 0, fdjs: 2, ofcr: 0, ccjs: 6 },
-  { type: 'A320', finStart: 417, finEnd: 417, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 4, notes: 'Cabin Jumps edited from 6, confirm.', reg: 'C-FCQD' },
-  { type: 'A320', finStart: 418, finEnd: 418, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCQX' },
-  { type: 'A320', finStart: 419, finEnd: 419, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCYX' },
-  { type: 'A320', finStart: 420, finEnd: 420, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 4, notes: 'Cabin jumps edited from 6, confirm.', reg: 'C-FCZF' },
-  { type: 'A320', finStart: 421, finEnd: 421, j: 8, o: 0, y: 150, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCUG' },
-  { type: 'A320', finStart: 422, finEnd: 422, j: 8, o: 0, y: 150, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FDGQ' },
-  { type: 'A321', finStart: 451, finEnd: 451, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GITU' },
-  { type: 'A321', finStart: 452, finEnd: 452, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GITY' },
-  { type: 'A321', finStart: 453, finEnd: 453, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUB' },
-  { type: 'A321', finStart: 454, finEnd: 454, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUE' },
-  { type: 'A321', finStart: 455, finEnd: 455, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUF' },
-  { type: 'A321', finStart: 456, finEnd: 456, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJVX' },
-  { type: 'A321', finStart: 457, finEnd: 457, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWD' },
-  { type: 'A321', finStart: 458, finEnd: 458, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWI' },
-  { type: 'A321', finStart: 459, finEnd: 459, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWN' },
-  { type: 'A321', finStart: 460, finEnd: 460, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWO' },
-  { type: 'A321', finStart: 461, finEnd: 461, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-FGKN' },
-  { type: 'A321', finStart: 462, finEnd: 462, j: 16, o: 0, y: 174, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKP' },
-  { type: 'A321', finStart: 463, finEnd: 463, j: 16, o: 0, y: 180, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKZ' },
-  { type: 'A321', finStart: 464, finEnd: 464, j: 16, o: 0, y: 180, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FJNX' },
+// The current inputs of the tab a scenario kind comes from.
+function getScenarioParams(kind){
+  if (kind === 'monthly') return getMonthlyParams();
+  if (kind === 'vo') return getVOParams();
+  return getAnnualParams(true);
+}
+
+function saveCurrentScenario(kind = 'annual'){
+  const name = document.getElementById('modern-compare-name')?.value.trim();
+  try {
+    const scenario = normalizeScenario({ name, kind, params: getScenarioParams(kind) });
+    const state = loadScenarioState();
+    const index = state.scenarios.findIndex(saved => saved.name === scenario.name);
+    if (index >= 0) state.scenarios[index] = scenario;
+    else state.scenarios.push(scenario);
+    if (!state.selected.includes(scenario.name) && state.selected.length < SCENARIO_COMPARE_MAX) state.selected.push(scenario.name);
+    saveScenarioState(state);
+    renderScenarioList(state);
+    setScenarioStatus(`Saved ${scenario.name}.`);
+  } catch (err){
+    setScenarioStatus(name ? err.message : 'Name the scenario first.');
+  }
+}
+
+// Put a scenario's inputs back on its tab and calculate it there.
+function applyScenario({ kind = 'annual', params }){
+  const prefix = { annual: 'modern-', monthly: 'modern-mon-', vo: 'modern-ot-' }[kind];
+  const setValue = (id, value) => { const el = document.getElementById(prefix + id); if (el) el.value = String(value); };
+  const setChecked = (id, value) => { const el = document.getElementById(prefix + id); if (el) el.checked = !!value; };
+  const setEsop = (value) => {
+    const esop = document.getElementById(`${prefix}esop`);
+    if (!esop) return;
+    esop.value = String(value);
+    esop.dispatchEvent(new Event('input'));
+  };
+  setSelectValueIfPresent(document.getElementById(`${prefix}seat`), params.seat);
+  setSelectValueIfPresent(document.getElementById(`${prefix}ac`), params.ac);
+  setSelectValueIfPresent(document.getElementById(`${prefix}year`), params.year);
+  setSelectValueIfPresent(document.getElementById(`${prefix}step`), params.stepInput);
+  setSelectValueIfPresent(document.getElementById(`${prefix}prov`), params.province);
+  setChecked('tie', params.tieOn);
+  setChecked('xlr', params.xlrOn);
+  if (kind === 'vo'){
+    setValue('cred-h', params.creditH);
+    setValue('cred-m', params.creditM);
+    setModernSubTab('modern-vo');
+    calcVOModern();
+    return;
+  }
+  if (kind === 'monthly'){
+    setValue('hrs', params.creditH);
+    setValue('mins', params.creditM);
+    setValue('vo', params.voCredits);
+    setValue('vo-mins', params.voCreditMinutes);
+    setValue('tafb', params.tafb);
+    setSelectValueIfPresent(document.getElementById('modern-mon-adv'), params.adv);
+    setChecked('maxcpp', params.maxcpp);
+    setEsop(params.esopPct);
+    setModernSubTab('modern-monthly');
+    calcMonthlyModern();
+    return;
+  }
+  setValue('avgHrs', params.avgMonthlyHours);
+  setEsop(params.esopPct);
+  setModernSubTab('modern-annual');
+  calcAnnualModern();
+}
+
+function calcScenarioComparison(){
+  const out = document.getElementById('modern-compare-out');
+  try {
+    renderScenarioComparison(compareScenarios(getSelectedScenarios(), { hireDate: getPilotHireDate() }));
+  } catch (err){
+    if (out) out.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    console.error(err);
+  }
+}
+
+function renderScenarioComparison(results){
+  const out = document.getElementById('modern-compare-out');
+  if (!out) return;
+  const signedMoney = value => (value > 0 ? '+' : value < 0 ? '−' : '') + money(Math.abs(value));
+  const signedHours = value => (value > 0 ? '+' : value < 0 ? '−' : '') + Math.abs(value).toFixed(2);
+  const { label: kindLabel, metrics } = SCENARIO_KINDS[results[0].kind];
+  const head = results.map(result => `<th class="num">${escapeHtml(result.name)}</th>`).join('');
+  const rows = metrics.map(({ key, label }) => `<tr><td>${escapeHtml(label)}</td>` + results.map((result, index) => {
+    const value = key === 'hours' ? result.values[key].toFixed(2) : money(result.values[key]);
+    const delta = key === 'hours' ? signedHours(result.delta[key]) : signedMoney(result.delta[key]);
+    return `<td class="num">${value}${index ? `<div class="muted-note">${delta}</div>` : ''}</td>`;
+  }).join('') + '</tr>').join('');
+  out.innerHTML = `<div class="auditwrap"><table class="audit">` +
+    `<thead><tr><th>${escapeHtml(kindLabel)}</th>${head}</tr></thead><tbody>${rows}</tbody></table></div>` +
+    `<div class="muted-note">Differences are against ${escapeHtml(results[0].name)}, all at the profile DOH.</div>`;
+}
+
+function getScenarioShareLink(scenarios){
+  return `${location.origin}${location.pathname}${SCENARIO_HASH_PREFIX}${encodeScenarioShare(scenarios)}`;
+}
+
+function copyScenarioLink(){
+  const state = loadScenarioState();
+  const scenarios = getSelectedScenarios(state).length ? getSelectedScenarios(state) : state.scenarios;
+  if (!scenarios.length){
+    setScenarioStatus('Save a scenario to share first.');
+    return;
+  }
+  const link = getScenarioShareLink(scenarios);
+  const done = () => setScenarioStatus(`Link to ${scenarios.length} scenario${scenarios.length === 1 ? '' : 's'} copied.`);
+  if (navigator.clipboard?.writeText){
+    navigator.clipboard.writeText(link).then(done, () => setScenarioStatus(link));
+  } else {
+    setScenarioStatus(link);
+  }
+}
+
+function exportScenarioFile(){
+  const state = loadScenarioState();
+  if (!state.scenarios.length){
+    setScenarioStatus('Save a scenario to export first.');
+    return;
+  }
+  const data = { v: SCENARIO_SHARE_VERSION, scenarios: state.scenarios.map(({ name, kind, params }) => ({ name, kind, params })) };
+  downloadTextFile('ac-pay-scenarios.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+async function importScenarioFile(file){
+  if (!file) return;
+  try {
+    const scenarios = parseScenarioFile(JSON.parse(await file.text()));
+    mergeScenarios(scenarios);
+    setScenarioStatus(`Imported ${scenarios.length} scenario${scenarios.length === 1 ? '' : 's'}.`);
+  } catch (err){
+    setScenarioStatus(err instanceof SyntaxError ? 'Not an AC Pay scenario file' : err.message);
+  }
+}
+
+// A shared link opens the Compare tab with its scenarios saved and selected.
+function importScenariosFromLocation(){
+  if (!location.hash.startsWith(SCENARIO_HASH_PREFIX)) return false;
+  try {
+    const scenarios = decodeScenarioShare(location.hash.slice(SCENARIO_HASH_PREFIX.length));
+    mergeScenarios(scenarios);
+    setScenarioStatus(`Opened ${scenarios.length} shared scenario${scenarios.length === 1 ? '' : 's'}.`);
+  } catch (err){
+    setScenarioStatus(err.message);
+  }
+  history.replaceState(null, '', location.pathname + location.search);
+  return true;
+}
+
+function initScenarioCompare(){
+  renderScenarioList();
+  const list = document.getElementById('modern-compare-list');
+  list?.addEventListener('change', (event) => {
+    const index = event.target?.dataset?.scenarioSelect;
+    if (index === undefined) return;
+    const state = loadScenarioState();
+    const name = state.scenarios[Number(index)]?.name;
+    state.selected = state.selected.filter(selected => selected !== name);
+    if (event.target.checked) state.selected.push(name);
+    saveScenarioState(state);
+  });
+  list?.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('button');
+    if (!button) return;
+    const state = loadScenarioState();
+    if (button.dataset.scenarioLoad !== undefined){
+      hapticTap(button);
+      applyScenario(state.scenarios[Number(button.dataset.scenarioLoad)]);
+    } else if (button.dataset.scenarioRemove !== undefined){
+      hapticTap(button);
+      const [removed] = state.scenarios.splice(Number(button.dataset.scenarioRemove), 1);
+      state.selected = state.selected.filter(name => name !== removed?.name);
+      saveScenarioState(state);
+      renderScenarioList(state);
+    }
+  });
+  addTapListener(document.getElementById('modern-compare-save'), (e)=>{ hapticTap(e.currentTarget); saveCurrentScenario('annual'); });
+  addTapListener(document.getElementById('modern-compare-save-monthly'), (e)=>{ hapticTap(e.currentTarget); saveCurrentScenario('monthly'); });
+  addTapListener(document.getElementById('modern-compare-save-vo'), (e)=>{ hapticTap(e.currentTarget); saveCurrentScenario('vo'); });
+  addTapListener(document.getElementById('modern-compare-calc'), (e)=>{ hapticTap(e.currentTarget); calcScenarioComparison(); });
+  addTapListener(document.getElementById('modern-compare-link'), (e)=>{ hapticTap(e.currentTarget); copyScenarioLink(); });
+  addTapListener(document.getElementById('modern-compare-export'), (e)=>{ hapticTap(e.currentTarget); exportScenarioFile(); });
+  const fileInput = document.getElementById('modern-compare-file');
+  addTapListener(document.getElementById('modern-compare-import'), (e)=>{ hapticTap(e.currentTarget); fileInput?.click(); });
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    void importScenarioFile(file);
+  });
+}
+
+/*
+ * Views a link can open: the tabs to show, the inputs it carries (short key
+ * to element id, applied in this order so a seat is set before the aircraft
+ * it filters), anything to do before they are restored and the calculation
+ * to run once they are.
+ */
+const DEEP_LINK_VIEWS = {
+  annual: {
+    primary: 'modern-pay', sub: 'modern-annual',
+    fields: { seat: 'modern-seat', ac: 'modern-ac', year: 'modern-year', step: 'modern-step', tie: 'modern-tie', xlr: 'modern-xlr', prov: 'modern-prov', hrs: 'modern-avgHrs', esop: 'modern-esop' },
+    run: () => calcAnnualModern()
+  },
+  monthly: {
+    primary: 'modern-pay', sub: 'modern-monthly',
+    fields: {
+      seat: 'modern-mon-seat', ac: 'modern-mon-ac', year: 'modern-mon-year', step: 'modern-mon-step', tie: 'modern-mon-tie', xlr: 'modern-mon-xlr', prov: 'modern-mon-prov',
+      hrs: 'modern-mon-hrs', mins: 'modern-mon-mins', vo: 'modern-mon-vo', voMins: 'modern-mon-vo-mins', tafb: 'modern-mon-tafb', esop: 'modern-mon-esop',
+      adv: 'modern-mon-adv', maxcpp: 'modern-mon-maxcpp', wh: 'modern-mon-withholding', td1Fed: 'modern-mon-td1-fed', td1Prov: 'modern-mon-td1-prov', lump: 'modern-mon-lump'
+    },
+    before: () => showMonthlyLinkedCredit(),
+    run: () => calcMonthlyModern()
+  },
+  vo: {
+    primary: 'modern-pay', sub: 'modern-vo',
+    fields: { seat: 'modern-ot-seat', ac: 'modern-ot-ac', year: 'modern-ot-year', step: 'modern-ot-step', tie: 'modern-ot-tie', xlr: 'modern-ot-xlr', prov: 'modern-ot-prov', hrs: 'modern-ot-cred-h', mins: 'modern-ot-cred-m' },
+    run: () => calcVOModern()
+  },
+  duty: {
+    primary: 'modern-duty-rest', duty: 'modern-duty',
+    fields: {
+      type: 'modern-duty-type', mode: 'modern-duty-mode', dep: 'modern-duty-departure', arr: 'modern-duty-arrival', start: 'modern-duty-start', sectors: 'modern-duty-sectors',
+      crew: 'modern-duty-crew', facility: 'modern-duty-rest-facility', zone: 'modern-duty-zone', deadhead: 'modern-duty-deadhead'
+    },
+    run: () => calcDutyModern()
+  },
+  rest: {
+    primary: 'modern-duty-rest', duty: 'modern-rest',
+    fields: {
+      type: 'modern-rest-duty-type', fdp: 'modern-rest-fdp-duration', layover: 'modern-rest-layover-location', away: 'modern-rest-away-hours',
+      wocl: 'modern-rest-encroach', disruptive: 'modern-rest-disruptive', uoc: 'modern-rest-uoc'
+    },
+    run: () => calcRestModern()
+  },
+  weather: {
+    primary: 'modern-weather',
+    fields: { dep: 'modern-wx-dep', arr: 'modern-wx-arr', depHrs: 'modern-wx-dep-hrs', arrHrs: 'modern-wx-arr-hrs' },
+    run: () => runWeatherWorkflow({ depId:'modern-wx-dep', arrId:'modern-wx-arr', depHrsId:'modern-wx-dep-hrs', arrHrsId:'modern-wx-arr-hrs', outId:'modern-wx-out', rawId:'modern-wx-raw-body' })
+  }
+};
+
+// `#v=1&view=annual&seat=CA&…` for a view and its input values.
+function buildDeepLinkHash(view, values){
+  const params = new URLSearchParams({ v: String(DEEP_LINK_VERSION), view });
+  Object.keys(DEEP_LINK_VIEWS[view].fields).forEach((key) => {
+    if (values[key] !== undefined && values[key] !== null) params.set(key, String(values[key]));
+  });
+  return `#${params.toString()}`;
+}
+
+/*
+ * The view and values in a link hash, or null when the hash is not a link
+ * this version can read.  Keys the view does not know are dropped, so links
+ * from newer builds with extra inputs still open.
+ */
+function parseDeepLinkHash(hash){
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const version = Number(params.get('v'));
+  const view = params.get('view');
+  if (!Number.isInteger(version) || version < 1 || version > DEEP_LINK_VERSION) return null;
+  if (!Object.prototype.hasOwnProperty.call(DEEP_LINK_VIEWS, view)) return null;
+  const values = {};
+  Object.keys(DEEP_LINK_VIEWS[view].fields).forEach((key) => {
+    if (params.has(key)) values[key] = params.get(key);
+  });
+  return { view, values };
+}
+
+function readDeepLinkValues(view){
+  const values = {};
+  Object.entries(DEEP_LINK_VIEWS[view].fields).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    values[key] = el.type === 'checkbox' ? (el.checked ? '1' : '0') : el.value;
+  });
+  return values;
+}
+
+function applyDeepLink({ view, values }){
+  const config = DEEP_LINK_VIEWS[view];
+  if (config.before) config.before();
+  Object.entries(config.fields).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (!el || !(key in values)) return;
+    if (el.tagName === 'SELECT'){
+      setSelectValueIfPresent(el, values[key]);
+      return;
+    }
+    if (el.type === 'checkbox') el.checked = values[key] === '1';
+    else el.value = values[key];
+    el.dispatchEvent(new Event(el.type === 'range' ? 'input' : 'change'));
+  });
+  setModernPrimaryTab(config.primary);
+  if (config.sub) setModernSubTab(config.sub);
+  if (config.duty) setModernDutyTab(config.duty);
+  config.run();
+}
+
+function applyDeepLinkFromLocation(){
+  const link = parseDeepLinkHash(location.hash);
+  if (!link) return false;
+  applyDeepLink(link);
+  return true;
+}
+
+// Put the view's link in the address bar and on the clipboard.
+function copyDeepLink(view, button){
+  const hash = buildDeepLinkHash(view, readDeepLinkValues(view));
+  history.replaceState(null, '', location.pathname + location.search + hash);
+  const link = `${location.origin}${location.pathname}${location.search}${hash}`;
+  if (!navigator.clipboard?.writeText || !button) return;
+  navigator.clipboard.writeText(link).then(() => {
+    const label = button.textContent;
+    button.textContent = 'Link copied';
+    setTimeout(() => { button.textContent = label; }, 1500);
+  }, (err) => console.warn('Failed to copy link', err));
+}
+
+function initDeepLinks(){
+  document.querySelectorAll('[data-share-view]').forEach((button) => {
+    addTapListener(button, (e)=>{ hapticTap(e.currentTarget); copyDeepLink(button.dataset.shareView, button); });
+  });
+  window.addEventListener('hashchange', applyDeepLinkFromLocation);
+}
+
+function isContractAlignedMode(){
+  return normalizeAppMode(appMode) === APP_MODE_ALIGNED;
+}
+
+function applyAppModeUI(){
+  const normalizedMode = normalizeAppMode(appMode);
+  appMode = normalizedMode;
+  document.body?.setAttribute('data-app-mode', normalizedMode);
+  const isAligned = normalizedMode === APP_MODE_ALIGNED;
+  const toggle = document.getElementById('app-mode-toggle');
+  if (toggle){
+    toggle.classList.toggle('is-on', isAligned);
+    toggle.setAttribute('aria-checked', String(isAligned));
+  }
+  document.getElementById('app-mode-label-classic')?.classList.toggle('is-active', !isAligned);
+  document.getElementById('app-mode-label-aligned')?.classList.toggle('is-active', isAligned);
+}
+
+function rerenderModeDependentViews(){
+  renderCalendarIfVisible();
+  refreshCalendarDetail();
+  refreshCalendarPairingDetail();
+  refreshCalendarDayDetail();
+  refreshCalendarCreditDetail();
+  refreshCalendarTafbDetail();
+  refreshCalendarBlockGrowthDetail();
+  refreshCalendarPayDetail();
+  if (currentModernSubTab === 'modern-monthly'){
+    calcMonthlyModern();
+  } else if (currentModernSubTab === 'modern-vo'){
+    calcVOModern();
+  } else if (currentModernSubTab === 'modern-annual-advanced'){
+    calcAdvancedReturn(true);
+  } else if (currentModernSubTab === 'modern-profile'){
+    renderPilotProfileForm();
+  } else if (currentModernSubTab === 'modern-ledger'){
+    renderPayrollLedger();
+  } else {
+    calcAnnualModern();
+  }
+  if (currentModernDutyTab === 'modern-rest'){
+    void calcRestModern();
+  } else if (currentModernDutyTab === 'modern-duty'){
+    void calcDutyModern();
+  }
+}
+
+function setAppMode(mode, { persist = true, rerender = true } = {}){
+  const normalizedMode = normalizeAppMode(mode);
+  const changed = normalizedMode !== appMode;
+  appMode = normalizedMode;
+  applyAppModeUI();
+  if (persist){
+    saveAppMode(normalizedMode);
+  }
+  if (changed && rerender){
+    rerenderModeDependentViews();
+  }
+}
+
+function normalizeFr24Headers(value){
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([key, val]) => {
+    if (typeof key !== 'string') return;
+    if (['string', 'number', 'boolean'].includes(typeof val)){
+      clean[key] = String(val);
+    }
+  });
+  return clean;
+}
+
+function normalizeFr24AuthMode(value){
+  const normalized = String(value || '').trim().toLowerCase();
+  if (normalized === 'bearer') return 'bearer';
+  if (normalized === 'x-api-key' || normalized === 'xapikey') return 'x-api-key';
+  return 'auto';
+}
+
+function getFr24AuthMode(){
+  try {
+    const stored = localStorage.getItem(FLIGHTRADAR24_AUTH_MODE_KEY);
+    return normalizeFr24AuthMode(stored);
+  } catch (err){
+    console.warn('Failed to read FR24 auth mode', err);
+    return 'auto';
+  }
+}
+
+function setFr24AuthMode(value){
+  const normalized = normalizeFr24AuthMode(value);
+  try {
+    localStorage.setItem(FLIGHTRADAR24_AUTH_MODE_KEY, normalized);
+  } catch (err){
+    console.warn('Failed to store FR24 auth mode', err);
+  }
+  return normalized;
+}
+
+function normalizeFr24ProxyBase(value){
+  const normalized = normalizeProxyTarget(value);
+  if (!normalized) return '';
+  let cleaned = normalized.replace(/\/+$/, '');
+  if (cleaned.toLowerCase().endsWith('/fr24')){
+    cleaned = cleaned.slice(0, -5);
+  }
+  return cleaned;
+}
+
+function getFr24ProxyBase(){
+  try {
+    const stored = localStorage.getItem(FLIGHTRADAR24_PROXY_BASE_KEY);
+    return normalizeFr24ProxyBase(stored);
+  } catch (err){
+    console.warn('Failed to read FR24 proxy base', err);
+    return '';
+  }
+}
+
+function setFr24ProxyBase(value){
+  const normalized = normalizeFr24ProxyBase(value);
+  try {
+    localStorage.setItem(FLIGHTRADAR24_PROXY_BASE_KEY, normalized);
+  } catch (err){
+    console.warn('Failed to store FR24 proxy base', err);
+  }
+  return normalized;
+}
+
+function normalizeFr24BaseUrl(value){
+  const base = String(value ?? '').trim();
+  return base || FLIGHTRADAR24_DEFAULT_BASE;
+}
+
+function isOfficialFr24Base(baseUrl){
+  return String(baseUrl || '').toLowerCase().includes('fr24api.flightradar24.com');
+}
+
+function expandFinConfig(config){
+  if (!config) return [];
+  const start = Number(config.finStart);
+  const end = Number.isFinite(config.finEnd) ? Number(config.finEnd) : start;
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return [];
+  const finStart = Math.min(start, end);
+  const finEnd = Math.max(start, end);
+  const entries = [];
+  for (let fin = finStart; fin <= finEnd; fin += 1){
+    entries.push({ ...config, finStart: fin, finEnd: fin });
+  }
+  return entries;
+}
+
+function expandFinConfigList(list){
+  if (!Array.isArray(list)) return [];
+  return list.flatMap(expandFinConfig);
+}
+
+function normalizeRegistration(reg){
+  return String(reg ?? '').trim().toUpperCase();
+}
+function normalizeCallsign(value){
+  return String(value ?? '').trim().toUpperCase();
+}
+function normalizeFr24List(input, normalizer){
+  if (input === null || input === undefined) return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map((value) => normalizer(value)).filter(Boolean);
+}
+
+function cloneFetchOptions(options){
+  if (!options) return {};
+  const cloned = { ...options };
+  if (options.headers instanceof Headers){
+    cloned.headers = new Headers(options.headers);
+  } else if (options.headers && typeof options.headers === 'object'){
+    cloned.headers = { ...options.headers };
+  }
+  return cloned;
+}
+
+function sleepMs(duration){
+  const ms = Number(duration);
+  if (!Number.isFinite(ms) || ms <= 0) return Promise.resolve();
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function mergeHeaderObjects(base = {}, extra = {}){
+  const headers = {};
+  const apply = (source) => {
+    if (!source) return;
+    if (source instanceof Headers){
+      source.forEach((value, key) => {
+        headers[key] = value;
+      });
+      return;
+    }
+    if (typeof source === 'object'){
+      Object.entries(source).forEach(([key, value]) => {
+        headers[key] = value;
+      });
+    }
+  };
+  apply(base);
+  apply(extra);
+  return headers;
+}
+
+function isFr24ProxyUrl(url){
+  const proxyBase = getFr24ProxyBase();
+  if (!proxyBase) return false;
+  try {
+    return new URL(url).origin === new URL(proxyBase).origin;
+  } catch (_err){
+    return false;
+  }
+}
+
+async function fetchWithCorsFallback(url, options = {}){
+  const trimmedUrl = normalizeProxyTarget(url);
+  if (!trimmedUrl) throw new Error('Missing URL for live data request.');
+  const headers = options?.headers;
+  const headerEntries = headers instanceof Headers
+    ? Array.from(headers.entries())
+    : (headers && typeof headers === 'object' ? Object.entries(headers) : []);
+  const hasAuthHeader = headerEntries.some(([key]) => ['authorization', 'x-api-key'].includes(String(key || '').toLowerCase()));
+  const attempts = [];
+  const seen = new Set();
+  let lastError = null;
+  let proxies = CORS_PROXY_FALLBACKS
+    .filter((proxy) => !hasAuthHeader || proxy.allowsAuth)
+    .sort((a, b) => {
+      // For FlightRadar24 calls in the browser, prioritize CORS-friendly proxies before direct
+      // to avoid the 200-with-CORS-blocked pattern seen on the official API host.
+      const order = ['isomorphic', 'corsproxy.io', 'allorigins', 'direct'];
+      try {
+        const host = new URL(trimmedUrl).hostname || '';
+        if (host.includes('flightradar24.com')){
+          return order.indexOf(a.label) - order.indexOf(b.label);
+        }
+      } catch (_err){ /* noop */ }
+      return 0;
+    });
+  if (isFr24ProxyUrl(trimmedUrl)){
+    const direct = proxies.find((proxy) => proxy.label === 'direct');
+    proxies = direct ? [direct] : proxies;
+  }
+  for (const proxy of proxies){
+    const target = proxy.build(trimmedUrl);
+    if (!target || seen.has(target)) continue;
+    seen.add(target);
+    try {
+      const resp = await fetch(target, cloneFetchOptions(options));
+      if (!resp.ok){
+        let bodySnippet = '';
+        try {
+          bodySnippet = await resp.text();
+        } catch (_err){
+          bodySnippet = '';
+        }
+        const snippet = bodySnippet ? bodySnippet.replace(/\s+/g, ' ').trim().slice(0, 120) : '';
+        const err = new Error(`HTTP ${resp.status}${snippet ? `: ${snippet}` : ''}`);
+        err.status = resp.status;
+        err.kind = (resp.status === 401 || resp.status === 403) ? 'auth' : 'http';
+        throw err;
+      }
+      return resp;
+    } catch (err){
+      const status = Number(err?.status);
+      const kind = err?.kind
+        || ((status === 401 || status === 403) ? 'auth' : (Number.isFinite(status) ? 'http' : 'network'));
+      attempts.push({
+        label: proxy.label,
+        message: err?.message || String(err),
+        status: Number.isFinite(status) ? status : null,
+        kind
+      });
+      lastError = err;
+    }
+  }
+  if (attempts.length){
+    console.warn('Live data request failed across all proxies', { url: trimmedUrl, attempts, lastError });
+  }
+  const attemptLabels = attempts.map(entry => entry?.label).filter(Boolean);
+  const authAttempt = attempts.find(entry => entry?.kind === 'auth');
+  const httpAttempt = attempts.find(entry => entry?.kind === 'http' && entry?.status);
+  const networkAttempt = attempts.find(entry => entry?.kind === 'network');
+  let friendly = 'Live data temporarily unavailable.';
+  if (authAttempt){
+    friendly = 'Auth rejected (401/403).';
+  } else if (httpAttempt){
+    friendly = `HTTP ${httpAttempt.status}.`;
+  } else if (networkAttempt){
+    friendly = 'Network/CORS failure.';
+  }
+  if (attempts.length){
+    const tried = Array.from(new Set(attemptLabels)).join(', ');
+    if (tried){
+      friendly = `${friendly} Tried ${tried}.`;
+    }
+  }
+  const error = new Error(friendly);
+  if (authAttempt?.status) error.status = authAttempt.status;
+  else if (httpAttempt?.status) error.status = httpAttempt.status;
+  if (authAttempt) error.kind = 'auth';
+  else if (httpAttempt) error.kind = 'http';
+  else if (networkAttempt) error.kind = 'network';
+  if (attempts.length) error.attempts = attempts;
+  if (lastError) error.cause = lastError;
+  throw error;
+}
+
+function getFr24ApiConfig(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(FLIGHTRADAR24_CONFIG_KEY) || '{}');
+    return {
+      baseUrl: normalizeFr24BaseUrl(stored.baseUrl),
+      apiToken: typeof stored.apiToken === 'string' ? stored.apiToken.trim() : '',
+      apiVersion: typeof stored.apiVersion === 'string' && stored.apiVersion.trim()
+        ? stored.apiVersion.trim()
+        : FLIGHTRADAR24_DEFAULT_VERSION,
+      headers: normalizeFr24Headers(stored.headers)
+    };
+  } catch (err){
+    console.warn('Invalid FlightRadar24 config; falling back to defaults.', err);
+    return {
+      baseUrl: FLIGHTRADAR24_DEFAULT_BASE,
+      apiToken: '',
+      apiVersion: FLIGHTRADAR24_DEFAULT_VERSION,
+      headers: {}
+    };
+  }
+}
+
+function saveFr24ApiConfig(partial){
+  try {
+    const current = getFr24ApiConfig();
+    const merged = {
+      ...current,
+      ...partial,
+      headers: partial.headers !== undefined ? normalizeFr24Headers(partial.headers) : current.headers
+    };
+    merged.baseUrl = normalizeFr24BaseUrl(merged.baseUrl);
+    merged.apiVersion = (merged.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION).trim() || FLIGHTRADAR24_DEFAULT_VERSION;
+    merged.apiToken = (merged.apiToken || '').trim();
+    localStorage.setItem(FLIGHTRADAR24_CONFIG_KEY, JSON.stringify(merged));
+    return merged;
+  } catch (err){
+    console.warn('Failed to save FlightRadar24 config', err);
+    return getFr24ApiConfig();
+  }
+}
+
+function buildFr24Headers({ authMode } = {}){
+  const config = getFr24ApiConfig();
+  const userHeaders = normalizeFr24Headers(config.headers);
+  const headers = { Accept: 'application/json', ...userHeaders };
+  const apiVersionHeader = config.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION;
+  const token = config.apiToken ? config.apiToken.trim() : '';
+  const mode = normalizeFr24AuthMode(authMode ?? getFr24AuthMode());
+  const setIfMissing = (name, value) => {
+    if (!value) return;
+    const exists = Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase());
+    if (!exists){
+      headers[name] = value;
+    }
+  };
+  if (token){
+    if (mode === 'x-api-key'){
+      setIfMissing('X-API-Key', token);
+      setIfMissing('x-api-key', token);
+    } else {
+      setIfMissing('Authorization', `Bearer ${token}`);
+    }
+  }
+  setIfMissing('Accept-Version', apiVersionHeader);
+  setIfMissing('API-Version', apiVersionHeader);
+  return headers;
+}
+
+function buildFr24Url(path, params = {}){
+  const { baseUrl } = getFr24ApiConfig();
+  const proxyBase = getFr24ProxyBase();
+  const effectiveBase = proxyBase
+    ? `${proxyBase.replace(/\/+$/, '')}/fr24/`
+    : (baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const url = new URL(path, effectiveBase);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== ''){
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+async function fetchFr24WithAuthFallback(url, options = {}){
+  const mode = normalizeFr24AuthMode(getFr24AuthMode());
+  const modesToTry = mode === 'auto' ? ['bearer', 'x-api-key'] : [mode];
+  let lastError = null;
+  for (let idx = 0; idx < modesToTry.length; idx += 1){
+    const authMode = modesToTry[idx];
+    const baseHeaders = buildFr24Headers({ authMode });
+    const mergedHeaders = mergeHeaderObjects(baseHeaders, options.headers);
+    try {
+      const resp = await fetchWithCorsFallback(url, { ...options, headers: mergedHeaders });
+      if (mode === 'auto'){
+        setFr24AuthMode(authMode);
+      }
+      return resp;
+    } catch (err){
+      lastError = err;
+      const status = Number(err?.status);
+      const isAuthReject = status === 401 || status === 403;
+      if (!isAuthReject || idx === modesToTry.length - 1){
+        throw err;
+      }
+    }
+  }
+  throw lastError;
+}
+
+function extractFr24DataRows(payload){
+  const candidates = [
+    payload,
+    payload?.data,
+    payload?.result,
+    payload?.response,
+    payload?.result?.response,
+    payload?.response?.result,
+    payload?.data?.result,
+    payload?.data?.response
+  ];
+  for (const candidate of candidates){
+    if (!candidate || typeof candidate !== 'object') continue;
+    if (Array.isArray(candidate)) return candidate;
+    if (Array.isArray(candidate.flights)) return candidate.flights;
+    if (Array.isArray(candidate.events)) return candidate.events;
+    if (Array.isArray(candidate.data)) return candidate.data;
+    if (candidate.data && typeof candidate.data === 'object' && !Array.isArray(candidate.data)){
+      const values = Object.values(candidate.data).filter((item) => item !== undefined && item !== null);
+      if (values.length) return values;
+    }
+  }
+  return [];
+}
+
+function normalizeFr24Timestamp(ts){
+  const num = Number(ts);
+  if (!Number.isFinite(num)) return null;
+  return num > 1e12 ? Math.round(num / 1000) : Math.round(num);
+}
+
+function formatFr24DateTimeUtc(date){
+  const d = new Date(date);
+  if (!Number.isFinite(d.getTime())) return '';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`
+    + `T${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+}
+
+function parseFr24Date(value){
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' && Number.isFinite(value)){
+    return normalizeFr24Timestamp(value);
+  }
+  if (typeof value === 'string'){
+    const trimmed = value.trim();
+    if (trimmed && /^\d+$/.test(trimmed)){
+      return normalizeFr24Timestamp(Number(trimmed));
+    }
+  }
+  const parsed = Date.parse(value);
+  if (Number.isFinite(parsed)) return Math.round(parsed / 1000);
+  return normalizeFr24Timestamp(value);
+}
+
+function normalizeFr24GateEventType(value){
+  const raw = String(value ?? '').trim().toLowerCase();
+  if (!raw) return '';
+  const compact = raw.replace(/[\s-]+/g, '_');
+  return FR24_GATE_EVENT_TYPE_ALIASES[compact] || compact;
+}
+
+function normalizeFr24HistoricEvent(entry){
+  if (!entry || typeof entry !== 'object') return null;
+  const flightId = normalizeFr24FlightId(entry)
+    || normalizeFr24FlightId(entry?.flight)
+    || normalizeFr24FlightId(entry?.flight?.id)
+    || normalizeFr24FlightId(entry?.flight_id)
+    || normalizeFr24FlightId(entry?.event?.flight_id);
+  const type = normalizeFr24GateEventType(
+    entry.event_type
+    ?? entry.eventType
+    ?? entry.type
+    ?? entry.event?.type
+    ?? entry.event?.event_type
+    ?? entry.event?.eventType
+    ?? ''
+  );
+  const timestamp = parseFr24Date(
+    entry.timestamp
+    ?? entry.event_time
+    ?? entry.eventTimestamp
+    ?? entry.time
+    ?? entry.ts
+    ?? entry.event?.timestamp
+    ?? entry.event?.event_time
+    ?? entry.event?.eventTime
+  );
+  if (!flightId || !type || !Number.isFinite(timestamp)) return null;
+  return { flightId, type, timestamp };
+}
+
+function deriveFr24FlightStatus(entry, departureTime, arrivalTime){
+  if (!entry) return 'planned';
+  if (entry.flight_ended === false) return 'active';
+  if (entry.flight_ended === true) return 'completed';
+  const statusText = String(entry.status ?? entry.flight_status ?? entry.flightstatus ?? '').toLowerCase();
+  const compactStatus = statusText.replace(/[\s_-]+/g, '');
+  if (['active', 'enroute', 'inair', 'inflight'].some((needle) => compactStatus.includes(needle))) return 'active';
+  if (statusText.includes('landed') || statusText.includes('arrived')) return 'completed';
+  if (Number.isFinite(departureTime) && !Number.isFinite(arrivalTime)) return 'active';
+  if (Number.isFinite(departureTime) && Number.isFinite(arrivalTime)) return 'completed';
+  return 'planned';
+}
+
+function populateFr24ConfigForm(){
+  const config = getFr24ApiConfig();
+  const baseInput = document.getElementById('fr24-base-url');
+  const tokenInput = document.getElementById('fr24-token');
+  const versionInput = document.getElementById('fr24-version');
+  const extraHeadersInput = document.getElementById('fr24-extra-headers');
+  const proxyInput = document.getElementById('fr24-proxy-url');
+  const statusEl = document.getElementById('fr24-status');
+  if (baseInput) baseInput.value = config.baseUrl || FLIGHTRADAR24_DEFAULT_BASE;
+  if (tokenInput) tokenInput.value = config.apiToken || '';
+  if (versionInput) versionInput.value = config.apiVersion || FLIGHTRADAR24_DEFAULT_VERSION;
+  if (extraHeadersInput){
+    const headers = normalizeFr24Headers(config.headers);
+    extraHeadersInput.value = Object.keys(headers).length ? JSON.stringify(headers, null, 2) : '';
+  }
+  if (proxyInput) proxyInput.value = getFr24ProxyBase();
+  if (statusEl){
+    statusEl.textContent = 'Settings are saved locally and used for live fin tracking.';
+  }
+}
+
+function handleFr24ConfigSave(){
+  const statusEl = document.getElementById('fr24-status');
+  const baseInput = document.getElementById('fr24-base-url');
+  const tokenInput = document.getElementById('fr24-token');
+  const versionInput = document.getElementById('fr24-version');
+  const extraHeadersInput = document.getElementById('fr24-extra-headers');
+  const proxyInput = document.getElementById('fr24-proxy-url');
+  let extraHeaders = {};
+  if (extraHeadersInput && extraHeadersInput.value.trim()){
+    try {
+      const parsed = JSON.parse(extraHeadersInput.value);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)){
+        throw new Error('Extra headers must be a JSON object.');
+      }
+      extraHeaders = parsed;
+    } catch (err){
+      if (statusEl){
+        statusEl.textContent = `Save failed: ${err.message}`;
+      }
+      return;
+    }
+  }
+  const saved = saveFr24ApiConfig({
+    baseUrl: baseInput?.value ?? FLIGHTRADAR24_DEFAULT_BASE,
+    apiToken: tokenInput?.value?.trim() ?? '',
+    apiVersion: versionInput?.value?.trim() || FLIGHTRADAR24_DEFAULT_VERSION,
+    headers: extraHeaders
+  });
+  setFr24AuthMode('auto');
+  setFr24ProxyBase(proxyInput?.value ?? '');
+  if (statusEl){
+    const authSummary = saved.apiToken ? 'token' : 'no credentials';
+    statusEl.textContent = `Saved. Using ${saved.baseUrl} with ${authSummary}.`;
+  }
+}
+
+
+const FIN_CONFIGS = expandFinConfigList([
+  { type: 'A220', finStart: 101, finEnd: 101, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GROV' },
+  { type: 'A220', finStart: 102, finEnd: 102, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXE' },
+  { type: 'A220', finStart: 103, finEnd: 103, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXN' },
+  { type: 'A220', finStart: 104, finEnd: 104, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXV' },
+  { type: 'A220', finStart: 105, finEnd: 105, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXW' },
+  { type: 'A220', finStart: 106, finEnd: 106, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJXY' },
+  { type: 'A220', finStart: 107, finEnd: 107, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYA' },
+  { type: 'A220', finStart: 108, finEnd: 108, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYC' },
+  { type: 'A220', finStart: 109, finEnd: 109, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYE' },
+  { type: 'A220', finStart: 110, finEnd: 110, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GJYI' },
+  { type: 'A220', finStart: 111, finEnd: 111, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMYU' },
+  { type: 'A220', finStart: 112, finEnd: 112, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZN' },
+  { type: 'A220', finStart: 113, finEnd: 113, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZR' },
+  { type: 'A220', finStart: 114, finEnd: 114, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GMZY' },
+  { type: 'A220', finStart: 115, finEnd: 115, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNGV' },
+  { type: 'A220', finStart: 116, finEnd: 116, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNAM' },
+  { type: 'A220', finStart: 117, finEnd: 117, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZH' },
+  { type: 'A220', finStart: 118, finEnd: 118, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNBE' },
+  { type: 'A220', finStart: 119, finEnd: 119, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GNBN' },
+  { type: 'A220', finStart: 120, finEnd: 120, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZS' },
+  { type: 'A220', finStart: 121, finEnd: 121, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GTZU' },
+  { type: 'A220', finStart: 122, finEnd: 122, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUAC' },
+  { type: 'A220', finStart: 123, finEnd: 123, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPG' },
+  { type: 'A220', finStart: 124, finEnd: 124, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPK' },
+  { type: 'A220', finStart: 125, finEnd: 125, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GUPL' },
+  { type: 'A220', finStart: 126, finEnd: 126, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVDP' },
+  { type: 'A220', finStart: 127, finEnd: 127, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVDQ' },
+  { type: 'A220', finStart: 128, finEnd: 128, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUH' },
+  { type: 'A220', finStart: 129, finEnd: 129, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUN' },
+  { type: 'A220', finStart: 130, finEnd: 130, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GVUO' },
+  { type: 'A220', finStart: 131, finEnd: 131, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUQ' },
+  { type: 'A220', finStart: 132, finEnd: 132, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUS' },
+  { type: 'A220', finStart: 133, finEnd: 133, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GWUT' },
+  { type: 'A220', finStart: 134, finEnd: 134, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-FDUW' },
+  { type: 'A220', finStart: 135, finEnd: 135, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-FDUY' },
+  { type: 'A220', finStart: 136, finEnd: 136, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GYLQ' },
+  { type: 'A220', finStart: 137, finEnd: 137, j: 12, o: 0, y: 125, fdjs: 1, ofcr: 0, ccjs: 3, reg: 'C-GYLY' },
+  { type: 'A320 Jetz', finStart: 225, finEnd: 225, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
+  { type: 'A320 Jetz', finStart: 226, finEnd: 226, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
+  { type: 'A320 Jetz', finStart: 232, finEnd: 232, j: 70, o: 0, y: 0, fdjs: 1, ofcr: 0, ccjs: 5 },
+  { type: 'A320', finStart: 235, finEnd: 235, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GJVT' },
+  { type: 'A320', finStart: 236, finEnd: 236, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GKOD' },
+  { type: 'A320', finStart: 237, finEnd: 237, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-GKOE' },
+  { type: 'A320', finStart: 238, finEnd: 238, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FZUB' },
+  { type: 'A320', finStart: 239, finEnd: 239, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FXCD' },
+  { type: 'A320', finStart: 240, finEnd: 240, j: 14, o: 0, y: 132, fdjs: 1, ofcr: 0, ccjs: 5, reg: 'C-FZQS' },
+  { type: 'A320', finStart: 241, finEnd: 241, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGJI' },
+  { type: 'A320', finStart: 242, finEnd: 242, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKH' },
+  { type: 'A320 Rouge', finStart: 243, finEnd: 243, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFCH' },
+  { type: 'A320 Rouge', finStart: 244, finEnd: 244, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFCI' },
+  { type: 'A320 Rouge', finStart: 245, finEnd: 245, j: 12, o: 0, y: 156, fdjs: 2, ofcr: 0, ccjs: 4, reg: 'C-GFCP' },
+  { type: 'A320 Rouge', finStart: 246, finEnd: 246, j: 12, o: 0, y: 156, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GFDU' },
+  { type: 'A320 Rouge', finStart: 247, finEnd: 247, j: 12, o: 0, y: 156, fdjs: 2, ofcr: 0, ccjs: 4, reg: 'C-GFWX' },
+  { type: 'A319', finStart: 251, finEnd: 251, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319', finStart: 252, finEnd: 252, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319 Rouge', finStart: 255, finEnd: 255, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJE' },
+  { type: 'A319 Rouge', finStart: 256, finEnd: 256, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJG' },
+  { type: 'A319 Rouge', finStart: 257, finEnd: 257, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJH' },
+  { type: 'A319', finStart: 258, finEnd: 258, j: 14, o: 0, y: 120, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319 Rouge', finStart: 259, finEnd: 259, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYJP' },
+  { type: 'A319', finStart: 260, finEnd: 260, j: 14, o: 0, y: 120, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319 Rouge', finStart: 262, finEnd: 262, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FYKW' },
+  { type: 'A319 Rouge', finStart: 263, finEnd: 263, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-FZUG' },
+  { type: 'A319 Rouge', finStart: 272, finEnd: 272, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GARJ' },
+  { type: 'A319 Rouge', finStart: 273, finEnd: 273, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GARO' },
+  { type: 'A319 Rouge', finStart: 276, finEnd: 276, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHO' },
+  { type: 'A319 Rouge', finStart: 277, finEnd: 277, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319 Rouge', finStart: 278, finEnd: 278, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHY' },
+  { type: 'A319 Rouge', finStart: 279, finEnd: 279, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBHZ' },
+  { type: 'A319', finStart: 280, finEnd: 280, j: 14, o: 0, y: 106, fdjs: 1, ofcr: 0, ccjs: 4 },
+  { type: 'A319 Rouge', finStart: 281, finEnd: 281, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIJ' },
+  { type: 'A319 Rouge', finStart: 283, finEnd: 283, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIM' },
+  { type: 'A319 Rouge', finStart: 284, finEnd: 284, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GBIN' },
+  { type: 'A319 Rouge', finStart: 286, finEnd: 286, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GITP' },
+  { type: 'A319 Rouge', finStart: 287, finEnd: 287, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GITR' },
+  { type: 'A319 Rouge', finStart: 290, finEnd: 290, j: 12, o: 0, y: 124, fdjs: 1, ofcr: 0, ccjs: 4, reg: 'C-GSJB' },
+  { type: 'A320', finStart: 401, finEnd: 401, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6 },
+  { type: 'A320', finStart: 402, finEnd: 402, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FPWE' },
+  { type: 'A320', finStart: 405, finEnd: 405, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FDCA' },
+  { type: 'A320', finStart: 415, finEnd: 415, j: 14, o: 0, y: 132, fdjs: 2, ofcr: 0, ccjs: 6 },
+  { type: 'A320 Jetz', finStart: 416, finEnd: 416, j: 70, o: 0, y: 0, fdjs: 2, ofcr: 0, ccjs: 6 },
+  { type: 'A320', finStart: 417, finEnd: 417, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 4, notes: 'Cabin Jumps edited from 6, confirm.', reg: 'C-FCQD' },
+  { type: 'A320', finStart: 418, finEnd: 418, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCQX' },
+  { type: 'A320', finStart: 419, finEnd: 419, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCYX' },
+  { type: 'A320', finStart: 420, finEnd: 420, j: 12, o: 0, y: 138, fdjs: 2, ofcr: 0, ccjs: 4, notes: 'Cabin jumps edited from 6, confirm.', reg: 'C-FCZF' },
+  { type: 'A320', finStart: 421, finEnd: 421, j: 8, o: 0, y: 150, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FCUG' },
+  { type: 'A320', finStart: 422, finEnd: 422, j: 8, o: 0, y: 150, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FDGQ' },
+  { type: 'A321', finStart: 451, finEnd: 451, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GITU' },
+  { type: 'A321', finStart: 452, finEnd: 452, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GITY' },
+  { type: 'A321', finStart: 453, finEnd: 453, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUB' },
+  { type: 'A321', finStart: 454, finEnd: 454, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUE' },
+  { type: 'A321', finStart: 455, finEnd: 455, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GIUF' },
+  { type: 'A321', finStart: 456, finEnd: 456, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJVX' },
+  { type: 'A321', finStart: 457, finEnd: 457, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWD' },
+  { type: 'A321', finStart: 458, finEnd: 458, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWI' },
+  { type: 'A321', finStart: 459, finEnd: 459, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWN' },
+  { type: 'A321', finStart: 460, finEnd: 460, j: 16, o: 0, y: 180, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-GJWO' },
+  { type: 'A321', finStart: 461, finEnd: 461, j: 16, o: 0, y: 174, fdjs: 1, ofcr: 0, ccjs: 6, reg: 'C-FGKN' },
+  { type: 'A321', finStart: 462, finEnd: 462, j: 16, o: 0, y: 174, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKP' },
+  { type: 'A321', finStart: 463, finEnd: 463, j: 16, o: 0, y: 180, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FGKZ' },
+  { type: 'A321', finStart: 464, finEnd: 464, j: 16, o: 0, y: 180, fdjs: 2, ofcr: 0, ccjs: 6, reg: 'C-FJNX' },
   { type: 'A321', finStart: 465, finEnd: 465, j: 8, o: 0, y: 176, fdjs: 2, ofcr: 0, ccjs: 8, reg: 'C-GYFM' },
   { type: 'A321', finStart: 466, finEnd: 466, j: 8, o: 0, y: 176, fdjs: 2, ofcr: 0, ccjs: 8, reg: 'C-GYFY' },
   { type: 'A321', finStart: 467, finEnd: 467, j: 8, o: 0, y: 176, fdjs: 2, ofcr: 0, ccjs: 8, reg: 'C-GYGU' },
@@ -1007,52 +2668,6 @@ const FIN_CONFIGS = expandFinConfigList([
   { type: 'A330', finStart: 949, finEnd: 949, j: 30, o: 0, y: 255, fdjs: 2, ofcr: 0, ccjs: 13, reg: 'C-FDHG' },
   { type: 'A330', finStart: 950, finEnd: 950, j: 30, o: 0, y: 255, fdjs: 2, ofcr: 0, ccjs: 13, reg: 'C-FDHU' }
 ]);
-const FDP_MAX_TABLE = [
-  { start: 0, end: 239, label: '00:00-03:59', max14: 9, max56: 9, max14Over4: 8, max56Over4: 8 },
-  { start: 240, end: 299, label: '04:00-04:59', max14: 10, max56: 9, max14Over4: 9, max56Over4: 8 },
-  { start: 300, end: 359, label: '05:00-05:59', max14: 11.25, max56: 10.25, max14Over4: 10.25, max56Over4: 9.25 },
-  { start: 360, end: 419, label: '06:00-06:59', max14: 12, max56: 11, max14Over4: 11, max56Over4: 10 },
-  { start: 420, end: 779, label: '07:00-12:59', max14: 13, max56: 12, max14Over4: 12, max56Over4: 11 },
-  { start: 780, end: 1019, label: '13:00-16:59', max14: 12.25, max56: 11.25, max14Over4: 11.25, max56Over4: 10.25 },
-  { start: 1020, end: 1319, label: '17:00-21:59', max14: 12, max56: 11, max14Over4: 11, max56Over4: 10 },
-  { start: 1320, end: 1379, label: '22:00-22:59', max14: 11, max56: 10, max14Over4: 10, max56Over4: 9 },
-  { start: 1380, end: 1439, label: '23:00-23:59', max14: 10, max56: 9, max14Over4: 9, max56Over4: 8 }
-];
-const FDP_MAX_TABLE_OUTSIDE = [
-  { start: 0, end: 239, label: '00:00-03:59', max: 9.25, deadhead: 12 },
-  { start: 240, end: 299, label: '04:00-04:59', max: 10, deadhead: 12 },
-  { start: 300, end: 359, label: '05:00-05:59', max: 11.25, deadhead: 14 },
-  { start: 360, end: 1169, label: '06:00-19:29', max: 12, deadhead: 14 },
-  { start: 1170, end: 1319, label: '19:30-21:59', max: 11, deadhead: 13 },
-  { start: 1320, end: 1439, label: '22:00-23:59', max: 10, deadhead: 12 }
-];
-const FOM_FDP_TABLE = [
-  { start: 0, end: 239, label: '00:00-03:59', max14: 9, max56: 9 },
-  { start: 240, end: 299, label: '04:00-04:59', max14: 10, max56: 9 },
-  { start: 300, end: 359, label: '05:00-05:59', max14: 11, max56: 10 },
-  { start: 360, end: 419, label: '06:00-06:59', max14: 12, max56: 11 },
-  { start: 420, end: 779, label: '07:00-12:59', max14: 13, max56: 12 },
-  { start: 780, end: 1019, label: '13:00-16:59', max14: 12.5, max56: 11.5 },
-  { start: 1020, end: 1319, label: '17:00-21:59', max14: 12, max56: 11 },
-  { start: 1320, end: 1379, label: '22:00-22:59', max14: 11, max56: 10 },
-  { start: 1380, end: 1439, label: '23:00-23:59', max14: 10, max56: 9 }
-];
-const AUGMENTED_FDP_TABLE = [
-  { crew: 'basic+1', facility: 3, zone: 'inside', max: 14, deadhead: 16, facilityLabel: 'Class 3 seat' },
-  { crew: 'basic+1', facility: 3, zone: 'outside', max: 12, deadhead: 14, facilityLabel: 'Class 3 seat' },
-  { crew: 'basic+1', facility: 2, zone: 'any', max: 14, deadhead: 16, facilityLabel: 'Class 2 seat' },
-  { crew: 'basic+1', facility: 1, zone: 'any', max: 15, deadhead: 17, facilityLabel: 'Class 1 bunk' },
-  { crew: 'basic+2', facility: 1, zone: 'any', max: 18.25, deadhead: 18.25, facilityLabel: '2 Class 1 bunks' },
-  { crew: '2ca2fo', facility: 1, zone: 'any', max: 20, deadhead: 20, facilityLabel: '2 Class 1 bunks' }
-];
-const FOM_AUGMENTED_FDP_TABLE = [
-  { additionalCrew: 1, facility: 3, max: 14 },
-  { additionalCrew: 1, facility: 2, max: 15 },
-  { additionalCrew: 1, facility: 1, max: 15 },
-  { additionalCrew: 2, facility: 3, max: 15.25 },
-  { additionalCrew: 2, facility: 2, max: 16.5 },
-  { additionalCrew: 2, facility: 1, max: 18 }
-];
 const WEATHER_API_ROOT = 'https://aviationweather.gov/api/data';
 const WEATHER_STATION_ADDITIONAL_ATTEMPTS = 5;
 const WEATHER_MAX_ATTEMPTS = 1 + WEATHER_STATION_ADDITIONAL_ATTEMPTS;
@@ -1110,10 +2725,19 @@ const CORS_PROXY_PREFIXES = [
   'https://thingproxy.freeboard.io/fetch/'
 ];
 const WEATHER_ALLOW_DIRECT_FOR_FORCED_PROXY = false;
-const HOME_BASE_CODES = new Set(['YYZ', 'CYYZ']);
+const PILOT_BASES = {
+  YYZ: { icao: 'CYYZ', timeZone: 'America/Toronto', label: 'Toronto' },
+  YUL: { icao: 'CYUL', timeZone: 'America/Toronto', label: 'Montreal' },
+  YVR: { icao: 'CYVR', timeZone: 'America/Vancouver', label: 'Vancouver' },
+  YYC: { icao: 'CYYC', timeZone: 'America/Edmonton', label: 'Calgary' }
+};
 let airportLookupPromise = null;
 let airportTimezonePromise = null;
-const AIRPORT_TZ_FALLBACK = { YYZ: 'America/Toronto', CYYZ: 'America/Toronto' };
+const AIRPORT_TZ_FALLBACK = Object.entries(PILOT_BASES).reduce((acc, [iata, base]) => {
+  acc[iata] = base.timeZone;
+  acc[base.icao] = base.timeZone;
+  return acc;
+}, {});
 let airportTimezoneCache = { ...AIRPORT_TZ_FALLBACK };
 const IATA_FALLBACK_MAP = {
   ABJ:'DIAP', ADD:'HAAB', AKL:'NZAA', AMS:'EHAM', ANU:'TAPA', ATL:'KATL', AUA:'TNCA', AUH:'OMAA', AZS:'MDCY',
@@ -1140,154 +2764,6 @@ const IATA_FALLBACK_MAP = {
   YYZ:'CYYZ', YZF:'CYZF', YZP:'CYZP', YZR:'CYZR', YZV:'CYZV', ZBF:'CZBF', ZRH:'LSZH', ZSA:'MYSM'
 };
 
-// --- Pay tables 2023–2026 (from contract) ---
-const PAY_TABLES = {
-  2023: { CA: { "777":{1:365.60,2:369.28,3:372.99,4:376.75,5:380.54,6:384.38,7:388.26,8:392.18,9:396.14,10:400.14,11:404.18,12:408.27},
-                "787":{1:336.02,2:339.40,3:342.81,4:346.27,5:349.76,6:353.28,7:356.85,8:360.45,9:364.09,10:367.77,11:371.48,12:375.23},
-                "330":{1:329.57,2:332.88,3:336.23,4:339.62,5:343.04,6:346.50,7:349.99,8:353.53,9:357.10,10:360.70,11:364.35,12:368.03},
-                "767":{1:308.82,2:311.93,3:315.07,4:318.24,5:321.45,6:324.69,7:327.96,8:331.27,9:334.62,10:338.00,11:341.41,12:344.86},
-                "320":{1:268.55,2:271.25,3:273.98,4:276.74,5:279.53,6:282.35,7:285.20,8:288.07,9:290.98,10:293.92,11:296.89,12:299.89},
-                "737":{1:268.55,2:271.25,3:273.98,4:276.74,5:279.53,6:282.35,7:285.20,8:288.07,9:290.98,10:293.92,11:296.89,12:299.89},
-                "220":{1:263.35,2:265.99,3:268.67,4:271.37,5:274.11,6:276.87,7:279.67,8:282.49,9:285.34,10:288.22,11:291.14,12:294.08} },
-          FO: { "777":{1:84.12,2:91.16,3:138.01,4:148.82,5:207.40,6:215.25,7:223.25,8:231.39,9:239.66,10:248.09,11:256.66,12:265.37},
-                "787":{1:84.12,2:91.16,3:126.84,4:136.78,5:190.62,6:197.84,7:205.19,8:212.67,9:220.27,10:228.02,11:235.89,12:243.90},
-                "330":{1:84.12,2:91.16,3:124.41,4:134.15,5:186.96,6:194.04,7:201.25,8:208.58,9:216.04,10:223.64,11:231.36,12:239.22},
-                "767":{1:84.12,2:91.16,3:116.57,4:125.70,5:175.19,6:181.82,7:188.58,8:195.45,9:202.44,10:209.56,11:216.80,12:224.16},
-                "320":{1:84.12,2:91.16,3:115.07,4:123.15,5:156.54,6:162.35,7:168.27,8:174.29,9:180.41,10:186.64,11:192.98,12:199.43},
-                "737":{1:84.12,2:91.16,3:115.07,4:123.15,5:156.54,6:162.35,7:168.27,8:174.29,9:180.41,10:186.64,11:192.98,12:199.43},
-                "220":{1:84.12,2:91.16,3:112.84,4:120.76,5:153.50,6:159.20,7:165.00,8:170.91,9:176.91,10:183.02,11:189.24,12:195.56} },
-          RP: { "777":{1:84.12,2:91.16,3:106.30,4:114.91,5:140.80,6:146.07,7:151.42,8:156.87,9:162.42,10:168.06,11:171.78,12:175.55},
-                "787":{1:84.12,2:91.16,3:97.70,4:105.61,5:129.41,6:134.25,7:139.17,8:144.18,9:149.28,10:154.46,11:157.88,12:161.35},
-                "330":{1:84.12,2:91.16,3:95.83,4:103.58,5:126.92,6:131.67,7:136.50,8:141.41,9:146.41,10:151.50,11:154.85,12:158.25} }
-        },
-  2024: { CA: { "777":{1:380.23,2:384.05,3:387.91,4:391.82,5:395.77,6:399.76,7:403.79,8:407.87,9:411.99,10:416.15,11:420.35,12:424.60},
-                "787":{1:349.46,2:352.98,3:356.53,4:360.12,5:363.75,6:367.41,7:371.12,8:374.87,9:378.65,10:382.48,11:386.34,12:390.24},
-                "330":{1:342.75,2:346.20,3:349.68,4:353.20,5:356.76,6:360.36,7:364.00,8:367.67,9:371.38,10:375.13,11:378.92,12:382.75},
-                "767":{1:321.18,2:324.40,3:327.67,4:330.97,5:334.30,6:337.67,7:341.08,8:344.52,9:348.00,10:351.52,11:355.07,12:358.66},
-                "320":{1:279.29,2:282.10,3:284.94,4:287.81,5:290.71,6:293.64,7:296.60,8:299.60,9:302.62,10:305.68,11:308.77,12:311.89},
-                "737":{1:279.29,2:282.10,3:284.94,4:287.81,5:290.71,6:293.64,7:296.60,8:299.60,9:302.62,10:305.68,11:308.77,12:311.89},
-                "220":{1:273.88,2:276.63,3:279.41,4:282.23,5:285.07,6:287.95,7:290.85,8:293.79,9:296.76,10:299.75,11:302.78,12:305.84} },
-          FO: { "777":{1:87.48,2:94.81,3:143.53,4:154.77,5:215.69,6:223.86,7:232.18,8:240.64,9:249.25,10:258.01,11:266.92,12:275.99},
-                "787":{1:87.48,2:94.81,3:131.92,4:142.25,5:198.24,6:205.75,7:213.40,8:221.17,9:229.09,10:237.14,11:245.33,12:253.66},
-                "330":{1:87.48,2:94.81,3:129.38,4:139.51,5:194.43,6:201.80,7:209.30,8:216.93,9:224.69,10:232.58,11:240.62,12:248.79},
-                "767":{1:87.48,2:94.81,3:121.24,4:130.73,5:182.20,6:189.10,7:196.12,8:203.27,9:210.54,10:217.94,11:225.47,12:233.13},
-                "320":{1:87.48,2:94.81,3:119.67,4:128.07,5:162.80,6:168.84,7:175.00,8:181.26,9:187.63,10:194.11,11:200.70,12:207.40},
-                "737":{1:87.48,2:94.81,3:119.67,4:128.07,5:162.80,6:168.84,7:175.00,8:181.26,9:187.63,10:194.11,11:200.70,12:207.40},
-                "220":{1:87.48,2:94.81,3:117.35,4:125.59,5:159.64,6:165.57,7:171.60,8:177.74,9:183.99,10:190.34,11:196.81,12:203.38} },
-          RP: { "777":{1:87.48,2:94.81,3:110.56,4:119.50,5:146.43,6:151.91,7:157.48,8:163.15,9:168.91,10:174.78,11:178.65,12:182.58},
-                "787":{1:87.48,2:94.81,3:101.61,4:109.84,5:134.59,6:139.62,7:144.74,8:149.95,9:155.25,10:160.64,11:164.20,12:167.80},
-                "330":{1:87.48,2:94.81,3:99.66,4:107.73,5:132.00,6:136.94,7:141.96,8:147.07,9:152.27,10:157.56,11:161.04,12:164.58} }
-        },
-  2025: { CA: { "777":{1:395.43,2:399.40,3:403.42,4:407.48,5:411.59,6:415.74,7:419.94,8:424.18,9:428.46,10:432.79,11:437.16,12:441.57},
-                "787":{1:363.44,2:367.09,3:370.78,4:374.52,5:378.29,6:382.10,7:385.96,8:389.86,9:393.79,10:397.77,11:401.79,12:405.85},
-                "330":{1:356.46,2:360.04,3:363.66,4:367.32,5:371.03,6:374.77,7:378.55,8:382.37,9:386.23,10:390.13,11:394.07,12:398.05},
-                "767":{1:334.02,2:337.37,3:340.77,4:344.20,5:347.67,6:351.18,7:354.72,8:358.30,9:361.92,10:365.57,11:369.27,12:373.00},
-                "320":{1:290.46,2:293.38,3:296.33,4:299.32,5:302.33,6:305.38,7:308.46,8:311.58,9:314.72,10:317.90,11:321.11,12:324.36},
-                "737":{1:290.46,2:293.38,3:296.33,4:299.32,5:302.33,6:305.38,7:308.46,8:311.58,9:314.72,10:317.90,11:321.11,12:324.36},
-                "220":{1:284.83,2:287.69,3:290.59,4:293.51,5:296.47,6:299.46,7:302.48,8:305.54,9:308.62,10:311.74,11:314.89,12:318.07} },
-          FO: { "777":{1:90.98,2:98.60,3:149.27,4:160.96,5:224.32,6:232.82,7:241.46,8:250.26,9:259.22,10:268.33,11:277.60,12:287.02},
-                "787":{1:90.98,2:98.60,3:137.19,4:147.93,5:206.17,6:213.98,7:221.93,8:230.02,9:238.24,10:246.62,11:255.14,12:263.80},
-                "330":{1:90.98,2:98.60,3:134.55,4:145.09,5:202.21,6:209.87,7:217.67,8:225.60,9:233.67,10:241.88,11:250.24,12:258.73},
-                "767":{1:90.98,2:98.60,3:126.08,4:135.96,5:189.48,6:196.66,7:203.96,8:211.40,9:218.96,10:226.66,11:234.48,12:242.45},
-                "320":{1:90.98,2:98.60,3:124.46,4:133.20,5:169.31,6:175.59,7:181.99,8:188.50,9:195.13,10:201.87,11:208.72,12:215.70},
-                "737":{1:90.98,2:98.60,3:124.46,4:133.20,5:169.31,6:175.59,7:181.99,8:188.50,9:195.13,10:201.87,11:208.72,12:215.70},
-                "220":{1:90.98,2:98.60,3:122.05,4:130.61,5:166.02,6:172.19,7:178.46,8:184.85,9:191.34,10:197.95,11:204.68,12:211.51} },
-          RP: { "777":{1:90.98,2:98.60,3:114.98,4:124.28,5:152.29,6:157.98,7:163.78,8:169.67,9:175.67,10:181.77,11:185.79,12:189.88},
-                "787":{1:90.98,2:98.60,3:105.67,4:114.23,5:139.97,6:145.20,7:150.52,8:155.94,9:161.46,10:167.06,11:170.76,12:174.51},
-                "330":{1:90.98,2:98.60,3:103.64,4:112.03,5:137.28,6:142.41,7:147.63,8:152.95,9:158.35,10:163.86,11:167.48,12:171.16} }
-        },
-  2026: { CA: { "777":{1:411.26,2:415.39,3:419.57,4:423.80,5:428.07,6:432.39,7:436.75,8:441.16,9:445.61,10:450.11,11:454.66,12:459.25},
-                "787":{1:377.98,2:381.78,3:385.62,4:389.51,5:393.43,6:397.40,7:401.41,8:405.46,9:409.56,10:413.69,11:417.87,12:422.09},
-                "330":{1:370.72,2:374.45,3:378.22,4:382.03,5:385.88,6:389.77,7:393.70,8:397.68,9:401.69,10:405.75,11:409.85,12:413.99},
-                "767":{1:347.39,2:350.88,3:354.41,4:357.98,5:361.58,6:365.23,7:368.92,8:372.64,9:376.40,10:380.21,11:384.05,12:387.92},
-                "320":{1:302.08,2:305.12,3:308.19,4:311.29,5:314.43,6:317.60,7:320.80,8:324.04,9:327.32,10:330.62,11:333.96,12:337.33},
-                "737":{1:302.08,2:305.12,3:308.19,4:311.29,5:314.43,6:317.60,7:320.80,8:324.04,9:327.32,10:330.62,11:333.96,12:337.33},
-                "220":{1:296.23,2:299.20,3:302.21,4:305.26,5:308.33,6:311.44,7:314.58,8:317.76,9:320.97,10:324.21,11:327.49,12:330.79} },
-        FO: { "777":{1:94.62,2:102.54,3:155.24,4:167.40,5:233.30,6:242.14,7:251.13,8:260.28,9:269.60,10:279.07,11:288.71,12:298.51},
-              "787":{1:94.62,2:102.54,3:142.68,4:153.86,5:214.42,6:222.54,7:230.81,8:239.22,9:247.78,10:256.49,11:265.35,12:274.36},
-              "330":{1:94.62,2:102.54,3:139.94,4:150.90,5:210.30,6:218.27,7:226.38,8:234.63,9:243.02,10:251.56,11:260.25,12:269.09},
-              "767":{1:94.62,2:102.54,3:131.13,4:141.40,5:197.06,6:204.53,7:212.13,8:219.86,9:227.72,10:235.73,11:243.87,12:252.15},
-              "320":{1:94.62,2:102.54,3:129.44,4:138.53,5:176.08,6:182.62,7:189.27,8:196.05,9:202.94,10:209.94,11:217.07,12:224.33},
-              "737":{1:94.62,2:102.54,3:129.44,4:138.53,5:176.08,6:182.62,7:189.27,8:196.05,9:202.94,10:209.94,11:217.07,12:224.33},
-              "220":{1:94.62,2:102.54,3:126.93,4:135.84,5:172.67,6:179.08,7:185.61,8:192.25,9:199.00,10:205.87,11:212.87,12:219.98} },
-        RP: { "777":{1:94.62,2:102.54,3:119.58,4:129.26,5:158.39,6:164.31,7:170.33,8:176.46,9:182.70,10:189.05,11:193.23,12:197.48},
-              "787":{1:94.62,2:102.54,3:109.90,4:118.80,5:145.57,6:151.01,7:156.55,8:162.18,9:167.92,10:173.75,11:177.60,12:181.50},
-              "330":{1:94.62,2:102.54,3:107.79,4:116.52,5:142.77,6:148.11,7:153.54,8:159.07,9:164.69,10:170.41,11:174.18,12:178.01} }
-        }
-};
-
-// --- Projections 2027–2031 ---
-const PROJECTION_SCENARIOS = {
-  conservative: { label: 'Conservative', rates: [0.04, 0.03, 0.03, 0.03] },
-  realistic: { label: 'Realistic', rates: [0.10, 0.045, 0.045, 0.045] },
-  aggressive: { label: 'Aggressive', rates: [0.18, 0.06, 0.06, 0.06] }
-};
-const SLOPE_SCENARIOS = {
-  conservative: {
-    label: 'Conservative',
-    foNb: { 3:0.42, 4:0.445, 5:0.56, 6:0.575, 7:0.59, 8:0.605, 9:0.62, 10:0.635, 11:0.65, 12:0.665 },
-    foWb: { 3:0.37, 4:0.395, 5:0.545, 6:0.56, 7:0.575, 8:0.59, 9:0.605, 10:0.62, 11:0.635, 12:0.65 },
-    rp: { 3:0.285, 4:0.305, 5:0.37, 6:0.38, 7:0.39, 8:0.40, 9:0.41, 10:0.42, 11:0.425, 12:0.43 }
-  },
-  realistic: {
-    label: 'Realistic',
-    foNb: { 3:0.46, 4:0.49, 5:0.565, 6:0.58, 7:0.595, 8:0.61, 9:0.625, 10:0.64, 11:0.655, 12:0.67 },
-    foWb: { 3:0.42, 4:0.46, 5:0.55, 6:0.565, 7:0.58, 8:0.595, 9:0.61, 10:0.625, 11:0.64, 12:0.655 },
-    rp: { 3:0.32, 4:0.345, 5:0.375, 6:0.385, 7:0.395, 8:0.405, 9:0.415, 10:0.425, 11:0.43, 12:0.435 }
-  },
-  aggressive: {
-    label: 'Aggressive',
-    foNb: { 3:0.50, 4:0.53, 5:0.57, 6:0.585, 7:0.60, 8:0.615, 9:0.63, 10:0.645, 11:0.66, 12:0.68 },
-    foWb: { 3:0.47, 4:0.51, 5:0.56, 6:0.575, 7:0.59, 8:0.605, 9:0.62, 10:0.635, 11:0.65, 12:0.67 },
-    rp: { 3:0.34, 4:0.36, 5:0.385, 6:0.40, 7:0.415, 8:0.43, 9:0.44, 10:0.45, 11:0.46, 12:0.47 }
-  }
-};
-const PROJECTION_YEARS = [2027, 2028, 2029, 2030, 2031];
-let currentProjectionScenario = 'realistic';
-let currentSlopeScenario = 'realistic';
-
-function getProjectionRates(scenarioKey){
-  return PROJECTION_SCENARIOS[scenarioKey]?.rates || PROJECTION_SCENARIOS.realistic.rates;
-}
-
-function getSlopeScenario(scenarioKey){
-  return SLOPE_SCENARIOS[scenarioKey] || SLOPE_SCENARIOS.realistic;
-}
-
-function buildProjectionFactors(rates){
-  const factors = {};
-  let cumulative = 1;
-  PROJECTION_YEARS.forEach((year, idx) => {
-    const rate = rates[Math.min(idx, rates.length - 1)];
-    cumulative *= (1 + rate);
-    factors[year] = cumulative;
-  });
-  return factors;
-}
-
-function rebuildProjections(scenarioKey){
-  const base = PAY_TABLES[2026];
-  if (!base) return;
-  const rates = getProjectionRates(scenarioKey);
-  const factors = buildProjectionFactors(rates);
-  PROJECTION_YEARS.forEach((year) => {
-    const factor = factors[year];
-    const proj = {};
-    for (const seat in base){
-      proj[seat] = {};
-      for (const ac in base[seat]){
-        proj[seat][ac] = {};
-        for (const k in base[seat][ac]){
-          proj[seat][ac][k] = +(base[seat][ac][k] * factor).toFixed(2);
-        }
-      }
-    }
-    PAY_TABLES[year] = proj;
-  });
-  applyAnchoredSlopesFO_RP(currentSlopeScenario);
-  applyConservativeRPCompression();
-}
-
 function refreshProjectedOutputs(){
   const annualOut = document.getElementById('modern-out');
   if (annualOut && annualOut.innerHTML.trim()){
@@ -1306,15 +2782,90 @@ function refreshProjectedOutputs(){
 function getModernPayYearForTab(tabId){
   if (tabId === 'modern-monthly') return document.getElementById('modern-mon-year');
   if (tabId === 'modern-vo') return document.getElementById('modern-ot-year');
+  if (tabId === 'modern-profile' || tabId === 'modern-ledger') return null;
   return document.getElementById('modern-year');
 }
 
+// --- Rule packs ---
+async function fetchRulePackJson(path){
+  const resp = await fetch(path, { cache: 'no-cache' });
+  if (!resp.ok) throw new Error(`${path}: HTTP ${resp.status}`);
+  return resp.json();
+}
+
+// Fetch the index, schema and every listed pack, then validate and install them.
+async function loadRulePacks(){
+  const [index, schema] = await Promise.all([
+    fetchRulePackJson(RULE_PACK_INDEX),
+    fetchRulePackJson(RULE_PACK_SCHEMA)
+  ]);
+  const files = Array.isArray(index?.packs) ? index.packs : [];
+  const packs = await Promise.all(files.map(file => fetchRulePackJson(`rules/${file}`)));
+  return registerRulePacks(packs, schema);
+}
+
+function clampRulePackYear(year){
+  const years = getRulePackYears();
+  if (!years.length) return year;
+  return Math.max(years[0], Math.min(years[years.length - 1], year));
+}
+
+// The pay year selectors list every year the contract or tax packs cover; years without a tax pack are marked.
+function populateRulePackYearSelects(){
+  const years = getRulePackYears();
+  ['modern-year', 'modern-mon-year', 'modern-ot-year'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const current = el.value;
+    el.innerHTML = years.map(year => `<option value="${year}">${year}${hasTaxRules(year) ? '' : ' (no tax pack)'}</option>`).join('');
+    if (years.includes(Number(current))) el.value = current;
+  });
+}
+
+function renderRulePackSummary(error){
+  const el = document.getElementById('modern-rule-packs');
+  if (!el) return;
+  if (error){
+    el.textContent = `Not loaded (${error.message}). Pay calculations stay unavailable until they load.`;
+    return;
+  }
+  el.textContent = listRulePacks()
+    .map(pack => `${pack.title} (${pack.id} v${pack.version}${pack.projected ? ', projected' : ''})`)
+    .join('; ');
+}
+
+function initRulePacks(){
+  return loadRulePacks()
+    .then(() => {
+      populateRulePackYearSelects();
+      populateRetroPayPackSelects();
+      renderRulePackSummary();
+      // Select the current pay year and step once the years exist.  This runs
+      // once on page load and does not lock the controls.
+      autoSelectDefaults();
+      updateProjectionControlsVisibility();
+      refreshCalendarCreditDetail();
+      refreshMonthlyFromCalendar();
+      if (importScenariosFromLocation()){
+        setModernPrimaryTab('modern-pay');
+        setModernSubTab('modern-compare');
+        if (getSelectedScenarios().length >= 2) calcScenarioComparison();
+      } else {
+        applyDeepLinkFromLocation();
+      }
+    })
+    .catch((err) => {
+      console.warn('Failed to load rule packs', err);
+      renderRulePackSummary(err);
+    });
+}
+
 function updateProjectionControlsVisibility(){
   const controls = document.getElementById('modern-projection-controls');
   if (!controls) return;
   const yearSelect = getModernPayYearForTab(currentModernSubTab);
   const yearValue = Number(yearSelect?.value);
-  const shouldShow = Number.isFinite(yearValue) && yearValue >= 2027;
+  const shouldShow = getProjectedYears().includes(yearValue);
   controls.classList.toggle('hidden', !shouldShow);
 }
 
@@ -1334,291 +2885,9 @@ function setSlopeScenario(scenarioKey, { recalc = true } = {}){
   }
 }
 
-// === Projected 2027–2031: FO & RP anchored to CA Step 12 ===
-// Captain "composite" anchor interpreted as CA Step 12 on the same fleet/year.
-// FO1/FO2 remain flat across fleets (use the year's flat values as‑is).
-
-const NB_FLEETS = new Set(['320','737','220']);           // narrow-body
-const WB_FLEETS = new Set(['777','787','330','767']);      // wide-body
-
-function applyAnchoredSlopesFO_RP(scenarioKey) {
-  const scenario = getSlopeScenario(scenarioKey);
-  const multFoNb = scenario.foNb;
-  const multFoWb = scenario.foWb;
-  const multRp = scenario.rp;
-  const YEARS = [2027, 2028, 2029, 2030, 2031];
-  YEARS.forEach((y) => {
-    const yr = PAY_TABLES[y];
-    if (!yr || !yr.CA) return;
-
-    // Use the year's FO1/FO2 (flat) from any AC to enforce uniformity
-    let flatFO1, flatFO2;
-    if (yr.FO) {
-      const ac0 = Object.keys(yr.FO)[0];
-      if (ac0) {
-        flatFO1 = yr.FO[ac0][1];
-        flatFO2 = yr.FO[ac0][2];
-      }
-    }
-
-    for (const ac of Object.keys(yr.CA)) {
-      const ca = yr.CA[ac]; if (!ca || !ca[12]) continue;
-      const ca12 = ca[12];
-
-      // ---- FO (anchor to CA12 with NB/WB slopes) ----
-      if (yr.FO && yr.FO[ac]) {
-        const fo = yr.FO[ac];
-
-        // Keep FO1/FO2 flat across fleets
-        if (typeof flatFO1 === 'number') fo[1] = flatFO1;
-        if (typeof flatFO2 === 'number') fo[2] = flatFO2;
-
-        const map = NB_FLEETS.has(ac) ? multFoNb : multFoWb;
-        for (let s = 3; s <= 12; s++) {
-          const m = map[s]; if (!m) continue;
-          const target = +(ca12 * m).toFixed(2);
-          // Only raise (never lower) any prior projection
-          fo[s] = Math.max(fo[s] || 0, target);
-        }
-        // Monotonic guard
-        for (let s = 2; s <= 12; s++) {
-          if (fo[s] < fo[s-1]) fo[s] = fo[s-1];
-        }
-      }
-
-      // ---- RP (anchor to CA12; same curve for all fleets) ----
-      if (yr.RP && yr.RP[ac]) {
-        const rp = yr.RP[ac];
-        for (let s = 3; s <= 12; s++) {
-          const m = multRp[s]; if (!m) continue;
-          const target = +(ca12 * m).toFixed(2);
-          rp[s] = Math.max(rp[s] || 0, target);
-        }
-        for (let s = 2; s <= 12; s++) {
-          if (rp[s] < rp[s-1]) rp[s] = rp[s-1];
-        }
-      }
-    }
-  });
-}
-
-// === Conservative RP1–4 discount compression for 2027–2031 ===
-// Discounts vs RP Step 5 on the same aircraft.
-const RP_EARLY_CONSERVATIVE = { 1: 0.42, 2: 0.35, 3: 0.22, 4: 0.15 };
-
-function applyConservativeRPCompression() {
-  const years = [2027, 2028, 2029, 2030, 2031];
-  years.forEach((y) => {
-    const rp = PAY_TABLES[y] && PAY_TABLES[y].RP;
-    if (!rp) return;
-    Object.keys(rp).forEach((ac) => {
-      const step5 = rp[ac][5];
-      if (!step5) return;
-      for (let s = 1; s <= 4; s++) {
-        const target = +(step5 * (1 - RP_EARLY_CONSERVATIVE[s])).toFixed(2);
-        rp[ac][s] = Math.max(rp[ac][s] || 0, target);
-      }
-    });
-  });
-}
-
 // Run after projections
 setProjectionScenario(currentProjectionScenario, { recalc: false });
 
-// --- 2025 Tax Data ---
-const FED = { brackets:[[57375,0.145],[114750,0.205],[177882,0.26],[253414,0.29],[Infinity,0.33]],
-              bpa_base:14538,bpa_additional:1591,bpa_addl_start:177882,bpa_addl_end:253414 };
-const PROV = {
-  AB:{brackets:[[60000,0.08],[151234,0.10],[181481,0.12],[241974,0.13],[362961,0.14],[Infinity,0.15]], bpa:22323},
-  BC:{brackets:[[49279,0.0506],[98560,0.077],[113158,0.105],[137407,0.1229],[186306,0.147],[259829,0.168],[Infinity,0.205]], bpa:12932},
-  MB:{brackets:[[47000,0.108],[100000,0.1275],[Infinity,0.174]], bpa:15780, bpa_phase_out_start:200000, bpa_phase_out_end:400000},
-  NB:{brackets:[[51306,0.094],[102614,0.14],[190060,0.16],[Infinity,0.195]], bpa:13261},
-  NL:{brackets:[[44192,0.087],[88382,0.145],[157792,0.158],[220910,0.178],[282214,0.198],[564429,0.208],[1128858,0.213],[Infinity,0.218]], bpa:10882},
-  NS:{brackets:[[30507,0.0879],[61015,0.1495],[95883,0.1667],[154650,0.175],[Infinity,0.21]], bpa:8841},
-  NT:{brackets:[[51964,0.059],[103930,0.086],[168967,0.122],[Infinity,0.1405]], bpa:16673},
-  NU:{brackets:[[54707,0.04],[109413,0.07],[177881,0.09],[Infinity,0.115]], bpa:16862},
-  ON:{brackets:[[52886,0.0505],[105775,0.0915],[150000,0.1116],[220000,0.1216],[Infinity,0.1316]], bpa:12399},
-  PE:{brackets:[[33328,0.095],[64656,0.1347],[105000,0.166],[140000,0.1762],[Infinity,0.19]], bpa:13000},
-  QC:{brackets:[[53255,0.14],[106495,0.19],[129590,0.24],[Infinity,0.2575]], bpa:18571},
-  SK:{brackets:[[53463,0.105],[152750,0.125],[Infinity,0.145]], bpa:19241},
-  YT:{brackets:[[57375,0.064],[114750,0.09],[177882,0.109],[500000,0.128],[Infinity,0.15]], bpa:15805}
-};
-// --- 2026 Tax Data ---
-// Federal: threshold and rates indexed for 2026; BPA increases with clawback starting at $181,440 and ending at $258,482.
-const FED_2026 = { brackets:[[58523,0.14],[117045,0.205],[181440,0.26],[258482,0.29],[Infinity,0.33]],
-                   bpa_base:14829,bpa_additional:1623,bpa_addl_start:181440,bpa_addl_end:258482 };
-// Provincial: 2026 brackets indexed; BPAs generally mirror 2025 values except where noted (AB and BC).
-const PROV_2026 = {
-  AB:{brackets:[[61200,0.08],[154259,0.10],[185111,0.12],[246813,0.13],[370220,0.14],[Infinity,0.15]], bpa:22769},
-  BC:{brackets:[[50363,0.0506],[100728,0.077],[115648,0.105],[140430,0.1229],[190405,0.147],[265545,0.168],[Infinity,0.205]], bpa:13216},
-  MB:{brackets:[[47000,0.108],[100000,0.1275],[Infinity,0.174]], bpa:15780, bpa_phase_out_start:200000, bpa_phase_out_end:400000},
-  NB:{brackets:[[52333,0.094],[104666,0.14],[193861,0.16],[Infinity,0.195]], bpa:13261},
-  NL:{brackets:[[44678,0.087],[89355,0.145],[154639,0.158],[215913,0.178],[275999,0.198],[551999,0.208],[1103999,0.213],[Infinity,0.218]], bpa:10882},
-  NS:{brackets:[[30995,0.0879],[61991,0.1495],[97417,0.1667],[157124,0.175],[Infinity,0.21]], bpa:8841},
-  NT:{brackets:[[53003,0.059],[106009,0.086],[172346,0.122],[Infinity,0.1405]], bpa:16673},
-  NU:{brackets:[[55801,0.04],[111602,0.07],[181439,0.09],[Infinity,0.115]], bpa:16862},
-  ON:{brackets:[[53891,0.0505],[107785,0.0915],[150000,0.1116],[220000,0.1216],[Infinity,0.1316]], bpa:12399},
-  PE:{brackets:[[33928,0.095],[65820,0.1347],[106890,0.166],[142250,0.1762],[Infinity,0.19]], bpa:13000},
-  QC:{brackets:[[53255,0.14],[106495,0.19],[129590,0.24],[Infinity,0.2575]], bpa:18571},
-  SK:{brackets:[[54532,0.105],[155805,0.125],[Infinity,0.145]], bpa:19241},
-  YT:{brackets:[[58523,0.064],[117045,0.09],[181440,0.109],[500000,0.128],[Infinity,0.15]], bpa:15805}
-};
-
-const CPP = {ympe:71300,yampe:81200,ybe:3500, rate_base:0.0595, rate_cpp2:0.04, max_base:4034.10, max_cpp2:396.00};
-const QPP = {ympe:71300,yampe:81200,ybe:3500, rate_base_total:0.064, rate_qpp2:0.04};
-const EI = {mie:65700, rate:0.0164, rate_qc:0.0131, max_prem:1077.48, max_prem_qc:860.67};
-
-// --- Helpers ---
-function clampStep(s){ s=+s; if (s<1) return 1; if (s>12) return 12; return s; }
-
-/*
- * Compute the federal basic personal amount (BPA) for a given income and year.
- * For 2025 the BPA ranges from $14,538 to $16,129 with clawback between
- * $177,882 and $253,414.  For 2026 the BPA ranges from $14,829 to $16,452
- * with clawback between $181,440 and $258,482.  Years 2025 and prior use
- * the 2025 data; years 2026 and beyond use the 2026 data.
- */
-function federalBPA(year, income){
-  const b = (year <= 2025 ? FED : FED_2026);
-  let addl = 0;
-  if (income <= b.bpa_addl_start) addl = b.bpa_additional;
-  else if (income < b.bpa_addl_end){
-    const frac = (b.bpa_addl_end - income) / (b.bpa_addl_end - b.bpa_addl_start);
-    addl = b.bpa_additional * Math.max(0, Math.min(1, frac));
-  }
-  return b.bpa_base + addl;
-}
-
-function provincialBPA(year, income, province){
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-  if (p.bpa_phase_out_start && p.bpa_phase_out_end){
-    if (income <= p.bpa_phase_out_start) return p.bpa;
-    if (income >= p.bpa_phase_out_end) return 0;
-    const frac = (p.bpa_phase_out_end - income) / (p.bpa_phase_out_end - p.bpa_phase_out_start);
-    return p.bpa * Math.max(0, Math.min(1, frac));
-  }
-  return p.bpa;
-}
-
-function taxFromBrackets(taxable, brackets){
-  let tax=0,last=0;
-  for (let i=0;i<brackets.length;i++){
-    const cap=brackets[i][0], rate=brackets[i][1];
-    const slice=Math.min(taxable,cap)-last;
-    if (slice>0){ tax+=slice*rate; last=cap; }
-    if (taxable<=cap) break;
-  }
-  return Math.max(0,tax);
-}
-function marginalRate(amount, brackets){
-  for (let i=0;i<brackets.length;i++){ if (amount<=brackets[i][0]) return brackets[i][1]; }
-  return brackets[brackets.length-1][1];
-}
-function pensionRateOnDate(d){ const years=(d-DOH)/(365.2425*24*3600*1000); if (years<2) return 0.06; if (years<5) return 0.065; return 0.07; }
-function pensionRateForStep(step){
-  const s = clampStep(step);
-  if (s <= 2) return 0.06;
-  if (s <= 5) return 0.065;
-  return 0.07;
-}
-function advanceGrossForSeatStep(seat, step){
-  const s = clampStep(step);
-  if (seat === 'CA') return 6500;
-  if (seat === 'RP') return s <= 2 ? 3250 : 4000;
-  if (seat === 'FO') return s <= 2 ? 3250 : 5000;
-  return 0;
-}
-function stepOnJan1(selectedStep, tieOn, year){ return tieOn ? clampStep((year-2025)+1) : clampStep(selectedStep); }
-function rateFor(seat, ac, year, step, xlr){
-  const table = PAY_TABLES[year] && PAY_TABLES[year][seat];
-  if (!table) throw new Error('Missing pay table for '+year+' '+seat);
-  if (seat==='RP' && ['777','787','330'].indexOf(ac)===-1) throw new Error('RP seat only on 777/787/330');
-  let rate = table[ac][clampStep(step)];
-  if (xlr && ac==='320' && !(seat==='FO' && (step===1||step===2))) rate += 2.46;
-  return rate;
-}
-function yearSegments(year, stepJan1){
-  const jan1=new Date(Date.UTC(year,0,1));
-  const sep30=new Date(Date.UTC(year, SWITCH.m-1, SWITCH.d));
-  const nov10=new Date(Date.UTC(year, PROGRESSION.m-1, PROGRESSION.d));
-  const dec31=new Date(Date.UTC(year,11,31));
-  const prev=year-1;
-  return [
-    {start:jan1, end:new Date(sep30.getTime()-86400000), payYear:prev, step:stepJan1},
-    {start:sep30, end:new Date(nov10.getTime()-86400000), payYear:year, step:stepJan1},
-    {start:nov10, end:dec31, payYear:year, step:clampStep(stepJan1+1)}
-  ];
-}
-function daysInclusive(a,b){ return Math.round((b-a)/86400000)+1; }
-function money(x){ return '$'+(x||0).toLocaleString(undefined,{minimumFractionDigits:2,maximumFractionDigits:2}); }
-// ---- CPP/QPP & EI precise daily caps ----
-// ---- CPP/QPP & EI precise daily caps (cumulative method) ----
-function computeCPP_EI_Daily({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours, province }) {
-  const segs = yearSegments(year, stepJan1);
-  const dailyHours = avgMonthlyHours * 12 / 365.2425;
-  const inQC = (province === 'QC');
-
-  let cpp = 0, ei = 0;
-
-  // Cumulative earnings trackers (used to compute incremental eligible bases)
-  let cumGross = 0;           // cumulative pensionable/insurable gross
-  let cumEIBase = 0;          // EI base already counted
-  let cumBaseElig = 0;        // CPP/QPP Tier‑1 eligible base counted (above YBE, up to YMPE)
-  let cumTier2Elig = 0;       // CPP2/QPP2 eligible base counted (between YMPE and YAMPE)
-
-  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
-    const day = new Date(t);
-
-    // Which pay table/step applies today
-    let py = year, st = stepJan1;
-    for (const s of segs) { if (day >= s.start && day <= s.end) { py = s.payYear; st = s.step; break; } }
-    const rate = rateFor(seat, ac, py, st, !!xlrOn);
-    const g = dailyHours * rate;           // today's gross
-    cumGross += g;
-
-    // --- EI (cap by MIE; incremental contribution on new eligible amount) ---
-    {
-      const ei_rate = inQC ? EI.rate_qc : EI.rate;
-      const ei_maxPrem = inQC ? EI.max_prem_qc : EI.max_prem;
-      const eiEligibleToDate = Math.min(cumGross, EI.mie);
-      const addEIBase = Math.max(0, eiEligibleToDate - cumEIBase);
-      ei += addEIBase * ei_rate;
-      cumEIBase += addEIBase;
-      if (ei > ei_maxPrem) ei = ei_maxPrem; // rounding guard
-    }
-
-    // --- CPP/QPP base (Tier‑1) & Tier‑2 using cumulative windows ---
-    if (inQC) {
-      // QPP Tier‑1: between YBE and YMPE
-      const baseEligToDate = Math.max(0, Math.min(cumGross, QPP.ympe) - QPP.ybe);
-      const addBase = Math.max(0, baseEligToDate - cumBaseElig);
-      cpp += addBase * QPP.rate_base_total;
-      cumBaseElig += addBase;
-
-      // QPP2: between YMPE and YAMPE
-      const tier2EligToDate = Math.max(0, Math.min(cumGross, QPP.yampe) - QPP.ympe);
-      const add2 = Math.max(0, tier2EligToDate - cumTier2Elig);
-      cpp += add2 * QPP.rate_qpp2;
-      cumTier2Elig += add2;
-    } else {
-      // CPP Tier‑1: between YBE and YMPE
-      const baseEligToDate = Math.max(0, Math.min(cumGross, CPP.ympe) - CPP.ybe);
-      const addBase = Math.max(0, baseEligToDate - cumBaseElig);
-      cpp += addBase * CPP.rate_base;
-      cumBaseElig += addBase;
-
-      // CPP2: between YMPE and YAMPE
-      const tier2EligToDate = Math.max(0, Math.min(cumGross, CPP.yampe) - CPP.ympe);
-      const add2 = Math.max(0, tier2EligToDate - cumTier2Elig);
-      cpp += add2 * CPP.rate_cpp2;
-      cumTier2Elig += add2;
-    }
-  }
-
-  return { cpp_total: +cpp.toFixed(2), ei: +ei.toFixed(2) };
-}
 // ---- Best‑effort haptic tap ----
 const hapticTap = (() => {
   return (el) => {
@@ -1655,421 +2924,6 @@ function addTapListener(el, handler){
   }
   el.addEventListener('click', wrapped);
 }
-// ---- Union dues at 1.85% of gross, computed monthly ----
-function computeUnionDuesMonthly({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours }) {
-  const segs = yearSegments(year, stepJan1);
-  const dailyHours = avgMonthlyHours * 12 / 365.2425;
-  const monthsGross = new Array(12).fill(0);
-
-  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
-    const day = new Date(t), m = day.getUTCMonth();
-    let py = year, st = stepJan1;
-    for (const s of segs) { if (day >= s.start && day <= s.end) { py = s.payYear; st = s.step; break; } }
-    const rate = rateFor(seat, ac, py, st, !!xlrOn);
-    monthsGross[m] += dailyHours * rate;
-  }
-
-  const duesByMonth = monthsGross.map(g => +(g * 0.0185).toFixed(2));
-  const annual = +(duesByMonth.reduce((a,b)=>a+b, 0).toFixed(2));
-  const avgMonthly = +(annual / 12).toFixed(2);
-  return { duesByMonth, annual, avgMonthly };
-}
-
-function segmentForDate(day, segs, year, stepJan1){
-  for (const s of segs) {
-    if (day >= s.start && day <= s.end) return s;
-  }
-  return { payYear: year, step: stepJan1 };
-}
-
-function computeMonthlyGrosses({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours }){
-  const segs = yearSegments(year, stepJan1);
-  const dailyHours = avgMonthlyHours * 12 / 365.2425;
-  const monthsGross = new Array(12).fill(0);
-  const monthSteps = new Array(12).fill(stepJan1);
-
-  for (let m = 0; m < 12; m++) {
-    const monthDate = new Date(Date.UTC(year, m, 1));
-    monthSteps[m] = segmentForDate(monthDate, segs, year, stepJan1).step;
-  }
-
-  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
-    const day = new Date(t);
-    const seg = segmentForDate(day, segs, year, stepJan1);
-    const rate = rateFor(seat, ac, seg.payYear, seg.step, !!xlrOn);
-    monthsGross[day.getUTCMonth()] += dailyHours * rate;
-  }
-
-  return { monthsGross, monthSteps };
-}
-
-// --- Annual computation ---
-function computeAnnual(params){
-  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
-  const stepJan1 = stepOnJan1(params.stepInput, !!params.tieOn, year);
-  const segs = yearSegments(year, stepJan1);
-  const dailyHours = (+params.avgMonthlyHours)*12/365.2425;
-  const audit=[]; let gross=0;
-  for (let seg of segs){
-    const r=rateFor(seat, ac, seg.payYear, seg.step, !!params.xlrOn);
-    const d=daysInclusive(seg.start, seg.end);
-    const h=dailyHours*d;
-    const pay=h*r;
-    gross += pay;
-    audit.push({start:seg.start, end:seg.end, pay_table_year:seg.payYear, step:seg.step, hourly:r, days:d, hours:h, segment_gross:pay});
-  }
-  // Pension accrual loop
-  let pension=0;
-  for (let t=Date.UTC(year,0,1); t<=Date.UTC(year,11,31); t+=86400000){
-    const day=new Date(t);
-    const pct = pensionRateOnDate(day);
-    let py=year, st=stepJan1;
-    for (let s of segs){ if (day>=s.start && day<=s.end){ py=s.payYear; st=s.step; break; } }
-    const rate = rateFor(seat, ac, py, st, !!params.xlrOn);
-    const dayPay = dailyHours*rate; pension += dayPay*pct;
-  }
-  const rrsp = Math.max(0, +params.rrsp || 0);
-  // Taxable income before RRSP: used to compute original tax and monthly figures
-  const taxable_pre = Math.max(0, gross - pension);
-
-  // Precise CPP/QPP & EI using daily caps.  These represent the full year contributions
-  // if the CPP/EI cap has not yet been reached.
-  const ded = computeCPP_EI_Daily({
-    year,
-    seat,
-    ac,
-    stepJan1,
-    xlrOn: !!params.xlrOn,
-    avgMonthlyHours: +params.avgMonthlyHours,
-    province
-  });
-  const cpp_total_full = ded.cpp_total;
-  const eiPrem_full    = ded.ei;
-  const cpp_total_deduct = cpp_total_full;
-  const eiPrem_deduct   = eiPrem_full;
-
-  // Determine appropriate tax data sets based on year
-  const fedData = (year <= 2025 ? FED : FED_2026);
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-  // Taxes with credits on lowest rates
-  const fed_gross_pre  = taxFromBrackets(taxable_pre, fedData.brackets);
-  const prov_gross_pre = taxFromBrackets(taxable_pre, p.brackets);
-  const fed_low = fedData.brackets[0][1];
-  const prov_low = p.brackets[0][1];
-  const fed_tax_pre  = Math.max(0, fed_gross_pre - (fed_low * federalBPA(year, taxable_pre) + 0.15 * (cpp_total_full + eiPrem_full)));
-  const prov_tax_pre = Math.max(0, prov_gross_pre - (prov_low * provincialBPA(year, taxable_pre, province) + prov_low * (cpp_total_full + eiPrem_full)));
-  const income_tax_pre = fed_tax_pre + prov_tax_pre;
-
-  // ESOP contribution based on gross
-  const esop = Math.min((+params.esopPct/100)*gross, 30000);
-
-  // Union dues (1.85% of gross) computed monthly
-  const union = computeUnionDuesMonthly({
-    year,
-    seat,
-    ac,
-    stepJan1,
-    xlrOn: !!params.xlrOn,
-    avgMonthlyHours: +params.avgMonthlyHours
-  });
-
-  // Compute taxable income after RRSP and union dues (used for tax-return calculation only)
-  const taxable_rrsp = Math.max(0, taxable_pre - rrsp - union.annual);
-  const fed_gross_rrsp  = taxFromBrackets(taxable_rrsp, fedData.brackets);
-  const prov_gross_rrsp = taxFromBrackets(taxable_rrsp, p.brackets);
-  const fed_tax_rrsp  = Math.max(0, fed_gross_rrsp - (fed_low * federalBPA(year, taxable_rrsp) + 0.15 * (cpp_total_full + eiPrem_full)));
-  const prov_tax_rrsp = Math.max(0, prov_gross_rrsp - (prov_low * provincialBPA(year, taxable_rrsp, province) + prov_low * (cpp_total_full + eiPrem_full)));
-  // Taxes on income after RRSP contributions are used only to compute the tax return
-  const income_tax_rrsp = fed_tax_rrsp + prov_tax_rrsp;
-
-  // Income tax used for annual and monthly net is the tax before RRSP contributions.  The RRSP
-  // deduction does not reduce current year taxes in the pay calculation.  See tax_return below
-  // for the refund effect.
-  const income_tax = income_tax_pre;
-
-  // ESOP match after tax uses the marginal rate at the taxable income before RRSP contributions
-  const comb_top = marginalRate(taxable_pre, fedData.brackets) + marginalRate(taxable_pre, p.brackets);
-  const esop_match_net = +(0.30 * esop * (1 - comb_top)).toFixed(2);
-
-  // Totals
-  const annual_health = HEALTH_MO*12;
-  // Annual net: subtract tax, full CPP/QPP & EI contributions, health, union dues, and employee ESOP (ESOP is after-tax).
-  // Annual net does not depend on the Maxed CPP/EI toggle – always use full contributions.
-  const net = gross - income_tax - cpp_total_full - eiPrem_full - annual_health - union.annual - esop;
-
-  // Monthly results: do not adjust net for RRSP contributions; use pre‑RRSP taxable tax and net for monthly snapshot
-  const monthly = {
-    gross: +(gross/12).toFixed(2),
-    // monthly net excludes ESOP contributions and match.  Because income_tax equals income_tax_pre
-    // (i.e., taxes are not reduced by RRSP), use income_tax here.
-    net: +(((gross - income_tax - cpp_total_deduct - eiPrem_deduct - annual_health - union.annual + esop_match_net) - esop - esop_match_net)/12).toFixed(2),
-    income_tax: +(income_tax/12).toFixed(2),
-    cpp: +((cpp_total_deduct)/12).toFixed(2),
-    ei: +((eiPrem_deduct)/12).toFixed(2),
-    health: +(annual_health/12).toFixed(2),
-    pension: +(pension/12).toFixed(2),
-    esop: +(esop/12).toFixed(2),
-    esop_match_after_tax: +(esop_match_net/12).toFixed(2),
-    union_dues: +(union.annual/12).toFixed(2)
-  };
-
-  
-  // Annual tax return: compare annual liability to estimated withholdings across two
-  // paycheques per month using fixed advance amounts, second cheques annualized at 24,
-  // and pension based on the full month's gross.
-  const monthlyBreakdown = computeMonthlyGrosses({
-    year,
-    seat,
-    ac,
-    stepJan1,
-    xlrOn: !!params.xlrOn,
-    avgMonthlyHours: +params.avgMonthlyHours
-  });
-  const withholdingAudit = [];
-  let annualizedWithholdingTax = 0;
-  let chequeIndex = 1;
-  monthlyBreakdown.monthsGross.forEach((monthGross, idx) => {
-    const step = monthlyBreakdown.monthSteps[idx];
-    const advanceGross = Math.min(monthGross, advanceGrossForSeatStep(seat, step));
-    const secondGross = Math.max(0, monthGross - advanceGross);
-    const secondPension = monthGross * pensionRateForStep(step);
-    const advanceTax = advanceGross > 0 ? computeChequeTax({
-      gross: advanceGross,
-      pension: 0,
-      year,
-      province,
-      chequesPerYear: 12
-    }) : 0;
-    const secondTax = secondGross > 0 ? computeChequeTax({
-      gross: secondGross,
-      pension: secondPension,
-      year,
-      province,
-      chequesPerYear: 24
-    }) : 0;
-    annualizedWithholdingTax += advanceTax + secondTax;
-    withholdingAudit.push({
-      cheque: chequeIndex++,
-      month: idx + 1,
-      step,
-      type: 'Advance',
-      gross: advanceGross,
-      pension: 0,
-      tax: advanceTax
-    });
-    withholdingAudit.push({
-      cheque: chequeIndex++,
-      month: idx + 1,
-      step,
-      type: 'Second',
-      gross: secondGross,
-      pension: secondPension,
-      tax: secondTax
-    });
-  });
-  const tax_return = +((annualizedWithholdingTax - income_tax) + (income_tax - income_tax_rrsp)).toFixed(2);
-
-  return {
-    audit,
-    gross:+gross.toFixed(2),
-    net:+net.toFixed(2),
-    tax:+income_tax.toFixed(2),
-    // Show CPP/QPP and EI deductions actually applied.
-    cpp:+cpp_total_deduct.toFixed(2),
-    ei:+eiPrem_deduct.toFixed(2),
-    health:+annual_health.toFixed(2),
-    pension:+pension.toFixed(2),
-    esop:+esop.toFixed(2),
-    esop_match_after_tax:+esop_match_net.toFixed(2),
-    monthly,
-    step_jan1:stepJan1,
-    tax_return,
-    taxable_pre:+taxable_pre.toFixed(2),
-    taxable_rrsp:+taxable_rrsp.toFixed(2),
-    income_tax_rrsp:+income_tax_rrsp.toFixed(2),
-    annualized_withholding_tax:+annualizedWithholdingTax.toFixed(2),
-    union_annual:+union.annual.toFixed(2),
-    withholding_audit: withholdingAudit,
-    cpp_full:+cpp_total_full.toFixed(2),
-    ei_full:+eiPrem_full.toFixed(2)
-  };
-}
-
-function getTaxDataForYear(year, province){
-  const fedData = (year <= 2025 ? FED : FED_2026);
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-  const fedLow = fedData.brackets[0][1];
-  const provLow = p.brackets[0][1];
-  return { fedData, provData: p, fedLow, provLow };
-}
-
-function computeIncomeTaxWithCredits({ taxable, year, province, cpp, ei }){
-  const { fedData, provData, fedLow, provLow } = getTaxDataForYear(year, province);
-  const fedGross = taxFromBrackets(taxable, fedData.brackets);
-  const provGross = taxFromBrackets(taxable, provData.brackets);
-  const fedTax = Math.max(0, fedGross - (fedLow * federalBPA(year, taxable) + 0.15 * (cpp + ei)));
-  const provTax = Math.max(0, provGross - (provLow * provincialBPA(year, taxable, province) + provLow * (cpp + ei)));
-  return { total: fedTax + provTax, fedLow, provLow };
-}
-
-
-// === Standalone paycheque helpers (FIXED LOGIC) ===
-function computeChequeTax({ gross, pension, year, province, chequesPerYear = 12 }) {
-  const fedData = (year <= 2025 ? FED : FED_2026);
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-
-  const taxable = Math.max(0, gross - pension);
-  const annualized = taxable * chequesPerYear;
-
-  const fedGross = taxFromBrackets(annualized, fedData.brackets);
-  const provGross = taxFromBrackets(annualized, p.brackets);
-
-  const fedLow = fedData.brackets[0][1];
-  const provLow = p.brackets[0][1];
-
-  const fedTax = Math.max(0, fedGross - fedLow * federalBPA(year, annualized));
-  const provTax = Math.max(0, provGross - provLow * provincialBPA(year, annualized, province));
-
-  return (fedTax + provTax) / chequesPerYear;
-}
-
-function computeChequeCPP_EI({ year, seat, ac, step, xlrOn, gross, province }) {
-  // Convert cheque gross to equivalent monthly hours, then compute CPP/EI on that cheque only
-  const rate = rateFor(seat, ac, year, step, !!xlrOn);
-  const hours = rate > 0 ? gross / rate : 0;
-  const ded = computeCPP_EI_Daily({
-    year,
-    seat,
-    ac,
-    stepJan1: step,
-    xlrOn: !!xlrOn,
-    avgMonthlyHours: hours,
-    province
-  });
-  return { cpp: ded.cpp_total / 12, ei: ded.ei / 12 };
-}
-
-// --- VO computation ---
-function computeVO(params){
-  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
-  const step = params.tieOn ? stepOnJan1(params.stepInput, true, year) : clampStep(params.stepInput);
-  const rate = rateFor(seat, ac, year, step, !!params.xlrOn);
-  const credits = Math.max(0, (+params.creditH) + Math.max(0, Math.min(59, +params.creditM))/60);
-  const hours = credits * 2;
-  const gross = hours * rate;
-  const fedData = (year <= 2025 ? FED : FED_2026);
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-  const fed_m = marginalRate(gross, fedData.brackets);
-  const prov_m = marginalRate(gross, p.brackets);
-  const net = gross*(1-(fed_m+prov_m));
-  return {rate,hours,gross,net,fed_m,prov_m,step_used:step};
-}
-
-// --- Monthly computation ---
-/*
- * Compute a monthly snapshot based on a specific number of credit hours.
- * Credits beyond 85 in a month are paid at double the hourly rate (per contract).
- * This version also calculates a pay advance and second pay split and respects
- * the Maxed CPP/EI option.  TAFB is paid after tax and is included in the
- * second pay by default.
- */
-function computeMonthly(params){
-  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
-  // Step on Jan1 if tie enabled; else use provided stepInput
-  const step = params.tieOn ? stepOnJan1(params.stepInput, true, year) : clampStep(params.stepInput);
-  const rate = rateFor(seat, ac, year, step, !!params.xlrOn);
-  const creditHours = Number.isFinite(+params.creditH) ? +params.creditH : +params.credits;
-  const creditMinutes = Number.isFinite(+params.creditM) ? +params.creditM : 0;
-  const credits = Math.max(0, (+creditHours) + Math.max(0, Math.min(59, +creditMinutes)) / 60);
-  const voHoursRaw = Number.isFinite(+params.voCredits) ? +params.voCredits : 0;
-  const voMinutesRaw = Number.isFinite(+params.voCreditMinutes)
-    ? +params.voCreditMinutes
-    : (Number.isFinite(+params.voCreditsMinutes) ? +params.voCreditsMinutes : (Number.isFinite(+params.voMinutes) ? +params.voMinutes : 0));
-  const voCredits = Math.max(0, voHoursRaw + Math.max(0, Math.min(59, voMinutesRaw)) / 60);
-  // Regular pay hours (<=85), overtime beyond 85, and VO credits (all double time)
-  const regHours = Math.min(85, credits);
-  const overtime = Math.max(0, credits - 85);
-  const gross = regHours * rate + overtime * 2 * rate + voCredits * 2 * rate;
-  const fedData = (year <= 2025 ? FED : FED_2026);
-  const provMap = (year <= 2025 ? PROV : PROV_2026);
-  const p = provMap[province];
-  if (!p) throw new Error('Unsupported province '+province);
-  // Annualize gross and pension for marginal rate determination
-  const annualGrossApprox = gross * 12;
-  const pensionRate = pensionRateOnDate(new Date());
-  const annualPensionApprox = annualGrossApprox * pensionRate;
-  const taxableAnnualApprox = Math.max(0, annualGrossApprox - annualPensionApprox);
-  const fed_m = marginalRate(taxableAnnualApprox, fedData.brackets);
-  const prov_m = marginalRate(taxableAnnualApprox, p.brackets);
-  // Compute monthly income tax using the standalone cheque calculator so that
-  // the result aligns with the two‑pay split below.
-  const tax = computeChequeTax({ gross, pension: gross * pensionRate, year, province });
-  // Approximate CPP/QPP & EI contributions by annualizing and dividing by 12; include VO credits
-  const ded = computeCPP_EI_Daily({ year, seat, ac, stepJan1: step, xlrOn: !!params.xlrOn, avgMonthlyHours: credits + voCredits, province });
-  const cpp_month = ded.cpp_total / 12;
-  const ei_month  = ded.ei / 12;
-  // Union dues: use average monthly from annual computation (include VO credits)
-  const union = computeUnionDuesMonthly({ year, seat, ac, stepJan1: step, xlrOn: !!params.xlrOn, avgMonthlyHours: credits + voCredits });
-  const union_month = union.avgMonthly;
-  // Pension: approximate using current pension rate
-  const pension = gross * pensionRate;
-  const health = HEALTH_MO;
-  const esop = Math.min((+params.esopPct/100)*gross, 30000/12);
-  const esop_match_after_tax = 0.30 * esop * (1 - (fed_m + prov_m));
-  // TAFB: per diem hours times $5.427/hr (paid after tax)
-  const tafbHours = Math.max(0, +params.tafb || 0);
-  const tafb_net = tafbHours * 5.427;
-  // Monthly net (before pay split) subtracts ESOP contributions, pension, health and union dues and
-  // adds the employer ESOP match and TAFB.  This represents the money remaining after all
-  // deductions (including ESOP contributions) plus the employer match and per diem.
-  let net = gross - tax - cpp_month - ei_month - health - union_month - pension - esop + esop_match_after_tax + tafb_net;
-
-  
-  // --- Advance & Second Pay split (cheque-based deductions) ---
-  let payAdvance = 0, secondPay = 0;
-  let advAmt = Math.max(0, +params.adv || 0);
-  if (advAmt > gross) advAmt = gross;
-
-  const advTax = advAmt > 0 ? computeChequeTax({ gross: advAmt, pension: 0, year, province, chequesPerYear: 12 }) : 0;
-  const advCppEi = params.maxcpp || advAmt === 0 ? { cpp: 0, ei: 0 } : computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: advAmt, province });
-  const advCpp = advCppEi.cpp;
-  const advEi = advCppEi.ei;
-
-  payAdvance = advAmt - advTax - advCpp - advEi;
-
-  const secondGross = gross - advAmt;
-  const secTax = secondGross > 0 ? computeChequeTax({ gross: secondGross, pension, year, province }) : 0;
-  const secCppEi = params.maxcpp || secondGross === 0 ? { cpp: 0, ei: 0 } : computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: secondGross, province });
-  const secCpp = secCppEi.cpp;
-  const secEi = secCppEi.ei;
-  secondPay = secondGross - secTax - secCpp - secEi - health - union_month - pension - esop + tafb_net;
-
-  const totalTax = advTax + secTax;
-  const totalCpp = advCpp + secCpp;
-  const totalEi = advEi + secEi;
-
-  net = gross - totalTax - totalCpp - totalEi - health - union_month - pension - esop + esop_match_after_tax + tafb_net;
-
-
-  return { rate, credits, voCredits, regHours, overtime, gross, net, tax: totalTax, cpp: totalCpp, ei: totalEi, health, pension, esop, esop_match_after_tax, union: union_month, fed_m, prov_m, tafb_net, step_used: step, pay_advance: payAdvance, second_pay: secondPay };
-}
-
-function parseTimeToMinutes(value){
-  if (!value) return NaN;
-  const parts = String(value).split(':').map(Number);
-  if (parts.length < 2 || parts.some(n => !Number.isFinite(n))) return NaN;
-  const [hh, mm] = parts;
-  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return NaN;
-  return hh * 60 + mm;
-}
 
 function formatMinutesToTime(value){
   if (!Number.isFinite(value)) return '--:--';
@@ -2087,13 +2941,6 @@ function formatUtcMinutesWithDayOffset(value){
   return `${timeLabel}Z${daySuffix}`;
 }
 
-function formatHoursValue(value){
-  const rounded = Math.round(value * 100) / 100;
-  if (!Number.isFinite(rounded)) return '--';
-  if (Math.abs(rounded % 1) < 1e-9) return String(rounded.toFixed(0));
-  return String(rounded.toFixed(2)).replace(/0+$/,'').replace(/\.$/,'');
-}
-
 function formatHoursMinutes(value){
   if (!Number.isFinite(value)) return '--';
   const totalMinutes = Math.round(value * 60);
@@ -2138,234 +2985,33 @@ function parseDurationOrCompactClockToMinutes(value){
 
 function parseDurationTokenToMinutes(value, { allowDecimalHours = false } = {}){
   const text = String(value || '').trim();
-  if (!text) return NaN;
-  if (text.includes(':')) return parseDurationToMinutes(text);
-  if (/^\d{3,4}$/.test(text)) return parseDurationOrCompactClockToMinutes(text);
-  if (allowDecimalHours){
-    const asNumber = Number(text);
-    if (Number.isFinite(asNumber)) return Math.round(asNumber * 60);
-  }
-  return NaN;
-}
-
-function formatDurationMinutes(totalMinutes){
-  if (!Number.isFinite(totalMinutes)) return '--:--';
-  const safeMinutes = Math.max(0, Math.round(totalMinutes));
-  const hours = Math.floor(safeMinutes / 60);
-  const minutes = safeMinutes % 60;
-  return `${hours}:${String(minutes).padStart(2,'0')}`;
-}
-
-function normalizeAirportCode(code){
-  return String(code || '').trim().toUpperCase();
-}
-
-function normalizeCrewType(value){
-  if (value === 'basic+1' || value === 'basic+2' || value === '2ca2fo') return value;
-  if (String(value) === '1') return 'basic+1';
-  if (String(value) === '2') return 'basic+2';
-  return null;
-}
-
-function crewTypeLabel(value){
-  const type = normalizeCrewType(value);
-  if (type === 'basic+1') return 'Basic +1 crew';
-  if (type === 'basic+2') return 'Basic +2 crew';
-  if (type === '2ca2fo') return '2CA 2FO crew';
-  return 'Augmented crew';
-}
-
-function additionalCrewCount(value){
-  const type = normalizeCrewType(value);
-  if (type === 'basic+1') return 1;
-  if (type === 'basic+2' || type === '2ca2fo') return 2;
-  return null;
-}
-
-function fomFacilityLabel(value){
-  if (value === 1) return 'Class 1 rest facility';
-  if (value === 2) return 'Class 2 rest facility';
-  if (value === 3) return 'Class 3 rest facility';
-  return 'rest facility';
-}
-
-function zoneLabel(zone){
-  return zone === 'outside' ? 'Outside North American zone' : 'Inside North American zone';
-}
-
-function isHomeBaseCode(code){
-  const normalized = normalizeAirportCode(code);
-  return HOME_BASE_CODES.has(normalized);
-}
-
-function computeMaxDuty(params){
-  const dutyMode = params.dutyMode === 'fom' ? 'fom' : 'alpa';
-  const dutyType = params.dutyType || 'unaugmented';
-  if (dutyMode === 'fom'){
-    if (dutyType === 'augmented'){
-      const additionalCrew = additionalCrewCount(params.crewType);
-      const facility = Number(params.restFacility);
-      if (!Number.isFinite(additionalCrew) || !Number.isFinite(facility)) {
-        throw new Error('Select the crew complement and rest facility class.');
-      }
-      const match = FOM_AUGMENTED_FDP_TABLE.find(row => row.additionalCrew === additionalCrew && row.facility === facility);
-      if (!match) {
-        return { maxFdp: null, detail: 'This augmentation/rest facility combination is not listed in the FOM table.' };
-      }
-      const crewLabel = `${additionalCrew} additional crew member${additionalCrew > 1 ? 's' : ''}`;
-      return {
-        maxFdp: match.max,
-        detail: `FOM augmented FDP: ${crewLabel} with ${fomFacilityLabel(facility)}.`
-      };
-    }
-    const startMinutes = parseTimeToMinutes(params.startTime);
-    const startValue = Number.isFinite(params.startMinutes) ? params.startMinutes : startMinutes;
-    const sectors = Number(params.sectors);
-    if (!Number.isFinite(startValue)) throw new Error('Enter an FDP start time in HH:MM.');
-    if (!Number.isFinite(sectors) || sectors < 1 || sectors > 6) throw new Error('Planned sectors must be between 1 and 6.');
-    const row = FOM_FDP_TABLE.find(item => startValue >= item.start && startValue <= item.end);
-    if (!row) throw new Error('Start time is outside the FOM FDP table range.');
-    const maxFdp = sectors <= 4 ? row.max14 : row.max56;
-    const sectorLabel = sectors <= 4 ? '1-4 sectors' : '5-6 sectors';
-    return {
-      maxFdp,
-      detail: `FOM unaugmented FDP: ${sectorLabel}, start time ${row.label}.`
-    };
-  }
-  const zone = params.zone === 'outside' ? 'outside' : 'inside';
-  const deadhead = params.deadhead === 'yes';
-  const tzDiff = Math.abs(Number(params.timezoneDiff));
-  const tzOver4 = Number.isFinite(tzDiff) && tzDiff >= 4;
-  if (dutyType === 'augmented'){
-    const crewType = normalizeCrewType(params.crewType);
-    const facility = Number(params.restFacility);
-    if (!crewType || !Number.isFinite(facility)) {
-      throw new Error('Select the crew complement and rest facility class.');
-    }
-    const match = AUGMENTED_FDP_TABLE.find(row =>
-      row.crew === crewType && row.facility === facility && (row.zone === zone || row.zone === 'any')
-    );
-    if (!match) {
-      return { maxFdp: null, detail: 'This augmentation/rest facility combination is not listed in the table.' };
-    }
-    const maxFdp = deadhead && Number.isFinite(match.deadhead) ? match.deadhead : match.max;
-    const deadheadNote = deadhead ? ' Deadhead at end of duty day applied.' : '';
-    const zoneNote = ` ${zoneLabel(zone)}.`;
-    return {
-      maxFdp,
-      detail: `ALPA ${crewTypeLabel(crewType)} with ${match.facilityLabel}.${zoneNote}${deadheadNote}`
-    };
-  }
-  const startMinutes = parseTimeToMinutes(params.startTime);
-  const startValue = Number.isFinite(params.startMinutes) ? params.startMinutes : startMinutes;
-  const sectors = Number(params.sectors);
-  if (!Number.isFinite(startValue)) throw new Error('Enter an FDP start time in HH:MM.');
-  if (!Number.isFinite(sectors) || sectors < 1 || sectors > 6) throw new Error('Planned sectors must be between 1 and 6.');
-  if (zone === 'outside' && sectors > 2) throw new Error('Outside North American zone maximum planned legs is 2.');
-  const row = (zone === 'outside' ? FDP_MAX_TABLE_OUTSIDE : FDP_MAX_TABLE)
-    .find(item => startValue >= item.start && startValue <= item.end);
-  if (!row) throw new Error('Start time is outside the FDP table range.');
-  if (!Number.isFinite(tzDiff) || tzDiff < 0) throw new Error('Time zone difference must be zero or greater.');
-  const baseMax = zone === 'outside'
-    ? row.max
-    : (sectors <= 4
-      ? (tzOver4 ? row.max14Over4 : row.max14)
-      : (tzOver4 ? row.max56Over4 : row.max56));
-  const maxFdp = zone === 'outside'
-    ? (deadhead ? row.deadhead : row.max)
-    : (deadhead ? Math.min(baseMax + 3, 18) : baseMax);
-  const sectorLabel = zone === 'outside'
-    ? `${sectors} leg${sectors > 1 ? 's' : ''}`
-    : (sectors <= 4 ? '1-4 sectors' : '5-6 sectors');
-  const conversionNote = params.conversionNote ? ` ${params.conversionNote}` : '';
-  const zoneNote = zone === 'outside' ? ' Table B (outside North American zone).' : ' Table A (inside North American zone).';
-  const tzNote = Number.isFinite(tzDiff)
-    ? ` Time zone difference ${formatHoursValue(tzDiff)} hrs (${tzOver4 ? '≥4' : '<4'} column).`
-    : '';
-  const deadheadNote = deadhead && zone === 'inside'
-    ? ' Deadhead at end of duty day adds up to 3 hours (cap 18).'
-    : (deadhead && zone === 'outside' ? ' Deadhead at end of duty day (Table D) applied.' : '');
-  return {
-    maxFdp,
-    detail: `ALPA unaugmented FDP, ${sectorLabel}, start time ${row.label} (YYZ local).${zoneNote}${tzNote}${deadheadNote}${conversionNote}`
-  };
-}
-
-function computeRestRequirement(params){
-  const dutyType = params.dutyType || 'unaugmented';
-  const endsHome = params.endsHome === 'home';
-  const fdpDuration = Number(params.fdpDuration);
-  const tzDiff = Math.abs(Number(params.timezoneDiff));
-  const awayHours = Number(params.awayHours);
-  const encroachWOCL = params.encroachWOCL === 'yes';
-  const disruptive = params.disruptive === 'yes';
-  const uocOver = Number(params.uocOver);
-
-  if (!Number.isFinite(fdpDuration) || fdpDuration < 0) throw new Error('FDP duration must be zero or greater.');
-  if (!Number.isFinite(tzDiff) || tzDiff < 0) throw new Error('Time zone difference must be zero or greater.');
-  if (!Number.isFinite(awayHours) || awayHours < 0) throw new Error('Time away from home base must be zero or greater.');
-  if (!Number.isFinite(uocOver) || uocOver < 0) throw new Error('UOC overage must be zero or greater.');
-
-  let baseHours = null;
-  let baseNights = null;
-  let basis = '';
-
-  if (dutyType === 'augmented'){
-    const minBase = endsHome ? 16 : 14;
-    baseHours = Math.max(fdpDuration, minBase);
-    basis = `Augmented FDP rest: max of FDP duration and ${minBase} hours${endsHome ? ' when ending at home base' : ''}.`;
-  } else if (endsHome){
-    if (tzDiff < 4 || awayHours <= 36){
-      baseHours = 12;
-      basis = 'Normal rest at home base: 12 hours total or 10 hours in suitable accommodation.';
-    } else if (tzDiff === 4){
-      baseHours = 13;
-      basis = 'Home base return with a 4-hour time zone difference and >36 hours away.';
-    } else if (tzDiff > 4 && tzDiff <= 10){
-      baseNights = (awayHours <= 60 && !encroachWOCL) ? 1 : 2;
-      basis = 'Home base return with >4 to 10 hours time zone difference.';
-    } else if (tzDiff > 10){
-      baseNights = awayHours <= 60 ? 2 : 3;
-      basis = 'Home base return with >10 hours time zone difference.';
-    }
-  } else {
-    if (tzDiff < 4){
-      baseHours = 10;
-      basis = 'Normal rest away from home base (<4 hour time zone difference).';
-    } else if (tzDiff === 4){
-      baseHours = 11;
-      basis = 'Away from home base with a 4-hour time zone difference.';
-    } else {
-      baseHours = 14;
-      basis = 'Away from home base with >4 hour time zone difference.';
-    }
-  }
-
-  if (baseHours === null && baseNights === null){
-    throw new Error('Unable to determine rest requirement from the provided inputs.');
+  if (!text) return NaN;
+  if (text.includes(':')) return parseDurationToMinutes(text);
+  if (/^\d{3,4}$/.test(text)) return parseDurationOrCompactClockToMinutes(text);
+  if (allowDecimalHours){
+    const asNumber = Number(text);
+    if (Number.isFinite(asNumber)) return Math.round(asNumber * 60);
   }
+  return NaN;
+}
 
-  const notes = [];
-  if (dutyType === 'unaugmented' && disruptive){
-    notes.push('Disruptive schedule requires a local night’s rest in addition to the minimum rest.');
-  }
+function formatDurationMinutes(totalMinutes){
+  if (!Number.isFinite(totalMinutes)) return '--:--';
+  const safeMinutes = Math.max(0, Math.round(totalMinutes));
+  const hours = Math.floor(safeMinutes / 60);
+  const minutes = safeMinutes % 60;
+  return `${hours}:${String(minutes).padStart(2,'0')}`;
+}
 
-  let minimumText = '';
-  if (baseNights !== null){
-    minimumText = `${baseNights} local night${baseNights > 1 ? 's' : ''} rest`;
-    if (uocOver > 0){
-      notes.push(`UOC adds at least ${formatHoursValue(uocOver)} hours in addition to the local night’s rest.`);
-    }
-  } else {
-    let minHours = baseHours;
-    if (uocOver > 0){
-      minHours += uocOver;
-      notes.push(`UOC adds ${formatHoursValue(uocOver)} hours to the minimum rest.`);
-    }
-    minimumText = `${formatHoursValue(minHours)} hours`;
-  }
+function normalizeAirportCode(code){
+  return String(code || '').trim().toUpperCase();
+}
 
-  return { minimumText, basis, notes };
+function isHomeBaseCode(code){
+  const normalized = normalizeAirportCode(code);
+  if (!normalized) return false;
+  const base = getHomeBase();
+  return normalized === base.code || normalized === base.icao;
 }
 
 // --- UI helpers ---
@@ -4976,6 +5622,7 @@ let calendarDayDetailDateKey = null;
 let calendarCreditDetailOpen = false;
 let calendarBlockGrowthDetailOpen = false;
 let calendarTafbDetailOpen = false;
+let calendarPayDetailOpen = false;
 let calendarSwipeIgnoreClickUntil = 0;
 let calendarBlockMonthSelecting = false;
 let calendarBlockMonthDraft = null;
@@ -4991,6 +5638,7 @@ let calendarGateSyncInFlight = false;
 let calendarGateSyncLastRunAt = 0;
 let calendarInitialCloudLoadSettled = false;
 let calendarHotelBarResizeObserver = null;
+let calendarPdfImportPreview = null;
 const calendarWeatherCache = new Map();
 const calendarWeatherState = { weatherMap: {} };
 let calendarWeatherInFlight = null;
@@ -5280,49 +5928,50 @@ function normalizeCalendarPairingDisplayMode(value){
 }
 
 function loadCalendarState(){
+  let stored = {};
+  let prefs = {};
   try {
-    const stored = JSON.parse(localStorage.getItem(CALENDAR_STORAGE_KEY) || '{}');
+    stored = JSON.parse(localStorage.getItem(CALENDAR_STORAGE_KEY) || '{}');
     if (!stored || typeof stored !== 'object') return;
-    calendarState = {
-      eventsByDate: stored.eventsByDate || {},
-      months: Array.isArray(stored.months) ? stored.months : [],
-      selectedMonth: stored.selectedMonth || null,
-      blockMonthsByMonthKey: stored.blockMonthsByMonthKey || {},
-      blockMonthRecurring: stored.blockMonthRecurring || {},
-      hotels: Array.isArray(stored.hotels) ? stored.hotels : [],
-      updatedAt: normalizeCalendarUpdatedAt(stored.updatedAt)
-    };
   } catch (err){
     console.warn('Failed to load calendar schedule', err);
   }
   try {
-    const prefs = JSON.parse(localStorage.getItem(CALENDAR_PREFS_KEY) || '{}');
-    if (prefs?.selectedMonth){
-      calendarState.selectedMonth = prefs.selectedMonth;
-    }
-    if (prefs?.blockMonthsByMonthKey && typeof prefs.blockMonthsByMonthKey === 'object'){
-      calendarState.blockMonthsByMonthKey = prefs.blockMonthsByMonthKey;
-    }
-    if (prefs?.blockMonthRecurring && typeof prefs.blockMonthRecurring === 'object'){
-      calendarState.blockMonthRecurring = prefs.blockMonthRecurring;
-    }
-    if (prefs?.pairingDisplayMode){
-      calendarPairingDisplayMode = normalizeCalendarPairingDisplayMode(prefs.pairingDisplayMode);
-    }
-    const startKey = normalizeCalendarDateKey(prefs?.blockMonthStartKey);
-    const endKey = normalizeCalendarDateKey(prefs?.blockMonthEndKey);
-    const legacyMonthKey = normalizeCalendarMonthKey(prefs?.selectedMonth)
-      || normalizeCalendarMonthKey(startKey?.slice(0, 7))
-      || normalizeCalendarMonthKey(endKey?.slice(0, 7));
-    if (legacyMonthKey && startKey && !calendarState.blockMonthsByMonthKey?.[legacyMonthKey]){
-      calendarState.blockMonthsByMonthKey = {
-        ...(calendarState.blockMonthsByMonthKey || {}),
-        [legacyMonthKey]: { startKey, endKey }
-      };
-    }
+    prefs = JSON.parse(localStorage.getItem(CALENDAR_PREFS_KEY) || '{}') || {};
   } catch (err){
     console.warn('Failed to load calendar prefs', err);
   }
+  // The device prefs win over the schedule's copy.  Their legacy single block
+  // month is folded in by the v2 migration when the schedule predates it.
+  let record = {
+    ...stored,
+    selectedMonth: prefs.selectedMonth || stored.selectedMonth || null,
+    blockMonthsByMonthKey: prefs.blockMonthsByMonthKey && typeof prefs.blockMonthsByMonthKey === 'object'
+      ? prefs.blockMonthsByMonthKey
+      : stored.blockMonthsByMonthKey,
+    blockMonthRecurring: prefs.blockMonthRecurring && typeof prefs.blockMonthRecurring === 'object'
+      ? prefs.blockMonthRecurring
+      : stored.blockMonthRecurring,
+    blockMonthStartKey: prefs.blockMonthStartKey,
+    blockMonthEndKey: prefs.blockMonthEndKey
+  };
+  try {
+    record = migrateCalendarRecord(record);
+  } catch (err){
+    console.warn('Failed to migrate calendar schedule', err);
+  }
+  calendarState = {
+    eventsByDate: record.eventsByDate || {},
+    months: Array.isArray(record.months) ? record.months : [],
+    selectedMonth: record.selectedMonth || null,
+    blockMonthsByMonthKey: record.blockMonthsByMonthKey || {},
+    blockMonthRecurring: record.blockMonthRecurring || {},
+    hotels: Array.isArray(record.hotels) ? record.hotels : [],
+    updatedAt: normalizeCalendarUpdatedAt(record.updatedAt)
+  };
+  if (prefs.pairingDisplayMode){
+    calendarPairingDisplayMode = normalizeCalendarPairingDisplayMode(prefs.pairingDisplayMode);
+  }
   normalizeCalendarState();
 }
 
@@ -6029,7 +6678,7 @@ function ensureCalendarPairingOriginalTimes(pairingId, eventsByDate = calendarSt
   }, eventsByDate);
 }
 
-function getDateKeyFromMsInTimeZone(ms, timeZone = CALENDAR_HOME_BASE_TIMEZONE){
+function getDateKeyFromMsInTimeZone(ms, timeZone = getHomeBaseTimeZone()){
   if (!Number.isFinite(ms)) return '';
   const date = new Date(ms);
   if (!Number.isFinite(date.getTime())) return '';
@@ -6050,7 +6699,7 @@ function getDateKeyFromMsInTimeZone(ms, timeZone = CALENDAR_HOME_BASE_TIMEZONE){
   return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
-function getLocalMinutesInTimeZone(ms, timeZone = CALENDAR_HOME_BASE_TIMEZONE){
+function getLocalMinutesInTimeZone(ms, timeZone = getHomeBaseTimeZone()){
   if (!Number.isFinite(ms)) return NaN;
   const date = new Date(ms);
   if (!Number.isFinite(date.getTime())) return NaN;
@@ -6122,7 +6771,7 @@ function getCalendarPairingWindowMs(
 function getCalendarGuaranteeDayCount(
   checkInMs,
   checkOutMs,
-  timeZone = CALENDAR_HOME_BASE_TIMEZONE
+  timeZone = getHomeBaseTimeZone()
 ){
   if (!Number.isFinite(checkInMs) || !Number.isFinite(checkOutMs) || checkOutMs <= checkInMs) return 0;
   const shiftedStartMs = checkInMs - (CALENDAR_HOME_BASE_DAY_START_MINUTES * 60000);
@@ -6138,7 +6787,7 @@ function doesRangeTouchHomeBaseWindow(
   startMs,
   endMs,
   {
-    timeZone = CALENDAR_HOME_BASE_TIMEZONE,
+    timeZone = getHomeBaseTimeZone(),
     windowStartMinutes = CALENDAR_RED_EYE_TOUCH_START_MINUTES,
     windowEndMinutes = CALENDAR_RED_EYE_TOUCH_END_MINUTES
   } = {}
@@ -6190,7 +6839,7 @@ function getCalendarPairingRedEyeInfo(
   const dayCount = getCalendarGuaranteeDayCount(
     evaluatedWindow.checkInMs,
     evaluatedWindow.checkOutMs,
-    CALENDAR_HOME_BASE_TIMEZONE
+    getHomeBaseTimeZone()
   );
   result.dayCount = dayCount;
   if (dayCount !== 3){
@@ -6235,7 +6884,7 @@ function getCalendarPairingRedEyeInfo(
     const arrOffset = getTimeZoneOffsetMinutes(arrZone, new Date(entry.timing.startMs));
     if (!Number.isFinite(depOffset) || !Number.isFinite(arrOffset)) return false;
     if ((arrOffset - depOffset) < 120) return false;
-    const startHomeMinutes = getLocalMinutesInTimeZone(entry.timing.startMs, CALENDAR_HOME_BASE_TIMEZONE);
+    const startHomeMinutes = getLocalMinutesInTimeZone(entry.timing.startMs, getHomeBaseTimeZone());
     const startsInWindow = Number.isFinite(startHomeMinutes)
       && (startHomeMinutes > CALENDAR_RED_EYE_START_MINUTES || startHomeMinutes < CALENDAR_RED_EYE_TOUCH_END_MINUTES);
     if (!startsInWindow) return false;
@@ -6270,7 +6919,7 @@ function getCalendarPairingAlignedDailyGuaranteeMinutes(
   const dayCount = getCalendarGuaranteeDayCount(
     pairingWindow.checkInMs,
     pairingWindow.checkOutMs,
-    CALENDAR_HOME_BASE_TIMEZONE
+    getHomeBaseTimeZone()
   );
   if (!dayCount){
     return {
@@ -7389,6 +8038,7 @@ function saveCalendarState({ bumpUpdatedAt = true } = {}){
     calendarState.updatedAt = 0;
   }
   const payload = {
+    schemaVersion: CALENDAR_SCHEMA_VERSION,
     eventsByDate: calendarState.eventsByDate,
     months: calendarState.months,
     selectedMonth: calendarState.selectedMonth,
@@ -7411,10 +8061,12 @@ function saveCalendarState({ bumpUpdatedAt = true } = {}){
   if (bumpUpdatedAt){
     scheduleCalendarAutoSync();
   }
+  refreshMonthlyFromCalendar();
 }
 
 function saveCalendarPrefsOnly(){
   const payload = {
+    schemaVersion: CALENDAR_SCHEMA_VERSION,
     eventsByDate: calendarState.eventsByDate,
     months: calendarState.months,
     selectedMonth: calendarState.selectedMonth,
@@ -7602,12 +8254,219 @@ async function triggerCalendarAutoSync(){
   }
 }
 
+function getCalendarSyncEtag(){
+  try {
+    return localStorage.getItem(CALENDAR_SYNC_ETAG_KEY) || '';
+  } catch (err){
+    console.warn('Failed to read calendar sync ETag', err);
+  }
+  return '';
+}
+
+function loadCalendarSyncBase(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(CALENDAR_SYNC_BASE_KEY) || 'null');
+    if (!isCalendarRecordObject(stored)) return null;
+    // Bases saved before the other keys were merged hold eventsByDate alone.
+    return isCalendarRecordObject(stored.eventsByDate) ? stored : { eventsByDate: stored };
+  } catch (err){
+    console.warn('Failed to read calendar sync base', err);
+  }
+  return null;
+}
+
+function saveCalendarSyncBase(etag, record){
+  // The base is the last record both sides agreed on; the three-way merge diffs against it.
+  const base = { eventsByDate: record?.eventsByDate || {} };
+  CALENDAR_SYNC_MERGED_KEYS.forEach((key) => {
+    if (record?.[key] !== undefined) base[key] = record[key];
+  });
+  try {
+    if (etag){
+      localStorage.setItem(CALENDAR_SYNC_ETAG_KEY, etag);
+    } else {
+      localStorage.removeItem(CALENDAR_SYNC_ETAG_KEY);
+    }
+    localStorage.setItem(CALENDAR_SYNC_BASE_KEY, JSON.stringify(base));
+  } catch (err){
+    console.warn('Failed to store calendar sync base', err);
+  }
+}
+
+function stableCalendarStringify(value){
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return `[${value.map(stableCalendarStringify).join(',')}]`;
+  if (value && typeof value === 'object'){
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableCalendarStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isCalendarSyncValueEqual(a, b){
+  return stableCalendarStringify(a) === stableCalendarStringify(b);
+}
+
+function mergeCalendarSyncFields(base, local, remote, { skipKeys = [] } = {}){
+  const merged = { ...local };
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(local || {}), ...Object.keys(remote || {})]);
+  keys.forEach((key) => {
+    if (skipKeys.includes(key)) return;
+    const localValue = local?.[key];
+    const remoteValue = remote?.[key];
+    if (!isCalendarSyncValueEqual(localValue, base?.[key])) return;
+    if (remoteValue === undefined){
+      delete merged[key];
+    } else {
+      merged[key] = remoteValue;
+    }
+  });
+  return merged;
+}
+
+function mergeCalendarSyncDay(baseDay, localDay, remoteDay){
+  const merged = mergeCalendarSyncFields(baseDay, localDay, remoteDay, { skipKeys: ['events'] });
+  const indexEvents = (day) => new Map(
+    (Array.isArray(day?.events) ? day.events : [])
+      .filter(event => event?.id)
+      .map(event => [event.id, event])
+  );
+  const baseEvents = indexEvents(baseDay);
+  const localEvents = indexEvents(localDay);
+  const remoteEvents = indexEvents(remoteDay);
+  const events = [];
+  (Array.isArray(localDay?.events) ? localDay.events : []).forEach((event) => {
+    if (!event?.id){
+      events.push(event);
+      return;
+    }
+    const baseEvent = baseEvents.get(event.id);
+    const remoteEvent = remoteEvents.get(event.id);
+    if (!remoteEvent){
+      // Deleted remotely; keep it only if this device edited it since the base.
+      if (baseEvent && isCalendarSyncValueEqual(event, baseEvent)) return;
+      events.push(event);
+      return;
+    }
+    events.push(mergeCalendarSyncFields(baseEvent, event, remoteEvent));
+  });
+  (Array.isArray(remoteDay?.events) ? remoteDay.events : []).forEach((event) => {
+    if (!event?.id || localEvents.has(event.id)) return;
+    const baseEvent = baseEvents.get(event.id);
+    // Deleted locally; drop it unless the server changed it since the base.
+    if (baseEvent && isCalendarSyncValueEqual(event, baseEvent)) return;
+    events.push(event);
+  });
+  merged.events = events;
+  return merged;
+}
+
+function mergeCalendarEventsByDateThreeWay(baseEventsByDate, localEventsByDate, remoteEventsByDate){
+  const base = baseEventsByDate || {};
+  const local = localEventsByDate || {};
+  const remote = remoteEventsByDate || {};
+  const merged = {};
+  let conflicts = 0;
+  const dateKeys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+  dateKeys.forEach((dateKey) => {
+    const baseDay = base[dateKey];
+    const localDay = local[dateKey];
+    const remoteDay = remote[dateKey];
+    let nextDay;
+    if (isCalendarSyncValueEqual(localDay, baseDay)){
+      nextDay = remoteDay;
+    } else if (isCalendarSyncValueEqual(remoteDay, baseDay) || isCalendarSyncValueEqual(localDay, remoteDay)){
+      nextDay = localDay;
+    } else if (!localDay || !remoteDay){
+      // One side deleted the date and the other edited it; keep the edit.
+      nextDay = localDay || remoteDay;
+      conflicts += 1;
+    } else {
+      nextDay = mergeCalendarSyncDay(baseDay, localDay, remoteDay);
+      conflicts += 1;
+    }
+    if (nextDay) merged[dateKey] = nextDay;
+  });
+  return { eventsByDate: merged, conflicts };
+}
+
+/*
+ * Fold a server copy into the local calendar.  Days merge event by event;
+ * block months and month annotations merge by month, prefs by key and hotels
+ * as a whole list, each taking the server's value unless this device changed
+ * it since the base.  A base from
+ * before hotels were kept has nothing to diff them against, so both sides'
+ * hotels stay.
+ */
+function applyCalendarSyncConflict(serverCopy){
+  const remote = migrateCalendarRecord(serverCopy || {});
+  const remoteEventsByDate = isCalendarRecordObject(remote.eventsByDate) ? remote.eventsByDate : {};
+  const base = loadCalendarSyncBase() || {};
+  const { eventsByDate, conflicts } = mergeCalendarEventsByDateThreeWay(
+    base.eventsByDate,
+    calendarState.eventsByDate,
+    remoteEventsByDate
+  );
+  calendarState.eventsByDate = eventsByDate;
+  calendarState.months = buildCalendarMonths(eventsByDate);
+  ['blockMonthsByMonthKey', 'blockMonthRecurring'].forEach((key) => {
+    if (!isCalendarRecordObject(remote[key])) return;
+    calendarState[key] = mergeCalendarSyncFields(base[key], calendarState[key], remote[key]);
+  });
+  if (Array.isArray(remote.hotels)){
+    const localHotels = Array.isArray(calendarState.hotels) ? calendarState.hotels : [];
+    if (isCalendarSyncValueEqual(localHotels, base.hotels)){
+      calendarState.hotels = remote.hotels;
+    } else if (base.hotels === undefined){
+      // Nothing to diff against yet, so keep the hotels from both sides.
+      const localIds = new Set(localHotels.map(hotel => hotel?.id));
+      calendarState.hotels = [...localHotels, ...remote.hotels.filter(hotel => !localIds.has(hotel?.id))];
+    }
+  }
+  // Workers before v4 carry no preferences or month annotations; keep the local ones.
+  if (getCalendarRecordVersion(serverCopy) >= 4){
+    const prefs = mergeCalendarSyncFields(base.prefs, { pairingDisplayMode: calendarPairingDisplayMode }, remote.prefs);
+    if (prefs.pairingDisplayMode){
+      calendarPairingDisplayMode = normalizeCalendarPairingDisplayMode(prefs.pairingDisplayMode);
+    }
+    applyCalendarMonthAnnotations(mergeCalendarSyncFields(base.monthAnnotations, getCalendarMonthAnnotations(), remote.monthAnnotations));
+  }
+  normalizeCalendarState();
+  saveCalendarState({ bumpUpdatedAt: false });
+  // The server copy is now folded in, so it becomes the base for the retried PUT.
+  saveCalendarSyncBase(serverCopy?.etag || '', { ...remote, eventsByDate: remoteEventsByDate });
+  return conflicts;
+}
+
+// The server's calendar record and ETag, for a device that has no base yet.
+async function fetchCalendarServerCopy(endpoint, token){
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      cache: 'no-store'
+    });
+  } catch (err){
+    throw new Error(`Unable to reach calendar sync endpoint (${endpoint}). Check the URL and https.`, { cause: err });
+  }
+  if (!response.ok){
+    throw new Error(`Calendar sync failed (${response.status})`);
+  }
+  const data = await response.json();
+  const record = data?.calendarState || data?.state || data || {};
+  return { ...record, etag: data?.etag || response.headers.get('ETag') || '' };
+}
+
 async function syncCalendarToCloud(){
   if (navigator?.onLine === false){
     queueCalendarSyncRetry();
     return { queued: true };
   }
-  const CALENDAR_SYNC_SCHEMA_VERSION = 3;
   const token = getCalendarSyncToken();
   if (!token){
     throw new Error('Missing calendar sync token.');
@@ -7634,12 +8493,15 @@ async function syncCalendarToCloud(){
     : {};
   const hotels = Array.isArray(calendarState.hotels) ? calendarState.hotels : [];
   const payload = {
+    schemaVersion: CALENDAR_SCHEMA_VERSION,
     eventsByDate,
     months,
     selectedMonth,
     blockMonthsByMonthKey,
     blockMonthRecurring,
-    hotels
+    hotels,
+    prefs: { pairingDisplayMode: calendarPairingDisplayMode },
+    monthAnnotations: getCalendarMonthAnnotations()
   };
   const payloadWithoutBlocks = {
     eventsByDate,
@@ -7654,18 +8516,26 @@ async function syncCalendarToCloud(){
     blockMonthsByMonthKey,
     blockMonthRecurring
   };
-  const sendCalendarPayload = async (bodyPayload) => {
+  let pushedPayload = payload;
+  let mergedFromServer = false;
+  const putCalendarPayload = async (bodyPayload) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    };
+    const etag = getCalendarSyncEtag();
+    if (etag){
+      headers['If-Match'] = etag;
+    }
+    pushedPayload = bodyPayload;
     try {
       console.info(
         'Calendar sync payload eventsByDate keys',
-        Object.keys(eventsByDate)
+        Object.keys(bodyPayload.eventsByDate || {})
       );
       return await fetch(endpoint, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`
-        },
+        headers,
         body: JSON.stringify(bodyPayload),
         cache: 'no-store'
       });
@@ -7673,6 +8543,48 @@ async function syncCalendarToCloud(){
       throw new Error(`Unable to reach calendar sync endpoint (${endpoint}). Check the URL and https.`, { cause: err });
     }
   };
+  // Merge a server copy, then resend the payload's keys from the merged calendar.
+  const mergeServerCopy = (serverCopy, bodyPayload) => {
+    applyCalendarSyncConflict(serverCopy);
+    mergedFromServer = true;
+    const merged = {
+      ...calendarState,
+      prefs: { pairingDisplayMode: calendarPairingDisplayMode },
+      monthAnnotations: getCalendarMonthAnnotations()
+    };
+    const nextPayload = {
+      ...bodyPayload,
+      eventsByDate: merged.eventsByDate,
+      months: merged.months
+    };
+    CALENDAR_SYNC_MERGED_KEYS.forEach((key) => {
+      if (nextPayload[key] !== undefined) nextPayload[key] = merged[key];
+    });
+    return nextPayload;
+  };
+  const sendCalendarPayload = async (bodyPayload) => {
+    let currentPayload = bodyPayload;
+    if (!getCalendarSyncEtag()){
+      // No ETag means no base to send If-Match with, so read the server first rather than overwrite it.
+      const serverCopy = await fetchCalendarServerCopy(endpoint, token);
+      if (serverCopy.etag) currentPayload = mergeServerCopy(serverCopy, currentPayload);
+    }
+    for (let attempt = 0; ; attempt += 1){
+      const resp = await putCalendarPayload(currentPayload);
+      if (resp.status !== 412 || attempt >= CALENDAR_SYNC_CONFLICT_RETRIES) return resp;
+      let serverCopy = null;
+      try {
+        const conflictBody = await resp.json();
+        serverCopy = conflictBody?.current || null;
+      } catch (err){
+        console.warn('Failed to read calendar sync conflict response', err);
+      }
+      if (!serverCopy){
+        throw new Error('Calendar sync failed (412): server copy missing from conflict response.');
+      }
+      currentPayload = mergeServerCopy(serverCopy, currentPayload);
+    }
+  };
   const readCalendarSyncMessage = async (resp) => {
     try {
       const errorBody = await resp.json();
@@ -7689,11 +8601,11 @@ async function syncCalendarToCloud(){
     return Number.isFinite(parsed) ? parsed : null;
   };
   const isSchemaOutdated = (schemaVersion) => (
-    schemaVersion !== null && schemaVersion < CALENDAR_SYNC_SCHEMA_VERSION
+    schemaVersion !== null && schemaVersion < CALENDAR_SCHEMA_VERSION
   );
   const formatSchemaOutdatedMessage = (schemaVersion) => {
     const versionLabel = Number.isFinite(schemaVersion) ? `v${schemaVersion}` : 'unknown version';
-    return `sync worker ${versionLabel} is outdated; update to v${CALENDAR_SYNC_SCHEMA_VERSION}+ to sync hotels.`;
+    return `sync worker ${versionLabel} is outdated; update to v${CALENDAR_SCHEMA_VERSION}+ to sync hotels, vacation credit and preferences.`;
   };
   const shouldRetryPayload = (status, message, schemaVersion) => {
     if (status !== 400) return null;
@@ -7702,8 +8614,10 @@ async function syncCalendarToCloud(){
     const rejectBlocks = ['blockmonthsbymonthkey', 'blockmonthrecurring'].some((key) => lower.includes(key));
     const schemaOutdated = isSchemaOutdated(schemaVersion);
     const rejectHotels = lower.includes('unexpected keys') && lower.includes('hotels');
-    if (!rejectBlocks && !rejectHotels) return null;
-    return { rejectBlocks, rejectHotels, schemaOutdated };
+    const rejectAnnotations = lower.includes('unexpected keys')
+      && ['schemaversion', 'prefs', 'monthannotations'].some((key) => lower.includes(key));
+    if (!rejectBlocks && !rejectHotels && !rejectAnnotations) return null;
+    return { rejectBlocks, rejectHotels, rejectAnnotations, schemaOutdated };
   };
   let statusMessage = '';
   let response = await sendCalendarPayload(payload);
@@ -7723,6 +8637,11 @@ async function syncCalendarToCloud(){
           : payloadWithoutHotels;
         console.warn('Calendar sync rejected hotels; retrying without hotels payload.');
       }
+      if (retryInfo.rejectAnnotations){
+        const { schemaVersion: _schemaVersion, prefs: _prefs, monthAnnotations: _monthAnnotations, ...rest } = retryPayload;
+        retryPayload = rest;
+        console.warn('Calendar sync rejected preferences and month annotations; retrying without them.');
+      }
       response = await sendCalendarPayload(retryPayload);
       if (!response.ok){
         const retryMessage = await readCalendarSyncMessage(response);
@@ -7733,7 +8652,11 @@ async function syncCalendarToCloud(){
         throw new Error(`Calendar sync failed (${response.status})${retrySuffix}`);
       }
       if (retryInfo.schemaOutdated){
-        statusMessage = `Synced, but ${formatSchemaOutdatedMessage(schemaVersion)} Hotels skipped.`;
+        const skipped = [
+          retryInfo.rejectHotels ? 'Hotels skipped.' : '',
+          retryInfo.rejectAnnotations ? 'Vacation credit and preferences skipped.' : ''
+        ].filter(Boolean).join(' ');
+        statusMessage = `Synced, but ${formatSchemaOutdatedMessage(schemaVersion)} ${skipped}`.trim();
       }
     } else {
       const suffix = validationMessage ? `: ${validationMessage}` : '';
@@ -7749,9 +8672,14 @@ async function syncCalendarToCloud(){
       calendarState.updatedAt = normalizeCalendarUpdatedAt(result.updatedAt);
       saveCalendarState({ bumpUpdatedAt: false });
     }
+    saveCalendarSyncBase(result?.etag || response.headers.get('ETag') || '', pushedPayload);
   } catch (err){
     console.warn('Failed to read calendar sync response', err);
   }
+  if (mergedFromServer){
+    renderCalendar();
+    if (!statusMessage) statusMessage = 'Merged changes from the cloud and synced.';
+  }
   try {
     localStorage.setItem(CALENDAR_SYNC_LAST_KEY, new Date().toISOString());
   } catch (err){
@@ -8734,6 +9662,7 @@ async function runCalendarGateTimeAutoSync({
     refreshCalendarCreditDetail();
     refreshCalendarTafbDetail();
     refreshCalendarBlockGrowthDetail();
+    refreshCalendarPayDetail();
     if (getCalendarSyncToken() && getCalendarSyncEndpoint()){
       if (navigator?.onLine === false){
         queueCalendarSyncRetry();
@@ -8859,7 +9788,9 @@ async function loadCalendarFromCloud({ skipConfirm = false } = {}){
     throw new Error(`Calendar load failed (${response.status})`);
   }
   const data = await response.json();
-  const incomingState = data?.calendarState || data?.state || data || {};
+  const rawState = data?.calendarState || data?.state || data || {};
+  const remoteSchemaVersion = getCalendarRecordVersion(rawState);
+  const incomingState = migrateCalendarRecord(rawState);
   const remoteUpdatedAt = normalizeCalendarUpdatedAt(data?.updatedAt ?? incomingState.updatedAt);
   const localUpdatedAt = normalizeCalendarUpdatedAt(calendarState.updatedAt);
   let statusMessage = 'Pulled from cloud.';
@@ -8904,11 +9835,177 @@ async function loadCalendarFromCloud({ skipConfirm = false } = {}){
     hotels: incomingHotels,
     updatedAt: remoteUpdatedAt
   };
+  // Workers before v4 carry no preferences or month annotations; keep the local ones.
+  if (remoteSchemaVersion >= 4){
+    if (incomingState.prefs?.pairingDisplayMode){
+      calendarPairingDisplayMode = normalizeCalendarPairingDisplayMode(incomingState.prefs.pairingDisplayMode);
+    }
+    applyCalendarMonthAnnotations(incomingState.monthAnnotations);
+  }
   normalizeCalendarState();
   saveCalendarState({ bumpUpdatedAt: false });
+  saveCalendarSyncBase(data?.etag || response.headers.get('ETag') || '', {
+    eventsByDate: calendarState.eventsByDate,
+    blockMonthsByMonthKey: incomingBlockMonths,
+    blockMonthRecurring: incomingBlockRecurring,
+    hotels: incomingHotels,
+    ...(remoteSchemaVersion >= 4 ? { prefs: incomingState.prefs, monthAnnotations: incomingState.monthAnnotations } : {})
+  });
   return { state: calendarState, statusMessage };
 }
 
+let calendarHistoryState = null;
+
+function getCalendarHistoryEndpoint(path = ''){
+  const endpoint = getCalendarSyncEndpoint();
+  if (!endpoint) return '';
+  return `${endpoint.replace(/\/+$/, '')}/history${path}`;
+}
+
+async function requestCalendarHistory(path = '', { method = 'GET', body = null } = {}){
+  const token = getCalendarSyncToken();
+  if (!token){
+    throw new Error('Missing calendar sync token.');
+  }
+  const url = getCalendarHistoryEndpoint(path);
+  if (!url){
+    throw new Error('Missing calendar sync endpoint.');
+  }
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body){
+    headers['Content-Type'] = 'application/json';
+  }
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      cache: 'no-store'
+    });
+  } catch (err){
+    throw new Error(`Unable to reach calendar sync endpoint (${url}). Check the URL and https.`, { cause: err });
+  }
+  if (response.status === 404 && !path){
+    throw new Error('Sync worker does not support version history yet; redeploy it.');
+  }
+  if (!response.ok){
+    let detail = '';
+    try {
+      const errorBody = await response.json();
+      detail = errorBody?.message || errorBody?.error || '';
+    } catch (err){
+      console.warn('Failed to read calendar history error response', err);
+    }
+    throw new Error(`Calendar history request failed (${response.status})${detail ? `: ${detail}` : ''}`);
+  }
+  return response.json();
+}
+
+function formatCalendarHistoryVersionLabel(version){
+  const stamp = version?.updatedAt ? new Date(version.updatedAt) : null;
+  const when = stamp && !Number.isNaN(stamp.getTime()) ? stamp.toLocaleString() : 'Unknown time';
+  const sourceLabels = { client: 'device sync', cron: 'gate-time cron', restore: 'restore' };
+  return `${when} · ${sourceLabels[version?.source] || version?.source || 'device sync'}`;
+}
+
+function setCalendarHistoryStatus(message = ''){
+  const statusEl = document.getElementById('modern-calendar-history-status');
+  if (statusEl) statusEl.textContent = message;
+}
+
+function renderCalendarHistory(){
+  const list = document.getElementById('modern-calendar-history-list');
+  if (!list) return;
+  const versions = calendarHistoryState?.versions || [];
+  if (!calendarHistoryState){
+    list.innerHTML = '';
+    return;
+  }
+  if (!versions.length){
+    list.innerHTML = '<div class="muted-note">No previous versions stored yet.</div>';
+    return;
+  }
+  list.innerHTML = `<div class="simple">${versions.map((version) => {
+    const months = (version.months || []).map(formatCalendarMonthLabel).join(', ') || 'Empty calendar';
+    const diff = calendarHistoryState.diffs?.[version.etag];
+    const diffLines = Array.isArray(diff?.months)
+      ? (diff.months.length
+        ? diff.months.map((month) => {
+          const parts = [];
+          if (month.addedDates.length) parts.push(`${month.addedDates.length} added`);
+          if (month.removedDates.length) parts.push(`${month.removedDates.length} removed`);
+          if (month.changedDates.length) parts.push(`${month.changedDates.length} changed`);
+          return `<li>${escapeHtml(formatCalendarMonthLabel(month.monthKey))}: ${escapeHtml(parts.join(', '))}</li>`;
+        }).join('')
+        : '<li>Same days as the current copy.</li>')
+        + (diff.hotelsChanged ? '<li>Hotels differ.</li>' : '')
+      : '';
+    return `<div class="block">`
+      + `<div class="label">${escapeHtml(formatCalendarHistoryVersionLabel(version))}</div>`
+      + `<div class="value">${escapeHtml(months)}</div>`
+      + `<div class="muted-note">${version.dayCount || 0} days</div>`
+      + (diffLines ? `<ul class="calendar-history-diff">${diffLines}</ul>` : '')
+      + `<div class="calendar-history-actions">`
+      + `<button class="btn btn-secondary" type="button" data-calendar-history-diff="${escapeHtml(version.etag)}">Compare with current</button>`
+      + `<button class="btn" type="button" data-calendar-history-restore="${escapeHtml(version.etag)}">Restore</button>`
+      + `</div></div>`;
+  }).join('')}</div>`;
+}
+
+async function loadCalendarHistoryList(){
+  setCalendarHistoryStatus('Loading versions…');
+  try {
+    const data = await requestCalendarHistory();
+    calendarHistoryState = {
+      current: data?.current || null,
+      versions: Array.isArray(data?.versions) ? data.versions : [],
+      diffs: {}
+    };
+    renderCalendarHistory();
+    const count = calendarHistoryState.versions.length;
+    setCalendarHistoryStatus(`${count} previous ${count === 1 ? 'version' : 'versions'} in the cloud.`);
+  } catch (err){
+    console.warn('Failed to load calendar history', err);
+    setCalendarHistoryStatus(err?.message || 'Unable to load version history.');
+  }
+}
+
+async function compareCalendarHistoryVersion(etag){
+  if (!etag || !calendarHistoryState) return;
+  setCalendarHistoryStatus('Comparing…');
+  try {
+    const diff = await requestCalendarHistory(`/diff?from=${encodeURIComponent(etag)}&to=current`);
+    calendarHistoryState.diffs[etag] = diff;
+    renderCalendarHistory();
+    setCalendarHistoryStatus('Differences are from that version to the current cloud copy.');
+  } catch (err){
+    console.warn('Failed to compare calendar versions', err);
+    setCalendarHistoryStatus(err?.message || 'Unable to compare versions.');
+  }
+}
+
+async function restoreCalendarHistoryVersion(etag){
+  const version = calendarHistoryState?.versions?.find(item => item.etag === etag);
+  if (!version) return;
+  const shouldRestore = window.confirm(
+    `Restore the calendar from ${formatCalendarHistoryVersionLabel(version)}? The current cloud copy stays in the history.`
+  );
+  if (!shouldRestore) return;
+  setCalendarHistoryStatus('Restoring…');
+  try {
+    await requestCalendarHistory('/restore', { method: 'POST', body: { etag } });
+    const result = await loadCalendarFromCloud({ skipConfirm: true });
+    renderCalendar();
+    await loadCalendarHistoryList();
+    setCalendarHistoryStatus('Restored previous version.');
+    setCalendarStatus(result?.statusMessage || 'Restored previous version.');
+  } catch (err){
+    console.warn('Failed to restore calendar version', err);
+    setCalendarHistoryStatus(err?.message || 'Unable to restore version.');
+  }
+}
+
 function scheduleCalendarSyncRetry(){
   try {
     if (navigator?.onLine && localStorage.getItem(CALENDAR_SYNC_PENDING_KEY)){
@@ -9735,7 +10832,6 @@ const ALIGNED_DPG_FLOOR_MINUTES = 265;
 const ALIGNED_ADG_PER_DAY_MINUTES = 270;
 const ALIGNED_RED_EYE_PER_DAY_MINUTES = 265;
 const ALIGNED_ADG_EFFECTIVE_MONTH_KEY = '2027-01';
-const CALENDAR_HOME_BASE_TIMEZONE = 'America/Toronto';
 const CALENDAR_HOME_BASE_DAY_START_MINUTES = 120;
 const CALENDAR_RED_EYE_TOUCH_START_MINUTES = 120;
 const CALENDAR_RED_EYE_TOUCH_END_MINUTES = 200;
@@ -10784,10 +11880,64 @@ function parseScheduleRows(rows){
   return result;
 }
 
+/*
+ * Read every page of a schedule PDF with the bundled pdf.js and rebuild its
+ * text rows top to bottom.  Each line keeps its page number so skipped rows
+ * can be reported against the original document.
+ */
+async function extractScheduleLinesFromPdf(file){
+  const pdfjs = window.pdfjsLib;
+  if (!pdfjs?.getDocument) throw new Error('PDF reader is unavailable.');
+  if (pdfjs.GlobalWorkerOptions && !pdfjs.GlobalWorkerOptions.workerSrc){
+    pdfjs.GlobalWorkerOptions.workerSrc = CALENDAR_PDF_WORKER_SRC;
+  }
+  const data = new Uint8Array(await file.arrayBuffer());
+  const doc = await pdfjs.getDocument({ data }).promise;
+  const lines = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber += 1){
+      const page = await doc.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      // PDF y coordinates grow upward, so the last row is the top of the page.
+      buildRowsFromTextContent(textContent).reverse().forEach((row) => {
+        const text = getRowText(row);
+        if (text) lines.push({ page: pageNumber, text });
+      });
+      page.cleanup();
+    }
+    return { lines, pageCount: doc.numPages };
+  } finally {
+    doc.destroy();
+  }
+}
+
+async function parseSchedulePdf(file){
+  const { lines, pageCount } = await extractScheduleLinesFromPdf(file);
+  if (!lines.length){
+    return {
+      eventsByDate: {},
+      parsedMonths: [],
+      unclassifiedLines: [],
+      pageCount,
+      statusMessage: 'No text found in PDF. Scanned schedules are not supported.'
+    };
+  }
+  const result = parsePastedScheduleText(lines.map(line => line.text).join('\n'));
+  return {
+    ...result,
+    pageCount,
+    unclassifiedLines: (result.unclassifiedLines || []).map(entry => ({
+      ...entry,
+      page: lines[entry.lineNumber - 1]?.page || null
+    })),
+    statusMessage: result.statusMessage ? result.statusMessage.replace('pasted schedule', 'PDF') : ''
+  };
+}
+
 function parsePastedScheduleText(text){
   const raw = String(text || '').trim();
   if (!raw){
-    return { eventsByDate: {}, statusMessage: 'Paste schedule text to parse.' };
+    return { eventsByDate: {}, statusMessage: 'Paste schedule text to parse.', unclassifiedLines: [] };
   }
   const resolveSelectedMonthKey = () => {
     const stored = normalizeCalendarMonthKey(calendarState.selectedMonth);
@@ -10808,10 +11958,15 @@ function parsePastedScheduleText(text){
   let lastMonthIndex = !hasExplicitYear && Number.isFinite(baseMonthIndex) ? baseMonthIndex : null;
   let hasParsedMonthToken = false;
   const eventsByDate = {};
+  // Lines outside any day section, or in a day that produced no events, are
+  // reported back so callers can show what the parser skipped.
+  const unclassifiedLines = [];
   let currentDateKey = null;
   let currentLines = [];
+  let currentLineNumbers = [];
   let currentPairing = null;
   let pairingNeedsReset = false;
+  const lines = raw.split(/\r?\n/);
   const normalizePairingToken = (value, { preserveDashes = false } = {}) => {
     const token = String(value || '').trim().toUpperCase();
     const pattern = preserveDashes ? /[^A-Z0-9-]/g : /[^A-Z0-9]/g;
@@ -10894,6 +12049,11 @@ function parsePastedScheduleText(text){
   const finalizeDay = () => {
     if (!currentDateKey) return;
     const dayEvent = buildCalendarEventFromText(currentDateKey, currentLines, currentPairing);
+    if (!dayEvent?.events?.length){
+      currentLineNumbers.forEach((lineNumber) => {
+        unclassifiedLines.push({ lineNumber, text: lines[lineNumber - 1].trim() });
+      });
+    }
     if (dayEvent){
       if (currentPairing){
         if (!currentPairing.pairingStartDate){
@@ -10933,8 +12093,8 @@ function parsePastedScheduleText(text){
     }
   };
 
-  const lines = raw.split(/\r?\n/);
-  lines.forEach((line) => {
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
     let workingLine = line.trim();
     if (!workingLine) return;
     const packagePairingMatch = workingLine.match(/^T(\d{3,5})\b/i);
@@ -10942,6 +12102,7 @@ function parsePastedScheduleText(text){
       finalizeDay();
       currentDateKey = null;
       currentLines = [];
+      currentLineNumbers = [];
       const pairingToken = `T${packagePairingMatch[1]}`;
       ensurePairing(pairingToken, true);
       workingLine = workingLine.replace(packagePairingMatch[0], '').trim();
@@ -10957,6 +12118,7 @@ function parsePastedScheduleText(text){
       finalizeDay();
       currentDateKey = null;
       currentLines = [];
+      currentLineNumbers = [];
       currentPairing = null;
       pairingNeedsReset = true;
       return;
@@ -10965,6 +12127,7 @@ function parsePastedScheduleText(text){
       finalizeDay();
       currentDateKey = null;
       currentLines = [];
+      currentLineNumbers = [];
       return;
     }
     const { dateKey: parsedDateKey, remainingLine, hasMonthToken } = extractDateTokenFromLine(
@@ -10990,13 +12153,18 @@ function parsePastedScheduleText(text){
       currentDateKey = `${yearForMonth}-${String(parsedMonth).padStart(2, '0')}-${String(parsedDay).padStart(2, '0')}`;
       ensurePairing();
       currentLines = [];
+      currentLineNumbers = [];
       if (remainingLine){
         currentLines.push(remainingLine);
       }
+      currentLineNumbers.push(lineNumber);
       return;
     }
     if (currentDateKey){
       currentLines.push(workingLine);
+      currentLineNumbers.push(lineNumber);
+    } else {
+      unclassifiedLines.push({ lineNumber, text: workingLine });
     }
   });
   finalizeDay();
@@ -11018,6 +12186,7 @@ function parsePastedScheduleText(text){
     parsedMonths,
     parsedMonthCounts,
     selectedMonthKey,
+    unclassifiedLines: unclassifiedLines.sort((a, b) => a.lineNumber - b.lineNumber),
     statusMessage: Object.keys(eventsByDate).length ? '' : 'No calendar events found in pasted schedule.'
   };
 }
@@ -11991,6 +13160,87 @@ function getCalendarMonthlyTafbMinutes(monthKey){
   return dutyMinutes;
 }
 
+function getCalendarMonthlyPremiumMinutes(monthKey){
+  if (!monthKey) return 0;
+  const prefix = `${monthKey}-`;
+  const range = getCalendarBlockMonthRangeForMonth(monthKey);
+  const countedPairings = new Set();
+  let premiumMinutes = 0;
+  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!dateKey.startsWith(prefix)) return;
+    if (range && !isCalendarDateKeyInRange(dateKey, range)) return;
+    const pairingId = String(day?.pairing?.pairingId || '').trim();
+    if (!pairingId || countedPairings.has(pairingId)) return;
+    countedPairings.add(pairingId);
+    const premiumFlags = getCalendarPairingPremiumFlags(pairingId, calendarState.eventsByDate, { monthKey });
+    if (Number.isFinite(premiumFlags?.totalPremiumEquivalentMinutes)){
+      premiumMinutes += premiumFlags.totalPremiumEquivalentMinutes;
+    }
+  });
+  return premiumMinutes;
+}
+
+/*
+ * Credit lines for the month's projection: one per pairing (at its credit,
+ * guarantees included) and one per other day with credit, each flown,
+ * in progress or still to fly against todayKey.  Follows the same prefix and
+ * block month range as getCalendarMonthlyCreditMinutes.
+ */
+function getCalendarCreditProjectionItems(monthKey, todayKey = buildCalendarDateKeyFromDate(new Date())){
+  if (!monthKey) return [];
+  const prefix = `${monthKey}-`;
+  const range = getCalendarBlockMonthRangeForMonth(monthKey);
+  const countedPairings = new Set();
+  const statusFor = (firstKey, lastKey) => {
+    if (lastKey < todayKey) return 'flown';
+    if (firstKey > todayKey) return 'remaining';
+    return 'in-progress';
+  };
+  const items = [];
+  Object.keys(calendarState.eventsByDate || {}).sort().forEach((dateKey) => {
+    if (!dateKey.startsWith(prefix)) return;
+    if (range && !isCalendarDateKeyInRange(dateKey, range)) return;
+    const day = calendarState.eventsByDate[dateKey];
+    const pairingId = String(day?.pairing?.pairingId || '').trim();
+    if (pairingId){
+      if (countedPairings.has(pairingId)) return;
+      countedPairings.add(pairingId);
+      const days = getCalendarPairingDaysFromEvents(calendarState.eventsByDate, pairingId)
+        .filter(key => key.startsWith(prefix) && (!range || isCalendarDateKeyInRange(key, range)));
+      const firstKey = days[0] || dateKey;
+      const lastKey = days[days.length - 1] || dateKey;
+      const summary = getCalendarPairingSummary(pairingId, monthKey, calendarState.eventsByDate);
+      const premiumFlags = getCalendarPairingPremiumFlags(pairingId, calendarState.eventsByDate, { monthKey });
+      items.push({
+        pairingId,
+        label: String(day.pairing.pairingNumber || '').trim() || pairingId,
+        startKey: firstKey,
+        endKey: lastKey,
+        creditMinutes: Number.isFinite(summary.creditMinutes) ? summary.creditMinutes : 0,
+        creditBasis: summary.creditBasis,
+        guaranteeMinutes: summary.alignedGuaranteeMinutes || 0,
+        premiumMinutes: Number.isFinite(premiumFlags?.totalPremiumEquivalentMinutes) ? premiumFlags.totalPremiumEquivalentMinutes : 0,
+        status: statusFor(firstKey, lastKey)
+      });
+      return;
+    }
+    const creditMinutes = getCalendarDayCreditTotal(dateKey, day);
+    if (!creditMinutes) return;
+    items.push({
+      pairingId: null,
+      label: 'Day credit',
+      startKey: dateKey,
+      endKey: dateKey,
+      creditMinutes,
+      creditBasis: 'day',
+      guaranteeMinutes: 0,
+      premiumMinutes: 0,
+      status: statusFor(dateKey, dateKey)
+    });
+  });
+  return items;
+}
+
 function updateCalendarTotals(year, month){
   let creditMinutes = 0;
   let dutyMinutes = 0;
@@ -12759,6 +14009,7 @@ function renderCalendar(){
   refreshCalendarCreditDetail();
   refreshCalendarTafbDetail();
   refreshCalendarBlockGrowthDetail();
+  refreshCalendarPayDetail();
   scheduleCalendarGateTimeAutoSync();
 }
 
@@ -13080,9 +14331,15 @@ function isCalendarPairingManualEdited(pairingDays, eventsByDate){
   return pairingDays.some(dateKey => Boolean(eventsByDate?.[dateKey]?.pairing?.manualEdited));
 }
 
-function getCalendarPairingDutyDayCreditMinutes(pairingId, eventsByDate = calendarState.eventsByDate, options = {}){
+/*
+ * A pairing's duty days in order, each with its duty start and release, block
+ * and credit: block with the duty day floor, or under the aligned contract
+ * the larger of FTC and the DPG (half the FDP, with its floor).  Duty days
+ * with no creditable block carry no credit.
+ */
+function getCalendarPairingDutyDays(pairingId, eventsByDate = calendarState.eventsByDate, options = {}){
   const pairingDays = getCalendarPairingDaysFromEvents(eventsByDate, pairingId);
-  if (!pairingDays.length) return 0;
+  if (!pairingDays.length) return [];
   const flightEntries = [];
   pairingDays.forEach((dateKey) => {
     const day = eventsByDate?.[dateKey];
@@ -13101,42 +14358,49 @@ function getCalendarPairingDutyDayCreditMinutes(pairingId, eventsByDate = calend
       });
     });
   });
-  if (!flightEntries.length) return 0;
+  if (!flightEntries.length) return [];
   flightEntries.sort((a, b) => a.startMs - b.startMs);
   const excludeCnxPp = Boolean(options?.excludeCnxPP);
+  const isExcluded = entry => isCreditCancelled(entry.event)
+    || (excludeCnxPp && entry.event?.cancellation === 'CNX PP');
+  const getCreditedBlock = group => group.reduce((sum, entry) => {
+    if (isExcluded(entry)) return sum;
+    return sum + (entry.blockMinutes > 0 ? entry.blockMinutes : 0);
+  }, 0);
   if (!isContractAlignedMode()){
-    const dutyDayBlocks = [];
-    let currentBlock = 0;
-    let currentHasCredit = false;
+    const groups = [];
+    let current = [];
     flightEntries.forEach((entry, index) => {
-      const isExcluded = isCreditCancelled(entry.event)
-        || (excludeCnxPp && entry.event?.cancellation === 'CNX PP');
-      if (!isExcluded && entry.blockMinutes > 0){
-        currentBlock += entry.blockMinutes;
-        currentHasCredit = true;
-      }
+      current.push(entry);
       const nextEntry = flightEntries[index + 1];
       if (!nextEntry){
-        dutyDayBlocks.push(currentHasCredit ? currentBlock : 0);
+        groups.push(current);
         return;
       }
       const currentCheckOutMs = entry.endMs + (CALENDAR_DUTY_END_MINUTES * 60000);
       const nextCheckInMs = nextEntry.startMs - (CALENDAR_DUTY_START_MINUTES_OPERATING * 60000);
       const gapMinutes = Math.round((nextCheckInMs - currentCheckOutMs) / 60000);
       if (gapMinutes > 480){
-        dutyDayBlocks.push(currentHasCredit ? currentBlock : 0);
-        currentBlock = 0;
-        currentHasCredit = false;
+        groups.push(current);
+        current = [];
       }
     });
-    return dutyDayBlocks.reduce((total, blockMinutes) => {
-      if (!blockMinutes) return total;
-      return total + Math.max(blockMinutes, DUTY_DAY_CREDIT_FLOOR_MINUTES);
-    }, 0);
+    return groups.map((group) => {
+      const blockMinutes = getCreditedBlock(group);
+      const firstEntry = group[0];
+      const lastEntry = group[group.length - 1];
+      return {
+        dateKey: firstEntry.dateKey,
+        entries: group,
+        dutyStartMs: firstEntry.startMs - (CALENDAR_DUTY_START_MINUTES_OPERATING * 60000),
+        dutyEndMs: lastEntry.endMs + (CALENDAR_DUTY_END_MINUTES * 60000),
+        blockMinutes,
+        creditMinutes: blockMinutes ? Math.max(blockMinutes, DUTY_DAY_CREDIT_FLOOR_MINUTES) : 0
+      };
+    });
   }
   const dutyDayGroups = buildCalendarDutyDayGroups(flightEntries, { forceAligned: true });
-  return dutyDayGroups.reduce((runningTotal, group) => {
-    if (!Array.isArray(group) || !group.length) return runningTotal;
+  return dutyDayGroups.filter(group => Array.isArray(group) && group.length).map((group) => {
     const firstEntry = group[0];
     const lastEntry = group[group.length - 1];
     const leadMinutes = getCalendarDutyLeadForSortedEntries(group, 0, { forceAligned: true });
@@ -13144,15 +14408,21 @@ function getCalendarPairingDutyDayCreditMinutes(pairingId, eventsByDate = calend
     const dutyEndMs = lastEntry.endMs + (CALENDAR_DUTY_END_MINUTES * 60000);
     const fdpMinutes = Math.max(0, Math.round((dutyEndMs - dutyStartMs) / 60000));
     const dpgMinutes = Math.max(ALIGNED_DPG_FLOOR_MINUTES, Math.floor(fdpMinutes / 2));
-    const ftcMinutes = group.reduce((sum, entry) => {
-      const isExcluded = isCreditCancelled(entry.event)
-        || (excludeCnxPp && entry.event?.cancellation === 'CNX PP');
-      if (isExcluded) return sum;
-      return sum + (entry.blockMinutes > 0 ? entry.blockMinutes : 0);
-    }, 0);
-    if (ftcMinutes <= 0) return runningTotal;
-    return runningTotal + Math.max(ftcMinutes, dpgMinutes);
-  }, 0);
+    const ftcMinutes = getCreditedBlock(group);
+    return {
+      dateKey: firstEntry.dateKey,
+      entries: group,
+      dutyStartMs,
+      dutyEndMs,
+      blockMinutes: ftcMinutes,
+      creditMinutes: ftcMinutes > 0 ? Math.max(ftcMinutes, dpgMinutes) : 0
+    };
+  });
+}
+
+function getCalendarPairingDutyDayCreditMinutes(pairingId, eventsByDate = calendarState.eventsByDate, options = {}){
+  return getCalendarPairingDutyDays(pairingId, eventsByDate, options)
+    .reduce((total, dutyDay) => total + dutyDay.creditMinutes, 0);
 }
 
 function buildCalendarDutyDayGroups(flightEntries, { forceAligned = false } = {}){
@@ -13843,14 +15113,15 @@ function setCalendarPairingEditMode(isEditing){
 
 function isModernCalendarDetailVisible(){
   if (calendarDetailEventId || calendarPairingId || calendarDayDetailDateKey) return true;
-  if (calendarCreditDetailOpen || calendarBlockGrowthDetailOpen || calendarTafbDetailOpen) return true;
+  if (calendarCreditDetailOpen || calendarBlockGrowthDetailOpen || calendarTafbDetailOpen || calendarPayDetailOpen) return true;
   const detailPanels = [
     document.getElementById('modern-calendar-detail'),
     document.getElementById('modern-calendar-pairing-detail'),
     document.getElementById('modern-calendar-day-detail'),
     document.getElementById('modern-calendar-credit-detail'),
     document.getElementById('modern-calendar-tafb-detail'),
-    document.getElementById('modern-calendar-block-growth-detail')
+    document.getElementById('modern-calendar-block-growth-detail'),
+    document.getElementById('modern-calendar-pay-detail')
   ];
   return detailPanels.some((panel) => panel && !panel.classList.contains('hidden'));
 }
@@ -13893,8 +15164,10 @@ function openCalendarDetail(eventId, source = 'main'){
   document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
   calendarCreditDetailOpen = false;
   calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
   calendarTafbDetailOpen = false;
 }
 
@@ -14003,8 +15276,10 @@ function openCalendarPairingDetail(pairingId, sourceDateKey = null){
   document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
   calendarCreditDetailOpen = false;
   calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
   calendarTafbDetailOpen = false;
 }
 
@@ -14052,1057 +15327,2433 @@ function addCalendarManualFlightsToPairing({ pairingId, dateKey, flights } = {})
     if (!normalizedDateKey){
       throw new Error('Flight date must be YYYY-MM-DD.');
     }
-    flightDateKeys.add(normalizedDateKey);
-    if (!flightsByDate.has(normalizedDateKey)) flightsByDate.set(normalizedDateKey, []);
-    event.date = normalizedDateKey;
-    flightsByDate.get(normalizedDateKey).push(event);
+    flightDateKeys.add(normalizedDateKey);
+    if (!flightsByDate.has(normalizedDateKey)) flightsByDate.set(normalizedDateKey, []);
+    event.date = normalizedDateKey;
+    flightsByDate.get(normalizedDateKey).push(event);
+  });
+  const pairingDateKeys = Array.from(new Set([...pairingDays, ...flightDateKeys])).sort();
+  const expandedPairingDays = buildCalendarDateKeyRange(
+    pairingDateKeys[0],
+    pairingDateKeys[pairingDateKeys.length - 1]
+  );
+  expandedPairingDays.forEach((targetDateKey) => {
+    const existingDay = calendarState.eventsByDate?.[targetDateKey];
+    const existingPairingId = String(existingDay?.pairing?.pairingId || '').trim();
+    if (existingPairingId && existingPairingId !== pairingId){
+      throw new Error('That date already belongs to another pairing.');
+    }
+    const pairingNumber = String(existingDay?.pairing?.pairingNumber || '').trim() || pairingNumberFallback;
+    const nextDay = existingDay && typeof existingDay === 'object' ? existingDay : {};
+    if (!Array.isArray(nextDay.events)) nextDay.events = [];
+    if (!nextDay.pairing || typeof nextDay.pairing !== 'object'){
+      nextDay.pairing = { pairingId, pairingNumber, pairingDays: [] };
+    } else {
+      nextDay.pairing.pairingId = pairingId;
+      if (!nextDay.pairing.pairingNumber && pairingNumber){
+        nextDay.pairing.pairingNumber = pairingNumber;
+      }
+      if (!Array.isArray(nextDay.pairing.pairingDays)) nextDay.pairing.pairingDays = [];
+    }
+    nextDay.sourceMonthKey = typeof nextDay.sourceMonthKey === 'string'
+      ? nextDay.sourceMonthKey
+      : targetDateKey.slice(0, 7);
+    if (!nextDay.layover || typeof nextDay.layover !== 'object'){
+      nextDay.layover = { hotel: '', durationMinutes: null };
+    }
+    if (typeof nextDay.layover.hotel !== 'string') nextDay.layover.hotel = '';
+    if (!Number.isFinite(nextDay.layover.durationMinutes)) nextDay.layover.durationMinutes = null;
+    if (!Number.isFinite(nextDay.checkInMinutes)) nextDay.checkInMinutes = null;
+    if (!Number.isFinite(nextDay.checkOutMinutes)) nextDay.checkOutMinutes = null;
+    calendarState.eventsByDate[targetDateKey] = nextDay;
+  });
+  flightsByDate.forEach((events, targetDateKey) => {
+    const existingDay = calendarState.eventsByDate?.[targetDateKey];
+    const nextDay = existingDay && typeof existingDay === 'object' ? existingDay : {};
+    if (!Array.isArray(nextDay.events)) nextDay.events = [];
+    events.forEach((event) => {
+      event.pairingId = pairingId;
+      nextDay.events.push(event);
+    });
+    calendarState.eventsByDate[targetDateKey] = nextDay;
+  });
+  expandedPairingDays.forEach((targetDateKey) => {
+    const day = calendarState.eventsByDate?.[targetDateKey];
+    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
+    day.pairing.pairingDays = expandedPairingDays;
+  });
+  markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
+  const pairingFlights = getCalendarPairingEvents(pairingId);
+  applyManualPairingAutoCheckTimes({
+    pairingId,
+    pairingFlights,
+    pairingDays: expandedPairingDays,
+    eventsByDate: calendarState.eventsByDate
+  });
+  if (Number.isFinite(preservedCheckInMinutes)){
+    const expandedFirstDay = calendarState.eventsByDate?.[expandedPairingDays[0]];
+    if (expandedFirstDay){
+      expandedFirstDay.checkInMinutes = preservedCheckInMinutes;
+    }
+  }
+  const updatedBaseline = getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate);
+  if (!hasStoredOriginal
+    && originalBaseline?.hasCnxPp
+    && Number.isFinite(originalBaseline.lastFlightEndMs)
+    && Number.isFinite(updatedBaseline.lastFlightEndMs)
+    && updatedBaseline.lastFlightEndMs > originalBaseline.lastFlightEndMs
+  ){
+    setCalendarPairingOriginalTimes(pairingId, {
+      originalCheckInMs: originalBaseline.checkInMs,
+      originalLastFlightEndMs: originalBaseline.lastFlightEndMs,
+      originalCheckOutMs: originalBaseline.checkOutMs
+    }, calendarState.eventsByDate);
+  }
+  return { count: flights.length, pairingDays: expandedPairingDays };
+}
+
+function pruneCalendarEmptyPairingDay(dateKey){
+  const day = calendarState.eventsByDate?.[dateKey];
+  if (!day) return;
+  const hasEvents = Array.isArray(day.events) && day.events.length > 0;
+  const layover = day.layover;
+  const hasLayover = Boolean(layover)
+    && (Number.isFinite(layover?.durationMinutes) || (typeof layover?.hotel === 'string' && layover.hotel.trim()));
+  const hasPlaceholders = Boolean(day.checkoutPlaceholderFromDateKey)
+    || Boolean(layover?.placeholderFromDateKey);
+  const hasCheckTimes = Number.isFinite(day.checkInMinutes) || Number.isFinite(day.checkOutMinutes);
+  const hasOverrides = Number.isFinite(day.tafbMinutes)
+    || Number.isFinite(day.dpgMinutes)
+    || Number.isFinite(day.thgMinutes)
+    || Number.isFinite(day?.pairing?.tripCreditMinutes)
+    || Number.isFinite(day?.pairing?.tripTafbMinutes);
+  if (!hasEvents && !hasLayover && !hasPlaceholders && !hasCheckTimes && !hasOverrides){
+    delete calendarState.eventsByDate[dateKey];
+  }
+}
+
+function clearCalendarPairingPlaceholders(pairingId){
+  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!day || !day.pairing || day.pairing.pairingId !== pairingId) return;
+    const hasEvents = Array.isArray(day.events) && day.events.length > 0;
+    if (hasEvents) return;
+    if (day.checkoutPlaceholderFromDateKey){
+      delete day.checkoutPlaceholderFromDateKey;
+      if (!Number.isFinite(day.checkOutMinutes)) delete day.checkOutMinutes;
+    }
+    if (day.layover?.placeholderFromDateKey){
+      delete day.layover;
+    } else if (day.layover && !String(day.layover.hotel || '').trim()){
+      delete day.layover;
+    }
+    pruneCalendarEmptyPairingDay(dateKey);
+  });
+}
+
+function getCalendarPairingEvents(pairingId){
+  const events = [];
+  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
+    (day?.events || []).forEach((event) => {
+      if (isPairingMarkerEvent(event)) return;
+      const eventPairingId = getCalendarPairingIdForEvent(event, dateKey);
+      if (eventPairingId === pairingId){
+        events.push(event);
+      }
+    });
+  });
+  return events;
+}
+
+function markCalendarPairingManualEdited(pairingId, eventsByDate = calendarState.eventsByDate){
+  if (!pairingId || !eventsByDate) return false;
+  let updated = false;
+  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
+    if (!day.pairing.manualEdited){
+      day.pairing.manualEdited = true;
+      updated = true;
+    }
+    if (Number.isFinite(day.pairing.tripCreditMinutes)){
+      day.pairing.tripCreditMinutes = null;
+    }
+    if (Number.isFinite(day.pairing.tripTafbMinutes)){
+      day.pairing.tripTafbMinutes = null;
+    }
+    if (!day.sourceMonthKey && typeof dateKey === 'string' && dateKey.length >= 7){
+      day.sourceMonthKey = dateKey.slice(0, 7);
+    }
+  });
+  return updated;
+}
+
+function applyCalendarEventTimingUpdate(entry, { departureMinutes, arrivalMinutes, source } = {}){
+  if (!entry || !entry.event) return { updated: false, error: 'Event not found.' };
+  if (!Number.isFinite(departureMinutes) || !Number.isFinite(arrivalMinutes)){
+    return { updated: false, error: 'Enter departure and arrival times.' };
+  }
+  const event = entry.event;
+  const dateKey = entry.dateKey;
+  ensureCalendarEventOriginalTimes(event, dateKey);
+  const pairingId = getCalendarPairingIdForEvent(event, dateKey);
+  if (pairingId){
+    ensureCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate);
+  }
+  const originalBaseline = pairingId
+    ? getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate)
+    : null;
+  const existingOriginalTimes = pairingId
+    ? getCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate)
+    : { originalCheckInMs: null, originalLastFlightEndMs: null, originalCheckOutMs: null };
+
+  event.departureMinutes = departureMinutes;
+  event.arrivalMinutes = arrivalMinutes;
+  if (Array.isArray(event?.segments) && event.segments.length){
+    const firstSeg = event.segments[0];
+    if (firstSeg && typeof firstSeg === 'object'){
+      firstSeg.departureMinutes = departureMinutes;
+    }
+    const lastSeg = event.segments[event.segments.length - 1];
+    if (lastSeg && typeof lastSeg === 'object'){
+      lastSeg.arrivalMinutes = arrivalMinutes;
+    }
+  }
+  if (source){
+    event.timeSource = source;
+  }
+  const overnightMinutes = arrivalMinutes < departureMinutes ? arrivalMinutes + 1440 : arrivalMinutes;
+  const localBlockMinutes = Math.max(0, overnightMinutes - departureMinutes);
+  const tzBlockMinutes = computeCalendarEventBlockMinutes(event, dateKey);
+  event.blockMinutes = Number.isFinite(tzBlockMinutes) ? tzBlockMinutes : localBlockMinutes;
+  event.creditMinutes = getCalendarEventBaseCreditMinutes(event, dateKey);
+
+  if (pairingId){
+    const pairingDaysBeforeUpdate = getCalendarPairingDaysFromEvents(calendarState.eventsByDate, pairingId);
+    const preservedCheckInMinutes = Number.isFinite(
+      calendarState.eventsByDate?.[pairingDaysBeforeUpdate[0]]?.checkInMinutes
+    )
+      ? calendarState.eventsByDate[pairingDaysBeforeUpdate[0]].checkInMinutes
+      : null;
+    markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
+    const autoTimes = computeAutoCheckTimesForPairing(pairingId, calendarState.eventsByDate);
+    if (autoTimes){
+      const firstDay = calendarState.eventsByDate?.[autoTimes.firstDayKey];
+      const lastDay = calendarState.eventsByDate?.[autoTimes.lastDayKey];
+      if (firstDay){
+        firstDay.checkInMinutes = Number.isFinite(preservedCheckInMinutes)
+          ? preservedCheckInMinutes
+          : autoTimes.checkInMinutes;
+      }
+      if (lastDay){
+        lastDay.checkOutMinutes = autoTimes.checkOutMinutes;
+      }
+    }
+    recomputeCalendarPairingLayovers(pairingId, calendarState.eventsByDate);
+    recomputeCalendarBlockGrowthForPairing(pairingId, calendarState.eventsByDate);
+    recomputeCalendarPairingMetricsForPairing(pairingId, calendarState.eventsByDate);
+    const hasStoredOriginal = Number.isFinite(existingOriginalTimes.originalCheckInMs)
+      || Number.isFinite(existingOriginalTimes.originalLastFlightEndMs)
+      || Number.isFinite(existingOriginalTimes.originalCheckOutMs);
+    const updatedBaseline = getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate);
+    if (!hasStoredOriginal
+      && originalBaseline?.hasCnxPp
+      && Number.isFinite(originalBaseline.lastFlightEndMs)
+      && Number.isFinite(updatedBaseline?.lastFlightEndMs)
+      && updatedBaseline.lastFlightEndMs > originalBaseline.lastFlightEndMs
+    ){
+      setCalendarPairingOriginalTimes(pairingId, {
+        originalCheckInMs: originalBaseline.checkInMs,
+        originalLastFlightEndMs: originalBaseline.lastFlightEndMs,
+        originalCheckOutMs: originalBaseline.checkOutMs
+      }, calendarState.eventsByDate);
+    }
+  } else {
+    recomputeCalendarBlockGrowthForDate(dateKey, calendarState.eventsByDate);
+  }
+  return { updated: true, pairingId };
+}
+
+function rebuildCalendarPairingDaysFromFlights(pairingId, eventsByDate = calendarState.eventsByDate){
+  if (!pairingId || !eventsByDate) return [];
+  const flightDateKeys = [];
+  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+    (day?.events || []).forEach((event) => {
+      if (getCalendarPairingIdForEvent(event, dateKey) === pairingId){
+        flightDateKeys.push(dateKey);
+      }
+    });
   });
-  const pairingDateKeys = Array.from(new Set([...pairingDays, ...flightDateKeys])).sort();
-  const expandedPairingDays = buildCalendarDateKeyRange(
-    pairingDateKeys[0],
-    pairingDateKeys[pairingDateKeys.length - 1]
+  const uniqueFlightDates = Array.from(new Set(flightDateKeys)).sort();
+  if (!uniqueFlightDates.length) return [];
+  const existingPairingDays = getCalendarPairingDaysFromEvents(eventsByDate, pairingId);
+  const pairingNumber = existingPairingDays
+    .map(dateKey => eventsByDate?.[dateKey]?.pairing?.pairingNumber)
+    .map(value => String(value || '').trim())
+    .find(Boolean) || '';
+  const pairingDays = buildCalendarDateKeyRange(
+    uniqueFlightDates[0],
+    uniqueFlightDates[uniqueFlightDates.length - 1]
   );
-  expandedPairingDays.forEach((targetDateKey) => {
-    const existingDay = calendarState.eventsByDate?.[targetDateKey];
-    const existingPairingId = String(existingDay?.pairing?.pairingId || '').trim();
-    if (existingPairingId && existingPairingId !== pairingId){
-      throw new Error('That date already belongs to another pairing.');
+  const pairingDaySet = new Set(pairingDays);
+  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
+    if (pairingDaySet.has(dateKey)) return;
+    delete day.pairing;
+    delete day.checkInMinutes;
+    delete day.checkOutMinutes;
+    delete day.checkoutPlaceholderFromDateKey;
+    if (day.layover?.placeholderFromDateKey || !String(day.layover?.hotel || '').trim()){
+      delete day.layover;
     }
-    const pairingNumber = String(existingDay?.pairing?.pairingNumber || '').trim() || pairingNumberFallback;
+    pruneCalendarEmptyPairingDay(dateKey);
+  });
+  pairingDays.forEach((dateKey) => {
+    const existingDay = eventsByDate?.[dateKey];
     const nextDay = existingDay && typeof existingDay === 'object' ? existingDay : {};
     if (!Array.isArray(nextDay.events)) nextDay.events = [];
-    if (!nextDay.pairing || typeof nextDay.pairing !== 'object'){
-      nextDay.pairing = { pairingId, pairingNumber, pairingDays: [] };
+    const existingPairing = nextDay.pairing && typeof nextDay.pairing === 'object'
+      ? nextDay.pairing
+      : null;
+    if (!existingPairing || existingPairing.pairingId !== pairingId){
+      nextDay.pairing = {
+        pairingId,
+        pairingNumber: existingPairing?.pairingNumber || pairingNumber || '',
+        pairingDays: []
+      };
     } else {
-      nextDay.pairing.pairingId = pairingId;
-      if (!nextDay.pairing.pairingNumber && pairingNumber){
-        nextDay.pairing.pairingNumber = pairingNumber;
+      existingPairing.pairingId = pairingId;
+      if (!existingPairing.pairingNumber && pairingNumber){
+        existingPairing.pairingNumber = pairingNumber;
+      }
+      if (!Array.isArray(existingPairing.pairingDays)){
+        existingPairing.pairingDays = [];
       }
-      if (!Array.isArray(nextDay.pairing.pairingDays)) nextDay.pairing.pairingDays = [];
     }
-    nextDay.sourceMonthKey = typeof nextDay.sourceMonthKey === 'string'
-      ? nextDay.sourceMonthKey
-      : targetDateKey.slice(0, 7);
-    if (!nextDay.layover || typeof nextDay.layover !== 'object'){
-      nextDay.layover = { hotel: '', durationMinutes: null };
+    if (!nextDay.sourceMonthKey && typeof dateKey === 'string' && dateKey.length >= 7){
+      nextDay.sourceMonthKey = dateKey.slice(0, 7);
     }
-    if (typeof nextDay.layover.hotel !== 'string') nextDay.layover.hotel = '';
-    if (!Number.isFinite(nextDay.layover.durationMinutes)) nextDay.layover.durationMinutes = null;
-    if (!Number.isFinite(nextDay.checkInMinutes)) nextDay.checkInMinutes = null;
-    if (!Number.isFinite(nextDay.checkOutMinutes)) nextDay.checkOutMinutes = null;
-    calendarState.eventsByDate[targetDateKey] = nextDay;
-  });
-  flightsByDate.forEach((events, targetDateKey) => {
-    const existingDay = calendarState.eventsByDate?.[targetDateKey];
-    const nextDay = existingDay && typeof existingDay === 'object' ? existingDay : {};
-    if (!Array.isArray(nextDay.events)) nextDay.events = [];
-    events.forEach((event) => {
-      event.pairingId = pairingId;
-      nextDay.events.push(event);
-    });
-    calendarState.eventsByDate[targetDateKey] = nextDay;
+    eventsByDate[dateKey] = nextDay;
   });
-  expandedPairingDays.forEach((targetDateKey) => {
-    const day = calendarState.eventsByDate?.[targetDateKey];
-    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
-    day.pairing.pairingDays = expandedPairingDays;
+  pairingDays.forEach((dateKey) => {
+    const day = eventsByDate?.[dateKey];
+    if (day?.pairing?.pairingId === pairingId){
+      day.pairing.pairingDays = pairingDays;
+    }
   });
-  markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
-  const pairingFlights = getCalendarPairingEvents(pairingId);
-  applyManualPairingAutoCheckTimes({
-    pairingId,
-    pairingFlights,
-    pairingDays: expandedPairingDays,
-    eventsByDate: calendarState.eventsByDate
+  return pairingDays;
+}
+
+function deleteCalendarPairingFlight(eventId){
+  const entry = findCalendarEventById(eventId);
+  if (!entry) return { error: 'Flight not found.' };
+  const pairingId = getCalendarPairingIdForEvent(entry.event, entry.dateKey);
+  if (pairingId){
+    ensureCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate);
+  }
+  const day = calendarState.eventsByDate?.[entry.dateKey];
+  if (!day || !Array.isArray(day.events)) return { error: 'Flight not found.' };
+  day.events = day.events.filter(event => event?.id !== eventId);
+  if (!day.events.length) delete day.events;
+  pruneCalendarEmptyPairingDay(entry.dateKey);
+  if (pairingId){
+    markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
+    clearCalendarPairingPlaceholders(pairingId);
+    const pairingDays = rebuildCalendarPairingDaysFromFlights(pairingId, calendarState.eventsByDate);
+    if (!pairingDays.length){
+      return deleteCalendarPairing(pairingId);
+    }
+    recomputeCalendarPairingLayovers(pairingId, calendarState.eventsByDate);
+    getCalendarPairingDaysFromEvents(calendarState.eventsByDate, pairingId).forEach((dateKey) => {
+      pruneCalendarEmptyPairingDay(dateKey);
+    });
+    updateCalendarPairingMetrics(calendarState.eventsByDate);
+  }
+  calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
+  saveCalendarState();
+  renderCalendarIfVisible();
+  refreshCalendarPairingDetail();
+  refreshCalendarCreditDetail();
+  refreshCalendarTafbDetail();
+  refreshCalendarDayDetail();
+  return { pairingId };
+}
+
+function deleteCalendarPairing(pairingId){
+  if (!pairingId) return { error: 'Pairing not found.' };
+  const pairingDays = getCalendarPairingDays(pairingId);
+  const pairingDaySet = new Set(pairingDays);
+  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!day || typeof day !== 'object') return;
+    const dayPairingId = String(day?.pairing?.pairingId || '').trim();
+    if (Array.isArray(day.events)){
+      const remainingEvents = day.events.filter(
+        (event) => getCalendarPairingIdForEvent(event, dateKey) !== pairingId
+      );
+      if (remainingEvents.length !== day.events.length){
+        day.events = remainingEvents;
+      }
+      if (!day.events.length) delete day.events;
+    }
+    if (pairingDaySet.has(dateKey)){
+      delete day.checkInMinutes;
+      delete day.checkOutMinutes;
+      delete day.checkoutPlaceholderFromDateKey;
+      if (day.layover?.placeholderFromDateKey){
+        delete day.layover;
+      }
+      delete day.tafbMinutes;
+      delete day.dpgMinutes;
+      delete day.thgMinutes;
+    }
+    if (dayPairingId === pairingId || (!dayPairingId && pairingDaySet.has(dateKey))){
+      delete day.pairing;
+    }
+    pruneCalendarEmptyPairingDay(dateKey);
   });
-  if (Number.isFinite(preservedCheckInMinutes)){
-    const expandedFirstDay = calendarState.eventsByDate?.[expandedPairingDays[0]];
-    if (expandedFirstDay){
-      expandedFirstDay.checkInMinutes = preservedCheckInMinutes;
+  const remainingPairingDates = Object.entries(calendarState.eventsByDate || {})
+    .filter(([dateKey, day]) => {
+      if (!day || typeof day !== 'object') return false;
+      const dayPairingId = String(day?.pairing?.pairingId || '').trim();
+      if (dayPairingId === pairingId) return true;
+      if (!Array.isArray(day.events)) return false;
+      return day.events.some((event) => getCalendarPairingIdForEvent(event, dateKey) === pairingId);
+    })
+    .map(([dateKey]) => dateKey);
+  if (remainingPairingDates.length){
+    console.warn(
+      'Calendar pairing delete still present in eventsByDate',
+      pairingId,
+      remainingPairingDates
+    );
+  }
+  clearCalendarPairingPlaceholders(pairingId);
+  updateCalendarPairingMetrics(calendarState.eventsByDate);
+  calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
+  saveCalendarState({ bumpUpdatedAt: true });
+  if (getCalendarSyncToken() && getCalendarSyncEndpoint()){
+    if (navigator?.onLine === false){
+      triggerCalendarAutoSync();
+    } else {
+      syncCalendarToCloud()
+        .then((result) => {
+          if (result?.statusMessage){
+            setCalendarStatus(result.statusMessage);
+          }
+        })
+        .catch((err) => {
+          console.warn('Calendar sync after delete failed', err);
+          setCalendarStatus(`Sync error: ${err?.message || 'Sync failed.'}`);
+        });
     }
   }
-  const updatedBaseline = getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate);
-  if (!hasStoredOriginal
-    && originalBaseline?.hasCnxPp
-    && Number.isFinite(originalBaseline.lastFlightEndMs)
-    && Number.isFinite(updatedBaseline.lastFlightEndMs)
-    && updatedBaseline.lastFlightEndMs > originalBaseline.lastFlightEndMs
-  ){
-    setCalendarPairingOriginalTimes(pairingId, {
-      originalCheckInMs: originalBaseline.checkInMs,
-      originalLastFlightEndMs: originalBaseline.lastFlightEndMs,
-      originalCheckOutMs: originalBaseline.checkOutMs
-    }, calendarState.eventsByDate);
+  renderCalendarIfVisible();
+  refreshCalendarPairingDetail();
+  refreshCalendarCreditDetail();
+  refreshCalendarTafbDetail();
+  refreshCalendarDayDetail();
+  return { pairingId, pairingDays };
+}
+
+function refreshCalendarPairingDetailForEvent(eventId){
+  let pairingUpdated = false;
+  if (eventId){
+    const entry = findCalendarEventById(eventId);
+    const pairingId = entry ? getCalendarPairingIdForEvent(entry.event, entry.dateKey) : '';
+    const pairingDays = pairingId ? getCalendarPairingDays(pairingId) : [];
+    if (pairingDays.length){
+      const scopedEventsByDate = {};
+      pairingDays.forEach((dateKey) => {
+        const day = calendarState.eventsByDate?.[dateKey];
+        if (day) scopedEventsByDate[dateKey] = day;
+      });
+      if (Object.keys(scopedEventsByDate).length){
+        updateCalendarPairingMetrics(scopedEventsByDate);
+        Object.entries(scopedEventsByDate).forEach(([dateKey, day]) => {
+          if (!calendarState.eventsByDate[dateKey]) calendarState.eventsByDate[dateKey] = day;
+        });
+        pairingUpdated = true;
+      }
+    }
   }
-  return { count: flights.length, pairingDays: expandedPairingDays };
+  if (!pairingUpdated){
+    updateCalendarPairingMetrics(calendarState.eventsByDate);
+  }
+  refreshCalendarPairingDetail();
+  return pairingUpdated;
 }
 
-function pruneCalendarEmptyPairingDay(dateKey){
-  const day = calendarState.eventsByDate?.[dateKey];
-  if (!day) return;
-  const hasEvents = Array.isArray(day.events) && day.events.length > 0;
-  const layover = day.layover;
-  const hasLayover = Boolean(layover)
-    && (Number.isFinite(layover?.durationMinutes) || (typeof layover?.hotel === 'string' && layover.hotel.trim()));
-  const hasPlaceholders = Boolean(day.checkoutPlaceholderFromDateKey)
-    || Boolean(layover?.placeholderFromDateKey);
-  const hasCheckTimes = Number.isFinite(day.checkInMinutes) || Number.isFinite(day.checkOutMinutes);
-  const hasOverrides = Number.isFinite(day.tafbMinutes)
-    || Number.isFinite(day.dpgMinutes)
-    || Number.isFinite(day.thgMinutes)
-    || Number.isFinite(day?.pairing?.tripCreditMinutes)
-    || Number.isFinite(day?.pairing?.tripTafbMinutes);
-  if (!hasEvents && !hasLayover && !hasPlaceholders && !hasCheckTimes && !hasOverrides){
-    delete calendarState.eventsByDate[dateKey];
-  }
+function openCalendarDayDetail(dateKey){
+  const detailEl = document.getElementById('modern-calendar-day-detail');
+  const mainEl = document.getElementById('modern-calendar-main');
+  if (!detailEl || !dateKey) return;
+  calendarDayDetailDateKey = dateKey;
+  renderCalendarDayDetail(dateKey);
+  mainEl?.classList.add('hidden');
+  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
+  calendarCreditDetailOpen = false;
+  calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
+  calendarTafbDetailOpen = false;
+  detailEl.classList.remove('hidden');
 }
 
-function clearCalendarPairingPlaceholders(pairingId){
-  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
-    if (!day || !day.pairing || day.pairing.pairingId !== pairingId) return;
-    const hasEvents = Array.isArray(day.events) && day.events.length > 0;
-    if (hasEvents) return;
-    if (day.checkoutPlaceholderFromDateKey){
-      delete day.checkoutPlaceholderFromDateKey;
-      if (!Number.isFinite(day.checkOutMinutes)) delete day.checkOutMinutes;
-    }
-    if (day.layover?.placeholderFromDateKey){
-      delete day.layover;
-    } else if (day.layover && !String(day.layover.hotel || '').trim()){
-      delete day.layover;
-    }
-    pruneCalendarEmptyPairingDay(dateKey);
-  });
+function closeCalendarDayDetail(){
+  const detailEl = document.getElementById('modern-calendar-day-detail');
+  if (detailEl) detailEl.classList.add('hidden');
+  if (calendarPairingId){
+    document.getElementById('modern-calendar-pairing-detail')?.classList.remove('hidden');
+  } else {
+    document.getElementById('modern-calendar-main')?.classList.remove('hidden');
+  }
+  calendarDayDetailDateKey = null;
+  flushCalendarRenderIfNeeded();
 }
 
-function getCalendarPairingEvents(pairingId){
-  const events = [];
-  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
-    (day?.events || []).forEach((event) => {
-      if (isPairingMarkerEvent(event)) return;
-      const eventPairingId = getCalendarPairingIdForEvent(event, dateKey);
-      if (eventPairingId === pairingId){
-        events.push(event);
-      }
-    });
-  });
-  return events;
+function refreshCalendarDayDetail(){
+  if (!calendarDayDetailDateKey) return;
+  renderCalendarDayDetail(calendarDayDetailDateKey);
 }
 
-function markCalendarPairingManualEdited(pairingId, eventsByDate = calendarState.eventsByDate){
-  if (!pairingId || !eventsByDate) return false;
-  let updated = false;
-  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
-    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
-    if (!day.pairing.manualEdited){
-      day.pairing.manualEdited = true;
-      updated = true;
-    }
-    if (Number.isFinite(day.pairing.tripCreditMinutes)){
-      day.pairing.tripCreditMinutes = null;
-    }
-    if (Number.isFinite(day.pairing.tripTafbMinutes)){
-      day.pairing.tripTafbMinutes = null;
-    }
-    if (!day.sourceMonthKey && typeof dateKey === 'string' && dateKey.length >= 7){
-      day.sourceMonthKey = dateKey.slice(0, 7);
-    }
-  });
-  return updated;
+function getCalendarVacationCreditKey(monthKey){
+  const normalized = normalizeCalendarMonthKey(monthKey);
+  if (!normalized) return null;
+  return `${CALENDAR_VACATION_CREDIT_KEY_PREFIX}${normalized}`;
 }
 
-function applyCalendarEventTimingUpdate(entry, { departureMinutes, arrivalMinutes, source } = {}){
-  if (!entry || !entry.event) return { updated: false, error: 'Event not found.' };
-  if (!Number.isFinite(departureMinutes) || !Number.isFinite(arrivalMinutes)){
-    return { updated: false, error: 'Enter departure and arrival times.' };
-  }
-  const event = entry.event;
-  const dateKey = entry.dateKey;
-  ensureCalendarEventOriginalTimes(event, dateKey);
-  const pairingId = getCalendarPairingIdForEvent(event, dateKey);
-  if (pairingId){
-    ensureCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate);
+function getCalendarVacationCreditMinutes(monthKey){
+  const key = getCalendarVacationCreditKey(monthKey);
+  if (!key) return 0;
+  try {
+    const stored = localStorage.getItem(key);
+    if (!stored) return 0;
+    const minutes = Number(stored);
+    if (!Number.isFinite(minutes) || minutes < 0) return 0;
+    return Math.round(minutes);
+  } catch (err){
+    console.warn('Failed to read vacation credit', err);
   }
-  const originalBaseline = pairingId
-    ? getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate)
-    : null;
-  const existingOriginalTimes = pairingId
-    ? getCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate)
-    : { originalCheckInMs: null, originalLastFlightEndMs: null, originalCheckOutMs: null };
+  return 0;
+}
 
-  event.departureMinutes = departureMinutes;
-  event.arrivalMinutes = arrivalMinutes;
-  if (Array.isArray(event?.segments) && event.segments.length){
-    const firstSeg = event.segments[0];
-    if (firstSeg && typeof firstSeg === 'object'){
-      firstSeg.departureMinutes = departureMinutes;
-    }
-    const lastSeg = event.segments[event.segments.length - 1];
-    if (lastSeg && typeof lastSeg === 'object'){
-      lastSeg.arrivalMinutes = arrivalMinutes;
+function setCalendarVacationCreditMinutes(monthKey, minutes){
+  const key = getCalendarVacationCreditKey(monthKey);
+  if (!key) return;
+  try {
+    if (!Number.isFinite(minutes) || minutes <= 0){
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, String(Math.round(minutes)));
     }
+  } catch (err){
+    console.warn('Failed to save vacation credit', err);
   }
-  if (source){
-    event.timeSource = source;
+  // Vacation credit travels with the synced calendar, so it counts as a schedule change.
+  saveCalendarState();
+}
+
+function getCurrentPayRateInputs(){
+  const fallback = getAnnualParams(true);
+  if (currentModernSubTab === 'modern-monthly'){
+    return {
+      seat: document.getElementById('modern-mon-seat')?.value ?? fallback.seat,
+      ac: document.getElementById('modern-mon-ac')?.value ?? fallback.ac,
+      year: +document.getElementById('modern-mon-year')?.value || fallback.year,
+      stepInput: +document.getElementById('modern-mon-step')?.value || fallback.stepInput,
+      tieOn: document.getElementById('modern-mon-tie')?.checked ?? fallback.tieOn,
+      xlrOn: document.getElementById('modern-mon-xlr')?.checked ?? fallback.xlrOn
+    };
   }
-  const overnightMinutes = arrivalMinutes < departureMinutes ? arrivalMinutes + 1440 : arrivalMinutes;
-  const localBlockMinutes = Math.max(0, overnightMinutes - departureMinutes);
-  const tzBlockMinutes = computeCalendarEventBlockMinutes(event, dateKey);
-  event.blockMinutes = Number.isFinite(tzBlockMinutes) ? tzBlockMinutes : localBlockMinutes;
-  event.creditMinutes = getCalendarEventBaseCreditMinutes(event, dateKey);
+  if (currentModernSubTab === 'modern-vo'){
+    return {
+      seat: document.getElementById('modern-ot-seat')?.value ?? fallback.seat,
+      ac: document.getElementById('modern-ot-ac')?.value ?? fallback.ac,
+      year: +document.getElementById('modern-ot-year')?.value || fallback.year,
+      stepInput: +document.getElementById('modern-ot-step')?.value || fallback.stepInput,
+      tieOn: document.getElementById('modern-ot-tie')?.checked ?? fallback.tieOn,
+      xlrOn: document.getElementById('modern-ot-xlr')?.checked ?? fallback.xlrOn
+    };
+  }
+  return {
+    seat: fallback.seat,
+    ac: fallback.ac,
+    year: fallback.year,
+    stepInput: fallback.stepInput,
+    tieOn: fallback.tieOn,
+    xlrOn: fallback.xlrOn
+  };
+}
 
-  if (pairingId){
-    const pairingDaysBeforeUpdate = getCalendarPairingDaysFromEvents(calendarState.eventsByDate, pairingId);
-    const preservedCheckInMinutes = Number.isFinite(
-      calendarState.eventsByDate?.[pairingDaysBeforeUpdate[0]]?.checkInMinutes
-    )
-      ? calendarState.eventsByDate[pairingDaysBeforeUpdate[0]].checkInMinutes
-      : null;
-    markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
-    const autoTimes = computeAutoCheckTimesForPairing(pairingId, calendarState.eventsByDate);
-    if (autoTimes){
-      const firstDay = calendarState.eventsByDate?.[autoTimes.firstDayKey];
-      const lastDay = calendarState.eventsByDate?.[autoTimes.lastDayKey];
-      if (firstDay){
-        firstDay.checkInMinutes = Number.isFinite(preservedCheckInMinutes)
-          ? preservedCheckInMinutes
-          : autoTimes.checkInMinutes;
-      }
-      if (lastDay){
-        lastDay.checkOutMinutes = autoTimes.checkOutMinutes;
-      }
-    }
-    recomputeCalendarPairingLayovers(pairingId, calendarState.eventsByDate);
-    recomputeCalendarBlockGrowthForPairing(pairingId, calendarState.eventsByDate);
-    recomputeCalendarPairingMetricsForPairing(pairingId, calendarState.eventsByDate);
-    const hasStoredOriginal = Number.isFinite(existingOriginalTimes.originalCheckInMs)
-      || Number.isFinite(existingOriginalTimes.originalLastFlightEndMs)
-      || Number.isFinite(existingOriginalTimes.originalCheckOutMs);
-    const updatedBaseline = getCalendarPairingBaselineSnapshot(pairingId, calendarState.eventsByDate);
-    if (!hasStoredOriginal
-      && originalBaseline?.hasCnxPp
-      && Number.isFinite(originalBaseline.lastFlightEndMs)
-      && Number.isFinite(updatedBaseline?.lastFlightEndMs)
-      && updatedBaseline.lastFlightEndMs > originalBaseline.lastFlightEndMs
-    ){
-      setCalendarPairingOriginalTimes(pairingId, {
-        originalCheckInMs: originalBaseline.checkInMs,
-        originalLastFlightEndMs: originalBaseline.lastFlightEndMs,
-        originalCheckOutMs: originalBaseline.checkOutMs
-      }, calendarState.eventsByDate);
-    }
-  } else {
-    recomputeCalendarBlockGrowthForDate(dateKey, calendarState.eventsByDate);
+function getCurrentPayRate(){
+  const params = getCurrentPayRateInputs();
+  const year = Number(params.year);
+  const stepInput = Number(params.stepInput);
+  if (!params.seat || !params.ac || !Number.isFinite(year) || !Number.isFinite(stepInput)) return null;
+  const step = params.tieOn ? stepOnJan1(stepInput, true, year) : clampStep(stepInput);
+  const rate = rateFor(params.seat, params.ac, year, step, !!params.xlrOn);
+  if (!Number.isFinite(rate)) return null;
+  return { rate, step, year };
+}
+
+function getCalendarCreditRate(today = new Date()){
+  const profile = getPilotProfile();
+  const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const cutoff = new Date(today.getFullYear(), SWITCH.m - 1, SWITCH.d);
+  const year = todayDate <= cutoff ? today.getFullYear() - 1 : today.getFullYear();
+  const step = getPilotStepOnDate(todayDate, profile);
+  let rate;
+  try {
+    rate = rateFor(profile.seat, profile.fleet, year, step, profile.xlr);
+  } catch (err){
+    // No pay table (or rule packs not loaded yet): show no credit value.
+    return null;
   }
-  return { updated: true, pairingId };
+  if (!Number.isFinite(rate)) return null;
+  return { rate, step, year, seat: profile.seat, ac: profile.fleet, xlr: profile.xlr };
 }
 
-function rebuildCalendarPairingDaysFromFlights(pairingId, eventsByDate = calendarState.eventsByDate){
-  if (!pairingId || !eventsByDate) return [];
-  const flightDateKeys = [];
-  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+function buildCalendarCreditValueTooltip(rateInfo){
+  const base = INFO_COPY.calendar.creditValue;
+  if (!rateInfo || !Number.isFinite(rateInfo.rate)) return base;
+  const xlrNote = rateInfo.xlr && rateInfo.ac === '320' ? ', XLR' : '';
+  return `${base} Using ${rateInfo.ac} ${rateInfo.seat} Step ${rateInfo.step} (${rateInfo.year} pay year${xlrNote}) at ${money(rateInfo.rate)}/hr.`;
+}
+
+function getCalendarTafbTotalMinutes(monthKey){
+  return getCalendarMonthlyTafbMinutes(monthKey);
+}
+
+function renderCalendarTafbDetail(){
+  const titleEl = document.getElementById('calendar-tafb-detail-title');
+  const infoEl = document.getElementById('calendar-tafb-detail-info');
+  const statusEl = document.getElementById('calendar-tafb-detail-status');
+  if (!titleEl || !infoEl) return;
+  const monthKey = calendarState.selectedMonth;
+  if (!monthKey){
+    titleEl.textContent = 'TAFB detail';
+    infoEl.innerHTML = '';
+    if (statusEl) statusEl.textContent = 'No month selected.';
+    return;
+  }
+  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} TAFB`;
+  const totalMinutes = getCalendarTafbTotalMinutes(monthKey);
+  const tafbRate = 5.427;
+  const tafbValue = (totalMinutes / 60) * tafbRate;
+  const blocks = [
+    { label: 'Total TAFB', value: formatDurationMinutes(totalMinutes) },
+    { label: labelWithInfo('TAFB value', INFO_COPY.calendar.tafbValue), value: money(tafbValue), labelIsHtml: true }
+  ];
+  infoEl.innerHTML = `<div class="simple">${blocks
+    .map((block) => {
+      const label = block.labelIsHtml ? block.label : escapeHtml(block.label);
+      return `<div class="block"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></div>`;
+    })
+    .join('')}</div>`;
+  if (statusEl) statusEl.textContent = '';
+}
+
+function renderCalendarCreditDetail(){
+  const titleEl = document.getElementById('calendar-credit-detail-title');
+  const infoEl = document.getElementById('calendar-credit-detail-info');
+  const statusEl = document.getElementById('calendar-credit-detail-status');
+  const vacationInput = document.getElementById('calendar-vacation-credit');
+  if (!titleEl || !infoEl) return;
+  const monthKey = calendarState.selectedMonth;
+  if (!monthKey){
+    titleEl.textContent = 'Credit detail';
+    infoEl.innerHTML = '';
+    if (vacationInput) vacationInput.value = '';
+    if (statusEl) statusEl.textContent = 'No month selected.';
+    renderCalendarCreditProjection();
+    return;
+  }
+  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} credit`;
+  const prefix = `${monthKey}-`;
+  const range = getCalendarBlockMonthRangeForMonth(monthKey);
+  const baseCreditMinutes = getCalendarMonthlyCreditMinutes(monthKey);
+  let ppCreditMinutes = 0;
+  let lostCreditMinutes = 0;
+  let blockGrowthMinutes = 0;
+  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!dateKey.startsWith(prefix)) return;
+    if (range && !isCalendarDateKeyInRange(dateKey, range)) return;
     (day?.events || []).forEach((event) => {
-      if (getCalendarPairingIdForEvent(event, dateKey) === pairingId){
-        flightDateKeys.push(dateKey);
+      const creditTotal = getCalendarEventCreditTotal(event, dateKey);
+      if (event?.cancellation === 'CNX PP' && creditTotal){
+        ppCreditMinutes += creditTotal;
+      } else if (event?.cancellation === 'CNX' && creditTotal){
+        lostCreditMinutes += creditTotal;
       }
+      blockGrowthMinutes += getCalendarEventBlockGrowth(event);
     });
   });
-  const uniqueFlightDates = Array.from(new Set(flightDateKeys)).sort();
-  if (!uniqueFlightDates.length) return [];
-  const existingPairingDays = getCalendarPairingDaysFromEvents(eventsByDate, pairingId);
-  const pairingNumber = existingPairingDays
-    .map(dateKey => eventsByDate?.[dateKey]?.pairing?.pairingNumber)
-    .map(value => String(value || '').trim())
-    .find(Boolean) || '';
-  const pairingDays = buildCalendarDateKeyRange(
-    uniqueFlightDates[0],
-    uniqueFlightDates[uniqueFlightDates.length - 1]
-  );
-  const pairingDaySet = new Set(pairingDays);
-  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
-    if (!day?.pairing || day.pairing.pairingId !== pairingId) return;
-    if (pairingDaySet.has(dateKey)) return;
-    delete day.pairing;
-    delete day.checkInMinutes;
-    delete day.checkOutMinutes;
-    delete day.checkoutPlaceholderFromDateKey;
-    if (day.layover?.placeholderFromDateKey || !String(day.layover?.hotel || '').trim()){
-      delete day.layover;
-    }
-    pruneCalendarEmptyPairingDay(dateKey);
-  });
-  pairingDays.forEach((dateKey) => {
-    const existingDay = eventsByDate?.[dateKey];
-    const nextDay = existingDay && typeof existingDay === 'object' ? existingDay : {};
-    if (!Array.isArray(nextDay.events)) nextDay.events = [];
-    const existingPairing = nextDay.pairing && typeof nextDay.pairing === 'object'
-      ? nextDay.pairing
-      : null;
-    if (!existingPairing || existingPairing.pairingId !== pairingId){
-      nextDay.pairing = {
-        pairingId,
-        pairingNumber: existingPairing?.pairingNumber || pairingNumber || '',
-        pairingDays: []
-      };
-    } else {
-      existingPairing.pairingId = pairingId;
-      if (!existingPairing.pairingNumber && pairingNumber){
-        existingPairing.pairingNumber = pairingNumber;
-      }
-      if (!Array.isArray(existingPairing.pairingDays)){
-        existingPairing.pairingDays = [];
+  const vacationMinutes = getCalendarVacationCreditMinutes(monthKey);
+  const totalWithVacation = baseCreditMinutes + vacationMinutes;
+  const currentRate = getCalendarCreditRate();
+  const creditValue = currentRate ? (totalWithVacation / 60) * currentRate.rate : null;
+  const creditValueTooltip = buildCalendarCreditValueTooltip(currentRate);
+  const blocks = [
+    { label: 'Total credit', value: formatDurationMinutes(totalWithVacation) },
+    { label: labelWithInfo('Credit value', creditValueTooltip), value: Number.isFinite(creditValue) ? money(creditValue) : '—', labelIsHtml: true },
+    { label: 'PP credit (CNX PP)', value: formatDurationMinutes(ppCreditMinutes) },
+    { label: 'Lost credit (CNX)', value: formatDurationMinutes(lostCreditMinutes) },
+    { label: 'Vacation credit', value: formatDurationMinutes(vacationMinutes) },
+    { label: 'Block growth', value: formatDurationMinutes(blockGrowthMinutes), action: 'block-growth' }
+  ];
+  infoEl.innerHTML = `<div class="simple">${blocks
+    .map((block) => {
+      const label = block.labelIsHtml ? block.label : escapeHtml(block.label);
+      if (block.action === 'block-growth'){
+        return `<button class="block actionable" type="button" data-open-block-growth-detail="true"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></button>`;
       }
-    }
-    if (!nextDay.sourceMonthKey && typeof dateKey === 'string' && dateKey.length >= 7){
-      nextDay.sourceMonthKey = dateKey.slice(0, 7);
-    }
-    eventsByDate[dateKey] = nextDay;
-  });
-  pairingDays.forEach((dateKey) => {
-    const day = eventsByDate?.[dateKey];
-    if (day?.pairing?.pairingId === pairingId){
-      day.pairing.pairingDays = pairingDays;
-    }
-  });
-  return pairingDays;
-}
-
-function deleteCalendarPairingFlight(eventId){
-  const entry = findCalendarEventById(eventId);
-  if (!entry) return { error: 'Flight not found.' };
-  const pairingId = getCalendarPairingIdForEvent(entry.event, entry.dateKey);
-  if (pairingId){
-    ensureCalendarPairingOriginalTimes(pairingId, calendarState.eventsByDate);
-  }
-  const day = calendarState.eventsByDate?.[entry.dateKey];
-  if (!day || !Array.isArray(day.events)) return { error: 'Flight not found.' };
-  day.events = day.events.filter(event => event?.id !== eventId);
-  if (!day.events.length) delete day.events;
-  pruneCalendarEmptyPairingDay(entry.dateKey);
-  if (pairingId){
-    markCalendarPairingManualEdited(pairingId, calendarState.eventsByDate);
-    clearCalendarPairingPlaceholders(pairingId);
-    const pairingDays = rebuildCalendarPairingDaysFromFlights(pairingId, calendarState.eventsByDate);
-    if (!pairingDays.length){
-      return deleteCalendarPairing(pairingId);
-    }
-    recomputeCalendarPairingLayovers(pairingId, calendarState.eventsByDate);
-    getCalendarPairingDaysFromEvents(calendarState.eventsByDate, pairingId).forEach((dateKey) => {
-      pruneCalendarEmptyPairingDay(dateKey);
+      return `<div class="block"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></div>`;
+    })
+    .join('')}</div>`;
+  const blockGrowthButton = infoEl.querySelector('[data-open-block-growth-detail]');
+  if (blockGrowthButton){
+    blockGrowthButton.addEventListener('click', () => {
+      openCalendarBlockGrowthDetail();
     });
-    updateCalendarPairingMetrics(calendarState.eventsByDate);
   }
-  calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
-  saveCalendarState();
-  renderCalendarIfVisible();
-  refreshCalendarPairingDetail();
-  refreshCalendarCreditDetail();
-  refreshCalendarTafbDetail();
-  refreshCalendarDayDetail();
-  return { pairingId };
+  if (vacationInput){
+    vacationInput.value = vacationMinutes ? formatDurationMinutes(vacationMinutes) : '';
+  }
+  if (statusEl) statusEl.textContent = '';
+  renderCalendarCreditProjection();
 }
 
-function deleteCalendarPairing(pairingId){
-  if (!pairingId) return { error: 'Pairing not found.' };
-  const pairingDays = getCalendarPairingDays(pairingId);
-  const pairingDaySet = new Set(pairingDays);
-  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
-    if (!day || typeof day !== 'object') return;
-    const dayPairingId = String(day?.pairing?.pairingId || '').trim();
-    if (Array.isArray(day.events)){
-      const remainingEvents = day.events.filter(
-        (event) => getCalendarPairingIdForEvent(event, dateKey) !== pairingId
-      );
-      if (remainingEvents.length !== day.events.length){
-        day.events = remainingEvents;
-      }
-      if (!day.events.length) delete day.events;
-    }
-    if (pairingDaySet.has(dateKey)){
-      delete day.checkInMinutes;
-      delete day.checkOutMinutes;
-      delete day.checkoutPlaceholderFromDateKey;
-      if (day.layover?.placeholderFromDateKey){
-        delete day.layover;
-      }
-      delete day.tafbMinutes;
-      delete day.dpgMinutes;
-      delete day.thgMinutes;
-    }
-    if (dayPairingId === pairingId || (!dayPairingId && pairingDaySet.has(dateKey))){
-      delete day.pairing;
-    }
-    pruneCalendarEmptyPairingDay(dateKey);
+/*
+ * projectMonthlyPay for a calendar month: credit flown and still to fly
+ * (vacation credit counts as flown), premiums and TAFB from the calendar, VO
+ * and ESOP from the month's pay statement check.  Throws when the month has
+ * no pay table.
+ */
+function getCalendarMonthProjection(monthKey, { pickup = null, todayKey } = {}){
+  const items = getCalendarCreditProjectionItems(monthKey, todayKey);
+  const flownMinutes = items
+    .filter(item => item.status === 'flown')
+    .reduce((total, item) => total + item.creditMinutes, 0) + getCalendarVacationCreditMinutes(monthKey);
+  const remainingMinutes = items
+    .filter(item => item.status !== 'flown')
+    .reduce((total, item) => total + item.creditMinutes, 0);
+  const premiumMinutes = items.reduce((total, item) => total + item.premiumMinutes, 0);
+  const draft = getCalendarPayCheckDraft(monthKey);
+  const projection = projectMonthlyPay({
+    flownMinutes,
+    remainingMinutes,
+    voMinutes: draft.voMinutes,
+    premiumMinutes,
+    tafbMinutes: getCalendarMonthlyTafbMinutes(monthKey),
+    pickup,
+    params: getCalendarMonthPayParams(monthKey, { esopPct: draft.esopPct })
   });
-  const remainingPairingDates = Object.entries(calendarState.eventsByDate || {})
-    .filter(([dateKey, day]) => {
-      if (!day || typeof day !== 'object') return false;
-      const dayPairingId = String(day?.pairing?.pairingId || '').trim();
-      if (dayPairingId === pairingId) return true;
-      if (!Array.isArray(day.events)) return false;
-      return day.events.some((event) => getCalendarPairingIdForEvent(event, dateKey) === pairingId);
-    })
-    .map(([dateKey]) => dateKey);
-  if (remainingPairingDates.length){
-    console.warn(
-      'Calendar pairing delete still present in eventsByDate',
-      pairingId,
-      remainingPairingDates
-    );
+  return { items, projection, draft, premiumMinutes };
+}
+
+const CALENDAR_PROJECTION_STATUS_LABELS = { flown: 'Flown', 'in-progress': 'In progress', remaining: 'To fly' };
+
+/*
+ * Bid period projection under the credit detail: credit flown and still to
+ * fly, the hours past the 85 hour threshold and the projected cheque from
+ * getCalendarMonthProjection.  A pickup credit (and TAFB) shows what one more
+ * pairing adds to the cheque.
+ */
+function renderCalendarCreditProjection(){
+  const infoEl = document.getElementById('calendar-projection-info');
+  const pickupEl = document.getElementById('calendar-projection-pickup');
+  const pairingsEl = document.getElementById('calendar-projection-pairings');
+  const statusEl = document.getElementById('calendar-projection-status');
+  if (!infoEl) return;
+  const clear = (message) => {
+    infoEl.innerHTML = '';
+    if (pickupEl) pickupEl.innerHTML = '';
+    if (pairingsEl) pairingsEl.innerHTML = '';
+    if (statusEl) statusEl.textContent = message;
+  };
+  const monthKey = calendarState.selectedMonth;
+  if (!monthKey){
+    clear('');
+    return;
   }
-  clearCalendarPairingPlaceholders(pairingId);
-  updateCalendarPairingMetrics(calendarState.eventsByDate);
-  calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
-  saveCalendarState({ bumpUpdatedAt: true });
-  if (getCalendarSyncToken() && getCalendarSyncEndpoint()){
-    if (navigator?.onLine === false){
-      triggerCalendarAutoSync();
-    } else {
-      syncCalendarToCloud()
-        .then((result) => {
-          if (result?.statusMessage){
-            setCalendarStatus(result.statusMessage);
-          }
-        })
-        .catch((err) => {
-          console.warn('Calendar sync after delete failed', err);
-          setCalendarStatus(`Sync error: ${err?.message || 'Sync failed.'}`);
-        });
-    }
+  const pickupCreditText = String(document.getElementById('calendar-projection-pickup-credit')?.value || '').trim();
+  const pickupTafbText = String(document.getElementById('calendar-projection-pickup-tafb')?.value || '').trim();
+  const pickupCredit = pickupCreditText ? parseDurationToMinutes(pickupCreditText) : 0;
+  const pickupTafb = pickupTafbText ? parseDurationToMinutes(pickupTafbText) : 0;
+  if (!Number.isFinite(pickupCredit) || !Number.isFinite(pickupTafb)){
+    if (pickupEl) pickupEl.innerHTML = '';
+    if (statusEl) statusEl.textContent = 'Enter the pickup credit and TAFB as H:MM.';
+    return;
+  }
+  let items;
+  let projection;
+  let draft;
+  let premiumMinutes;
+  try {
+    ({ items, projection, draft, premiumMinutes } = getCalendarMonthProjection(monthKey, {
+      pickup: pickupCredit ? { creditMinutes: pickupCredit, tafbMinutes: pickupTafb } : null
+    }));
+  } catch (err){
+    clear('');
+    infoEl.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    console.error(err);
+    return;
+  }
+  const { projected } = projection;
+  const blocks = [
+    { label: 'Flown', value: formatDurationMinutes(projection.flown) },
+    { label: 'To fly', value: formatDurationMinutes(projection.remaining) },
+    { label: 'Projected credit', value: formatDurationMinutes(projected.credit) },
+    projection.above_threshold
+      ? { label: 'Above 85 hours', value: formatDurationMinutes(projection.above_threshold) }
+      : { label: 'To 85 hours', value: formatDurationMinutes(projection.to_threshold) },
+    { label: 'Projected gross', value: money(projected.gross) },
+    { label: 'Projected cheque', value: money(projected.cheque) }
+  ];
+  infoEl.innerHTML = `<div class="simple">${blocks
+    .map(block => `<div class="block"><div class="label">${escapeHtml(block.label)}</div><div class="value">${escapeHtml(block.value)}</div></div>`)
+    .join('')}</div>`;
+  if (pickupEl){
+    const { pickup } = projection;
+    pickupEl.innerHTML = pickup
+      ? `<div class="simple">${[
+        { label: 'Credit with pickup', value: formatDurationMinutes(pickup.projected.credit) },
+        { label: 'Above 85 hours', value: formatDurationMinutes(pickup.above_threshold) },
+        { label: 'Marginal gross', value: money(pickup.marginal_gross) },
+        { label: 'Marginal net', value: money(pickup.marginal_net) },
+        { label: 'Net per credit hour', value: Number.isFinite(pickup.net_per_hour) ? money(pickup.net_per_hour) : '—' }
+      ].map(block => `<div class="block"><div class="label">${escapeHtml(block.label)}</div><div class="value">${escapeHtml(block.value)}</div></div>`).join('')}</div>`
+      : '';
+  }
+  if (pairingsEl){
+    const rows = items.map((item) => {
+      const dates = item.startKey === item.endKey
+        ? formatCalendarShortDateLabel(item.startKey)
+        : `${formatCalendarShortDateLabel(item.startKey)} – ${formatCalendarShortDateLabel(item.endKey)}`;
+      return `<tr><td>${escapeHtml(item.label)}</td>` +
+        `<td>${escapeHtml(dates)}</td>` +
+        `<td>${escapeHtml(CALENDAR_PROJECTION_STATUS_LABELS[item.status])}</td>` +
+        `<td class="num">${escapeHtml(formatDurationMinutes(item.creditMinutes))}</td>` +
+        `<td class="num">${item.guaranteeMinutes ? escapeHtml(formatDurationMinutes(item.guaranteeMinutes)) : '—'}</td>` +
+        `<td class="num">${item.premiumMinutes ? escapeHtml(formatDurationMinutes(item.premiumMinutes)) : '—'}</td></tr>`;
+    }).join('');
+    pairingsEl.innerHTML = rows
+      ? `<div class="auditwrap"><table class="audit credit-projection-table">` +
+        `<thead><tr><th>Pairing</th><th>Dates</th><th>Status</th><th>Credit</th><th>Guarantee</th><th>Premium</th></tr></thead>` +
+        `<tbody>${rows}</tbody></table></div>`
+      : '';
+  }
+  if (statusEl){
+    const notes = [`Projected at ${money(projected.monthly.rate)}/hr with ${formatDurationMinutes(draft.voMinutes)} VO and ${draft.esopPct}% ESOP from the pay statement check.`];
+    if (premiumMinutes) notes.push(`Premiums add ${formatDurationMinutes(premiumMinutes)} at the hourly rate.`);
+    statusEl.textContent = notes.join(' ');
   }
-  renderCalendarIfVisible();
-  refreshCalendarPairingDetail();
-  refreshCalendarCreditDetail();
-  refreshCalendarTafbDetail();
-  refreshCalendarDayDetail();
-  return { pairingId, pairingDays };
 }
 
-function refreshCalendarPairingDetailForEvent(eventId){
-  let pairingUpdated = false;
-  if (eventId){
-    const entry = findCalendarEventById(eventId);
-    const pairingId = entry ? getCalendarPairingIdForEvent(entry.event, entry.dateKey) : '';
-    const pairingDays = pairingId ? getCalendarPairingDays(pairingId) : [];
-    if (pairingDays.length){
-      const scopedEventsByDate = {};
-      pairingDays.forEach((dateKey) => {
-        const day = calendarState.eventsByDate?.[dateKey];
-        if (day) scopedEventsByDate[dateKey] = day;
-      });
-      if (Object.keys(scopedEventsByDate).length){
-        updateCalendarPairingMetrics(scopedEventsByDate);
-        Object.entries(scopedEventsByDate).forEach(([dateKey, day]) => {
-          if (!calendarState.eventsByDate[dateKey]) calendarState.eventsByDate[dateKey] = day;
-        });
-        pairingUpdated = true;
-      }
-    }
+function renderCalendarBlockGrowthDetail(){
+  const titleEl = document.getElementById('calendar-block-growth-detail-title');
+  const infoEl = document.getElementById('calendar-block-growth-detail-info');
+  const statusEl = document.getElementById('calendar-block-growth-detail-status');
+  if (!titleEl || !infoEl) return;
+  const pairingMap = buildCalendarPairingIndex();
+  const monthKey = calendarState.selectedMonth;
+  if (!monthKey){
+    titleEl.textContent = 'Block growth detail';
+    infoEl.innerHTML = '';
+    if (statusEl) statusEl.textContent = 'No month selected.';
+    return;
   }
-  if (!pairingUpdated){
-    updateCalendarPairingMetrics(calendarState.eventsByDate);
+  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} block growth`;
+  const prefix = `${monthKey}-`;
+  const range = getCalendarBlockMonthRangeForMonth(monthKey);
+  const entries = Object.entries(calendarState.eventsByDate || {})
+    .filter(([dateKey]) => dateKey.startsWith(prefix))
+    .filter(([dateKey]) => (range ? isCalendarDateKeyInRange(dateKey, range) : true))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const groups = [];
+  entries.forEach(([dateKey, day]) => {
+    const events = (day?.events || []).filter(event => getCalendarEventBlockGrowth(event) > 0);
+    if (!events.length) return;
+    const pairingId = String(day?.pairing?.pairingId || '').trim();
+    const pairingLabel = pairingId && pairingMap.has(pairingId)
+      ? getCalendarPairingDisplayLabel(pairingMap.get(pairingId))
+      : 'Pairing';
+    const dateLabel = formatCalendarDateLabel(dateKey);
+    const flightItems = events.map((event) => {
+      const primaryLabel = event.label || event.identifiers?.join(', ') || 'Flight';
+      const identifiers = event.label && event.identifiers?.length
+        ? ` · ${event.identifiers.join(', ')}`
+        : '';
+      const growthLabel = formatDurationMinutes(getCalendarEventBlockGrowth(event));
+      return `<div class="calendar-pairing-flight">${escapeHtml(primaryLabel)}${escapeHtml(identifiers)} · Block growth ${escapeHtml(growthLabel)}</div>`;
+    }).join('');
+    groups.push(
+      `<div class="calendar-pairing-day">` +
+      `<div class="calendar-pairing-day-header">` +
+      `<div class="calendar-pairing-day-title">${escapeHtml(dateLabel)}</div>` +
+      `<div class="calendar-pairing-day-layover">${escapeHtml(pairingLabel)}</div>` +
+      `</div>` +
+      `<div class="calendar-pairing-day-flights">${flightItems}</div>` +
+      `</div>`
+    );
+  });
+  infoEl.innerHTML = groups.join('');
+  if (statusEl){
+    statusEl.textContent = groups.length ? '' : 'No block growth entries for this month.';
   }
-  refreshCalendarPairingDetail();
-  return pairingUpdated;
 }
 
-function openCalendarDayDetail(dateKey){
-  const detailEl = document.getElementById('modern-calendar-day-detail');
+function openCalendarCreditDetail(){
   const mainEl = document.getElementById('modern-calendar-main');
-  if (!detailEl || !dateKey) return;
-  calendarDayDetailDateKey = dateKey;
-  renderCalendarDayDetail(dateKey);
-  mainEl?.classList.add('hidden');
+  const detailEl = document.getElementById('modern-calendar-credit-detail');
+  if (!mainEl || !detailEl) return;
+  calendarCreditDetailOpen = true;
+  calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
+  calendarTafbDetailOpen = false;
+  renderCalendarCreditDetail();
+  mainEl.classList.add('hidden');
+  detailEl.classList.remove('hidden');
+  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
+}
+
+function closeCalendarCreditDetail(){
+  const mainEl = document.getElementById('modern-calendar-main');
+  const detailEl = document.getElementById('modern-calendar-credit-detail');
+  if (mainEl) mainEl.classList.remove('hidden');
+  if (detailEl) detailEl.classList.add('hidden');
+  calendarCreditDetailOpen = false;
+  calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
+  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
+  flushCalendarRenderIfNeeded();
+}
+
+function refreshCalendarCreditDetail(){
+  if (!calendarCreditDetailOpen) return;
+  renderCalendarCreditDetail();
+}
+
+function openCalendarTafbDetail(){
+  const mainEl = document.getElementById('modern-calendar-main');
+  const detailEl = document.getElementById('modern-calendar-tafb-detail');
+  if (!mainEl || !detailEl) return;
+  calendarTafbDetailOpen = true;
+  renderCalendarTafbDetail();
+  mainEl.classList.add('hidden');
+  detailEl.classList.remove('hidden');
   document.getElementById('modern-calendar-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
   document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pay-detail')?.classList.add('hidden');
   calendarCreditDetailOpen = false;
   calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
+}
+
+function closeCalendarTafbDetail(){
+  const mainEl = document.getElementById('modern-calendar-main');
+  const detailEl = document.getElementById('modern-calendar-tafb-detail');
+  if (mainEl) mainEl.classList.remove('hidden');
+  if (detailEl) detailEl.classList.add('hidden');
   calendarTafbDetailOpen = false;
+  flushCalendarRenderIfNeeded();
+}
+
+function refreshCalendarTafbDetail(){
+  if (!calendarTafbDetailOpen) return;
+  renderCalendarTafbDetail();
+}
+
+function openCalendarBlockGrowthDetail(){
+  const creditEl = document.getElementById('modern-calendar-credit-detail');
+  const detailEl = document.getElementById('modern-calendar-block-growth-detail');
+  if (!detailEl) return;
+  calendarBlockGrowthDetailOpen = true;
+  renderCalendarBlockGrowthDetail();
+  document.getElementById('modern-calendar-main')?.classList.add('hidden');
+  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
+  if (creditEl) creditEl.classList.add('hidden');
   detailEl.classList.remove('hidden');
+  calendarTafbDetailOpen = false;
 }
 
-function closeCalendarDayDetail(){
-  const detailEl = document.getElementById('modern-calendar-day-detail');
+function closeCalendarBlockGrowthDetail(){
+  const detailEl = document.getElementById('modern-calendar-block-growth-detail');
   if (detailEl) detailEl.classList.add('hidden');
-  if (calendarPairingId){
-    document.getElementById('modern-calendar-pairing-detail')?.classList.remove('hidden');
+  calendarBlockGrowthDetailOpen = false;
+  calendarPayDetailOpen = false;
+  if (calendarCreditDetailOpen){
+    document.getElementById('modern-calendar-credit-detail')?.classList.remove('hidden');
   } else {
     document.getElementById('modern-calendar-main')?.classList.remove('hidden');
   }
-  calendarDayDetailDateKey = null;
   flushCalendarRenderIfNeeded();
 }
 
-function refreshCalendarDayDetail(){
-  if (!calendarDayDetailDateKey) return;
-  renderCalendarDayDetail(calendarDayDetailDateKey);
+function refreshCalendarBlockGrowthDetail(){
+  if (!calendarBlockGrowthDetailOpen) return;
+  renderCalendarBlockGrowthDetail();
 }
 
-function getCalendarVacationCreditKey(monthKey){
+function getCalendarPayCheckKey(monthKey){
   const normalized = normalizeCalendarMonthKey(monthKey);
   if (!normalized) return null;
-  return `${CALENDAR_VACATION_CREDIT_KEY_PREFIX}${normalized}`;
+  return `${CALENDAR_PAY_CHECK_KEY_PREFIX}${normalized}`;
 }
 
-function getCalendarVacationCreditMinutes(monthKey){
-  const key = getCalendarVacationCreditKey(monthKey);
-  if (!key) return 0;
+function getCalendarPayCheckDraft(monthKey){
+  const empty = { advanceText: '', secondText: '', voMinutes: 0, esopPct: 0 };
+  const key = getCalendarPayCheckKey(monthKey);
+  if (!key) return empty;
   try {
-    const stored = localStorage.getItem(key);
-    if (!stored) return 0;
-    const minutes = Number(stored);
-    if (!Number.isFinite(minutes) || minutes < 0) return 0;
-    return Math.round(minutes);
+    const stored = JSON.parse(localStorage.getItem(key) || 'null');
+    if (!stored || typeof stored !== 'object') return empty;
+    return {
+      advanceText: typeof stored.advanceText === 'string' ? stored.advanceText : '',
+      secondText: typeof stored.secondText === 'string' ? stored.secondText : '',
+      voMinutes: Number.isFinite(stored.voMinutes) && stored.voMinutes > 0 ? Math.round(stored.voMinutes) : 0,
+      esopPct: Number.isFinite(stored.esopPct) && stored.esopPct > 0 ? stored.esopPct : 0
+    };
   } catch (err){
-    console.warn('Failed to read vacation credit', err);
+    console.warn('Failed to read pay statement check', err);
   }
-  return 0;
+  return empty;
 }
 
-function setCalendarVacationCreditMinutes(monthKey, minutes){
-  const key = getCalendarVacationCreditKey(monthKey);
+function setCalendarPayCheckDraft(monthKey, draft){
+  const key = getCalendarPayCheckKey(monthKey);
   if (!key) return;
+  const previous = getCalendarPayCheckDraft(monthKey);
   try {
-    if (!Number.isFinite(minutes) || minutes <= 0){
+    if (!draft?.advanceText && !draft?.secondText && !draft?.voMinutes && !draft?.esopPct){
       localStorage.removeItem(key);
     } else {
-      localStorage.setItem(key, String(Math.round(minutes)));
+      localStorage.setItem(key, JSON.stringify(draft));
     }
   } catch (err){
-    console.warn('Failed to save vacation credit', err);
+    console.warn('Failed to save pay statement check', err);
+  }
+  // VO and ESOP sync with the calendar; the statement text stays on this device.
+  if ((draft?.voMinutes || 0) !== previous.voMinutes || (draft?.esopPct || 0) !== previous.esopPct){
+    saveCalendarState();
   }
 }
 
-function getCurrentPayRateInputs(){
-  const fallback = getAnnualParams(true);
-  if (currentModernSubTab === 'modern-monthly'){
-    return {
-      seat: document.getElementById('modern-mon-seat')?.value ?? fallback.seat,
-      ac: document.getElementById('modern-mon-ac')?.value ?? fallback.ac,
-      year: +document.getElementById('modern-mon-year')?.value || fallback.year,
-      stepInput: +document.getElementById('modern-mon-step')?.value || fallback.stepInput,
-      tieOn: document.getElementById('modern-mon-tie')?.checked ?? fallback.tieOn,
-      xlrOn: document.getElementById('modern-mon-xlr')?.checked ?? fallback.xlrOn
-    };
-  }
-  if (currentModernSubTab === 'modern-vo'){
-    return {
-      seat: document.getElementById('modern-ot-seat')?.value ?? fallback.seat,
-      ac: document.getElementById('modern-ot-ac')?.value ?? fallback.ac,
-      year: +document.getElementById('modern-ot-year')?.value || fallback.year,
-      stepInput: +document.getElementById('modern-ot-step')?.value || fallback.stepInput,
-      tieOn: document.getElementById('modern-ot-tie')?.checked ?? fallback.tieOn,
-      xlrOn: document.getElementById('modern-ot-xlr')?.checked ?? fallback.xlrOn
-    };
+/*
+ * Per-month annotations kept outside calendarState, keyed by YYYY-MM:
+ * vacation credit and the pay statement check's VO minutes and ESOP %.
+ */
+function getCalendarMonthAnnotations(){
+  const annotations = {};
+  const add = (monthKey, field, value) => {
+    if (!monthKey || !Number.isFinite(value) || value <= 0) return;
+    annotations[monthKey] = { ...(annotations[monthKey] || {}), [field]: value };
+  };
+  try {
+    for (let i = 0; i < localStorage.length; i += 1){
+      const key = localStorage.key(i) || '';
+      if (key.startsWith(CALENDAR_VACATION_CREDIT_KEY_PREFIX)){
+        const monthKey = normalizeCalendarMonthKey(key.slice(CALENDAR_VACATION_CREDIT_KEY_PREFIX.length));
+        add(monthKey, 'vacationCreditMinutes', getCalendarVacationCreditMinutes(monthKey));
+      } else if (key.startsWith(CALENDAR_PAY_CHECK_KEY_PREFIX)){
+        const monthKey = normalizeCalendarMonthKey(key.slice(CALENDAR_PAY_CHECK_KEY_PREFIX.length));
+        if (!monthKey) continue;
+        const draft = getCalendarPayCheckDraft(monthKey);
+        add(monthKey, 'voMinutes', draft.voMinutes);
+        add(monthKey, 'esopPct', draft.esopPct);
+      }
+    }
+  } catch (err){
+    console.warn('Failed to read calendar month annotations', err);
   }
+  return annotations;
+}
+
+// Replace local month annotations with a synced copy, keeping statement text.
+function applyCalendarMonthAnnotations(annotations){
+  const incoming = annotations && typeof annotations === 'object' && !Array.isArray(annotations) ? annotations : {};
+  const monthKeys = new Set([...Object.keys(getCalendarMonthAnnotations()), ...Object.keys(incoming)]);
+  monthKeys.forEach((value) => {
+    const monthKey = normalizeCalendarMonthKey(value);
+    if (!monthKey) return;
+    const entry = incoming[value] || {};
+    const number = field => (Number.isFinite(entry[field]) && entry[field] > 0 ? entry[field] : 0);
+    try {
+      const vacationKey = getCalendarVacationCreditKey(monthKey);
+      const vacationMinutes = Math.round(number('vacationCreditMinutes'));
+      if (vacationMinutes) localStorage.setItem(vacationKey, String(vacationMinutes));
+      else localStorage.removeItem(vacationKey);
+      const draft = { ...getCalendarPayCheckDraft(monthKey), voMinutes: Math.round(number('voMinutes')), esopPct: number('esopPct') };
+      const payCheckKey = getCalendarPayCheckKey(monthKey);
+      if (!draft.advanceText && !draft.secondText && !draft.voMinutes && !draft.esopPct) localStorage.removeItem(payCheckKey);
+      else localStorage.setItem(payCheckKey, JSON.stringify(draft));
+    } catch (err){
+      console.warn('Failed to save calendar month annotations', err);
+    }
+  });
+}
+
+/*
+ * computeMonthly inputs other than credit, VO and TAFB for a calendar month:
+ * the profile seat, fleet, province and step, with the pay year following the
+ * Sep 30 switch.  CPP/QPP and EI use the payroll ledger's year-to-date figures
+ * when it has any.
+ */
+function getCalendarMonthPayParams(monthKey, { esopPct = 0, ytd = getPayrollLedgerYtd(monthKey) } = {}){
+  const normalized = normalizeCalendarMonthKey(monthKey);
+  if (!normalized) return null;
+  const [year, month] = normalized.split('-').map(Number);
+  const monthStart = new Date(year, month - 1, 1);
+  const profile = getPilotProfile();
+  const step = getPilotStepOnDate(monthStart, profile);
   return {
-    seat: fallback.seat,
-    ac: fallback.ac,
-    year: fallback.year,
-    stepInput: fallback.stepInput,
-    tieOn: fallback.tieOn,
-    xlrOn: fallback.xlrOn
+    seat: profile.seat,
+    ac: profile.fleet,
+    year: getPayYearForMonth(normalized),
+    stepInput: step,
+    tieOn: false,
+    xlrOn: profile.xlr,
+    province: profile.province,
+    esopPct,
+    adv: advanceGrossForSeatStep(profile.seat, step),
+    hireDate: getPilotHireDate(),
+    asOfDate: monthStart,
+    ytd
   };
 }
 
-function getCurrentPayRate(){
-  const params = getCurrentPayRateInputs();
-  const year = Number(params.year);
-  const stepInput = Number(params.stepInput);
-  if (!params.seat || !params.ac || !Number.isFinite(year) || !Number.isFinite(stepInput)) return null;
-  const step = params.tieOn ? stepOnJan1(stepInput, true, year) : clampStep(stepInput);
-  const rate = rateFor(params.seat, params.ac, year, step, !!params.xlrOn);
-  if (!Number.isFinite(rate)) return null;
-  return { rate, step, year };
+/*
+ * Expected statement lines for a calendar month: credit (vacation included),
+ * premiums and TAFB from the calendar, pay and deductions from computeMonthly
+ * with getCalendarMonthPayParams.  VO and ESOP are not on the calendar, so the
+ * caller passes them.
+ */
+function getCalendarPayCheckExpected(monthKey, { voMinutes = 0, esopPct = 0, ytd = getPayrollLedgerYtd(monthKey) } = {}){
+  const normalized = normalizeCalendarMonthKey(monthKey);
+  if (!normalized) return null;
+  const params = getCalendarMonthPayParams(normalized, { esopPct, ytd });
+  const payYear = params.year;
+  const step = params.stepInput;
+  const creditMinutes = getCalendarMonthlyCreditMinutes(normalized) + getCalendarVacationCreditMinutes(normalized);
+  const tafbMinutes = getCalendarMonthlyTafbMinutes(normalized);
+  const premiumMinutes = getCalendarMonthlyPremiumMinutes(normalized);
+  const result = computeMonthly({
+    ...params,
+    creditH: Math.floor(creditMinutes / 60),
+    creditM: creditMinutes % 60,
+    voCredits: Math.floor(voMinutes / 60),
+    voCreditMinutes: voMinutes % 60,
+    tafb: tafbMinutes / 60
+  });
+  const round = value => +value.toFixed(2);
+  const regularMinutes = Math.min(85 * 60, creditMinutes);
+  return {
+    rate: result.rate,
+    step,
+    year: payYear,
+    monthly: result,
+    lines: {
+      credit: { minutes: regularMinutes, amount: round(result.regHours * result.rate) },
+      overtime: { minutes: creditMinutes - regularMinutes, amount: round(result.overtime * 2 * result.rate) },
+      vo: { minutes: voMinutes, amount: round(result.voCredits * 2 * result.rate) },
+      premium: { minutes: premiumMinutes, amount: round((premiumMinutes / 60) * result.rate) },
+      tafb: { minutes: tafbMinutes, amount: round(result.tafb_net) },
+      gross: { amount: round(result.gross) },
+      pension: { amount: round(result.pension) },
+      union: { amount: round(result.union) },
+      tax: { amount: round(result.tax) },
+      cpp: { amount: round(result.cpp) },
+      ei: { amount: round(result.ei) },
+      net: { amount: round(result.pay_advance + result.second_pay) }
+    }
+  };
 }
 
-function getCalendarCreditRate(today = new Date()){
-  const seat = 'FO';
-  const ac = '320';
-  const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const cutoff = new Date(today.getFullYear(), SWITCH.m - 1, SWITCH.d);
-  const year = todayDate <= cutoff ? today.getFullYear() - 1 : today.getFullYear();
-  const hireDate = DOH;
-  let firstProgression = new Date(hireDate.getFullYear(), PROGRESSION.m - 1, PROGRESSION.d);
-  if (hireDate > firstProgression){
-    firstProgression = new Date(hireDate.getFullYear() + 1, PROGRESSION.m - 1, PROGRESSION.d);
-  }
-  let step = 1;
-  let stepYear = firstProgression.getFullYear() + 1;
-  while (todayDate >= new Date(stepYear, PROGRESSION.m - 1, PROGRESSION.d)){
-    step += 1;
-    stepYear += 1;
-  }
-  step = clampStep(step);
-  const rate = rateFor(seat, ac, year, step, true);
-  if (!Number.isFinite(rate)) return null;
-  return { rate, step, year };
+function formatCalendarPayCheckValue(row, value){
+  if (!Number.isFinite(value)) return '—';
+  return row.kind === 'minutes' ? formatDurationMinutes(value) : money(value);
 }
 
-function buildCalendarCreditValueTooltip(rateInfo){
-  const base = INFO_COPY.calendar.creditValue;
-  if (!rateInfo || !Number.isFinite(rateInfo.rate)) return base;
-  return `${base} Using 320 FO Step ${rateInfo.step} (${rateInfo.year} pay year, XLR) at ${money(rateInfo.rate)}/hr.`;
+function renderCalendarPayCheckResult(monthKey, draft){
+  const infoEl = document.getElementById('calendar-pay-detail-info');
+  const statusEl = document.getElementById('calendar-pay-detail-status');
+  if (!infoEl) return;
+  const statementText = [draft.advanceText, draft.secondText].filter(Boolean).join('\n');
+  if (!statementText.trim()){
+    infoEl.innerHTML = '';
+    if (statusEl) statusEl.textContent = 'Paste or import the advance and second pay statements, then compare.';
+    return;
+  }
+  let expected;
+  try {
+    expected = getCalendarPayCheckExpected(monthKey, draft);
+  } catch (err){
+    infoEl.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+escapeHtml(String(err.message))+'</div></div></div>';
+    if (statusEl) statusEl.textContent = '';
+    console.error(err);
+    return;
+  }
+  const statement = parsePayStatementText(statementText);
+  const { rows, discrepancies } = reconcilePayStatement(expected.lines, statement);
+  const body = rows.map((row) => {
+    const rowClass = row.status === 'match' ? '' : ` class="pay-check-${row.status}"`;
+    const difference = row.status === 'missing'
+      ? 'Not on statement'
+      : (row.difference > 0 ? '+' : '') + formatCalendarPayCheckValue(row, row.difference);
+    return `<tr${rowClass}><td>${escapeHtml(row.label)}</td>` +
+      `<td class="num">${escapeHtml(formatCalendarPayCheckValue(row, row.expected))}</td>` +
+      `<td class="num">${escapeHtml(formatCalendarPayCheckValue(row, row.actual))}</td>` +
+      `<td class="num">${escapeHtml(difference)}</td></tr>`;
+  }).join('');
+  infoEl.innerHTML = `<div class="auditwrap"><table class="audit pay-check-table">` +
+    `<thead><tr><th>Line</th><th>Expected</th><th>Statement</th><th>Difference</th></tr></thead>` +
+    `<tbody>${body}</tbody></table></div>`;
+  if (statusEl){
+    const notes = [
+      discrepancies
+        ? `${discrepancies} line${discrepancies === 1 ? '' : 's'} to check.`
+        : 'Statement matches the calendar.',
+      `Expected at ${money(expected.rate)}/hr, Step ${expected.step}, ${expected.year} pay year; premiums are not in expected gross, tax or net.`
+    ];
+    if (statement.unmatched.length){
+      notes.push(`${statement.unmatched.length} statement line${statement.unmatched.length === 1 ? '' : 's'} not recognised.`);
+    }
+    statusEl.textContent = notes.join(' ');
+  }
 }
 
-function getCalendarTafbTotalMinutes(monthKey){
-  return getCalendarMonthlyTafbMinutes(monthKey);
+function readCalendarPayCheckInputs(){
+  const voRaw = String(document.getElementById('calendar-pay-vo')?.value || '').trim();
+  const voMinutes = voRaw ? parseDurationToMinutes(voRaw) : 0;
+  const esopPct = Number(document.getElementById('calendar-pay-esop')?.value || 0);
+  return {
+    advanceText: document.getElementById('calendar-pay-advance')?.value || '',
+    secondText: document.getElementById('calendar-pay-second')?.value || '',
+    voMinutes,
+    esopPct: Number.isFinite(esopPct) ? Math.max(0, esopPct) : 0
+  };
 }
 
-function renderCalendarTafbDetail(){
-  const titleEl = document.getElementById('calendar-tafb-detail-title');
-  const infoEl = document.getElementById('calendar-tafb-detail-info');
-  const statusEl = document.getElementById('calendar-tafb-detail-status');
+function renderCalendarPayDetail(){
+  const titleEl = document.getElementById('calendar-pay-detail-title');
+  const infoEl = document.getElementById('calendar-pay-detail-info');
+  const statusEl = document.getElementById('calendar-pay-detail-status');
   if (!titleEl || !infoEl) return;
   const monthKey = calendarState.selectedMonth;
   if (!monthKey){
-    titleEl.textContent = 'TAFB detail';
+    titleEl.textContent = 'Pay statement check';
     infoEl.innerHTML = '';
     if (statusEl) statusEl.textContent = 'No month selected.';
     return;
   }
-  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} TAFB`;
-  const totalMinutes = getCalendarTafbTotalMinutes(monthKey);
-  const tafbRate = 5.427;
-  const tafbValue = (totalMinutes / 60) * tafbRate;
-  const blocks = [
-    { label: 'Total TAFB', value: formatDurationMinutes(totalMinutes) },
-    { label: labelWithInfo('TAFB value', INFO_COPY.calendar.tafbValue), value: money(tafbValue), labelIsHtml: true }
-  ];
-  infoEl.innerHTML = `<div class="simple">${blocks
-    .map((block) => {
-      const label = block.labelIsHtml ? block.label : escapeHtml(block.label);
-      return `<div class="block"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></div>`;
-    })
-    .join('')}</div>`;
-  if (statusEl) statusEl.textContent = '';
+  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} pay statement`;
+  const draft = getCalendarPayCheckDraft(monthKey);
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  setValue('calendar-pay-advance', draft.advanceText);
+  setValue('calendar-pay-second', draft.secondText);
+  setValue('calendar-pay-vo', draft.voMinutes ? formatDurationMinutes(draft.voMinutes) : '');
+  setValue('calendar-pay-esop', draft.esopPct ? String(draft.esopPct) : '');
+  renderCalendarPayCheckResult(monthKey, draft);
 }
 
-function renderCalendarCreditDetail(){
-  const titleEl = document.getElementById('calendar-credit-detail-title');
-  const infoEl = document.getElementById('calendar-credit-detail-info');
-  const statusEl = document.getElementById('calendar-credit-detail-status');
-  const vacationInput = document.getElementById('calendar-vacation-credit');
-  if (!titleEl || !infoEl) return;
+function compareCalendarPayStatement(){
+  const statusEl = document.getElementById('calendar-pay-detail-status');
   const monthKey = calendarState.selectedMonth;
   if (!monthKey){
-    titleEl.textContent = 'Credit detail';
-    infoEl.innerHTML = '';
-    if (vacationInput) vacationInput.value = '';
-    if (statusEl) statusEl.textContent = 'No month selected.';
+    if (statusEl) statusEl.textContent = 'Select a month first.';
     return;
   }
-  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} credit`;
-  const prefix = `${monthKey}-`;
-  const range = getCalendarBlockMonthRangeForMonth(monthKey);
-  const baseCreditMinutes = getCalendarMonthlyCreditMinutes(monthKey);
-  let ppCreditMinutes = 0;
-  let lostCreditMinutes = 0;
-  let blockGrowthMinutes = 0;
-  Object.entries(calendarState.eventsByDate || {}).forEach(([dateKey, day]) => {
-    if (!dateKey.startsWith(prefix)) return;
-    if (range && !isCalendarDateKeyInRange(dateKey, range)) return;
-    (day?.events || []).forEach((event) => {
-      const creditTotal = getCalendarEventCreditTotal(event, dateKey);
-      if (event?.cancellation === 'CNX PP' && creditTotal){
-        ppCreditMinutes += creditTotal;
-      } else if (event?.cancellation === 'CNX' && creditTotal){
-        lostCreditMinutes += creditTotal;
+  const draft = readCalendarPayCheckInputs();
+  if (!Number.isFinite(draft.voMinutes)){
+    if (statusEl) statusEl.textContent = 'Enter VO credit as H:MM.';
+    return;
+  }
+  setCalendarPayCheckDraft(monthKey, draft);
+  renderCalendarPayCheckResult(monthKey, draft);
+}
+
+async function importCalendarPayStatementPdf(file, targetId){
+  const statusEl = document.getElementById('calendar-pay-detail-status');
+  const target = document.getElementById(targetId);
+  if (!file || !target) return;
+  if (statusEl) statusEl.textContent = `Reading ${file.name || 'PDF'}…`;
+  try {
+    const { lines } = await extractScheduleLinesFromPdf(file);
+    if (!lines.length){
+      if (statusEl) statusEl.textContent = 'No text found in PDF. Scanned statements are not supported.';
+      return;
+    }
+    target.value = lines.map(line => line.text).join('\n');
+    compareCalendarPayStatement();
+  } catch (err){
+    console.error('Pay statement PDF import failed', err);
+    if (statusEl) statusEl.textContent = err?.message || 'Pay statement PDF import failed.';
+  }
+}
+
+function openCalendarPayDetail(){
+  const detailEl = document.getElementById('modern-calendar-pay-detail');
+  if (!detailEl) return;
+  calendarPayDetailOpen = true;
+  renderCalendarPayDetail();
+  document.getElementById('modern-calendar-main')?.classList.add('hidden');
+  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
+  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+  detailEl.classList.remove('hidden');
+  calendarTafbDetailOpen = false;
+  calendarBlockGrowthDetailOpen = false;
+}
+
+function closeCalendarPayDetail(){
+  const detailEl = document.getElementById('modern-calendar-pay-detail');
+  if (detailEl) detailEl.classList.add('hidden');
+  calendarPayDetailOpen = false;
+  if (calendarCreditDetailOpen){
+    document.getElementById('modern-calendar-credit-detail')?.classList.remove('hidden');
+  } else {
+    document.getElementById('modern-calendar-main')?.classList.remove('hidden');
+  }
+  flushCalendarRenderIfNeeded();
+}
+
+function refreshCalendarPayDetail(){
+  if (!calendarPayDetailOpen) return;
+  renderCalendarPayCheckResult(calendarState.selectedMonth, getCalendarPayCheckDraft(calendarState.selectedMonth));
+}
+
+function setCalendarEventCancellation(eventId, status){
+  let updated = false;
+  Object.values(calendarState.eventsByDate || {}).forEach((day) => {
+    day?.events?.forEach((event) => {
+      if (event.id === eventId){
+        event.cancellation = event.cancellation === status ? null : status;
+        updated = true;
       }
-      blockGrowthMinutes += getCalendarEventBlockGrowth(event);
     });
   });
-  const vacationMinutes = getCalendarVacationCreditMinutes(monthKey);
-  const totalWithVacation = baseCreditMinutes + vacationMinutes;
-  const currentRate = getCalendarCreditRate();
-  const creditValue = currentRate ? (totalWithVacation / 60) * currentRate.rate : null;
-  const creditValueTooltip = buildCalendarCreditValueTooltip(currentRate);
-  const blocks = [
-    { label: 'Total credit', value: formatDurationMinutes(totalWithVacation) },
-    { label: labelWithInfo('Credit value', creditValueTooltip), value: Number.isFinite(creditValue) ? money(creditValue) : '—', labelIsHtml: true },
-    { label: 'PP credit (CNX PP)', value: formatDurationMinutes(ppCreditMinutes) },
-    { label: 'Lost credit (CNX)', value: formatDurationMinutes(lostCreditMinutes) },
-    { label: 'Vacation credit', value: formatDurationMinutes(vacationMinutes) },
-    { label: 'Block growth', value: formatDurationMinutes(blockGrowthMinutes), action: 'block-growth' }
-  ];
-  infoEl.innerHTML = `<div class="simple">${blocks
-    .map((block) => {
-      const label = block.labelIsHtml ? block.label : escapeHtml(block.label);
-      if (block.action === 'block-growth'){
-        return `<button class="block actionable" type="button" data-open-block-growth-detail="true"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></button>`;
+  if (updated){
+    refreshCalendarPairingDetailForEvent(eventId);
+    saveCalendarState();
+    renderCalendarIfVisible();
+    refreshCalendarDetail();
+    refreshCalendarDayDetail();
+    refreshCalendarCreditDetail();
+    refreshCalendarTafbDetail();
+    refreshCalendarBlockGrowthDetail();
+    refreshCalendarPayDetail();
+  }
+}
+
+function getCalendarPairingEventSequence(eventId){
+  const entry = findCalendarEventById(eventId);
+  if (!entry) return null;
+  const pairingId = getCalendarPairingIdForEvent(entry.event, entry.dateKey);
+  if (!pairingId) return null;
+  const pairingEvents = getCalendarPairingOrderedEvents(pairingId);
+  if (!pairingEvents.length) return false;
+  const selectedIndex = pairingEvents.findIndex(item => item.event?.id === eventId);
+  if (selectedIndex < 0) return null;
+  return { entry, pairingId, pairingEvents, selectedIndex };
+}
+
+function getCalendarPairingCancellationMatchState(eventId, status){
+  if (!eventId || !status) return { matches: false, sequence: null };
+  const sequence = getCalendarPairingEventSequence(eventId);
+  if (!sequence) return { matches: false, sequence: null };
+  const remainingEvents = sequence.pairingEvents.slice(sequence.selectedIndex);
+  const matches = remainingEvents.length > 0
+    && remainingEvents.every(item => item.event?.cancellation === status);
+  return { matches, sequence };
+}
+
+function setCalendarPairingCancellationFromEvent(eventId, status, options = {}){
+  const sequence = getCalendarPairingEventSequence(eventId);
+  const shouldClear = options.clear || status === null;
+  if (!sequence || (!status && !shouldClear)) return false;
+  const { pairingId, pairingEvents, selectedIndex } = sequence;
+  const nextStatus = shouldClear ? null : status;
+  let updated = false;
+  let thgReset = false;
+  for (let i = selectedIndex; i < pairingEvents.length; i += 1){
+    const target = pairingEvents[i]?.event;
+    if (!target) continue;
+    if (target.cancellation !== nextStatus){
+      target.cancellation = nextStatus;
+      updated = true;
+    }
+  }
+  if (nextStatus === 'CNX'){
+    const thgPairingDays = getCalendarPairingDays(pairingId);
+    thgPairingDays.forEach((dateKey) => {
+      const day = calendarState.eventsByDate?.[dateKey];
+      if (!day) return;
+      if (day.thgMinutes !== null){
+        day.thgMinutes = null;
+        thgReset = true;
       }
-      return `<div class="block"><div class="label">${label}</div><div class="value">${escapeHtml(block.value)}</div></div>`;
-    })
-    .join('')}</div>`;
-  const blockGrowthButton = infoEl.querySelector('[data-open-block-growth-detail]');
-  if (blockGrowthButton){
-    blockGrowthButton.addEventListener('click', () => {
-      openCalendarBlockGrowthDetail();
     });
   }
-  if (vacationInput){
-    vacationInput.value = vacationMinutes ? formatDurationMinutes(vacationMinutes) : '';
+  if (updated || thgReset){
+    refreshCalendarPairingDetailForEvent(eventId);
+    saveCalendarState();
+    renderCalendarIfVisible();
+    refreshCalendarDetail();
+    refreshCalendarDayDetail();
+    refreshCalendarCreditDetail();
+    refreshCalendarTafbDetail();
+    refreshCalendarBlockGrowthDetail();
+    refreshCalendarPayDetail();
+  }
+  return updated;
+}
+
+const CALENDAR_DELETE_MONTH_SKIP_KEY = 'acpay.calendar.deleteMonth.skipConfirm';
+const calendarDeleteMonthState = { monthKey: null };
+const calendarOverwriteConfirmState = { resolve: null };
+
+function getCalendarDeleteMonthSkipConfirm(){
+  try {
+    return localStorage.getItem(CALENDAR_DELETE_MONTH_SKIP_KEY) === 'true';
+  } catch (err){
+    console.warn('Calendar delete skip confirm read failed', err);
+    return false;
   }
-  if (statusEl) statusEl.textContent = '';
 }
 
-function renderCalendarBlockGrowthDetail(){
-  const titleEl = document.getElementById('calendar-block-growth-detail-title');
-  const infoEl = document.getElementById('calendar-block-growth-detail-info');
-  const statusEl = document.getElementById('calendar-block-growth-detail-status');
-  if (!titleEl || !infoEl) return;
-  const pairingMap = buildCalendarPairingIndex();
-  const monthKey = calendarState.selectedMonth;
-  if (!monthKey){
-    titleEl.textContent = 'Block growth detail';
-    infoEl.innerHTML = '';
-    if (statusEl) statusEl.textContent = 'No month selected.';
-    return;
+function setCalendarDeleteMonthSkipConfirm(shouldSkip){
+  try {
+    if (shouldSkip){
+      localStorage.setItem(CALENDAR_DELETE_MONTH_SKIP_KEY, 'true');
+    } else {
+      localStorage.removeItem(CALENDAR_DELETE_MONTH_SKIP_KEY);
+    }
+  } catch (err){
+    console.warn('Calendar delete skip confirm write failed', err);
   }
-  titleEl.textContent = `${formatCalendarMonthLabel(monthKey)} block growth`;
-  const prefix = `${monthKey}-`;
-  const range = getCalendarBlockMonthRangeForMonth(monthKey);
-  const entries = Object.entries(calendarState.eventsByDate || {})
-    .filter(([dateKey]) => dateKey.startsWith(prefix))
-    .filter(([dateKey]) => (range ? isCalendarDateKeyInRange(dateKey, range) : true))
-    .sort(([a], [b]) => a.localeCompare(b));
-  const groups = [];
-  entries.forEach(([dateKey, day]) => {
-    const events = (day?.events || []).filter(event => getCalendarEventBlockGrowth(event) > 0);
-    if (!events.length) return;
-    const pairingId = String(day?.pairing?.pairingId || '').trim();
-    const pairingLabel = pairingId && pairingMap.has(pairingId)
-      ? getCalendarPairingDisplayLabel(pairingMap.get(pairingId))
-      : 'Pairing';
-    const dateLabel = formatCalendarDateLabel(dateKey);
-    const flightItems = events.map((event) => {
-      const primaryLabel = event.label || event.identifiers?.join(', ') || 'Flight';
-      const identifiers = event.label && event.identifiers?.length
-        ? ` · ${event.identifiers.join(', ')}`
-        : '';
-      const growthLabel = formatDurationMinutes(getCalendarEventBlockGrowth(event));
-      return `<div class="calendar-pairing-flight">${escapeHtml(primaryLabel)}${escapeHtml(identifiers)} · Block growth ${escapeHtml(growthLabel)}</div>`;
-    }).join('');
-    groups.push(
-      `<div class="calendar-pairing-day">` +
-      `<div class="calendar-pairing-day-header">` +
-      `<div class="calendar-pairing-day-title">${escapeHtml(dateLabel)}</div>` +
-      `<div class="calendar-pairing-day-layover">${escapeHtml(pairingLabel)}</div>` +
-      `</div>` +
-      `<div class="calendar-pairing-day-flights">${flightItems}</div>` +
-      `</div>`
-    );
-  });
-  infoEl.innerHTML = groups.join('');
-  if (statusEl){
-    statusEl.textContent = groups.length ? '' : 'No block growth entries for this month.';
+}
+
+function closeCalendarDeleteMonthOverlay(){
+  const overlay = document.getElementById('calendar-delete-month-overlay');
+  if (overlay){
+    overlay.classList.add('hidden');
   }
+  calendarDeleteMonthState.monthKey = null;
 }
 
-function openCalendarCreditDetail(){
-  const mainEl = document.getElementById('modern-calendar-main');
-  const detailEl = document.getElementById('modern-calendar-credit-detail');
-  if (!mainEl || !detailEl) return;
-  calendarCreditDetailOpen = true;
-  calendarBlockGrowthDetailOpen = false;
-  calendarTafbDetailOpen = false;
-  renderCalendarCreditDetail();
-  mainEl.classList.add('hidden');
-  detailEl.classList.remove('hidden');
-  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
+function getCalendarDeleteMonthOverlay(){
+  const overlay = document.getElementById('calendar-delete-month-overlay');
+  if (!overlay) return null;
+  if (overlay.dataset.ready === 'true') return overlay;
+  overlay.dataset.ready = 'true';
+  addTapListener(overlay, (event) => {
+    if (event.target === overlay){
+      closeCalendarDeleteMonthOverlay();
+    }
+  });
+  addTapListener(overlay.querySelector('[data-calendar-delete-month-cancel]'), closeCalendarDeleteMonthOverlay);
+  addTapListener(overlay.querySelector('[data-calendar-delete-month-confirm]'), () => {
+    const requestedMonthKey = normalizeCalendarMonthKey(calendarDeleteMonthState.monthKey);
+    const selectedMonthKey = normalizeCalendarMonthKey(calendarState.selectedMonth);
+    if (!requestedMonthKey || !selectedMonthKey || requestedMonthKey !== selectedMonthKey){
+      closeCalendarDeleteMonthOverlay();
+      return;
+    }
+    const skipBox = overlay.querySelector('#calendar-delete-month-skip');
+    setCalendarDeleteMonthSkipConfirm(Boolean(skipBox?.checked));
+    const label = formatCalendarMonthLabel(selectedMonthKey);
+    deleteCalendarMonth(selectedMonthKey);
+    setCalendarStatus(`Deleted ${label}.`);
+    closeCalendarDeleteMonthOverlay();
+  });
+  return overlay;
 }
 
-function closeCalendarCreditDetail(){
-  const mainEl = document.getElementById('modern-calendar-main');
-  const detailEl = document.getElementById('modern-calendar-credit-detail');
-  if (mainEl) mainEl.classList.remove('hidden');
-  if (detailEl) detailEl.classList.add('hidden');
-  calendarCreditDetailOpen = false;
-  calendarBlockGrowthDetailOpen = false;
-  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
-  flushCalendarRenderIfNeeded();
+function openCalendarDeleteMonthOverlay(monthKey){
+  const overlay = getCalendarDeleteMonthOverlay();
+  if (!overlay) return;
+  const message = overlay.querySelector('#calendar-delete-month-message');
+  const skipBox = overlay.querySelector('#calendar-delete-month-skip');
+  const label = formatCalendarMonthLabel(monthKey);
+  calendarDeleteMonthState.monthKey = monthKey;
+  if (message){
+    message.textContent = `Delete ${label} from the calendar?`;
+  }
+  if (skipBox){
+    skipBox.checked = false;
+  }
+  overlay.classList.remove('hidden');
+  overlay.querySelector('[data-calendar-delete-month-cancel]')?.focus();
 }
 
-function refreshCalendarCreditDetail(){
-  if (!calendarCreditDetailOpen) return;
-  renderCalendarCreditDetail();
+function closeCalendarOverwriteOverlay({ confirmed } = {}){
+  const overlay = document.getElementById('calendar-overwrite-overlay');
+  if (overlay){
+    overlay.classList.add('hidden');
+  }
+  const resolver = calendarOverwriteConfirmState.resolve;
+  if (resolver){
+    calendarOverwriteConfirmState.resolve = null;
+    resolver(Boolean(confirmed));
+  }
 }
 
-function openCalendarTafbDetail(){
-  const mainEl = document.getElementById('modern-calendar-main');
-  const detailEl = document.getElementById('modern-calendar-tafb-detail');
-  if (!mainEl || !detailEl) return;
-  calendarTafbDetailOpen = true;
-  renderCalendarTafbDetail();
-  mainEl.classList.add('hidden');
-  detailEl.classList.remove('hidden');
-  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-credit-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-block-growth-detail')?.classList.add('hidden');
-  calendarCreditDetailOpen = false;
-  calendarBlockGrowthDetailOpen = false;
+function getCalendarOverwriteOverlay(){
+  const overlay = document.getElementById('calendar-overwrite-overlay');
+  if (!overlay) return null;
+  if (overlay.dataset.ready === 'true') return overlay;
+  overlay.dataset.ready = 'true';
+  addTapListener(overlay, (event) => {
+    if (event.target === overlay){
+      closeCalendarOverwriteOverlay({ confirmed: false });
+    }
+  });
+  addTapListener(overlay.querySelector('[data-calendar-overwrite-cancel]'), () => {
+    closeCalendarOverwriteOverlay({ confirmed: false });
+  });
+  addTapListener(overlay.querySelector('[data-calendar-overwrite-confirm]'), () => {
+    closeCalendarOverwriteOverlay({ confirmed: true });
+  });
+  return overlay;
 }
 
-function closeCalendarTafbDetail(){
-  const mainEl = document.getElementById('modern-calendar-main');
-  const detailEl = document.getElementById('modern-calendar-tafb-detail');
-  if (mainEl) mainEl.classList.remove('hidden');
-  if (detailEl) detailEl.classList.add('hidden');
-  calendarTafbDetailOpen = false;
-  flushCalendarRenderIfNeeded();
+function requestCalendarOverwriteConfirm(){
+  return new Promise((resolve) => {
+    const overlay = getCalendarOverwriteOverlay();
+    if (!overlay){
+      resolve(false);
+      return;
+    }
+    calendarOverwriteConfirmState.resolve = resolve;
+    overlay.classList.remove('hidden');
+    overlay.querySelector('[data-calendar-overwrite-cancel]')?.focus();
+  });
 }
 
-function refreshCalendarTafbDetail(){
-  if (!calendarTafbDetailOpen) return;
-  renderCalendarTafbDetail();
+/*
+ * Merge a parsePastedScheduleText result into calendarState, keeping pairing
+ * ids stable across days already on the calendar and pairings that spill in
+ * from neighbouring months.  Shared by the paste and PDF import paths.
+ */
+function applyParsedScheduleToCalendar({
+  eventsByDate,
+  parsedMonths = [],
+  parsedMonthCounts = {},
+  selectedMonthKey = ''
+} = {}){
+  const parsedMonthSet = new Set(parsedMonths);
+  const normalizedSelectedMonthKey = normalizeCalendarMonthKey(selectedMonthKey);
+  const resolveTargetMonthKey = () => {
+    if (normalizedSelectedMonthKey && parsedMonthSet.has(normalizedSelectedMonthKey)){
+      return normalizedSelectedMonthKey;
+    }
+    let bestMonth = '';
+    let bestCount = -1;
+    Object.entries(parsedMonthCounts || {}).forEach(([monthKey, count]) => {
+      const normalizedMonthKey = normalizeCalendarMonthKey(monthKey);
+      if (!normalizedMonthKey) return;
+      const numericCount = Number(count) || 0;
+      if (numericCount > bestCount){
+        bestCount = numericCount;
+        bestMonth = normalizedMonthKey;
+      }
+    });
+    if (bestMonth) return bestMonth;
+    if (parsedMonths.length){
+      return normalizeCalendarMonthKey(parsedMonths[0]) || parsedMonths[0];
+    }
+    return '';
+  };
+  const targetMonthKey = resolveTargetMonthKey();
+  const targetMonthSet = targetMonthKey ? new Set([targetMonthKey]) : parsedMonthSet;
+  const isOutsideTargetMonth = (dateKey) => {
+    if (!dateKey || !targetMonthSet.size) return false;
+    const monthKey = typeof dateKey === 'string' ? dateKey.slice(0, 7) : '';
+    return monthKey ? !targetMonthSet.has(monthKey) : false;
+  };
+  const preferredMonthKey = targetMonthKey || normalizedSelectedMonthKey || '';
+  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+    if (!day || typeof day !== 'object') return;
+    const ownMonthKey = typeof dateKey === 'string' && dateKey.length >= 7 ? dateKey.slice(0, 7) : '';
+    if (ownMonthKey && preferredMonthKey && ownMonthKey !== preferredMonthKey){
+      day.sourceMonthKey = ownMonthKey;
+    } else {
+      day.sourceMonthKey = preferredMonthKey || ownMonthKey || null;
+    }
+  });
+  const mergedEventsByDate = { ...(calendarState.eventsByDate || {}) };
+  const applyPairingIdToDay = (day, pairingId, pairingNumber) => {
+    if (!day || !pairingId) return day;
+    const updatedDay = {
+      ...day,
+      pairing: {
+        ...(day?.pairing || {}),
+        pairingId,
+        pairingNumber: pairingNumber || day?.pairing?.pairingNumber || '',
+        pairingDays: []
+      }
+    };
+    if (Array.isArray(updatedDay.events)){
+      updatedDay.events = updatedDay.events.map((event) => {
+        if (!event || typeof event !== 'object') return event;
+        return { ...event, pairingId };
+      });
+    }
+    return updatedDay;
+  };
+  const getAdjacentDateKey = (dateKey, offsetDays) => {
+    const startMs = getDateKeyStartMs(dateKey);
+    if (!Number.isFinite(startMs)) return null;
+    return buildCalendarDateKeyFromDate(new Date(startMs + (offsetDays * 86400000)));
+  };
+  const hasAdjacentOutOfRangeDay = (pairingId, dateKey) => {
+    if (!pairingId) return false;
+    const pairingDays = getCalendarPairingDays(pairingId);
+    return pairingDays.some((pairingDayKey) => {
+      if (typeof pairingDayKey !== 'string' || pairingDayKey.length < 7) return false;
+      if (!areDateKeysContiguous(pairingDayKey, dateKey)) return false;
+      return isOutsideTargetMonth(pairingDayKey);
+    });
+  };
+  const findAdjacentOutOfRangePairing = (dateKey, incomingPairingNumber) => {
+    const normalizedIncomingNumber = String(incomingPairingNumber || '').trim();
+    const adjacentOffsets = [-1, 1];
+    for (const offset of adjacentOffsets){
+      const adjacentKey = getAdjacentDateKey(dateKey, offset);
+      if (!adjacentKey || !isOutsideTargetMonth(adjacentKey)) continue;
+      const adjacentDay = calendarState.eventsByDate?.[adjacentKey];
+      const adjacentPairingId = String(
+        adjacentDay?.pairing?.pairingId || getCalendarPairingIdFromEvents(adjacentDay?.events) || ''
+      ).trim();
+      if (!adjacentPairingId) continue;
+      const adjacentPairingNumber = String(adjacentDay?.pairing?.pairingNumber || '').trim();
+      if (normalizedIncomingNumber && adjacentPairingNumber
+        && normalizedIncomingNumber !== adjacentPairingNumber){
+        continue;
+      }
+      return {
+        pairingId: adjacentPairingId,
+        pairingNumber: adjacentPairingNumber
+      };
+    }
+    return null;
+  };
+  Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
+    const existingDay = calendarState.eventsByDate?.[dateKey];
+    const incomingHasEvents = Array.isArray(day?.events) && day.events.length > 0;
+    const existingHasEvents = Array.isArray(existingDay?.events) && existingDay.events.length > 0;
+    if (!incomingHasEvents && existingHasEvents){
+      if (!mergedEventsByDate[dateKey]){
+        mergedEventsByDate[dateKey] = existingDay;
+      }
+      return;
+    }
+    const existingPairingId = String(
+      existingDay?.pairing?.pairingId || getCalendarPairingIdFromEvents(existingDay?.events) || ''
+    ).trim();
+    const incomingPairingId = String(
+      day?.pairing?.pairingId || getCalendarPairingIdFromEvents(day?.events) || ''
+    ).trim();
+    const incomingPairingNumber = String(day?.pairing?.pairingNumber || '').trim();
+    if (!existingPairingId && incomingPairingId){
+      const adjacentPairing = findAdjacentOutOfRangePairing(dateKey, incomingPairingNumber);
+      if (adjacentPairing){
+        mergedEventsByDate[dateKey] = applyPairingIdToDay(
+          day,
+          adjacentPairing.pairingId,
+          adjacentPairing.pairingNumber
+        );
+        return;
+      }
+    }
+    if (existingPairingId && incomingPairingId && existingPairingId === incomingPairingId){
+      mergedEventsByDate[dateKey] = applyPairingIdToDay(
+        day,
+        existingPairingId,
+        existingDay?.pairing?.pairingNumber || ''
+      );
+      return;
+    }
+    if (existingPairingId && incomingPairingId && existingPairingId !== incomingPairingId
+      && hasAdjacentOutOfRangeDay(existingPairingId, dateKey)){
+      mergedEventsByDate[dateKey] = applyPairingIdToDay(
+        day,
+        existingPairingId,
+        existingDay?.pairing?.pairingNumber || ''
+      );
+      return;
+    }
+    mergedEventsByDate[dateKey] = day;
+  });
+  calendarState.eventsByDate = mergedEventsByDate;
+  normalizeCalendarState();
+  calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
+  ensureCalendarSelection();
+  saveCalendarState();
+  renderCalendar();
 }
 
-function openCalendarBlockGrowthDetail(){
-  const creditEl = document.getElementById('modern-calendar-credit-detail');
-  const detailEl = document.getElementById('modern-calendar-block-growth-detail');
-  if (!detailEl) return;
-  calendarBlockGrowthDetailOpen = true;
-  renderCalendarBlockGrowthDetail();
-  document.getElementById('modern-calendar-main')?.classList.add('hidden');
-  document.getElementById('modern-calendar-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-pairing-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-day-detail')?.classList.add('hidden');
-  document.getElementById('modern-calendar-tafb-detail')?.classList.add('hidden');
-  if (creditEl) creditEl.classList.add('hidden');
-  detailEl.classList.remove('hidden');
-  calendarTafbDetailOpen = false;
+function buildCalendarPdfImportPairings(eventsByDate){
+  const pairingMap = new Map();
+  Object.keys(eventsByDate || {}).sort().forEach((dateKey) => {
+    const day = eventsByDate[dateKey];
+    if (!Array.isArray(day?.events) || !day.events.length) return;
+    const pairingId = String(day?.pairing?.pairingId || getCalendarPairingIdFromEvents(day.events) || dateKey).trim();
+    if (!pairingMap.has(pairingId)){
+      pairingMap.set(pairingId, {
+        pairingId,
+        pairingNumber: String(day?.pairing?.pairingNumber || '').trim(),
+        days: [],
+        identifiers: []
+      });
+    }
+    const pairing = pairingMap.get(pairingId);
+    pairing.days.push(dateKey);
+    day.events.forEach((event) => {
+      (event?.identifiers || []).forEach((identifier) => {
+        if (!pairing.identifiers.includes(identifier)) pairing.identifiers.push(identifier);
+      });
+    });
+  });
+  return Array.from(pairingMap.values()).map((pairing) => {
+    const isPairing = pairing.pairingId.startsWith('PAIR-');
+    const totals = isPairing
+      ? getCalendarPairingSummary(pairing.pairingId, null, eventsByDate)
+      : null;
+    const creditMinutes = totals
+      ? totals.creditMinutes
+      : getCalendarDayCreditTotal(pairing.days[0], eventsByDate[pairing.days[0]]);
+    return {
+      ...pairing,
+      creditMinutes: Number.isFinite(creditMinutes) ? creditMinutes : null,
+      tafbMinutes: totals?.tafbMinutes ?? null
+    };
+  });
 }
 
-function closeCalendarBlockGrowthDetail(){
-  const detailEl = document.getElementById('modern-calendar-block-growth-detail');
-  if (detailEl) detailEl.classList.add('hidden');
-  calendarBlockGrowthDetailOpen = false;
-  if (calendarCreditDetailOpen){
-    document.getElementById('modern-calendar-credit-detail')?.classList.remove('hidden');
-  } else {
-    document.getElementById('modern-calendar-main')?.classList.remove('hidden');
+function renderCalendarPdfImportPreview(){
+  const panel = document.getElementById('modern-calendar-pdf-panel');
+  const out = document.getElementById('modern-calendar-pdf-preview');
+  const confirmButton = document.getElementById('modern-calendar-pdf-confirm');
+  if (!panel || !out) return;
+  const preview = calendarPdfImportPreview;
+  panel.classList.toggle('hidden', !preview);
+  panel.setAttribute('aria-hidden', String(!preview));
+  if (!preview){
+    out.innerHTML = '';
+    return;
+  }
+  const { result, fileName } = preview;
+  const pairings = buildCalendarPdfImportPairings(result.eventsByDate);
+  const monthLabels = (result.parsedMonths || []).map(formatCalendarMonthLabel).join(', ') || '—';
+  const rows = pairings.map((pairing) => {
+    const first = pairing.days[0];
+    const last = pairing.days[pairing.days.length - 1];
+    const dates = first === last
+      ? formatCalendarShortDateLabel(first)
+      : `${formatCalendarShortDateLabel(first)} – ${formatCalendarShortDateLabel(last)}`;
+    const title = pairing.pairingNumber || pairing.identifiers[0] || 'Duty';
+    const credit = Number.isFinite(pairing.creditMinutes) ? formatDurationMinutes(pairing.creditMinutes) : '—';
+    const tafb = Number.isFinite(pairing.tafbMinutes) ? ` · TAFB ${formatDurationMinutes(pairing.tafbMinutes)}` : '';
+    return `<div class="block"><div class="label">${escapeHtml(title)} · ${escapeHtml(dates)}</div>`
+      + `<div class="value">${escapeHtml(pairing.identifiers.join(', ') || '—')}</div>`
+      + `<div class="muted-note">Credit ${escapeHtml(credit)}${escapeHtml(tafb)}</div></div>`;
+  }).join('');
+  const skipped = result.unclassifiedLines || [];
+  const skippedList = skipped
+    .map(entry => `<li>p${escapeHtml(String(entry.page || '?'))}: ${escapeHtml(entry.text)}</li>`)
+    .join('');
+  out.innerHTML = `<div class="simple">`
+    + `<div class="block"><div class="label">${escapeHtml(fileName)}</div>`
+    + `<div class="value">${escapeHtml(monthLabels)}</div>`
+    + `<div class="muted-note">${result.pageCount} ${result.pageCount === 1 ? 'page' : 'pages'}, ${pairings.length} ${pairings.length === 1 ? 'pairing' : 'pairings'}</div></div>`
+    + (rows || `<div class="block"><div class="label">Pairings</div><div class="value">${escapeHtml(result.statusMessage || 'None found')}</div></div>`)
+    + `</div>`
+    + (skipped.length
+      ? `<details class="drawer"><summary>Rows not classified (${skipped.length})</summary><ul class="calendar-pdf-skipped">${skippedList}</ul></details>`
+      : '');
+  if (confirmButton) confirmButton.disabled = !pairings.length;
+}
+
+async function openCalendarPdfImport(file){
+  if (!file) return;
+  setCalendarStatus('Reading PDF…');
+  try {
+    const result = await parseSchedulePdf(file);
+    calendarPdfImportPreview = { result, fileName: file.name || 'Schedule PDF' };
+    renderCalendarPdfImportPreview();
+    const skipped = result.unclassifiedLines?.length || 0;
+    setCalendarStatus(result.parsedMonths?.length
+      ? `Review the PDF import below (${skipped} ${skipped === 1 ? 'row' : 'rows'} not classified).`
+      : (result.statusMessage || 'No calendar events found in PDF.'));
+  } catch (err){
+    console.error('Schedule PDF import failed', err);
+    calendarPdfImportPreview = null;
+    renderCalendarPdfImportPreview();
+    setCalendarStatus(err?.message || 'Unable to read PDF.');
   }
-  flushCalendarRenderIfNeeded();
 }
 
-function refreshCalendarBlockGrowthDetail(){
-  if (!calendarBlockGrowthDetailOpen) return;
-  renderCalendarBlockGrowthDetail();
+function confirmCalendarPdfImport(){
+  const preview = calendarPdfImportPreview;
+  calendarPdfImportPreview = null;
+  renderCalendarPdfImportPreview();
+  if (!preview?.result?.parsedMonths?.length) return;
+  try {
+    applyParsedScheduleToCalendar(preview.result);
+    const count = preview.result.parsedMonths.length;
+    setCalendarStatus(`Loaded schedule for ${count} ${count === 1 ? 'month' : 'months'} from PDF.`);
+  } catch (err){
+    console.error('Schedule PDF merge failed', err);
+    setCalendarStatus(err?.message || 'Schedule import failed.');
+  }
+}
+
+// --- Calendar trip evaluation ---
+// Rest between two duties against the unaugmented minimum for the FDP before it.
+function getCalendarRestCheck({ fromMs, toMs, fdpMinutes, awayMinutes, endsHome }){
+  const requirement = computeRestRequirement({
+    dutyType: 'unaugmented',
+    endsHome: endsHome ? 'home' : 'away',
+    fdpDuration: Math.max(0, fdpMinutes) / 60,
+    timezoneDiff: 0,
+    awayHours: Math.max(0, awayMinutes) / 60,
+    encroachWOCL: 'no',
+    disruptive: 'no',
+    uocOver: 0
+  });
+  const restMinutes = Math.round((toMs - fromMs) / 60000);
+  return {
+    fromMs,
+    toMs,
+    restMinutes,
+    requirement,
+    legal: Number.isFinite(requirement.minimumHours) ? restMinutes >= requirement.minimumHours * 60 : null
+  };
 }
 
-function setCalendarEventCancellation(eventId, status){
-  let updated = false;
-  Object.values(calendarState.eventsByDate || {}).forEach((day) => {
-    day?.events?.forEach((event) => {
-      if (event.id === eventId){
-        event.cancellation = event.cancellation === status ? null : status;
-        updated = true;
+function getCalendarExistingPairings(eventsByDate = calendarState.eventsByDate){
+  const pairings = new Map();
+  Object.keys(eventsByDate || {}).sort().forEach((dateKey) => {
+    const day = eventsByDate[dateKey];
+    const pairingId = String(day?.pairing?.pairingId || getCalendarPairingIdFromEvents(day?.events) || '').trim();
+    if (!pairingId) return;
+    if (!pairings.has(pairingId)){
+      pairings.set(pairingId, {
+        pairingId,
+        label: String(day?.pairing?.pairingNumber || '').trim() || pairingId,
+        days: [],
+        ...getCalendarPairingWindowMs(pairingId, eventsByDate)
+      });
+    }
+    pairings.get(pairingId).days.push(dateKey);
+  });
+  return Array.from(pairings.values());
+}
+
+/*
+ * Evaluate pasted pairings (a trade or open time) against the calendar without
+ * adding them.  The text goes through parsePastedScheduleText into its own
+ * eventsByDate, so each candidate gets the same pairing summary, guarantee,
+ * red-eye and duty day credit as an imported trip.  Legality is a conflict
+ * with a pairing or other duty already on the calendar, or a rest shorter
+ * than computeRestRequirement's minimum: before and after the trip at home
+ * base and on each layover.  Time zone differences are not known from the
+ * schedule, so rest uses the under 4 hour rows.  legal is true, false, or
+ * null when a rest is counted in local nights and has to be checked by hand.
+ */
+function evaluateCalendarCandidatePairing(pairingId, candidateEventsByDate, {
+  eventsByDate = calendarState.eventsByDate,
+  existingPairings = getCalendarExistingPairings(eventsByDate)
+} = {}){
+  const days = getCalendarPairingDaysFromEvents(candidateEventsByDate, pairingId);
+  const firstDay = candidateEventsByDate[days[0]];
+  const monthKey = (days[0] || '').slice(0, 7);
+  const pairingWindow = getCalendarPairingWindowMs(pairingId, candidateEventsByDate, { forceAligned: true });
+  const summary = getCalendarPairingSummary(pairingId, null, candidateEventsByDate);
+  const guarantee = getCalendarPairingAlignedDailyGuaranteeMinutes(pairingId, candidateEventsByDate, { monthKey, ...pairingWindow });
+  const redEye = getCalendarPairingRedEyeInfo(pairingId, candidateEventsByDate, pairingWindow);
+  const checkInMs = Number.isFinite(pairingWindow.checkInMs) ? pairingWindow.checkInMs : null;
+  const checkOutMs = Number.isFinite(pairingWindow.checkOutMs) ? pairingWindow.checkOutMs : null;
+  const dutyDays = getCalendarPairingDutyDays(pairingId, candidateEventsByDate).map((dutyDay, index, list) => {
+    const next = list[index + 1];
+    const tafbStartMs = index === 0 && Number.isFinite(checkInMs) ? checkInMs : dutyDay.dutyStartMs;
+    const tafbEndMs = next ? next.dutyStartMs : (Number.isFinite(checkOutMs) ? checkOutMs : dutyDay.dutyEndMs);
+    return {
+      dateKey: dutyDay.dateKey,
+      dutyStartMs: dutyDay.dutyStartMs,
+      dutyEndMs: dutyDay.dutyEndMs,
+      fdpMinutes: Math.max(0, Math.round((dutyDay.dutyEndMs - dutyDay.dutyStartMs) / 60000)),
+      blockMinutes: dutyDay.blockMinutes,
+      creditMinutes: dutyDay.creditMinutes,
+      tafbMinutes: Math.max(0, Math.round((tafbEndMs - tafbStartMs) / 60000)),
+      rest: next
+        ? getCalendarRestCheck({
+          fromMs: dutyDay.dutyEndMs,
+          toMs: next.dutyStartMs,
+          fdpMinutes: (dutyDay.dutyEndMs - dutyDay.dutyStartMs) / 60000,
+          awayMinutes: (dutyDay.dutyEndMs - tafbStartMs) / 60000,
+          endsHome: false
+        })
+        : null
+    };
+  });
+  const conflicts = [];
+  const candidateDays = new Set(days);
+  let previous = null;
+  let following = null;
+  existingPairings.forEach((existing) => {
+    const hasWindows = Number.isFinite(checkInMs) && Number.isFinite(checkOutMs)
+      && Number.isFinite(existing.checkInMs) && Number.isFinite(existing.checkOutMs);
+    if (hasWindows){
+      if (existing.checkInMs < checkOutMs && existing.checkOutMs > checkInMs){
+        conflicts.push({ pairingId: existing.pairingId, label: `Overlaps ${existing.label}` });
+      } else if (existing.checkOutMs <= checkInMs){
+        if (!previous || existing.checkOutMs > previous.checkOutMs) previous = existing;
+      } else if (!following || existing.checkInMs < following.checkInMs){
+        following = existing;
       }
+    } else if (existing.days.some(dateKey => candidateDays.has(dateKey))){
+      conflicts.push({ pairingId: existing.pairingId, label: `Shares a day with ${existing.label}` });
+    }
+  });
+  days.forEach((dateKey) => {
+    const day = eventsByDate?.[dateKey];
+    if (!Array.isArray(day?.events) || !day.events.length) return;
+    if (String(day?.pairing?.pairingId || getCalendarPairingIdFromEvents(day.events) || '').trim()) return;
+    conflicts.push({ pairingId: null, label: `${formatCalendarDateLabel(dateKey)} already has ${day.events.length === 1 ? 'an event' : `${day.events.length} events`}` });
+  });
+  const lastDutyDay = dutyDays[dutyDays.length - 1];
+  const rests = [];
+  if (previous){
+    const previousDutyDays = getCalendarPairingDutyDays(previous.pairingId, eventsByDate);
+    const previousLast = previousDutyDays[previousDutyDays.length - 1];
+    rests.push({
+      kind: 'before',
+      label: `After ${previous.label}`,
+      ...getCalendarRestCheck({
+        fromMs: previous.checkOutMs,
+        toMs: checkInMs,
+        fdpMinutes: previousLast ? (previousLast.dutyEndMs - previousLast.dutyStartMs) / 60000 : 0,
+        awayMinutes: (previous.checkOutMs - previous.checkInMs) / 60000,
+        endsHome: true
+      })
+    });
+  }
+  if (following && lastDutyDay){
+    rests.push({
+      kind: 'after',
+      label: `Before ${following.label}`,
+      ...getCalendarRestCheck({
+        fromMs: checkOutMs,
+        toMs: following.checkInMs,
+        fdpMinutes: lastDutyDay.fdpMinutes,
+        awayMinutes: (checkOutMs - checkInMs) / 60000,
+        endsHome: true
+      })
     });
+  }
+  dutyDays.forEach((dutyDay) => {
+    if (dutyDay.rest) rests.push({ kind: 'layover', label: `Layover after ${formatCalendarShortDateLabel(dutyDay.dateKey)}`, ...dutyDay.rest });
   });
-  if (updated){
-    refreshCalendarPairingDetailForEvent(eventId);
-    saveCalendarState();
-    renderCalendarIfVisible();
-    refreshCalendarDetail();
-    refreshCalendarDayDetail();
-    refreshCalendarCreditDetail();
-    refreshCalendarTafbDetail();
-    refreshCalendarBlockGrowthDetail();
+  const creditMinutes = Number.isFinite(summary.creditMinutes) ? summary.creditMinutes : 0;
+  const tafbMinutes = Number.isFinite(summary.tafbMinutes) ? summary.tafbMinutes : 0;
+  const currentRate = getCalendarCreditRate();
+  let pickup = null;
+  let payError = '';
+  try {
+    pickup = getCalendarMonthProjection(monthKey, {
+      pickup: { creditMinutes, tafbMinutes, premiumMinutes: summary.premiumEquivalentMinutes || 0 }
+    }).projection.pickup;
+  } catch (err){
+    payError = String(err?.message || err);
   }
+  return {
+    pairingId,
+    label: String(firstDay?.pairing?.pairingNumber || '').trim() || pairingId,
+    startKey: days[0] || '',
+    endKey: days[days.length - 1] || '',
+    monthKey,
+    checkInMs,
+    checkOutMs,
+    summary,
+    guarantee,
+    redEye,
+    dutyDays,
+    creditMinutes,
+    tafbMinutes,
+    creditValue: currentRate ? (creditMinutes / 60) * currentRate.rate : null,
+    pickup,
+    payError,
+    conflicts,
+    rests,
+    legal: conflicts.length || rests.some(rest => rest.legal === false)
+      ? false
+      : (rests.some(rest => rest.legal === null) ? null : true)
+  };
 }
 
-function getCalendarPairingEventSequence(eventId){
-  const entry = findCalendarEventById(eventId);
-  if (!entry) return null;
-  const pairingId = getCalendarPairingIdForEvent(entry.event, entry.dateKey);
-  if (!pairingId) return null;
-  const pairingEvents = getCalendarPairingOrderedEvents(pairingId);
-  if (!pairingEvents.length) return false;
-  const selectedIndex = pairingEvents.findIndex(item => item.event?.id === eventId);
-  if (selectedIndex < 0) return null;
-  return { entry, pairingId, pairingEvents, selectedIndex };
+function evaluateCalendarTripText(text, eventsByDate = calendarState.eventsByDate){
+  const parsed = parsePastedScheduleText(text);
+  if (!parsed.parsedMonths?.length){
+    return { pairings: [], statusMessage: parsed.statusMessage || 'No calendar events found in pasted schedule.' };
+  }
+  const pairingIds = [];
+  Object.keys(parsed.eventsByDate).sort().forEach((dateKey) => {
+    const pairingId = String(parsed.eventsByDate[dateKey]?.pairing?.pairingId || '').trim();
+    if (pairingId && !pairingIds.includes(pairingId)) pairingIds.push(pairingId);
+  });
+  if (!pairingIds.length){
+    return { pairings: [], statusMessage: 'No pairing found in pasted schedule.' };
+  }
+  const existingPairings = getCalendarExistingPairings(eventsByDate);
+  return {
+    pairings: pairingIds.map(pairingId => evaluateCalendarCandidatePairing(pairingId, parsed.eventsByDate, { eventsByDate, existingPairings })),
+    statusMessage: ''
+  };
 }
 
-function getCalendarPairingCancellationMatchState(eventId, status){
-  if (!eventId || !status) return { matches: false, sequence: null };
-  const sequence = getCalendarPairingEventSequence(eventId);
-  if (!sequence) return { matches: false, sequence: null };
-  const remainingEvents = sequence.pairingEvents.slice(sequence.selectedIndex);
-  const matches = remainingEvents.length > 0
-    && remainingEvents.every(item => item.event?.cancellation === status);
-  return { matches, sequence };
+function formatCalendarEvaluationTime(ms){
+  if (!Number.isFinite(ms)) return '—';
+  return `${formatCalendarShortDateLabel(getDateKeyFromMsInTimeZone(ms))} ${formatMinutesToTime(getLocalMinutesInTimeZone(ms))}`;
 }
 
-function setCalendarPairingCancellationFromEvent(eventId, status, options = {}){
-  const sequence = getCalendarPairingEventSequence(eventId);
-  const shouldClear = options.clear || status === null;
-  if (!sequence || (!status && !shouldClear)) return false;
-  const { pairingId, pairingEvents, selectedIndex } = sequence;
-  const nextStatus = shouldClear ? null : status;
-  let updated = false;
-  let thgReset = false;
-  for (let i = selectedIndex; i < pairingEvents.length; i += 1){
-    const target = pairingEvents[i]?.event;
-    if (!target) continue;
-    if (target.cancellation !== nextStatus){
-      target.cancellation = nextStatus;
-      updated = true;
-    }
-  }
-  if (nextStatus === 'CNX'){
-    const thgPairingDays = getCalendarPairingDays(pairingId);
-    thgPairingDays.forEach((dateKey) => {
-      const day = calendarState.eventsByDate?.[dateKey];
-      if (!day) return;
-      if (day.thgMinutes !== null){
-        day.thgMinutes = null;
-        thgReset = true;
-      }
-    });
-  }
-  if (updated || thgReset){
-    refreshCalendarPairingDetailForEvent(eventId);
-    saveCalendarState();
-    renderCalendarIfVisible();
-    refreshCalendarDetail();
-    refreshCalendarDayDetail();
-    refreshCalendarCreditDetail();
-    refreshCalendarTafbDetail();
-    refreshCalendarBlockGrowthDetail();
+function renderCalendarTripEvaluation(evaluation){
+  const out = document.getElementById('modern-calendar-evaluate-result');
+  if (!out) return;
+  if (!evaluation?.pairings?.length){
+    out.innerHTML = '';
+    return;
   }
-  return updated;
+  const renderBlocks = blocks => `<div class="simple">${blocks
+    .map(block => `<div class="block"><div class="label">${escapeHtml(block.label)}</div><div class="value">${escapeHtml(block.value)}</div></div>`)
+    .join('')}</div>`;
+  const formatRest = rest => (rest
+    ? `${formatDurationMinutes(rest.restMinutes)} (min ${rest.requirement.minimumText})`
+    : '—');
+  out.innerHTML = evaluation.pairings.map((pairing) => {
+    const legality = pairing.conflicts.length
+      ? 'Conflict'
+      : (pairing.rests.some(rest => rest.legal === false) ? 'Short rest' : (pairing.legal === null ? 'Check rest' : 'Legal'));
+    const blocks = [
+      { label: 'Pairing', value: `${pairing.label} ${formatCalendarShortDateLabel(pairing.startKey)}` },
+      { label: 'Credit', value: `${formatDurationMinutes(pairing.creditMinutes)} (${pairing.summary.creditBasis})` },
+      { label: 'TAFB', value: formatDurationMinutes(pairing.tafbMinutes) },
+      { label: 'Guarantee', value: pairing.guarantee.minutes ? `${formatDurationMinutes(pairing.guarantee.minutes)} ${pairing.guarantee.detail}` : '—' },
+      { label: 'Red-eye', value: pairing.redEye.eligible ? 'Yes' : (pairing.redEye.reason || 'No') },
+      { label: 'Credit value', value: Number.isFinite(pairing.creditValue) ? money(pairing.creditValue) : '—' },
+      { label: 'Marginal gross', value: pairing.pickup ? money(pairing.pickup.marginal_gross) : '—' },
+      { label: 'Marginal net', value: pairing.pickup ? money(pairing.pickup.marginal_net) : '—' },
+      { label: 'Legality', value: legality }
+    ];
+    const rows = pairing.dutyDays.map(dutyDay => `<tr><td>${escapeHtml(formatCalendarShortDateLabel(dutyDay.dateKey))}</td>` +
+      `<td>${escapeHtml(formatCalendarEvaluationTime(dutyDay.dutyStartMs))}</td>` +
+      `<td>${escapeHtml(formatCalendarEvaluationTime(dutyDay.dutyEndMs))}</td>` +
+      `<td class="num">${escapeHtml(formatDurationMinutes(dutyDay.fdpMinutes))}</td>` +
+      `<td class="num">${escapeHtml(formatDurationMinutes(dutyDay.blockMinutes))}</td>` +
+      `<td class="num">${escapeHtml(formatDurationMinutes(dutyDay.creditMinutes))}</td>` +
+      `<td class="num">${escapeHtml(formatDurationMinutes(dutyDay.tafbMinutes))}</td>` +
+      `<td>${escapeHtml(formatRest(dutyDay.rest))}</td></tr>`).join('');
+    const table = rows
+      ? `<div class="auditwrap"><table class="audit trip-evaluation-table">` +
+        `<thead><tr><th>Duty day</th><th>Check-in</th><th>Release</th><th>FDP</th><th>Block</th><th>Credit</th><th>TAFB</th><th>Rest after</th></tr></thead>` +
+        `<tbody>${rows}</tbody></table></div>`
+      : '';
+    const notes = [
+      ...pairing.conflicts.map(conflict => conflict.label + '.'),
+      ...pairing.rests
+        .filter(rest => rest.kind !== 'layover' || rest.legal === false)
+        .map(rest => `${rest.label}: ${formatRest(rest)}${rest.legal === false ? ', too short' : (rest.legal === null ? ', check local nights' : '')}.`)
+    ];
+    if (pairing.payError) notes.push(`Pay: ${pairing.payError}`);
+    return renderBlocks(blocks) + table +
+      (notes.length ? `<div class="muted-note">${notes.map(escapeHtml).join('<br>')}</div>` : '');
+  }).join('');
 }
 
-const CALENDAR_DELETE_MONTH_SKIP_KEY = 'acpay.calendar.deleteMonth.skipConfirm';
-const calendarDeleteMonthState = { monthKey: null };
-const calendarOverwriteConfirmState = { resolve: null };
+// --- Calendar iCalendar export ---
+const CALENDAR_ICS_PRODID = '-//AC Pay//Calendar Export//EN';
+const CALENDAR_ICS_UID_DOMAIN = 'ac-pay';
+const CALENDAR_ICS_DUTY_SPLIT_MINUTES = 480;
 
-function getCalendarDeleteMonthSkipConfirm(){
-  try {
-    return localStorage.getItem(CALENDAR_DELETE_MONTH_SKIP_KEY) === 'true';
-  } catch (err){
-    console.warn('Calendar delete skip confirm read failed', err);
-    return false;
-  }
+function escapeIcsText(value){
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
 }
 
-function setCalendarDeleteMonthSkipConfirm(shouldSkip){
-  try {
-    if (shouldSkip){
-      localStorage.setItem(CALENDAR_DELETE_MONTH_SKIP_KEY, 'true');
-    } else {
-      localStorage.removeItem(CALENDAR_DELETE_MONTH_SKIP_KEY);
+function foldIcsLine(line){
+  // RFC 5545 content lines are capped at 75 octets; continuations start with a space.
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of String(line)){
+    const bytes = encoder.encode(char).length;
+    const limit = chunks.length ? 74 : 75;
+    if (currentBytes + bytes > limit){
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
     }
-  } catch (err){
-    console.warn('Calendar delete skip confirm write failed', err);
+    current += char;
+    currentBytes += bytes;
   }
+  chunks.push(current);
+  return chunks.join('\r\n ');
 }
 
-function closeCalendarDeleteMonthOverlay(){
-  const overlay = document.getElementById('calendar-delete-month-overlay');
-  if (overlay){
-    overlay.classList.add('hidden');
-  }
-  calendarDeleteMonthState.monthKey = null;
+function formatIcsUtc(ms){
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/[-:]/g, '');
 }
 
-function getCalendarDeleteMonthOverlay(){
-  const overlay = document.getElementById('calendar-delete-month-overlay');
-  if (!overlay) return null;
-  if (overlay.dataset.ready === 'true') return overlay;
-  overlay.dataset.ready = 'true';
-  addTapListener(overlay, (event) => {
-    if (event.target === overlay){
-      closeCalendarDeleteMonthOverlay();
+function formatIcsDate(dateKey){
+  return String(dateKey || '').replace(/-/g, '');
+}
+
+function buildIcsUid(...parts){
+  const token = parts
+    .map(part => String(part ?? '').replace(/[^A-Za-z0-9._-]/g, ''))
+    .filter(Boolean)
+    .join('-');
+  return `${token || 'event'}@${CALENDAR_ICS_UID_DOMAIN}`;
+}
+
+function getCalendarEventUtcRange(event, dateKey){
+  const parts = parseDateKeyParts(dateKey);
+  const departureMinutes = Number(event?.departureMinutes);
+  const arrivalMinutes = Number(event?.arrivalMinutes);
+  if (!parts || !Number.isFinite(departureMinutes) || !Number.isFinite(arrivalMinutes)) return null;
+  const { depCode, arrCode } = getCalendarEventBoundaryAirports(event);
+  const homeZone = getHomeBaseTimeZone();
+  const depZone = getCachedAirportTimeZone(depCode) || homeZone;
+  const arrZone = getCachedAirportTimeZone(arrCode) || homeZone;
+  const startMs = getUtcMsForZonedLocalTime({ ...parts, minutes: departureMinutes }, depZone);
+  if (!Number.isFinite(startMs)) return null;
+  let endMs = NaN;
+  [-1, 0, 1, 2].forEach((offsetDays) => {
+    const candidate = getUtcMsForZonedLocalTime({
+      ...parts,
+      minutes: arrivalMinutes + (offsetDays * 1440)
+    }, arrZone);
+    if (!Number.isFinite(candidate)) return;
+    const diffMinutes = (candidate - startMs) / 60000;
+    if (diffMinutes < 0 || diffMinutes > 36 * 60) return;
+    if (!Number.isFinite(endMs) || candidate < endMs){
+      endMs = candidate;
     }
   });
-  addTapListener(overlay.querySelector('[data-calendar-delete-month-cancel]'), closeCalendarDeleteMonthOverlay);
-  addTapListener(overlay.querySelector('[data-calendar-delete-month-confirm]'), () => {
-    const requestedMonthKey = normalizeCalendarMonthKey(calendarDeleteMonthState.monthKey);
-    const selectedMonthKey = normalizeCalendarMonthKey(calendarState.selectedMonth);
-    if (!requestedMonthKey || !selectedMonthKey || requestedMonthKey !== selectedMonthKey){
-      closeCalendarDeleteMonthOverlay();
-      return;
-    }
-    const skipBox = overlay.querySelector('#calendar-delete-month-skip');
-    setCalendarDeleteMonthSkipConfirm(Boolean(skipBox?.checked));
-    const label = formatCalendarMonthLabel(selectedMonthKey);
-    deleteCalendarMonth(selectedMonthKey);
-    setCalendarStatus(`Deleted ${label}.`);
-    closeCalendarDeleteMonthOverlay();
+  if (!Number.isFinite(endMs)) return null;
+  return { startMs, endMs, depCode, arrCode, depZone, arrZone };
+}
+
+function rezoneCalendarNaiveMs(naiveMs, timeZone){
+  // Pairing windows are stored as device-local wall clock; re-read them in the airport's zone.
+  if (!Number.isFinite(naiveMs) || !timeZone) return NaN;
+  const date = new Date(naiveMs);
+  return getUtcMsForZonedLocalTime({
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    minutes: (date.getHours() * 60) + date.getMinutes()
+  }, timeZone);
+}
+
+function getCalendarIcsExportRange(monthKey = calendarState.selectedMonth){
+  const blockRange = getCalendarBlockMonthRangeForMonth(monthKey);
+  if (blockRange) return { ...blockRange, isBlockMonth: true };
+  const bounds = getCalendarMonthDateBounds(monthKey);
+  return bounds ? { ...bounds, isBlockMonth: false } : null;
+}
+
+function collectCalendarIcsLegs(eventsByDate, range){
+  const legs = [];
+  Object.keys(eventsByDate || {}).sort().forEach((dateKey) => {
+    if (!isCalendarDateKeyInRange(dateKey, range)) return;
+    const day = eventsByDate[dateKey];
+    const events = Array.isArray(day?.events) ? day.events : [];
+    events.forEach((event, index) => {
+      if (!event || isPairingMarkerEvent(event)) return;
+      const utcRange = getCalendarEventUtcRange(event, dateKey);
+      if (!utcRange) return;
+      legs.push({
+        ...utcRange,
+        event,
+        dateKey,
+        index,
+        pairingId: day?.pairing?.pairingId || event.pairingId || '',
+        pairingNumber: day?.pairing?.pairingNumber || ''
+      });
+    });
+  });
+  return legs.sort((a, b) => a.startMs - b.startMs);
+}
+
+function buildCalendarIcsDutyPeriods(legs, eventsByDate){
+  const groups = new Map();
+  legs.forEach((leg) => {
+    if (isCalendarCancelledEvent(leg.event)) return;
+    const key = leg.pairingId || `day-${leg.dateKey}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(leg);
+  });
+  const duties = [];
+  groups.forEach((groupLegs, key) => {
+    const periods = [];
+    groupLegs.forEach((leg) => {
+      const current = periods[periods.length - 1];
+      const previous = current ? current[current.length - 1] : null;
+      const restMinutes = previous
+        ? ((leg.startMs - previous.endMs) / 60000) - CALENDAR_DUTY_START_MINUTES_OPERATING - CALENDAR_DUTY_END_MINUTES
+        : Infinity;
+      if (current && restMinutes <= CALENDAR_ICS_DUTY_SPLIT_MINUTES){
+        current.push(leg);
+      } else {
+        periods.push([leg]);
+      }
+    });
+    const pairingId = groupLegs[0].pairingId;
+    const window = pairingId
+      ? getCalendarPairingWindowMs(pairingId, eventsByDate)
+      : { checkInMs: null, checkOutMs: null };
+    periods.forEach((periodLegs, periodIndex) => {
+      const first = periodLegs[0];
+      const last = periodLegs[periodLegs.length - 1];
+      const leadMinutes = getCalendarDutyLeadForSortedEntries(periodLegs, 0);
+      let startMs = first.startMs - (leadMinutes * 60000);
+      let endMs = last.endMs + (CALENDAR_DUTY_END_MINUTES * 60000);
+      if (periodIndex === 0){
+        const checkInMs = rezoneCalendarNaiveMs(window.checkInMs, first.depZone);
+        if (Number.isFinite(checkInMs) && checkInMs <= first.startMs) startMs = checkInMs;
+      }
+      if (periodIndex === periods.length - 1){
+        const checkOutMs = rezoneCalendarNaiveMs(window.checkOutMs, last.arrZone);
+        if (Number.isFinite(checkOutMs) && checkOutMs >= last.endMs) endMs = checkOutMs;
+      }
+      duties.push({
+        key,
+        periodIndex,
+        pairingNumber: first.pairingNumber,
+        startMs,
+        endMs,
+        legs: periodLegs
+      });
+    });
   });
-  return overlay;
+  return duties.sort((a, b) => a.startMs - b.startMs);
 }
 
-function openCalendarDeleteMonthOverlay(monthKey){
-  const overlay = getCalendarDeleteMonthOverlay();
-  if (!overlay) return;
-  const message = overlay.querySelector('#calendar-delete-month-message');
-  const skipBox = overlay.querySelector('#calendar-delete-month-skip');
-  const label = formatCalendarMonthLabel(monthKey);
-  calendarDeleteMonthState.monthKey = monthKey;
-  if (message){
-    message.textContent = `Delete ${label} from the calendar?`;
+function buildCalendarIcs({
+  eventsByDate = calendarState.eventsByDate,
+  hotels = calendarState.hotels,
+  range,
+  calendarName = 'AC Pay',
+  nowMs = Date.now()
+} = {}){
+  const stamp = formatIcsUtc(nowMs);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+  ];
+  const pushEvent = (fields) => {
+    lines.push('BEGIN:VEVENT', `DTSTAMP:${stamp}`, ...fields, 'END:VEVENT');
+  };
+  const legs = collectCalendarIcsLegs(eventsByDate, range);
+  legs.forEach((leg) => {
+    const label = getCalendarEventLabel(leg.event);
+    const deadhead = isDeadheadEvent(leg.event);
+    const cancelled = isCalendarCancelledEvent(leg.event);
+    const route = [leg.depCode, leg.arrCode].filter(Boolean).join('-');
+    const description = [
+      `${leg.depCode || 'DEP'} ${formatMinutesToTime(Number(leg.event.departureMinutes))} local`,
+      `${leg.arrCode || 'ARR'} ${formatMinutesToTime(Number(leg.event.arrivalMinutes))} local`,
+      leg.pairingNumber ? `Pairing ${leg.pairingNumber}` : ''
+    ].filter(Boolean).join('\n');
+    pushEvent([
+      `UID:${buildIcsUid('leg', leg.event.id || `${leg.dateKey}-${leg.index}`)}`,
+      `DTSTART:${formatIcsUtc(leg.startMs)}`,
+      `DTEND:${formatIcsUtc(leg.endMs)}`,
+      `SUMMARY:${escapeIcsText(`${deadhead ? 'DH ' : ''}${label}${route ? ` ${route}` : ''}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      leg.depCode ? `LOCATION:${escapeIcsText(leg.depCode)}` : '',
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE'
+    ].filter(Boolean));
+  });
+  buildCalendarIcsDutyPeriods(legs, eventsByDate).forEach((duty) => {
+    const first = duty.legs[0];
+    const last = duty.legs[duty.legs.length - 1];
+    const route = [first.depCode, last.arrCode].filter(Boolean).join('-');
+    const title = duty.pairingNumber ? `Duty ${duty.pairingNumber}` : 'Duty';
+    const description = duty.legs
+      .map(leg => `${getCalendarEventLabel(leg.event)} ${leg.depCode}-${leg.arrCode}`)
+      .join('\n');
+    pushEvent([
+      `UID:${buildIcsUid('duty', duty.key, duty.periodIndex)}`,
+      `DTSTART:${formatIcsUtc(duty.startMs)}`,
+      `DTEND:${formatIcsUtc(duty.endMs)}`,
+      `SUMMARY:${escapeIcsText(`${title}${route ? ` ${route}` : ''}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      'TRANSP:OPAQUE'
+    ]);
+  });
+  (Array.isArray(hotels) ? hotels : []).forEach((hotel) => {
+    if (!hotel?.startKey) return;
+    const endKey = hotel.endKey || hotel.startKey;
+    if (endKey < range.startKey || hotel.startKey > range.endKey) return;
+    const endParts = parseDateKeyParts(endKey);
+    if (!endParts) return;
+    const exclusiveEnd = buildCalendarDateKeyFromDate(new Date(endParts.year, endParts.month - 1, endParts.day + 1));
+    pushEvent([
+      `UID:${buildIcsUid('hotel', hotel.id || hotel.startKey)}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(hotel.startKey)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(exclusiveEnd)}`,
+      `SUMMARY:${escapeIcsText(hotel.name ? `Hotel: ${hotel.name}` : 'Hotel')}`,
+      'TRANSP:TRANSPARENT'
+    ]);
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+function downloadTextFile(filename, text, type = 'text/plain'){
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportCalendarIcs(monthKey = calendarState.selectedMonth){
+  const range = getCalendarIcsExportRange(monthKey);
+  if (!range){
+    setCalendarStatus('Select a month to export.');
+    return;
   }
-  if (skipBox){
-    skipBox.checked = false;
+  await ensureAirportTimezonesLoaded();
+  const monthLabel = formatCalendarMonthLabel(monthKey);
+  const text = buildCalendarIcs({
+    range,
+    calendarName: `AC Pay ${range.isBlockMonth ? 'block month ' : ''}${monthLabel}`
+  });
+  if (!/BEGIN:VEVENT/.test(text)){
+    setCalendarStatus(`No timed flights to export for ${monthLabel}.`);
+    return;
   }
-  overlay.classList.remove('hidden');
-  overlay.querySelector('[data-calendar-delete-month-cancel]')?.focus();
+  downloadTextFile(`ac-pay-${monthKey}.ics`, text, 'text/calendar;charset=utf-8');
+  setCalendarStatus(`Exported ${range.isBlockMonth ? 'block month' : 'month'} ${monthLabel} (${range.startKey} to ${range.endKey}).`);
 }
 
-function closeCalendarOverwriteOverlay({ confirmed } = {}){
-  const overlay = document.getElementById('calendar-overwrite-overlay');
-  if (overlay){
-    overlay.classList.add('hidden');
+// The feed token is kept with the endpoint that issued it.
+function getCalendarIcsFeedToken(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(CALENDAR_ICS_FEED_TOKEN_KEY) || 'null');
+    if (stored && stored.endpoint === getCalendarSyncEndpoint() && typeof stored.token === 'string'){
+      return stored.token;
+    }
+  } catch (err){
+    console.warn('Failed to read calendar feed token', err);
   }
-  const resolver = calendarOverwriteConfirmState.resolve;
-  if (resolver){
-    calendarOverwriteConfirmState.resolve = null;
-    resolver(Boolean(confirmed));
+  return '';
+}
+
+function clearCalendarIcsFeedToken(){
+  try {
+    localStorage.removeItem(CALENDAR_ICS_FEED_TOKEN_KEY);
+  } catch (err){
+    console.warn('Failed to clear calendar feed token', err);
   }
 }
 
-function getCalendarOverwriteOverlay(){
-  const overlay = document.getElementById('calendar-overwrite-overlay');
-  if (!overlay) return null;
-  if (overlay.dataset.ready === 'true') return overlay;
-  overlay.dataset.ready = 'true';
-  addTapListener(overlay, (event) => {
-    if (event.target === overlay){
-      closeCalendarOverwriteOverlay({ confirmed: false });
-    }
-  });
-  addTapListener(overlay.querySelector('[data-calendar-overwrite-cancel]'), () => {
-    closeCalendarOverwriteOverlay({ confirmed: false });
-  });
-  addTapListener(overlay.querySelector('[data-calendar-overwrite-confirm]'), () => {
-    closeCalendarOverwriteOverlay({ confirmed: true });
-  });
-  return overlay;
+/*
+ * Ask the sync worker for a read-only feed token.  The worker revokes the
+ * previous one, so subscriptions to an older feed URL stop updating.
+ */
+async function requestCalendarIcsFeedToken(){
+  const endpoint = getCalendarSyncEndpoint();
+  const token = getCalendarSyncToken();
+  if (!endpoint || !token){
+    throw new Error('Set a sync endpoint and token first.');
+  }
+  const url = `${endpoint.replace(/\/+$/, '')}/feed-token`;
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      cache: 'no-store'
+    });
+  } catch (err){
+    throw new Error(`Unable to reach calendar sync endpoint (${url}). Check the URL and https.`, { cause: err });
+  }
+  if (response.status === 404){
+    throw new Error('Sync worker does not issue feed tokens yet; redeploy it.');
+  }
+  if (!response.ok){
+    throw new Error(`Feed token request failed (${response.status}).`);
+  }
+  const data = await response.json();
+  if (typeof data?.feedToken !== 'string' || !data.feedToken){
+    throw new Error('Sync worker returned no feed token.');
+  }
+  localStorage.setItem(CALENDAR_ICS_FEED_TOKEN_KEY, JSON.stringify({ endpoint, token: data.feedToken }));
+  return data.feedToken;
 }
 
-function requestCalendarOverwriteConfirm(){
-  return new Promise((resolve) => {
-    const overlay = getCalendarOverwriteOverlay();
-    if (!overlay){
-      resolve(false);
-      return;
-    }
-    calendarOverwriteConfirmState.resolve = resolve;
-    overlay.classList.remove('hidden');
-    overlay.querySelector('[data-calendar-overwrite-cancel]')?.focus();
-  });
+function getCalendarIcsFeedUrl(){
+  const endpoint = getCalendarSyncEndpoint();
+  const feedToken = getCalendarIcsFeedToken();
+  if (!endpoint || !feedToken) return '';
+  let url;
+  try {
+    url = new URL(endpoint, window.location.href);
+  } catch (err){
+    console.warn('Failed to resolve calendar feed URL', err);
+    return '';
+  }
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}.ics`;
+  url.search = `?token=${encodeURIComponent(feedToken)}`;
+  url.hash = '';
+  return url.toString().replace(/^https?:/i, 'webcal:');
+}
+
+function renderCalendarIcsFeedUrl(){
+  const input = document.getElementById('modern-calendar-ics-feed');
+  if (!input) return;
+  const feedUrl = getCalendarIcsFeedUrl();
+  input.value = feedUrl;
+  input.placeholder = feedUrl ? '' : 'Set an endpoint and token, then New feed URL';
 }
 
 function initCalendar(){
@@ -15300,7 +17951,7 @@ function initCalendar(){
       calendarPairingDisplayMode = normalizeCalendarPairingDisplayMode(
         calendarPairingDisplayMode === 'bar' ? 'classic' : 'bar'
       );
-      saveCalendarState({ bumpUpdatedAt: false });
+      saveCalendarState();
       renderCalendar();
     });
   }
@@ -15323,156 +17974,7 @@ function initCalendar(){
           setCalendarStatus(statusMessage || 'No calendar events found in pasted schedule.');
           return;
         }
-        const parsedMonthSet = new Set(parsedMonths);
-        const normalizedSelectedMonthKey = normalizeCalendarMonthKey(selectedMonthKey);
-        const resolveTargetMonthKey = () => {
-          if (normalizedSelectedMonthKey && parsedMonthSet.has(normalizedSelectedMonthKey)){
-            return normalizedSelectedMonthKey;
-          }
-          let bestMonth = '';
-          let bestCount = -1;
-          Object.entries(parsedMonthCounts || {}).forEach(([monthKey, count]) => {
-            const normalizedMonthKey = normalizeCalendarMonthKey(monthKey);
-            if (!normalizedMonthKey) return;
-            const numericCount = Number(count) || 0;
-            if (numericCount > bestCount){
-              bestCount = numericCount;
-              bestMonth = normalizedMonthKey;
-            }
-          });
-          if (bestMonth) return bestMonth;
-          if (parsedMonths.length){
-            return normalizeCalendarMonthKey(parsedMonths[0]) || parsedMonths[0];
-          }
-          return '';
-        };
-        const targetMonthKey = resolveTargetMonthKey();
-        const targetMonthSet = targetMonthKey ? new Set([targetMonthKey]) : parsedMonthSet;
-        const isOutsideTargetMonth = (dateKey) => {
-          if (!dateKey || !targetMonthSet.size) return false;
-          const monthKey = typeof dateKey === 'string' ? dateKey.slice(0, 7) : '';
-          return monthKey ? !targetMonthSet.has(monthKey) : false;
-        };
-        const preferredMonthKey = targetMonthKey || normalizedSelectedMonthKey || '';
-        Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
-          if (!day || typeof day !== 'object') return;
-          const ownMonthKey = typeof dateKey === 'string' && dateKey.length >= 7 ? dateKey.slice(0, 7) : '';
-          if (ownMonthKey && preferredMonthKey && ownMonthKey !== preferredMonthKey){
-            day.sourceMonthKey = ownMonthKey;
-          } else {
-            day.sourceMonthKey = preferredMonthKey || ownMonthKey || null;
-          }
-        });
-        const mergedEventsByDate = { ...(calendarState.eventsByDate || {}) };
-        const applyPairingIdToDay = (day, pairingId, pairingNumber) => {
-          if (!day || !pairingId) return day;
-          const updatedDay = {
-            ...day,
-            pairing: {
-              ...(day?.pairing || {}),
-              pairingId,
-              pairingNumber: pairingNumber || day?.pairing?.pairingNumber || '',
-              pairingDays: []
-            }
-          };
-          if (Array.isArray(updatedDay.events)){
-            updatedDay.events = updatedDay.events.map((event) => {
-              if (!event || typeof event !== 'object') return event;
-              return { ...event, pairingId };
-            });
-          }
-          return updatedDay;
-        };
-        const getAdjacentDateKey = (dateKey, offsetDays) => {
-          const startMs = getDateKeyStartMs(dateKey);
-          if (!Number.isFinite(startMs)) return null;
-          return buildCalendarDateKeyFromDate(new Date(startMs + (offsetDays * 86400000)));
-        };
-        const hasAdjacentOutOfRangeDay = (pairingId, dateKey) => {
-          if (!pairingId) return false;
-          const pairingDays = getCalendarPairingDays(pairingId);
-          return pairingDays.some((pairingDayKey) => {
-            if (typeof pairingDayKey !== 'string' || pairingDayKey.length < 7) return false;
-            if (!areDateKeysContiguous(pairingDayKey, dateKey)) return false;
-            return isOutsideTargetMonth(pairingDayKey);
-          });
-        };
-        const findAdjacentOutOfRangePairing = (dateKey, incomingPairingNumber) => {
-          const normalizedIncomingNumber = String(incomingPairingNumber || '').trim();
-          const adjacentOffsets = [-1, 1];
-          for (const offset of adjacentOffsets){
-            const adjacentKey = getAdjacentDateKey(dateKey, offset);
-            if (!adjacentKey || !isOutsideTargetMonth(adjacentKey)) continue;
-            const adjacentDay = calendarState.eventsByDate?.[adjacentKey];
-            const adjacentPairingId = String(
-              adjacentDay?.pairing?.pairingId || getCalendarPairingIdFromEvents(adjacentDay?.events) || ''
-            ).trim();
-            if (!adjacentPairingId) continue;
-            const adjacentPairingNumber = String(adjacentDay?.pairing?.pairingNumber || '').trim();
-            if (normalizedIncomingNumber && adjacentPairingNumber
-              && normalizedIncomingNumber !== adjacentPairingNumber){
-              continue;
-            }
-            return {
-              pairingId: adjacentPairingId,
-              pairingNumber: adjacentPairingNumber
-            };
-          }
-          return null;
-        };
-        Object.entries(eventsByDate || {}).forEach(([dateKey, day]) => {
-          const existingDay = calendarState.eventsByDate?.[dateKey];
-          const incomingHasEvents = Array.isArray(day?.events) && day.events.length > 0;
-          const existingHasEvents = Array.isArray(existingDay?.events) && existingDay.events.length > 0;
-          if (!incomingHasEvents && existingHasEvents){
-            if (!mergedEventsByDate[dateKey]){
-              mergedEventsByDate[dateKey] = existingDay;
-            }
-            return;
-          }
-          const existingPairingId = String(
-            existingDay?.pairing?.pairingId || getCalendarPairingIdFromEvents(existingDay?.events) || ''
-          ).trim();
-          const incomingPairingId = String(
-            day?.pairing?.pairingId || getCalendarPairingIdFromEvents(day?.events) || ''
-          ).trim();
-          const incomingPairingNumber = String(day?.pairing?.pairingNumber || '').trim();
-          if (!existingPairingId && incomingPairingId){
-            const adjacentPairing = findAdjacentOutOfRangePairing(dateKey, incomingPairingNumber);
-            if (adjacentPairing){
-              mergedEventsByDate[dateKey] = applyPairingIdToDay(
-                day,
-                adjacentPairing.pairingId,
-                adjacentPairing.pairingNumber
-              );
-              return;
-            }
-          }
-          if (existingPairingId && incomingPairingId && existingPairingId === incomingPairingId){
-            mergedEventsByDate[dateKey] = applyPairingIdToDay(
-              day,
-              existingPairingId,
-              existingDay?.pairing?.pairingNumber || ''
-            );
-            return;
-          }
-          if (existingPairingId && incomingPairingId && existingPairingId !== incomingPairingId
-            && hasAdjacentOutOfRangeDay(existingPairingId, dateKey)){
-            mergedEventsByDate[dateKey] = applyPairingIdToDay(
-              day,
-              existingPairingId,
-              existingDay?.pairing?.pairingNumber || ''
-            );
-            return;
-          }
-          mergedEventsByDate[dateKey] = day;
-        });
-        calendarState.eventsByDate = mergedEventsByDate;
-        normalizeCalendarState();
-        calendarState.months = buildCalendarMonths(calendarState.eventsByDate);
-        ensureCalendarSelection();
-        saveCalendarState();
-        renderCalendar();
+        applyParsedScheduleToCalendar({ eventsByDate, parsedMonths, parsedMonthCounts, selectedMonthKey });
         const label = parsedMonths.length === 1 ? 'month' : 'months';
         setCalendarStatus(`Loaded schedule for ${parsedMonths.length} ${label}.`);
       } catch (err){
@@ -15480,10 +17982,56 @@ function initCalendar(){
         setCalendarStatus(err?.message || 'Schedule parse failed.');
       } finally {
         pasteInput.value = '';
+        renderCalendarTripEvaluation(null);
         setCalendarPastePanelOpen(false);
       }
     });
   }
+  const evaluateButton = document.getElementById('modern-calendar-evaluate');
+  if (evaluateButton && pasteInput){
+    evaluateButton.addEventListener('click', () => {
+      try {
+        const evaluation = evaluateCalendarTripText(pasteInput.value);
+        renderCalendarTripEvaluation(evaluation);
+        if (!evaluation.pairings.length){
+          setCalendarStatus(evaluation.statusMessage);
+          return;
+        }
+        const { pairings } = evaluation;
+        if (pairings.some(pairing => pairing.legal === false)){
+          setCalendarStatus('Trip conflicts with the calendar or breaks minimum rest.');
+        } else if (pairings.some(pairing => pairing.legal === null)){
+          setCalendarStatus('Trip fits the calendar, but check the rest counted in local nights before adding it.');
+        } else {
+          setCalendarStatus('Trip fits the calendar. Parse schedule to add it.');
+        }
+      } catch (err){
+        console.error('Trip evaluation failed', err);
+        renderCalendarTripEvaluation(null);
+        setCalendarStatus(err?.message || 'Trip evaluation failed.');
+      }
+    });
+  }
+  const pdfImportButton = document.getElementById('modern-calendar-import-pdf');
+  const pdfImportInput = document.getElementById('modern-calendar-pdf-input');
+  if (pdfImportButton && pdfImportInput){
+    pdfImportButton.addEventListener('click', () => {
+      setCalendarPastePanelOpen(false);
+      setCalendarPairingPanelOpen(false);
+      pdfImportInput.click();
+    });
+    pdfImportInput.addEventListener('change', () => {
+      const file = pdfImportInput.files?.[0];
+      pdfImportInput.value = '';
+      void openCalendarPdfImport(file);
+    });
+  }
+  document.getElementById('modern-calendar-pdf-confirm')?.addEventListener('click', confirmCalendarPdfImport);
+  document.getElementById('modern-calendar-pdf-cancel')?.addEventListener('click', () => {
+    calendarPdfImportPreview = null;
+    renderCalendarPdfImportPreview();
+    setCalendarStatus('PDF import cancelled.');
+  });
   const pairingSave = document.getElementById('modern-calendar-pairing-save');
   if (pairingSave){
     pairingSave.addEventListener('click', () => {
@@ -15580,6 +18128,7 @@ function initCalendar(){
         const normalized = normalizeCalendarSyncEndpointForSave(syncEndpointInput.value);
         localStorage.setItem(CALENDAR_SYNC_ENDPOINT_KEY, normalized);
         syncEndpointInput.value = normalized;
+        renderCalendarIcsFeedUrl();
         setCalendarStatus('Sync endpoint saved.');
       } catch (err){
         console.warn('Failed to store calendar sync endpoint', err);
@@ -15593,6 +18142,8 @@ function initCalendar(){
     syncTokenInput.addEventListener('change', () => {
       try {
         localStorage.setItem(CALENDAR_SYNC_TOKEN_KEY, syncTokenInput.value.trim());
+        clearCalendarIcsFeedToken();
+        renderCalendarIcsFeedUrl();
         setCalendarStatus('Sync token saved.');
       } catch (err){
         console.warn('Failed to store calendar sync token', err);
@@ -15600,6 +18151,43 @@ function initCalendar(){
       }
     });
   }
+  const historyList = document.getElementById('modern-calendar-history-list');
+  if (historyList){
+    historyList.addEventListener('click', (event) => {
+      const diffButton = event.target?.closest('[data-calendar-history-diff]');
+      if (diffButton){
+        hapticTap(diffButton);
+        compareCalendarHistoryVersion(diffButton.dataset.calendarHistoryDiff);
+        return;
+      }
+      const restoreButton = event.target?.closest('[data-calendar-history-restore]');
+      if (restoreButton){
+        hapticTap(restoreButton);
+        restoreCalendarHistoryVersion(restoreButton.dataset.calendarHistoryRestore);
+      }
+    });
+  }
+  renderCalendarIcsFeedUrl();
+  const icsFeedInput = document.getElementById('modern-calendar-ics-feed');
+  if (icsFeedInput){
+    icsFeedInput.addEventListener('focus', () => icsFeedInput.select());
+  }
+  const icsFeedIssueButton = document.getElementById('modern-calendar-ics-feed-issue');
+  if (icsFeedIssueButton){
+    icsFeedIssueButton.addEventListener('click', async () => {
+      icsFeedIssueButton.disabled = true;
+      try {
+        await requestCalendarIcsFeedToken();
+        renderCalendarIcsFeedUrl();
+        setCalendarStatus('New calendar feed URL issued; the previous one no longer works.');
+      } catch (err){
+        console.warn('Failed to issue calendar feed token', err);
+        setCalendarStatus(err?.message || 'Unable to issue a calendar feed URL.');
+      } finally {
+        icsFeedIssueButton.disabled = false;
+      }
+    });
+  }
   const syncButton = document.getElementById('modern-calendar-sync');
   if (syncButton){
     syncButton.addEventListener('click', async () => {
@@ -15868,6 +18456,39 @@ function initCalendar(){
       closeCalendarBlockGrowthDetail();
     });
   }
+  const payDetailOpen = document.getElementById('calendar-pay-detail-open');
+  if (payDetailOpen){
+    payDetailOpen.addEventListener('click', () => {
+      openCalendarPayDetail();
+    });
+  }
+  const payDetailBack = document.getElementById('calendar-pay-detail-back');
+  if (payDetailBack){
+    payDetailBack.addEventListener('click', () => {
+      closeCalendarPayDetail();
+    });
+  }
+  document.getElementById('calendar-pay-compare')?.addEventListener('click', compareCalendarPayStatement);
+  const payPdfInput = document.getElementById('calendar-pay-pdf-input');
+  let payPdfTargetId = null;
+  if (payPdfInput){
+    document.querySelectorAll('[data-pay-pdf-target]').forEach((button) => {
+      button.addEventListener('click', () => {
+        payPdfTargetId = button.dataset.payPdfTarget;
+        payPdfInput.click();
+      });
+    });
+    payPdfInput.addEventListener('change', () => {
+      const file = payPdfInput.files?.[0];
+      payPdfInput.value = '';
+      void importCalendarPayStatementPdf(file, payPdfTargetId);
+    });
+  }
+  ['calendar-projection-pickup-credit', 'calendar-projection-pickup-tafb'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      renderCalendarCreditProjection();
+    });
+  });
   const creditVacationInput = document.getElementById('calendar-vacation-credit');
   const creditVacationSave = document.getElementById('calendar-vacation-credit-save');
   const handleVacationSave = () => {
@@ -15967,6 +18588,7 @@ function initCalendar(){
       refreshCalendarCreditDetail();
       refreshCalendarTafbDetail();
       refreshCalendarBlockGrowthDetail();
+      refreshCalendarPayDetail();
       if (statusEl) statusEl.textContent = 'Block growth saved.';
     });
   }
@@ -16020,6 +18642,7 @@ function initCalendar(){
       refreshCalendarCreditDetail();
       refreshCalendarTafbDetail();
       refreshCalendarBlockGrowthDetail();
+      refreshCalendarPayDetail();
       if (statusEl) statusEl.textContent = 'Times saved.';
     });
   }
@@ -16221,6 +18844,8 @@ function initCalendar(){
 
 let currentLegacySubTab = 'annual';
 let currentModernSubTab = 'modern-annual';
+// Set when calendar credit changed while the Monthly tab was hidden.
+let monthlyCalendarStale = false;
 let currentLegacyDutyTab = 'duty';
 let currentModernDutyTab = 'modern-duty';
 let currentModernFinTab = 'modern-fin-qrh';
@@ -16367,6 +18992,12 @@ function setModernSubTab(which){
     { id: 'modern-annual', btn: 'tabbtn-modern-annual' },
     { id: 'modern-monthly', btn: 'tabbtn-modern-monthly' },
     { id: 'modern-vo', btn: 'tabbtn-modern-vo' },
+    { id: 'modern-ledger', btn: 'tabbtn-modern-ledger' },
+    { id: 'modern-retro', btn: 'tabbtn-modern-retro' },
+    { id: 'modern-career', btn: 'tabbtn-modern-career' },
+    { id: 'modern-esop-plan', btn: 'tabbtn-modern-esop-plan' },
+    { id: 'modern-compare', btn: 'tabbtn-modern-compare' },
+    { id: 'modern-profile', btn: 'tabbtn-modern-profile' },
     { id: 'modern-annual-advanced', btn: null }
   ];
   tabs.forEach(({ id, btn }) => {
@@ -16382,6 +19013,7 @@ function setModernSubTab(which){
     }
   });
   updateProjectionControlsVisibility();
+  if (which === 'modern-monthly' && monthlyCalendarStale) refreshMonthlyFromCalendar();
 }
 
 function setModernDutyTab(which){
@@ -16633,7 +19265,7 @@ function tieYearStepFromStep(isVO){
   const yearEl = isVO? document.getElementById('ot-year') : document.getElementById('year');
   const stepEl = isVO? document.getElementById('ot-step') : document.getElementById('step');
   const s = Math.max(1, Math.min(12, +stepEl.value));
-  yearEl.value = String(Math.max(2023, Math.min(2031, 2024 + s)));
+  yearEl.value = String(clampRulePackYear(2024 + s));
 }
 // Tie logic for Monthly tab
 function tieYearStepFromYearMonthly(){
@@ -16650,7 +19282,7 @@ function tieYearStepFromStepMonthly(){
   const yearEl = document.getElementById('mon-year');
   const stepEl = document.getElementById('mon-step');
   const s = Math.max(1, Math.min(12, +stepEl.value));
-  yearEl.value = String(Math.max(2023, Math.min(2031, 2024 + s)));
+  yearEl.value = String(clampRulePackYear(2024 + s));
 }
 
 function tieYearStepFromYearModern(){
@@ -16669,7 +19301,7 @@ function tieYearStepFromStepModern(){
   const stepEl = document.getElementById('modern-step');
   if (!yearEl || !stepEl) return;
   const s = Math.max(1, Math.min(12, +stepEl.value));
-  yearEl.value = String(Math.max(2023, Math.min(2031, 2024 + s)));
+  yearEl.value = String(clampRulePackYear(2024 + s));
   updateProjectionControlsVisibility();
 }
 function tieYearStepFromYearModernMonthly(){
@@ -16688,7 +19320,7 @@ function tieYearStepFromStepModernMonthly(){
   const stepEl = document.getElementById('modern-mon-step');
   if (!yearEl || !stepEl) return;
   const s = Math.max(1, Math.min(12, +stepEl.value));
-  yearEl.value = String(Math.max(2023, Math.min(2031, 2024 + s)));
+  yearEl.value = String(clampRulePackYear(2024 + s));
   updateProjectionControlsVisibility();
 }
 function tieYearStepFromYearModernVO(){
@@ -16707,7 +19339,7 @@ function tieYearStepFromStepModernVO(){
   const stepEl = document.getElementById('modern-ot-step');
   if (!yearEl || !stepEl) return;
   const s = Math.max(1, Math.min(12, +stepEl.value));
-  yearEl.value = String(Math.max(2023, Math.min(2031, 2024 + s)));
+  yearEl.value = String(clampRulePackYear(2024 + s));
   updateProjectionControlsVisibility();
 }
 
@@ -17424,12 +20056,12 @@ function getDateKeyDayOffset(targetKey, originKey){
   if (!Number.isFinite(targetStart) || !Number.isFinite(originStart)) return NaN;
   return Math.round((targetStart - originStart) / 86400000);
 }
-async function computeTimezoneDiffFromYYZ(input){
+async function computeTimezoneDiffFromHomeBase(input){
   const layoverZone = await resolveAirportTimeZone(input, 'layover');
   const now = new Date();
-  const yyzOffset = getTimeZoneOffsetMinutes('America/Toronto', now);
+  const homeOffset = getTimeZoneOffsetMinutes(getHomeBaseTimeZone(), now);
   const layoverOffset = getTimeZoneOffsetMinutes(layoverZone, now);
-  const diffHours = Math.abs((layoverOffset - yyzOffset) / 60);
+  const diffHours = Math.abs((layoverOffset - homeOffset) / 60);
   return Math.round(diffHours * 100) / 100;
 }
 
@@ -17445,24 +20077,26 @@ async function computeTimezoneDiffBetweenAirports(departureInput, arrivalInput){
   return Math.round(diffHours * 100) / 100;
 }
 
-async function computeFdpStartInYYZ(startTime, departureCode){
+async function computeFdpStartInHomeBase(startTime, departureCode){
   const startMinutes = parseTimeToMinutes(startTime);
   if (!Number.isFinite(startMinutes)) throw new Error('Enter an FDP start time in HH:MM.');
   const departure = normalizeAirportCode(departureCode);
   if (!departure) throw new Error('Enter a departure airport code.');
   const departureZone = await resolveAirportTimeZone(departure, 'departure');
   const now = new Date();
-  const yyzOffset = getTimeZoneOffsetMinutes('America/Toronto', now);
+  const homeBase = getHomeBase();
+  const homeOffset = getTimeZoneOffsetMinutes(homeBase.timeZone, now);
   const departureOffset = getTimeZoneOffsetMinutes(departureZone, now);
-  const diffMinutes = Math.round(yyzOffset - departureOffset);
-  const yyzMinutes = ((startMinutes + diffMinutes) % 1440 + 1440) % 1440;
+  const diffMinutes = Math.round(homeOffset - departureOffset);
+  const homeMinutes = ((startMinutes + diffMinutes) % 1440 + 1440) % 1440;
   const startUtcMinutes = startMinutes - departureOffset;
   return {
-    startMinutes: yyzMinutes,
+    startMinutes: homeMinutes,
     startUtcMinutes,
     departure,
+    homeBase: homeBase.code,
     localLabel: formatMinutesToTime(startMinutes),
-    yyzLabel: formatMinutesToTime(yyzMinutes)
+    homeLabel: formatMinutesToTime(homeMinutes)
   };
 }
 
@@ -19401,7 +22035,7 @@ const INFO_COPY = {
     monthlyNet: 'Projected monthly net after tax, CPP/QPP, EI, pension, union dues, health and ESOP, plus the employer ESOP match (no cheque split).',
     taxReturn: 'Estimated refund (positive) or balance owing (negative) based on annualized withholding across two monthly paycheques (advance annualized at 12, second cheque annualized at 24, pension based on full month gross), plus RRSP and union dues tax savings.',
     hourlyRate: 'Pay table rate for each segment of the year (with XLR when toggled), including the progression date increase. Projected years (2027+) reflect the selected scenario growth rates and slope anchoring for FO/RP.',
-    incomeTax: 'Total annual federal and provincial income tax after pension credits (RRSP and union dues savings are reflected in the tax return estimate).',
+    incomeTax: 'Total annual federal and provincial income tax after pension credits, the Canada Employment Amount, provincial surtax and health premium, and the Quebec abatement (RRSP and union dues savings are reflected in the tax return estimate).',
     cpp: 'Annual CPP/QPP contributions on employment income up to the yearly maximum.',
     ei: 'Annual EI premiums based on insurable earnings up to the yearly maximum.',
     pension: 'Employee pension contributions using the current pension rate applied to gross pay.',
@@ -19417,7 +22051,10 @@ const INFO_COPY = {
     withholding: 'Annualized tax withheld with advances annualized at 12 cheques, second cheques at 24 cheques, and pension based on full month gross.',
     donationCredit: 'Donation credit estimated using base federal and provincial credit rates.',
     dividendGrossUp: 'Dividend gross-up added to taxable income for eligible and non-eligible dividends.',
-    capitalGainsTaxable: 'Taxable portion of net capital gains after capital losses (50% inclusion rate).'
+    capitalGainsTaxable: 'Taxable portion of net capital gains after capital losses (50% inclusion rate), including simulated ESOP sales in the year.',
+    pensionAdjustment: 'Defined benefit pension adjustment on your T4: 9 × the pension this year earns (2% of gross, up to the defined benefit limit) less $600.',
+    rrspRoom: 'New RRSP room this year creates for next year: 18% of gross less union dues, up to next year\'s RRSP limit, minus the pension adjustment. Unused room carried forward is not included.',
+    rrspSuggestion: 'Additional RRSP contribution that brings taxable income down to the nearest lower federal or provincial bracket threshold, within your remaining deduction limit when the room tracker is set up.'
   },
   monthly: {
     hourlyRate: 'Pay table rate for the chosen seat, aircraft, year and step (including XLR when toggled). Projected years (2027+) follow the selected growth scenario and FO/RP slope anchoring.',
@@ -19425,9 +22062,13 @@ const INFO_COPY = {
     voCredits: 'VO credit hours and minutes (converted to hours) that are always paid at double time.',
     gross: 'Monthly gross combining regular hours at the hourly rate, overtime beyond 85 hours at double time and VO credits at double time.',
     net: 'Monthly take-home after tax, CPP/QPP, EI, health, union dues, pension and ESOP, plus the ESOP match and TAFB.',
-    payAdvance: 'Requested advance minus tax/CPP/QPP/EI withheld on that advance cheque alone (annualized over 12 similar paycheques).',
+    payAdvance: 'Requested advance minus tax/CPP/QPP/EI withheld on that advance cheque alone (annualized over 12 similar paycheques, or as one of 24 pay periods with the T4127 formula).',
     secondPay: 'Remaining gross after the advance minus tax/CPP/QPP/EI calculated on the second cheque and fixed deductions (no ESOP match added), plus TAFB.',
     incomeTax: 'Total monthly income tax withheld across the advance and second pay cheques.',
+    withholding: 'CRA T4127 payroll formula (Revenu Québec TP-1015.F for the Quebec share): each cheque is one of 24 pay periods, annualized after pension and union dues, with your TD1 claim amounts (blank uses the basic personal amount, claim code 1) and CPP/QPP and EI credited up to the annual maximums.',
+    chequeTax: 'Income tax withheld from this cheque alone.',
+    annualIncome: 'Annual taxable income the cheque is withheld on: 24 × (gross − pension − enhanced CPP/QPP − union dues).',
+    lumpSum: 'Bonus or retro pay on the second pay. With the T4127 formula it is taxed by the bonus method (tax on annual income plus the lump sum, less tax on annual income) instead of being annualized; no pension is taken from it.',
     cpp: 'Estimated monthly CPP/QPP contributions toward the annual maximum.',
     ei: 'Estimated monthly EI premiums toward the annual maximum.',
     pension: 'Employee pension contributions for the month at the current pension rate.',
@@ -19437,7 +22078,11 @@ const INFO_COPY = {
     union: 'Estimated monthly union dues based on seat, aircraft, year and hours.',
     tafb: 'Per diem hours paid at $5.427/hr added after tax. Pairing TAFB uses TRIP TAFB totals when available; otherwise it is calculated from check-in/out. In Classic mode, manual pairings default to 75 minutes before first departure and 15 minutes after last arrival. In Aligned mode, deadhead starts use Article 25 timing (45/60 minute pre-departure based on airport pairing, plus the 1:15 connection rule when deadhead begins duty before operating). If the original first/last flight is cancelled, TRIP and manual overrides are ignored and TAFB is recalculated from the first/last non-cancelled boundary.',
     marginalFed: 'Marginal federal tax rate based on annualized taxable income (gross minus pension).',
-    marginalProv: 'Marginal provincial/territorial tax rate based on annualized taxable income.'
+    marginalProv: 'Marginal provincial/territorial tax rate based on annualized taxable income.',
+    ytdGross: 'Gross from the YTD ledger months before the selected month plus this month\'s advance and second cheques.',
+    ytdCpp: 'CPP/QPP and CPP2/QPP2 taken so far this year, including this month. With a ledger month set, each cheque deducts only what is still owed against the cumulative YMPE/YAMPE windows, so the Maxed CPP/EI option is ignored.',
+    ytdEi: 'EI premiums taken so far this year, including this month, up to the premium on the maximum insurable earnings (MIE).',
+    ytdLimits: 'Whether cumulative gross after this month reaches the YMPE (CPP/QPP base), YAMPE (CPP2/QPP2) or MIE (EI) for the year.'
   },
   calendar: {
     pairingCredit: 'Per-flight credit uses block time computed from departure/arrival with time-zone/DST awareness; deadheads earn 50% of block except when ending after the original last-flight arrival on a CNX PP extension (full block). Imported pairings keep TRIP credit until first manual edit; manual/new or edited pairings use guarantee logic. Classic mode compares duty-day credit vs TTG (TAFB/4). Aligned mode uses A13.15 logic: greater of duty-day value (sum of max FTC vs DPG where DPG=max(4:25,FDP/2)), TTG, and ADG (4:30/day effective January 2027 block period) with red-eye 4:25/day pre-ADG where applicable. CNX PP credit is removed from the base calculation and added back on top, with pre-CNX PP floor protection. Block-growth minutes are recomputed from original-vs-current leg times whenever pairing metrics refresh, and stale imported baselines are reset to the current schedule to prevent phantom growth.',
@@ -19464,13 +22109,13 @@ const INFO_COPY = {
     obstruction: 'Worst precipitation or visibility obstruction token across overlapping non-PROB TAF segments at the selected time. PROB30/40 tokens appear in brackets.'
   },
   duty: {
-    maxFdp: 'Maximum flight duty period based on the selected rule set (ALPA or FOM). ALPA uses the FDP start time converted to YYZ local, planned sectors/legs, zone selection, time zone difference between departure and arrival (<4 vs ≥4 column), and augmentation/rest facility limits from Tables A–C; deadhead at end of duty day applies Table D limits or the +3 hour extension cap (18 hours). FOM uses the published FDP tables for unaugmented/augmented limits without zone or time-zone adjustments.',
+    maxFdp: 'Maximum flight duty period based on the selected rule set (ALPA or FOM). ALPA uses the FDP start time converted to home base local time (pilot profile base), planned sectors/legs, zone selection, time zone difference between departure and arrival (<4 vs ≥4 column), and augmentation/rest facility limits from Tables A–C; deadhead at end of duty day applies Table D limits or the +3 hour extension cap (18 hours). FOM uses the published FDP tables for unaugmented/augmented limits without zone or time-zone adjustments.',
     endUtc: 'FDP end time in UTC using the calculated maximum FDP added to the departure local start time (day offset shown when crossing midnight UTC).',
     brakesSet: 'Brakes set time in UTC calculated as FDP end minus 15 minutes (day offset shown when crossing midnight UTC). This is shown for ALPA duty results only.',
     basis: 'Rule bucket used to determine the maximum FDP from the tables and whether deadhead rules were applied.'
   },
   rest: {
-    minimum: 'Minimum rest required based on home base/away status (inferred from the layover code; YYZ/CYYZ treated as home base), time zone differences (calculated from the layover location vs YYZ using today’s date), augmentation, and UOC/disruptive schedule rules. Enter the actual FDP duration, including any deadhead extension, to reflect Table D impacts.',
+    minimum: 'Minimum rest required based on home base/away status (inferred from the layover code; the pilot profile base is treated as home base), time zone differences (calculated from the layover location vs the home base using today’s date), augmentation, and UOC/disruptive schedule rules. Enter the actual FDP duration, including any deadhead extension, to reflect Table D impacts.',
     basis: 'Rule bucket used to set the base rest requirement.',
     extras: 'Additional requirements such as disruptive schedule local night’s rest or UOC extensions.'
   }
@@ -19497,7 +22142,8 @@ function getAnnualParams(isModern){
       avgMonthlyHours: +document.getElementById('modern-avgHrs').value,
       province: document.getElementById('modern-prov').value,
       esopPct: +document.getElementById('modern-esop').value,
-      rrsp: +document.getElementById('modern-adv-rrsp').value
+      rrsp: +document.getElementById('modern-adv-rrsp').value,
+      hireDate: getPilotHireDate()
     };
   }
   return {
@@ -19510,7 +22156,8 @@ function getAnnualParams(isModern){
     avgMonthlyHours: +document.getElementById('avgHrs').value,
     province: document.getElementById('prov').value,
     esopPct: +document.getElementById('esop').value,
-    rrsp: +document.getElementById('rrsp').value
+    rrsp: +document.getElementById('rrsp').value,
+    hireDate: getPilotHireDate()
   };
 }
 
@@ -19549,8 +22196,10 @@ function normalizeAmount(value){
 function computeAdvancedTaxReturn({ baseParams, baseResult, advancedParams }){
   const eligibleDividends = normalizeAmount(advancedParams.eligibleDividends);
   const nonEligibleDividends = normalizeAmount(advancedParams.nonEligibleDividends);
-  const capitalGains = normalizeAmount(advancedParams.capitalGains);
-  const capitalLosses = normalizeAmount(advancedParams.capitalLosses);
+  // Simulated ESOP sales add their net gain, or loss, to what was entered.
+  const esopGain = +advancedParams.esopGain || 0;
+  const capitalGains = normalizeAmount(advancedParams.capitalGains) + Math.max(0, esopGain);
+  const capitalLosses = normalizeAmount(advancedParams.capitalLosses) + Math.max(0, -esopGain);
   const donations = normalizeAmount(advancedParams.donations);
   const otherIncome = normalizeAmount(advancedParams.otherIncome);
   const otherDeductions = normalizeAmount(advancedParams.otherDeductions);
@@ -19561,23 +22210,35 @@ function computeAdvancedTaxReturn({ baseParams, baseResult, advancedParams }){
   const netCapitalGains = Math.max(0, capitalGains - capitalLosses);
   const capitalGainsTaxable = netCapitalGains * CAPITAL_GAINS_INCLUSION;
   const rrsp = normalizeAmount(advancedParams.rrsp || baseParams.rrsp);
+  // With the room tracker set up, only contributions within the deduction limit come off.
+  const rrspLimit = advancedParams.rrspLimit ?? null;
+  const rrspDeducted = rrspLimit === null ? rrsp : Math.min(rrsp, Math.max(0, rrspLimit));
 
   const adjustedTaxable = Math.max(
     0,
-    baseResult.taxable_pre + otherIncome + grossUpEligible + grossUpNonEligible + capitalGainsTaxable - rrsp - otherDeductions - unionDues
+    baseResult.taxable_pre + otherIncome + grossUpEligible + grossUpNonEligible + capitalGainsTaxable - rrspDeducted - otherDeductions - unionDues
   );
 
-  const { total: taxBeforeCredits, fedLow, provLow } = computeIncomeTaxWithCredits({
+  const { total: taxBeforeCredits, fedLow, provLow, breakdown: taxDetail } = computeIncomeTaxWithCredits({
     taxable: adjustedTaxable,
     year: baseParams.year,
     province: baseParams.province,
     cpp: baseResult.cpp_full,
-    ei: baseResult.ei_full
+    ei: baseResult.ei_full,
+    employmentIncome: baseResult.gross
   });
 
   const donationCredit = donations * (fedLow + provLow);
   const taxAfterCredits = Math.max(0, taxBeforeCredits - donationCredit);
   const returnEstimate = +(baseResult.annualized_withholding_tax - taxAfterCredits).toFixed(2);
+  const pensionAdjustment = computePensionAdjustment({ year: baseParams.year, earnings: baseResult.gross });
+  const rrspRoom = computeRrspRoom({ year: baseParams.year, earnedIncome: baseResult.gross - unionDues, pensionAdjustment });
+  const rrspSuggestion = suggestRrspContribution({
+    taxable: adjustedTaxable,
+    year: baseParams.year,
+    province: baseParams.province,
+    room: rrspLimit === null ? null : rrspLimit - rrspDeducted
+  });
 
   return {
     eligibleDividends,
@@ -19594,16 +22255,36 @@ function computeAdvancedTaxReturn({ baseParams, baseResult, advancedParams }){
     capitalGainsTaxable,
     adjustedTaxable,
     taxBeforeCredits,
+    taxDetail,
     donationCredit,
     taxAfterCredits,
     withholding: baseResult.annualized_withholding_tax,
     returnEstimate,
     unionDues,
-    rrsp
+    esopGain,
+    rrsp,
+    rrspLimit,
+    rrspDeducted,
+    rrspSuggestion,
+    pensionAdjustment,
+    rrspRoom
   };
 }
 
-function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isModern }){
+// Label/value rows for the parts of income tax that only some provinces have.
+function buildIncomeTaxDetailRows(detail){
+  if (!detail) return [];
+  return [
+    ['Canada Employment Amount', detail.cea, true],
+    ['Quebec abatement', -detail.qc_abatement],
+    ['Quebec deduction for workers', detail.employment_deduction],
+    ['Provincial surtax', detail.surtax],
+    ['Provincial low-income reduction', -detail.low_income_reduction],
+    ['Ontario Health Premium', detail.health_premium]
+  ].filter(([, value, always]) => always || value).map(([label, value]) => [label, money(value)]);
+}
+
+function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isModern, registeredRoom = null }){
   const out = document.getElementById(isModern ? 'modern-adv-out' : 'adv-out');
   if (!out) return;
   const metricHTML = isModern ? `
@@ -19615,6 +22296,9 @@ function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isMod
       <div class="metric-card"><div class="metric-label">${labelWithInfo('Donation credit', INFO_COPY.advanced.donationCredit)}</div><div class="metric-value">${money(advancedResult.donationCredit)}</div></div>
       <div class="metric-card"><div class="metric-label">${labelWithInfo('Dividend gross-up', INFO_COPY.advanced.dividendGrossUp)}</div><div class="metric-value">${money(advancedResult.dividendGrossUp)}</div></div>
       <div class="metric-card"><div class="metric-label">${labelWithInfo('Taxable capital gains', INFO_COPY.advanced.capitalGainsTaxable)}</div><div class="metric-value">${money(advancedResult.capitalGainsTaxable)}</div></div>
+      <div class="metric-card"><div class="metric-label">${labelWithInfo('Pension adjustment', INFO_COPY.advanced.pensionAdjustment)}</div><div class="metric-value">${money(advancedResult.pensionAdjustment)}</div></div>
+      <div class="metric-card"><div class="metric-label">${labelWithInfo(`RRSP room for ${advancedResult.rrspRoom.year}`, INFO_COPY.advanced.rrspRoom)}</div><div class="metric-value">${money(advancedResult.rrspRoom.room)}</div></div>
+      <div class="metric-card"><div class="metric-label">${labelWithInfo('RRSP to next bracket', INFO_COPY.advanced.rrspSuggestion)}</div><div class="metric-value">${money(advancedResult.rrspSuggestion.amount)}</div></div>
     </div>`
     : `
     <div class="simple">
@@ -19625,6 +22309,9 @@ function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isMod
       <div class="block"><div class="label">${labelWithInfo('Donation credit', INFO_COPY.advanced.donationCredit)}</div><div class="value">${money(advancedResult.donationCredit)}</div></div>
       <div class="block"><div class="label">${labelWithInfo('Dividend gross-up', INFO_COPY.advanced.dividendGrossUp)}</div><div class="value">${money(advancedResult.dividendGrossUp)}</div></div>
       <div class="block"><div class="label">${labelWithInfo('Taxable capital gains', INFO_COPY.advanced.capitalGainsTaxable)}</div><div class="value">${money(advancedResult.capitalGainsTaxable)}</div></div>
+      <div class="block"><div class="label">${labelWithInfo('Pension adjustment', INFO_COPY.advanced.pensionAdjustment)}</div><div class="value">${money(advancedResult.pensionAdjustment)}</div></div>
+      <div class="block"><div class="label">${labelWithInfo(`RRSP room for ${advancedResult.rrspRoom.year}`, INFO_COPY.advanced.rrspRoom)}</div><div class="value">${money(advancedResult.rrspRoom.room)}</div></div>
+      <div class="block"><div class="label">${labelWithInfo('RRSP to next bracket', INFO_COPY.advanced.rrspSuggestion)}</div><div class="value">${money(advancedResult.rrspSuggestion.amount)}</div></div>
     </div>`;
 
   const auditRows = [
@@ -19635,15 +22322,20 @@ function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isMod
     ['Province/Territory', baseParams.province],
     ['Avg monthly credit hours', baseParams.avgMonthlyHours],
     ['RRSP contributions', money(advancedResult.rrsp)],
+    ...(advancedResult.rrspDeducted !== advancedResult.rrsp ? [['RRSP deducted', money(advancedResult.rrspDeducted)]] : []),
+    ['Pension adjustment', money(advancedResult.pensionAdjustment)],
+    [`RRSP room for ${advancedResult.rrspRoom.year}`, money(advancedResult.rrspRoom.room)],
     ['Annual gross', money(baseResult.gross)],
     ['Annual pension', money(baseResult.pension)],
     ['Base taxable', money(baseResult.taxable_pre)],
     ['CPP/QPP (annual)', money(baseResult.cpp_full)],
     ['EI (annual)', money(baseResult.ei_full)],
     ['Withholding tax', money(baseResult.annualized_withholding_tax)],
+    ...buildIncomeTaxDetailRows(advancedResult.taxDetail),
     ['Union dues', money(advancedResult.unionDues)],
     ['Eligible dividends', money(advancedResult.eligibleDividends)],
     ['Non-eligible dividends', money(advancedResult.nonEligibleDividends)],
+    ...(advancedResult.esopGain ? [['ESOP gain on sales (included)', money(advancedResult.esopGain)]] : []),
     ['Capital gains', money(advancedResult.capitalGains)],
     ['Capital losses', money(advancedResult.capitalLosses)],
     ['Donations', money(advancedResult.donations)],
@@ -19673,7 +22365,14 @@ function renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isMod
       </table>
     </details>`;
 
-  out.innerHTML = metricHTML + auditHTML + advancedAuditHTML;
+  const suggestion = advancedResult.rrspSuggestion;
+  const suggestionHTML = suggestion.amount > 0
+    ? `<div class="muted-note">Another ${money(suggestion.amount)} of RRSP contributions brings taxable income down to ${money(suggestion.threshold)}, ` +
+      `where the combined marginal rate drops from ${(100 * suggestion.rate_now).toFixed(2)}% to ${(100 * suggestion.rate_after).toFixed(2)}%, saving about ${money(suggestion.tax_saved)}` +
+      `${suggestion.capped ? ' (limited by your remaining room)' : ''}.</div>`
+    : '';
+
+  out.innerHTML = metricHTML + suggestionHTML + renderRegisteredRoom(registeredRoom) + auditHTML + advancedAuditHTML;
 }
 
 function bindAdvancedReturnTriggers(container){
@@ -19714,6 +22413,19 @@ function renderAnnualModern(res, params){
       </div>
     </details>`;
 
+  const taxRows = [
+    ['Federal tax', money(res.tax_federal)],
+    ['Provincial tax', money(res.tax_provincial)],
+    ...buildIncomeTaxDetailRows(res.tax_detail)
+  ].map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+  const taxHTML = `
+    <details class="drawer"><summary>Income tax breakdown</summary>
+      <table>
+        <thead><tr><th>Item</th><th class="num">Amount</th></tr></thead>
+        <tbody>${taxRows}</tbody>
+      </table>
+    </details>`;
+
   const auditRows = (res.audit||[]).map(seg=>{
     const fmt = d => d.toISOString().slice(0,10);
     return `<tr><td>${fmt(seg.start)}</td><td>${fmt(seg.end)}</td><td>${seg.pay_table_year}</td><td>${seg.step}</td><td class="num">$${seg.hourly.toFixed(2)}</td><td class="num">${seg.hours.toFixed(2)}</td><td class="num">$${seg.segment_gross.toFixed(2)}</td></tr>`;
@@ -19726,11 +22438,11 @@ function renderAnnualModern(res, params){
       </table>
     </details>`;
 
-  out.innerHTML = metricHTML + deductions + auditHTML;
+  out.innerHTML = metricHTML + deductions + taxHTML + auditHTML;
   bindAdvancedReturnTriggers(out);
 }
 
-function renderMonthlyModern(res){
+function renderMonthlyModern(res, params = {}){
   const out = document.getElementById('modern-mon-out');
   if (!out) return;
   const metricHTML = `
@@ -19767,7 +22479,56 @@ function renderMonthlyModern(res){
       </div>
     </details>`;
 
-  out.innerHTML = metricHTML + deductions + split;
+  let withholding = '';
+  if (res.withholding === 't4127' || res.lump_sum){
+    const claimValue = value => (value === null ? 'Basic' : money(value));
+    const detail = res.withholding_detail || {};
+    const claims = (detail.second || detail.advance)?.claims;
+    const cards = [
+      `<div class="metric-card"><div class="metric-label">${labelWithInfo('Advance tax', INFO_COPY.monthly.chequeTax)}</div><div class="metric-value">${money(res.tax_advance)}</div></div>`,
+      `<div class="metric-card"><div class="metric-label">${labelWithInfo('Second pay tax', INFO_COPY.monthly.chequeTax)}</div><div class="metric-value">${money(res.tax_second)}</div></div>`
+    ];
+    if (detail.second){
+      cards.push(`<div class="metric-card"><div class="metric-label">${labelWithInfo('Annual income (second pay)', INFO_COPY.monthly.annualIncome)}</div><div class="metric-value">${money(detail.second.annual_income)}</div></div>`);
+    }
+    if (claims){
+      cards.push(`<div class="metric-card"><div class="metric-label">${labelWithInfo('TD1 federal', INFO_COPY.monthly.withholding)}</div><div class="metric-value">${claimValue(claims.federalClaim)}</div></div>`);
+      cards.push(`<div class="metric-card"><div class="metric-label">${labelWithInfo('TD1 provincial', INFO_COPY.monthly.withholding)}</div><div class="metric-value">${claimValue(claims.provincialClaim)}</div></div>`);
+    }
+    if (res.lump_sum){
+      cards.push(`<div class="metric-card"><div class="metric-label">${labelWithInfo('Lump sum', INFO_COPY.monthly.lumpSum)}</div><div class="metric-value">${money(res.lump_sum)}</div></div>`);
+      if (res.lump_sum_tax !== null){
+        cards.push(`<div class="metric-card"><div class="metric-label">${labelWithInfo('Lump sum tax', INFO_COPY.monthly.lumpSum)}</div><div class="metric-value">${money(res.lump_sum_tax)}</div></div>`);
+      }
+    }
+    withholding = `
+    <details class="drawer"><summary>${res.withholding === 't4127' ? 'T4127 withholding' : 'Withholding'}</summary>
+      <div class="metric-grid">
+        ${cards.join('\n        ')}
+      </div>
+    </details>`;
+  }
+
+  let ytd = '';
+  if (res.ytd_after){
+    const limitValue = key => (res.limits[key] ? 'Reached' : 'Not yet');
+    ytd = `
+    <details class="drawer" open><summary>Year to date after ${escapeHtml(formatCalendarMonthLabel(params.ledgerMonth))}</summary>
+      <div class="metric-grid">
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YTD gross', INFO_COPY.monthly.ytdGross)}</div><div class="metric-value">${money(res.ytd_after.gross)}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YTD CPP/QPP', INFO_COPY.monthly.ytdCpp)}</div><div class="metric-value">${money(res.ytd_after.cpp)}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YTD CPP2/QPP2', INFO_COPY.monthly.ytdCpp)}</div><div class="metric-value">${money(res.ytd_after.cpp2)}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YTD EI', INFO_COPY.monthly.ytdEi)}</div><div class="metric-value">${money(res.ytd_after.ei)}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YMPE', INFO_COPY.monthly.ytdLimits)}</div><div class="metric-value">${limitValue('ympe')}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('YAMPE', INFO_COPY.monthly.ytdLimits)}</div><div class="metric-value">${limitValue('yampe')}</div></div>
+        <div class="metric-card"><div class="metric-label">${labelWithInfo('MIE', INFO_COPY.monthly.ytdLimits)}</div><div class="metric-value">${limitValue('mie')}</div></div>
+      </div>
+    </details>`;
+  } else if (params.ledgerMonth){
+    ytd = `<div class="muted-note">No YTD ledger entries for ${escapeHtml(params.ledgerMonth.slice(0, 4))}; CPP/QPP and EI are annualised${params.maxcpp ? ' and treated as maxed' : ''}.</div>`;
+  }
+
+  out.innerHTML = metricHTML + deductions + split + withholding + ytd;
 }
 
 function renderVOModern(res){
@@ -19989,7 +22750,8 @@ function calcMonthly(){
       tafb: +document.getElementById('mon-tafb').value,
       esopPct: +document.getElementById('mon-esop').value,
       adv: +document.getElementById('mon-adv').value,
-      maxcpp: document.getElementById('mon-maxcpp').checked
+      maxcpp: document.getElementById('mon-maxcpp').checked,
+      hireDate: getPilotHireDate()
     };
     const res = computeMonthly(params);
     renderMonthly(res, params);
@@ -20017,17 +22779,17 @@ async function calcDutyLegacy(){
       const startTime = document.getElementById('duty-start')?.value;
       const departureCode = document.getElementById('duty-departure')?.value;
       if (dutyMode === 'fom'){
-        const conversion = await computeFdpStartInYYZ(startTime, departureCode);
+        const conversion = await computeFdpStartInHomeBase(startTime, departureCode);
         params.startTime = startTime;
         params.startUtcMinutes = conversion.startUtcMinutes;
       } else {
         const arrivalCode = document.getElementById('duty-arrival')?.value;
-        const conversion = await computeFdpStartInYYZ(startTime, departureCode);
+        const conversion = await computeFdpStartInHomeBase(startTime, departureCode);
         const timezoneDiff = await computeTimezoneDiffBetweenAirports(departureCode, arrivalCode);
         params.startMinutes = conversion.startMinutes;
         params.startUtcMinutes = conversion.startUtcMinutes;
         params.timezoneDiff = timezoneDiff;
-        params.conversionNote = `Departure ${conversion.departure} local ${conversion.localLabel} → ${conversion.yyzLabel} YYZ. Arrival ${normalizeAirportCode(arrivalCode)} (${formatHoursValue(timezoneDiff)}h time zone difference).`;
+        params.conversionNote = `Departure ${conversion.departure} local ${conversion.localLabel} → ${conversion.homeLabel} ${conversion.homeBase}. Arrival ${normalizeAirportCode(arrivalCode)} (${formatHoursValue(timezoneDiff)}h time zone difference).`;
       }
     }
     const res = computeMaxDuty(params);
@@ -20064,17 +22826,17 @@ async function calcDutyModern(){
       const startTime = document.getElementById('modern-duty-start')?.value;
       const departureCode = document.getElementById('modern-duty-departure')?.value;
       if (dutyMode === 'fom'){
-        const conversion = await computeFdpStartInYYZ(startTime, departureCode);
+        const conversion = await computeFdpStartInHomeBase(startTime, departureCode);
         params.startTime = startTime;
         params.startUtcMinutes = conversion.startUtcMinutes;
       } else {
         const arrivalCode = document.getElementById('modern-duty-arrival')?.value;
-        const conversion = await computeFdpStartInYYZ(startTime, departureCode);
+        const conversion = await computeFdpStartInHomeBase(startTime, departureCode);
         const timezoneDiff = await computeTimezoneDiffBetweenAirports(departureCode, arrivalCode);
         params.startMinutes = conversion.startMinutes;
         params.startUtcMinutes = conversion.startUtcMinutes;
         params.timezoneDiff = timezoneDiff;
-        params.conversionNote = `Departure ${conversion.departure} local ${conversion.localLabel} → ${conversion.yyzLabel} YYZ. Arrival ${normalizeAirportCode(arrivalCode)} (${formatHoursValue(timezoneDiff)}h time zone difference).`;
+        params.conversionNote = `Departure ${conversion.departure} local ${conversion.localLabel} → ${conversion.homeLabel} ${conversion.homeBase}. Arrival ${normalizeAirportCode(arrivalCode)} (${formatHoursValue(timezoneDiff)}h time zone difference).`;
       }
     }
     const res = computeMaxDuty(params);
@@ -20101,7 +22863,7 @@ async function calcRestLegacy(){
     const endsHome = isHomeBaseCode(layoverCode) ? 'home' : 'away';
     const timezoneDiff = endsHome === 'home'
       ? 0
-      : await computeTimezoneDiffFromYYZ(layoverCode);
+      : await computeTimezoneDiffFromHomeBase(layoverCode);
     const params = {
       dutyType,
       fdpDuration: document.getElementById('rest-fdp-duration')?.value,
@@ -20128,7 +22890,7 @@ async function calcRestModern(){
     const endsHome = isHomeBaseCode(layoverCode) ? 'home' : 'away';
     const timezoneDiff = endsHome === 'home'
       ? 0
-      : await computeTimezoneDiffFromYYZ(layoverCode);
+      : await computeTimezoneDiffFromHomeBase(layoverCode);
     const params = {
       dutyType,
       fdpDuration: document.getElementById('modern-rest-fdp-duration')?.value,
@@ -20165,9 +22927,11 @@ function calcAdvancedReturn(isModern){
     const baseParams = getAnnualParams(isModern);
     const baseResult = computeAnnual(baseParams);
     syncAdvancedUnionDues(isModern, baseResult);
-    const advancedParams = getAdvancedInputs(isModern);
+    const advancedParams = { ...getAdvancedInputs(isModern), esopGain: getEsopCapitalGain(baseParams.year) };
+    const registeredRoom = isModern ? computeReturnRegisteredRoom({ baseParams, baseResult, advancedParams }) : null;
+    if (registeredRoom) advancedParams.rrspLimit = registeredRoom.years[registeredRoom.years.length - 1].rrsp.limit;
     const advancedResult = computeAdvancedTaxReturn({ baseParams, baseResult, advancedParams });
-    renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isModern });
+    renderAdvancedTaxReturn({ baseParams, baseResult, advancedResult, isModern, registeredRoom });
   } catch(err){
     const out = document.getElementById(isModern ? 'modern-adv-out' : 'adv-out');
     if (out) out.innerHTML = '<div class="simple"><div class="block"><div class="label">Error</div><div class="value">'+String(err.message)+'</div></div></div>';
@@ -20185,25 +22949,168 @@ function openAdvancedTaxTab(isModern){
   calcAdvancedReturn(isModern);
 }
 
+function loadMonthlyCalendarMode(){
+  try {
+    const stored = JSON.parse(localStorage.getItem(MONTHLY_CALENDAR_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object'){
+      return { on: stored.on === true, month: normalizeCalendarMonthKey(stored.month) || '' };
+    }
+  } catch (err){
+    console.warn('Failed to read Monthly calendar mode', err);
+  }
+  return { on: false, month: '' };
+}
+
+function saveMonthlyCalendarMode(state){
+  try {
+    localStorage.setItem(MONTHLY_CALENDAR_STORAGE_KEY, JSON.stringify(state));
+  } catch (err){
+    console.warn('Failed to save Monthly calendar mode', err);
+  }
+}
+
+function readMonthlyCalendarMode(){
+  return {
+    on: !!document.getElementById('modern-mon-from-calendar')?.checked,
+    month: normalizeCalendarMonthKey(document.getElementById('modern-mon-cal-month')?.value) || ''
+  };
+}
+
+/*
+ * Credit buckets for a block month: calendar credit with vacation, VO from
+ * the month's pay statement check, premium equivalents and TAFB.
+ */
+function getMonthlyCalendarCredit(monthKey){
+  const split = splitMonthlyCredit({
+    creditMinutes: getCalendarMonthlyCreditMinutes(monthKey) + getCalendarVacationCreditMinutes(monthKey),
+    voMinutes: getCalendarPayCheckDraft(monthKey).voMinutes,
+    premiumMinutes: getCalendarMonthlyPremiumMinutes(monthKey)
+  });
+  return { ...split, tafb: getCalendarMonthlyTafbMinutes(monthKey) };
+}
+
+// Fill (and lock) the Monthly credit, VO and TAFB inputs from the Calendar.
+function applyMonthlyCalendarCredit(){
+  const { on, month } = readMonthlyCalendarMode();
+  const summaryEl = document.getElementById('modern-mon-cal-summary');
+  const fields = ['modern-mon-hrs', 'modern-mon-mins', 'modern-mon-vo', 'modern-mon-vo-mins', 'modern-mon-tafb'];
+  fields.forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.readOnly = on;
+  });
+  if (!on){
+    if (summaryEl){
+      summaryEl.textContent = '';
+      summaryEl.classList.add('hidden');
+    }
+    return false;
+  }
+  const monthKey = month || normalizeCalendarMonthKey(calendarState.selectedMonth) || getCalendarMonthKey(new Date());
+  const monthEl = document.getElementById('modern-mon-cal-month');
+  if (monthEl && !monthEl.value) monthEl.value = monthKey;
+  const credit = getMonthlyCalendarCredit(monthKey);
+  const values = {
+    'modern-mon-hrs': Math.floor(credit.credit / 60),
+    'modern-mon-mins': credit.credit % 60,
+    'modern-mon-vo': Math.floor(credit.vo_input / 60),
+    'modern-mon-vo-mins': credit.vo_input % 60,
+    'modern-mon-tafb': +(credit.tafb / 60).toFixed(2)
+  };
+  Object.entries(values).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = String(value);
+  });
+  if (summaryEl){
+    summaryEl.textContent = `${formatCalendarMonthLabel(monthKey)}: regular ${formatDurationMinutes(credit.regular)} · ` +
+      `overtime ${formatDurationMinutes(credit.overtime)} · VO ${formatDurationMinutes(credit.vo)} · ` +
+      `premium ${formatDurationMinutes(credit.premium)} (paid as ${formatDurationMinutes(Math.round(credit.premium / 2))} VO) · ` +
+      `TAFB ${formatDurationMinutes(credit.tafb)}`;
+    summaryEl.classList.remove('hidden');
+  }
+  return true;
+}
+
+/*
+ * Called whenever calendar credit changes.  Does nothing unless From
+ * Calendar mode is on; while the Monthly tab is hidden it only marks the
+ * inputs stale, and setModernSubTab refreshes them when the tab is shown.
+ */
+function refreshMonthlyFromCalendar(){
+  if (!readMonthlyCalendarMode().on || !getRulePackYears().length) return;
+  const shown = currentModernSubTab === 'modern-monthly'
+    && !document.getElementById('modern-pay')?.classList.contains('hidden');
+  if (!shown){
+    monthlyCalendarStale = true;
+    return;
+  }
+  monthlyCalendarStale = false;
+  applyMonthlyCalendarCredit();
+  calcMonthlyModern();
+}
+
+/*
+ * A Monthly link carries the sender's credit, VO and TAFB, so turn From
+ * Calendar off for this visit without saving it: the recipient's own
+ * calendar would otherwise replace the linked values.
+ */
+function showMonthlyLinkedCredit(){
+  const toggle = document.getElementById('modern-mon-from-calendar');
+  if (toggle) toggle.checked = false;
+  monthlyCalendarStale = false;
+  applyMonthlyCalendarCredit();
+}
+
+function initMonthlyCalendarMode(){
+  const toggle = document.getElementById('modern-mon-from-calendar');
+  const monthEl = document.getElementById('modern-mon-cal-month');
+  if (!toggle || !monthEl) return;
+  const state = loadMonthlyCalendarMode();
+  toggle.checked = state.on;
+  monthEl.value = state.month;
+  const onChange = () => {
+    saveMonthlyCalendarMode(readMonthlyCalendarMode());
+    if (applyMonthlyCalendarCredit() && getRulePackYears().length) calcMonthlyModern();
+  };
+  toggle.addEventListener('change', onChange);
+  monthEl.addEventListener('change', onChange);
+  applyMonthlyCalendarCredit();
+}
+
+function getMonthlyParams(){
+  return {
+    seat: document.getElementById('modern-mon-seat').value,
+    ac: document.getElementById('modern-mon-ac').value,
+    year: +document.getElementById('modern-mon-year').value,
+    stepInput: +document.getElementById('modern-mon-step').value,
+    tieOn: document.getElementById('modern-mon-tie').checked,
+    xlrOn: document.getElementById('modern-mon-xlr').checked,
+    province: document.getElementById('modern-mon-prov').value,
+    creditH: +document.getElementById('modern-mon-hrs').value,
+    creditM: +document.getElementById('modern-mon-mins').value,
+    voCredits: +document.getElementById('modern-mon-vo').value,
+    voCreditMinutes: +document.getElementById('modern-mon-vo-mins').value,
+    tafb: +document.getElementById('modern-mon-tafb').value,
+    esopPct: +document.getElementById('modern-mon-esop').value,
+    adv: +document.getElementById('modern-mon-adv').value,
+    maxcpp: document.getElementById('modern-mon-maxcpp').checked,
+    withholding: document.getElementById('modern-mon-withholding')?.value,
+    td1Federal: document.getElementById('modern-mon-td1-fed')?.value,
+    td1Provincial: document.getElementById('modern-mon-td1-prov')?.value,
+    lumpSum: +(document.getElementById('modern-mon-lump')?.value || 0),
+    hireDate: getPilotHireDate()
+  };
+}
+
 function calcMonthlyModern(){
   try{
-    const params = {
-      seat: document.getElementById('modern-mon-seat').value,
-      ac: document.getElementById('modern-mon-ac').value,
-      year: +document.getElementById('modern-mon-year').value,
-      stepInput: +document.getElementById('modern-mon-step').value,
-      tieOn: document.getElementById('modern-mon-tie').checked,
-      xlrOn: document.getElementById('modern-mon-xlr').checked,
-      province: document.getElementById('modern-mon-prov').value,
-      creditH: +document.getElementById('modern-mon-hrs').value,
-      creditM: +document.getElementById('modern-mon-mins').value,
-      voCredits: +document.getElementById('modern-mon-vo').value,
-      voCreditMinutes: +document.getElementById('modern-mon-vo-mins').value,
-      tafb: +document.getElementById('modern-mon-tafb').value,
-      esopPct: +document.getElementById('modern-mon-esop').value,
-      adv: +document.getElementById('modern-mon-adv').value,
-      maxcpp: document.getElementById('modern-mon-maxcpp').checked
-    };
+    const params = getMonthlyParams();
+    const ledgerMonth = normalizeCalendarMonthKey(document.getElementById('modern-mon-ledger-month')?.value);
+    if (ledgerMonth){
+      const [ledgerYear, ledgerMonthNumber] = ledgerMonth.split('-').map(Number);
+      params.ytd = getPayrollLedgerYtd(ledgerMonth);
+      params.asOfDate = new Date(ledgerYear, ledgerMonthNumber - 1, 1);
+      params.ledgerMonth = ledgerMonth;
+    }
     const res = computeMonthly(params);
     renderMonthlyModern(res, params);
   } catch(err){
@@ -20213,19 +23120,23 @@ function calcMonthlyModern(){
   }
 }
 
+function getVOParams(){
+  return {
+    seat: document.getElementById('modern-ot-seat').value,
+    ac: document.getElementById('modern-ot-ac').value,
+    year: +document.getElementById('modern-ot-year').value,
+    stepInput: +document.getElementById('modern-ot-step').value,
+    tieOn: document.getElementById('modern-ot-tie').checked,
+    xlrOn: document.getElementById('modern-ot-xlr').checked,
+    province: document.getElementById('modern-ot-prov').value,
+    creditH: +document.getElementById('modern-ot-cred-h').value,
+    creditM: +document.getElementById('modern-ot-cred-m').value
+  };
+}
+
 function calcVOModern(){
   try{
-    const params = {
-      seat: document.getElementById('modern-ot-seat').value,
-      ac: document.getElementById('modern-ot-ac').value,
-      year: +document.getElementById('modern-ot-year').value,
-      stepInput: +document.getElementById('modern-ot-step').value,
-      tieOn: document.getElementById('modern-ot-tie').checked,
-      xlrOn: document.getElementById('modern-ot-xlr').checked,
-      province: document.getElementById('modern-ot-prov').value,
-      creditH: +document.getElementById('modern-ot-cred-h').value,
-      creditM: +document.getElementById('modern-ot-cred-m').value
-    };
+    const params = getVOParams();
     const res = computeVO(params);
     renderVOModern(res, params);
   } catch(err){
@@ -20245,21 +23156,10 @@ function autoSelectDefaults() {
     if (now < rollover) {
       payYear = now.getFullYear() - 1;
     }
-    // Determine current step: first eligible progression date is one year after hire.
-    const hireDate = DOH;
-    const threshold = new Date(hireDate.getFullYear() + 1, hireDate.getMonth(), hireDate.getDate());
-    let step = 1;
-    let y = threshold.getFullYear();
-    while (true) {
-      const stepDate = new Date(y, PROGRESSION.m - 1, PROGRESSION.d);
-      if (stepDate >= threshold && stepDate <= now) {
-        step++;
-        y++;
-      } else {
-        break;
-      }
-    }
-    if (step > 12) step = 12;
+    // Seat, aircraft, province and XLR come from the pilot profile; the step
+    // follows the profile hire date unless it carries a step override.
+    applyPilotProfileToPayInputs();
+    const step = getPilotStepOnDate(now);
     // Apply to dropdowns; include Monthly tab
     const ids = ['year','step','ot-year','ot-step','mon-year','mon-step','modern-year','modern-step','modern-ot-year','modern-ot-step','modern-mon-year','modern-mon-step'];
     const vals = [payYear, step, payYear, step, payYear, step, payYear, step, payYear, step, payYear, step];
@@ -20301,6 +23201,15 @@ function init(){
   scheduleCalendarSyncRetry();
   window.addEventListener('online', scheduleCalendarSyncRetry);
   appMode = loadAppMode();
+  initPilotProfile();
+  initPayrollLedger();
+  initRetroPay();
+  initCareerForecast();
+  initRegisteredRoom();
+  initEsopLots();
+  initScenarioCompare();
+  initDeepLinks();
+  initMonthlyCalendarMode();
   applyAppModeUI();
   startUtcClock([
     'modern-utc-clock',
@@ -20328,10 +23237,24 @@ function init(){
     setAppMode(APP_MODE_ALIGNED);
   });
   addTapListener(document.getElementById('modern-calendar-sync-settings-btn'), (e)=>{ hapticTap(e.currentTarget); setModernPrimaryTab('modern-calendar'); setModernCalendarPage('sync'); });
+  addTapListener(document.getElementById('modern-calendar-export-ics'), (e)=>{
+    hapticTap(e.currentTarget);
+    exportCalendarIcs().catch((err) => {
+      console.warn('Failed to export calendar', err);
+      setCalendarStatus('Unable to export calendar.');
+    });
+  });
+  addTapListener(document.getElementById('modern-calendar-history-load'), (e)=>{ hapticTap(e.currentTarget); loadCalendarHistoryList(); });
   addTapListener(document.getElementById('modern-calendar-sync-back'), (e)=>{ hapticTap(e.currentTarget); setModernCalendarPage('main'); });
   addTapListener(document.getElementById('tabbtn-modern-annual'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-annual'); });
   addTapListener(document.getElementById('tabbtn-modern-monthly'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-monthly'); });
   addTapListener(document.getElementById('tabbtn-modern-vo'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-vo'); });
+  addTapListener(document.getElementById('tabbtn-modern-ledger'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-ledger'); renderPayrollLedger(); });
+  addTapListener(document.getElementById('tabbtn-modern-retro'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-retro'); });
+  addTapListener(document.getElementById('tabbtn-modern-career'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-career'); });
+  addTapListener(document.getElementById('tabbtn-modern-esop-plan'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-esop-plan'); });
+  addTapListener(document.getElementById('tabbtn-modern-compare'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-compare'); });
+  addTapListener(document.getElementById('tabbtn-modern-profile'), (e)=>{ hapticTap(e.currentTarget); setModernSubTab('modern-profile'); });
   addTapListener(document.getElementById('tabbtn-modern-fin-qrh'), (e)=>{ hapticTap(e.currentTarget); setModernFinTab('modern-fin-qrh'); });
   addTapListener(document.getElementById('tabbtn-modern-flight-number'), (e)=>{ hapticTap(e.currentTarget); setModernFinTab('modern-flight-number'); });
   addTapListener(document.getElementById('tabbtn-modern-duty'), (e)=>{ hapticTap(e.currentTarget); setModernDutyTab('modern-duty'); });
@@ -20348,6 +23271,15 @@ function init(){
   document.getElementById('modern-step')?.addEventListener('change', ()=>tieYearStepFromStepModern());
   document.getElementById('modern-ot-step')?.addEventListener('change', ()=>tieYearStepFromStepModernVO());
   document.getElementById('modern-mon-step')?.addEventListener('change', ()=>tieYearStepFromStepModernMonthly());
+  const monthlyLedgerMonth = document.getElementById('modern-mon-ledger-month');
+  const monthlyMaxCpp = document.getElementById('modern-mon-maxcpp');
+  if (monthlyLedgerMonth && monthlyMaxCpp){
+    const syncMaxCppToLedger = () => {
+      monthlyMaxCpp.disabled = Boolean(getPayrollLedgerYtd(monthlyLedgerMonth.value));
+    };
+    monthlyLedgerMonth.addEventListener('change', syncMaxCppToLedger);
+    syncMaxCppToLedger();
+  }
   const projectionScenarioSelect = document.getElementById('modern-projection-scenario');
   if (projectionScenarioSelect){
     projectionScenarioSelect.value = currentProjectionScenario;
@@ -20517,11 +23449,9 @@ function init(){
   populateFr24ConfigForm();
   investigateBackgroundFinSync();
   initCalendar();
-  // After initializing defaults and tie logic, automatically select the
-  // current pay year and step.  This runs once on page load and does not
-  // lock the controls.  If tie checkboxes remain unchecked, this does
-  // nothing beyond setting defaults.
-  autoSelectDefaults();
+  // Pay tables and tax years come from the rule packs; the year selectors and
+  // the current pay year/step defaults are filled in once they load.
+  initRulePacks();
   syncAdvancedRrsp(true);
   // Sensible placeholders for weather tab
   const depWx = document.getElementById('wx-dep'); if (depWx && !depWx.value) depWx.value = 'YWG';
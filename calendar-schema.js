@@ -0,0 +1,103 @@
+/*
+ * Versioned shape of the calendar record, shared by the PWA (loaded as a
+ * classic script before app.js) and the sync worker (imported).  The record
+ * is what the Calendar saves locally and syncs: eventsByDate, months,
+ * selectedMonth, block months, hotels, prefs and month annotations.
+ *
+ *   v1  eventsByDate, months and selectedMonth
+ *   v2  blockMonthsByMonthKey and blockMonthRecurring replace the single
+ *       blockMonthStartKey/blockMonthEndKey pref
+ *   v3  hotels
+ *   v4  prefs (pairing display mode) and monthAnnotations (vacation credit,
+ *       VO and ESOP % by month)
+ *
+ * Records without a schemaVersion predate it and run through every step, so
+ * each migration must leave a record that already has its fields unchanged.
+ * Cleaning up values inside those fields is left to normalizeCalendarState
+ * and the worker's normalizeCalendarRecord.
+ */
+
+const CALENDAR_SCHEMA_VERSION = 4;
+const CALENDAR_MONTH_ANNOTATION_FIELDS = ['vacationCreditMinutes', 'voMinutes', 'esopPct'];
+const CALENDAR_PAIRING_DISPLAY_MODES = ['classic', 'bar'];
+
+function isCalendarRecordObject(value){
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Ordered steps; each takes a record at version `from` to `from + 1`.
+const CALENDAR_SCHEMA_MIGRATIONS = [
+  {
+    from: 1,
+    migrate(record){
+      const next = {
+        ...record,
+        blockMonthsByMonthKey: isCalendarRecordObject(record.blockMonthsByMonthKey) ? record.blockMonthsByMonthKey : {},
+        blockMonthRecurring: isCalendarRecordObject(record.blockMonthRecurring) ? record.blockMonthRecurring : {}
+      };
+      const dateKey = value => (/^\d{4}-\d{2}-\d{2}$/.test(String(value || '').trim()) ? String(value).trim() : null);
+      const startKey = dateKey(record.blockMonthStartKey);
+      const endKey = dateKey(record.blockMonthEndKey);
+      const selectedMonth = /^\d{4}-\d{2}$/.test(String(record.selectedMonth || '')) ? record.selectedMonth : null;
+      const monthKey = selectedMonth || (startKey || endKey || '').slice(0, 7);
+      if (monthKey && startKey && !next.blockMonthsByMonthKey[monthKey]){
+        next.blockMonthsByMonthKey = { ...next.blockMonthsByMonthKey, [monthKey]: { startKey, endKey } };
+      }
+      delete next.blockMonthStartKey;
+      delete next.blockMonthEndKey;
+      return next;
+    }
+  },
+  {
+    from: 2,
+    migrate(record){
+      return { ...record, hotels: Array.isArray(record.hotels) ? record.hotels : [] };
+    }
+  },
+  {
+    from: 3,
+    migrate(record){
+      const prefs = isCalendarRecordObject(record.prefs) ? { ...record.prefs } : {};
+      // The display mode used to sit at the top level of the device prefs.
+      if (!prefs.pairingDisplayMode && CALENDAR_PAIRING_DISPLAY_MODES.includes(record.pairingDisplayMode)){
+        prefs.pairingDisplayMode = record.pairingDisplayMode;
+      }
+      const next = {
+        ...record,
+        prefs,
+        monthAnnotations: isCalendarRecordObject(record.monthAnnotations) ? record.monthAnnotations : {}
+      };
+      delete next.pairingDisplayMode;
+      return next;
+    }
+  }
+];
+
+function getCalendarRecordVersion(record){
+  const version = Number(record?.schemaVersion);
+  return Number.isInteger(version) && version >= 1 ? version : 1;
+}
+
+/*
+ * Upgrade a calendar record to CALENDAR_SCHEMA_VERSION.  Anything that is not
+ * an object comes back unchanged for the caller to reject; a record from a
+ * newer schema throws rather than lose fields this version does not know.
+ */
+function migrateCalendarRecord(record){
+  if (!isCalendarRecordObject(record)) return record;
+  const version = getCalendarRecordVersion(record);
+  if (version > CALENDAR_SCHEMA_VERSION){
+    throw new Error(`Calendar schema v${version} is newer than this version (v${CALENDAR_SCHEMA_VERSION}).`);
+  }
+  const migrated = CALENDAR_SCHEMA_MIGRATIONS
+    .filter(step => step.from >= version)
+    .reduce((next, step) => step.migrate(next), record);
+  return { ...migrated, schemaVersion: CALENDAR_SCHEMA_VERSION };
+}
+
+if (typeof module !== 'undefined' && module.exports){
+  module.exports = {
+    CALENDAR_SCHEMA_VERSION, CALENDAR_MONTH_ANNOTATION_FIELDS, CALENDAR_PAIRING_DISPLAY_MODES,
+    CALENDAR_SCHEMA_MIGRATIONS, getCalendarRecordVersion, migrateCalendarRecord
+  };
+}
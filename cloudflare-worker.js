@@ -1,15 +1,39 @@
+import calendarSchema from './calendar-schema.js';
+
+const {
+  CALENDAR_SCHEMA_VERSION,
+  CALENDAR_MONTH_ANNOTATION_FIELDS,
+  CALENDAR_PAIRING_DISPLAY_MODES,
+  migrateCalendarRecord
+} = calendarSchema;
 const CALENDAR_KEY = 'calendar:default';
-const CALENDAR_SCHEMA_VERSION = 3;
+const CALENDAR_USER_KEY_PREFIX = 'calendar:user:';
+const SYNC_TOKEN_KEY_PREFIX = 'token:';
+const FEED_TOKEN_KEY_PREFIX = 'feed:';
+const FEED_TOKEN_USER_KEY_PREFIX = 'feed-user:';
+const SYNC_USERS_INDEX_KEY = 'users:index';
+const CALENDAR_HISTORY_SUFFIX = ':history';
+const CALENDAR_HISTORY_LIMIT = 20;
+const LEGACY_USER_ID = 'default';
+const SYNC_USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CALENDAR_MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
 const CALENDAR_GATE_SYNC_LOOKBACK_MS = 30 * 60 * 60 * 1000;
 const CALENDAR_GATE_SYNC_INITIAL_DELAY_MS = 30 * 60 * 1000;
 const CALENDAR_GATE_SYNC_RETRY_MIN_DELAY_MS = 60 * 60 * 1000;
 const CALENDAR_GATE_SYNC_MAX_ATTEMPTS = 5;
 const CALENDAR_AIRLABS_REQUEST_DELAY_MS = 300;
+const CALENDAR_AIRLABS_MAX_REQUESTS_PER_RUN = 120;
 const AIRLABS_SCHEDULES_LOOKUP_BASE = 'https://airlabs.co/api/v9/schedules';
 const AIRPORT_TZ_LOOKUP_URL = 'https://raw.githubusercontent.com/mwgg/Airports/master/airports.json';
 const AIRPORT_TZ_FALLBACK = { YYZ: 'America/Toronto', CYYZ: 'America/Toronto' };
 const CALENDAR_FLIGHT_PREFIXES = new Set(['RV', 'AC', 'QK']);
 const DEADHEAD_PREFIX = 'DH';
+const CALENDAR_ICS_FEED_PATH = '/sync/calendar.ics';
+const CALENDAR_FEED_TOKEN_PATH = '/sync/calendar/feed-token';
+const CALENDAR_ICS_FALLBACK_TIMEZONE = 'America/Toronto';
+const CALENDAR_ICS_DUTY_START_MINUTES = 75;
+const CALENDAR_ICS_DUTY_END_MINUTES = 15;
+const CALENDAR_ICS_DUTY_SPLIT_MINUTES = 480;
 
 let airportTimezonePromise = null;
 let airportTimezoneCache = { ...AIRPORT_TZ_FALLBACK };
@@ -31,14 +55,87 @@ function withCors(headers, origin) {
     next.set('Access-Control-Allow-Origin', origin);
     next.set('Vary', 'Origin');
   }
-  next.set('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
-  next.set('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-None-Match, X-API-Key, x-api-key, x-apikey, API-Version, Accept-Version');
+  next.set('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+  next.set('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match, X-API-Key, x-api-key, x-apikey, API-Version, Accept-Version');
   next.set('Access-Control-Expose-Headers', 'ETag, X-AC-Pay-Schema');
   return next;
 }
 
-function isAuthorized(request, env) {
-  const token = env.SYNC_TOKEN;
+function readRequestToken(request) {
+  const auth = request.headers.get('Authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/);
+  return match ? match[1].trim() : '';
+}
+
+async function hashSyncToken(token) {
+  const data = new TextEncoder().encode(String(token));
+  const hash = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function generateSyncToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getCalendarKeyForUser(userId) {
+  return userId === LEGACY_USER_ID ? CALENDAR_KEY : `${CALENDAR_USER_KEY_PREFIX}${userId}`;
+}
+
+async function resolveSyncUser(request, env) {
+  const token = readRequestToken(request);
+  if (!token) {
+    return null;
+  }
+  // SYNC_TOKEN keeps working for the original single-user record.
+  if (env.SYNC_TOKEN && token === env.SYNC_TOKEN) {
+    return { userId: LEGACY_USER_ID, calendarKey: CALENDAR_KEY };
+  }
+  if (!env.AC_PAY_CALENDAR) {
+    return null;
+  }
+  const entry = await env.AC_PAY_CALENDAR.get(`${SYNC_TOKEN_KEY_PREFIX}${await hashSyncToken(token)}`, 'json');
+  if (!entry || !SYNC_USER_ID_PATTERN.test(String(entry.userId || ''))) {
+    return null;
+  }
+  return { userId: entry.userId, calendarKey: getCalendarKeyForUser(entry.userId) };
+}
+
+/*
+ * Calendar subscriptions cannot send headers, so the .ics feed takes its token
+ * in ?token=.  That URL ends up in calendar apps and logs, so it carries a
+ * separate feed token that only reads the feed, never the sync token.
+ */
+async function resolveFeedUser(request, env) {
+  const token = String(new URL(request.url).searchParams.get('token') || '').trim();
+  if (!token) {
+    return null;
+  }
+  const entry = await env.AC_PAY_CALENDAR.get(`${FEED_TOKEN_KEY_PREFIX}${await hashSyncToken(token)}`, 'json');
+  if (!entry || !SYNC_USER_ID_PATTERN.test(String(entry.userId || ''))) {
+    return null;
+  }
+  return { userId: entry.userId, calendarKey: getCalendarKeyForUser(entry.userId) };
+}
+
+// Issue a user's feed token, revoking the previous one so an old feed URL stops working.
+async function handleFeedToken(env, origin, user) {
+  const userKey = `${FEED_TOKEN_USER_KEY_PREFIX}${user.userId}`;
+  const previous = await env.AC_PAY_CALENDAR.get(userKey, 'json');
+  if (previous?.tokenId) {
+    await env.AC_PAY_CALENDAR.delete(`${FEED_TOKEN_KEY_PREFIX}${previous.tokenId}`);
+  }
+  const token = generateSyncToken();
+  const tokenId = await hashSyncToken(token);
+  const createdAt = new Date().toISOString();
+  await env.AC_PAY_CALENDAR.put(`${FEED_TOKEN_KEY_PREFIX}${tokenId}`, JSON.stringify({ userId: user.userId, createdAt }));
+  await env.AC_PAY_CALENDAR.put(userKey, JSON.stringify({ tokenId, createdAt }));
+  return jsonResponse({ feedToken: token, createdAt }, { status: 201, headers: withCors({}, origin) });
+}
+
+function isAdminAuthorized(request, env) {
+  const token = env.ADMIN_TOKEN;
   if (!token) {
     return false;
   }
@@ -51,7 +148,7 @@ function validatePayload(payload) {
     return { ok: false, message: 'Payload must be a JSON object.' };
   }
   const requiredKeys = ['eventsByDate', 'months', 'selectedMonth', 'blockMonthsByMonthKey', 'blockMonthRecurring'];
-  const optionalKeys = ['hotels'];
+  const optionalKeys = ['hotels', 'schemaVersion', 'prefs', 'monthAnnotations'];
   const allowedKeys = new Set([...requiredKeys, ...optionalKeys]);
   const keys = Object.keys(payload);
   const missing = requiredKeys.filter(key => !(key in payload));
@@ -62,6 +159,9 @@ function validatePayload(payload) {
   if (unexpected.length) {
     return { ok: false, message: `Unexpected keys: ${unexpected.join(', ')}` };
   }
+  if (payload.schemaVersion !== CALENDAR_SCHEMA_VERSION) {
+    return { ok: false, message: `schemaVersion must be ${CALENDAR_SCHEMA_VERSION}.` };
+  }
   if (typeof payload.eventsByDate !== 'object' || payload.eventsByDate === null || Array.isArray(payload.eventsByDate)) {
     return { ok: false, message: 'eventsByDate must be an object.' };
   }
@@ -123,9 +223,44 @@ function validatePayload(payload) {
       }
     }
   }
+  if ('prefs' in payload) {
+    const prefs = payload.prefs;
+    if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+      return { ok: false, message: 'prefs must be an object.' };
+    }
+    const unexpectedPrefs = Object.keys(prefs).filter(key => key !== 'pairingDisplayMode');
+    if (unexpectedPrefs.length) {
+      return { ok: false, message: `Unexpected prefs keys: ${unexpectedPrefs.join(', ')}` };
+    }
+    if ('pairingDisplayMode' in prefs && !CALENDAR_PAIRING_DISPLAY_MODES.includes(prefs.pairingDisplayMode)) {
+      return { ok: false, message: `prefs.pairingDisplayMode must be one of ${CALENDAR_PAIRING_DISPLAY_MODES.join(', ')}.` };
+    }
+  }
+  if ('monthAnnotations' in payload) {
+    const annotations = payload.monthAnnotations;
+    if (!annotations || typeof annotations !== 'object' || Array.isArray(annotations)) {
+      return { ok: false, message: 'monthAnnotations must be an object.' };
+    }
+    for (const [monthKey, entry] of Object.entries(annotations)) {
+      if (!CALENDAR_MONTH_KEY_PATTERN.test(monthKey)) {
+        return { ok: false, message: `monthAnnotations key ${monthKey} must be YYYY-MM.` };
+      }
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { ok: false, message: 'monthAnnotations entries must be objects.' };
+      }
+      const unexpectedFields = Object.keys(entry).filter(key => !CALENDAR_MONTH_ANNOTATION_FIELDS.includes(key));
+      if (unexpectedFields.length) {
+        return { ok: false, message: `Unexpected monthAnnotations keys: ${unexpectedFields.join(', ')}` };
+      }
+      if (Object.values(entry).some(value => !Number.isFinite(value) || value < 0)) {
+        return { ok: false, message: 'monthAnnotations values must be non-negative numbers.' };
+      }
+    }
+  }
   return { ok: true };
 }
 
+
 async function computeEtag(payload) {
   const encoder = new TextEncoder();
   const data = encoder.encode(JSON.stringify(payload));
@@ -142,21 +277,28 @@ function normalizeCalendarRecord(stored) {
     blockMonthsByMonthKey: {},
     blockMonthRecurring: {},
     hotels: [],
+    prefs: {},
+    monthAnnotations: {},
     updatedAt: null,
-    etag: null
+    etag: null,
+    schemaVersion: CALENDAR_SCHEMA_VERSION
+  };
+  if (!stored) {
+    return defaultPayload;
+  }
+  const migrated = migrateCalendarRecord(stored);
+  return {
+    ...defaultPayload,
+    ...migrated,
+    eventsByDate: migrated.eventsByDate && typeof migrated.eventsByDate === 'object' ? migrated.eventsByDate : {},
+    months: Array.isArray(migrated.months) ? migrated.months : [],
+    selectedMonth: typeof migrated.selectedMonth === 'string' ? migrated.selectedMonth : null,
+    blockMonthsByMonthKey: migrated.blockMonthsByMonthKey || {},
+    blockMonthRecurring: migrated.blockMonthRecurring || {},
+    hotels: Array.isArray(migrated.hotels) ? migrated.hotels : [],
+    prefs: migrated.prefs && typeof migrated.prefs === 'object' ? migrated.prefs : {},
+    monthAnnotations: migrated.monthAnnotations && typeof migrated.monthAnnotations === 'object' ? migrated.monthAnnotations : {}
   };
-  return stored
-    ? {
-      ...defaultPayload,
-      ...stored,
-      eventsByDate: stored.eventsByDate && typeof stored.eventsByDate === 'object' ? stored.eventsByDate : {},
-      months: Array.isArray(stored.months) ? stored.months : [],
-      selectedMonth: typeof stored.selectedMonth === 'string' ? stored.selectedMonth : null,
-      blockMonthsByMonthKey: stored.blockMonthsByMonthKey || {},
-      blockMonthRecurring: stored.blockMonthRecurring || {},
-      hotels: Array.isArray(stored.hotels) ? stored.hotels : []
-    }
-    : defaultPayload;
 }
 
 function buildCalendarRecordPayload(record) {
@@ -166,7 +308,10 @@ function buildCalendarRecordPayload(record) {
     selectedMonth: record.selectedMonth,
     blockMonthsByMonthKey: record.blockMonthsByMonthKey,
     blockMonthRecurring: record.blockMonthRecurring,
-    hotels: record.hotels
+    hotels: record.hotels,
+    prefs: record.prefs,
+    monthAnnotations: record.monthAnnotations,
+    schemaVersion: CALENDAR_SCHEMA_VERSION
   };
 }
 
@@ -531,7 +676,15 @@ function sleepMs(duration) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function waitForCalendarAirlabsRequestSlot() {
+async function waitForCalendarAirlabsRequestSlot(budget = null) {
+  if (budget) {
+    if (budget.remaining <= 0) {
+      const err = new Error('AirLabs request budget for this run is exhausted.');
+      err.code = 'budgetExhausted';
+      throw err;
+    }
+    budget.remaining -= 1;
+  }
   const now = Date.now();
   const elapsed = now - calendarAirlabsLastRequestAt;
   if (elapsed < CALENDAR_AIRLABS_REQUEST_DELAY_MS) {
@@ -543,7 +696,7 @@ async function waitForCalendarAirlabsRequestSlot() {
 async function fetchCalendarAirlabsFlight(
   flightIcao,
   env,
-  { depCode = '', arrCode = '' } = {}
+  { depCode = '', arrCode = '', budget = null } = {}
 ) {
   const normalizedFlightIcao = normalizeCallsign(flightIcao);
   if (!normalizedFlightIcao) {
@@ -557,7 +710,7 @@ async function fetchCalendarAirlabsFlight(
     err.code = 'missingApiKey';
     throw err;
   }
-  await waitForCalendarAirlabsRequestSlot();
+  await waitForCalendarAirlabsRequestSlot(budget);
   const normalizedDep = normalizeAirportCode(depCode);
   const normalizedArr = normalizeAirportCode(arrCode);
   const url = new URL(AIRLABS_SCHEDULES_LOOKUP_BASE);
@@ -1251,7 +1404,8 @@ function buildCalendarMonths(eventsByDate) {
 
 async function runCalendarGateTimeAutoSync(record, env, {
   force = false,
-  skipAlreadyUpdated = !force
+  skipAlreadyUpdated = !force,
+  budget = null
 } = {}) {
   const nowMs = Date.now();
   const shouldSkipUpdated = force ? false : Boolean(skipAlreadyUpdated);
@@ -1270,6 +1424,7 @@ async function runCalendarGateTimeAutoSync(record, env, {
   let updatedCount = 0;
   let pendingCount = 0;
   let failedCount = 0;
+  let budgetExhausted = false;
 
   for (const candidate of candidates) {
     let flightMatch = null;
@@ -1281,12 +1436,17 @@ async function runCalendarGateTimeAutoSync(record, env, {
       try {
         const flight = await fetchCalendarAirlabsFlight(flightIcao, env, {
           depCode: candidate.depCode,
-          arrCode: candidate.arrCode
+          arrCode: candidate.arrCode,
+          budget
         });
         flightMatch = flight;
         gateTimes = extractAirlabsActualGateTimes(flight);
         break;
       } catch (err) {
+        if (err?.code === 'budgetExhausted') {
+          budgetExhausted = true;
+          break;
+        }
         if (err?.code === 'noFlightData') {
           noDataCount += 1;
         } else {
@@ -1295,6 +1455,11 @@ async function runCalendarGateTimeAutoSync(record, env, {
       }
     }
 
+    if (budgetExhausted) {
+      // Leave the rest untouched so they are picked up first on the next run.
+      break;
+    }
+
     if (!flightMatch) {
       let failureReason = 'noAirlabsMatch';
       if (lookupErrorCount > 0) {
@@ -1366,65 +1531,454 @@ async function runCalendarGateTimeAutoSync(record, env, {
     record.months = buildCalendarMonths(record.eventsByDate);
   }
 
-  return { mutated, updatedCount, pendingCount, failedCount };
+  return { mutated, updatedCount, pendingCount, failedCount, budgetExhausted };
+}
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of String(line)) {
+    const bytes = encoder.encode(char).length;
+    const limit = chunks.length ? 74 : 75;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatIcsUtc(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/[-:]/g, '');
+}
+
+function buildIcsUid(...parts) {
+  const token = parts
+    .map(part => String(part ?? '').replace(/[^A-Za-z0-9._-]/g, ''))
+    .filter(Boolean)
+    .join('-');
+  return `${token || 'event'}@ac-pay`;
+}
+
+function getCalendarEventUtcRange(event, dateKey) {
+  const parts = parseDateKeyParts(dateKey);
+  const departureMinutes = Number(event?.departureMinutes);
+  const arrivalMinutes = Number(event?.arrivalMinutes);
+  if (!parts || !Number.isFinite(departureMinutes) || !Number.isFinite(arrivalMinutes)) return null;
+  const { depCode, arrCode } = getCalendarEventBoundaryAirports(event);
+  const depZone = getCachedAirportTimeZone(depCode) || CALENDAR_ICS_FALLBACK_TIMEZONE;
+  const arrZone = getCachedAirportTimeZone(arrCode) || CALENDAR_ICS_FALLBACK_TIMEZONE;
+  const startMs = getUtcMsForZonedLocalTime({ ...parts, minutes: departureMinutes }, depZone);
+  if (!Number.isFinite(startMs)) return null;
+  let endMs = NaN;
+  [-1, 0, 1, 2].forEach((offsetDays) => {
+    const candidate = getUtcMsForZonedLocalTime({
+      ...parts,
+      minutes: arrivalMinutes + (offsetDays * 1440)
+    }, arrZone);
+    if (!Number.isFinite(candidate)) return;
+    const diffMinutes = (candidate - startMs) / 60000;
+    if (diffMinutes < 0 || diffMinutes > 36 * 60) return;
+    if (!Number.isFinite(endMs) || candidate < endMs) {
+      endMs = candidate;
+    }
+  });
+  if (!Number.isFinite(endMs)) return null;
+  return { startMs, endMs, depCode, arrCode, depZone, arrZone };
+}
+
+function getCalendarIcsLabel(event) {
+  const flight = extractCalendarFlightIdentifier(event);
+  if (flight) return `${flight.prefix}${flight.number}`;
+  const identifiers = Array.isArray(event?.identifiers) ? event.identifiers : [];
+  return identifiers.find(identifier => !/^Pairing\s+/i.test(identifier)) || event?.label || 'Flight';
+}
+
+function collectCalendarIcsLegs(eventsByDate) {
+  const legs = [];
+  Object.keys(eventsByDate || {}).sort().forEach((dateKey) => {
+    const day = eventsByDate[dateKey];
+    const events = Array.isArray(day?.events) ? day.events : [];
+    events.forEach((event, index) => {
+      if (!event || isPairingMarkerEvent(event)) return;
+      const range = getCalendarEventUtcRange(event, dateKey);
+      if (!range) return;
+      legs.push({
+        ...range,
+        event,
+        dateKey,
+        index,
+        pairingId: day?.pairing?.pairingId || event.pairingId || '',
+        pairingNumber: day?.pairing?.pairingNumber || ''
+      });
+    });
+  });
+  return legs.sort((a, b) => a.startMs - b.startMs);
+}
+
+function getCalendarIcsDayBoundaryMs(eventsByDate, dateKey, field, timeZone) {
+  const minutes = Number(eventsByDate?.[dateKey]?.[field]);
+  const parts = parseDateKeyParts(dateKey);
+  if (!parts || !Number.isFinite(minutes)) return NaN;
+  return getUtcMsForZonedLocalTime({ ...parts, minutes }, timeZone);
+}
+
+function buildCalendarIcsDutyPeriods(legs, eventsByDate) {
+  const groups = new Map();
+  legs.forEach((leg) => {
+    if (isCalendarCancelledEvent(leg.event)) return;
+    const key = leg.pairingId || `day-${leg.dateKey}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(leg);
+  });
+  const duties = [];
+  groups.forEach((groupLegs, key) => {
+    const periods = [];
+    groupLegs.forEach((leg) => {
+      const current = periods[periods.length - 1];
+      const previous = current ? current[current.length - 1] : null;
+      const restMinutes = previous
+        ? ((leg.startMs - previous.endMs) / 60000) - CALENDAR_ICS_DUTY_START_MINUTES - CALENDAR_ICS_DUTY_END_MINUTES
+        : Infinity;
+      if (current && restMinutes <= CALENDAR_ICS_DUTY_SPLIT_MINUTES) {
+        current.push(leg);
+      } else {
+        periods.push([leg]);
+      }
+    });
+    periods.forEach((periodLegs, periodIndex) => {
+      const first = periodLegs[0];
+      const last = periodLegs[periodLegs.length - 1];
+      let startMs = first.startMs - (CALENDAR_ICS_DUTY_START_MINUTES * 60000);
+      let endMs = last.endMs + (CALENDAR_ICS_DUTY_END_MINUTES * 60000);
+      // Check-in/out minutes stored on the first and last pairing days win when they are plausible.
+      if (periodIndex === 0) {
+        const checkInMs = getCalendarIcsDayBoundaryMs(eventsByDate, first.dateKey, 'checkInMinutes', first.depZone);
+        if (Number.isFinite(checkInMs) && checkInMs <= first.startMs && first.startMs - checkInMs <= 12 * 3600000) {
+          startMs = checkInMs;
+        }
+      }
+      if (periodIndex === periods.length - 1) {
+        const checkOutMs = getCalendarIcsDayBoundaryMs(eventsByDate, last.dateKey, 'checkOutMinutes', last.arrZone);
+        if (Number.isFinite(checkOutMs) && checkOutMs >= last.endMs && checkOutMs - last.endMs <= 12 * 3600000) {
+          endMs = checkOutMs;
+        }
+      }
+      duties.push({ key, periodIndex, pairingNumber: first.pairingNumber, startMs, endMs, legs: periodLegs });
+    });
+  });
+  return duties.sort((a, b) => a.startMs - b.startMs);
+}
+
+function buildCalendarIcs(record, { nowMs = Date.now() } = {}) {
+  const stamp = formatIcsUtc(nowMs);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AC Pay//Calendar Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:AC Pay',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  const pushEvent = (fields) => {
+    lines.push('BEGIN:VEVENT', `DTSTAMP:${stamp}`, ...fields, 'END:VEVENT');
+  };
+  const legs = collectCalendarIcsLegs(record.eventsByDate);
+  legs.forEach((leg) => {
+    const route = [leg.depCode, leg.arrCode].filter(Boolean).join('-');
+    const summary = `${isDeadheadEvent(leg.event) ? 'DH ' : ''}${getCalendarIcsLabel(leg.event)}${route ? ` ${route}` : ''}`;
+    const description = leg.pairingNumber ? `Pairing ${leg.pairingNumber}` : '';
+    pushEvent([
+      `UID:${buildIcsUid('leg', leg.event.id || `${leg.dateKey}-${leg.index}`)}`,
+      `DTSTART:${formatIcsUtc(leg.startMs)}`,
+      `DTEND:${formatIcsUtc(leg.endMs)}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      description ? `DESCRIPTION:${escapeIcsText(description)}` : '',
+      leg.depCode ? `LOCATION:${escapeIcsText(leg.depCode)}` : '',
+      `STATUS:${isCalendarCancelledEvent(leg.event) ? 'CANCELLED' : 'CONFIRMED'}`
+    ].filter(Boolean));
+  });
+  buildCalendarIcsDutyPeriods(legs, record.eventsByDate).forEach((duty) => {
+    const first = duty.legs[0];
+    const last = duty.legs[duty.legs.length - 1];
+    const route = [first.depCode, last.arrCode].filter(Boolean).join('-');
+    pushEvent([
+      `UID:${buildIcsUid('duty', duty.key, duty.periodIndex)}`,
+      `DTSTART:${formatIcsUtc(duty.startMs)}`,
+      `DTEND:${formatIcsUtc(duty.endMs)}`,
+      `SUMMARY:${escapeIcsText(`${duty.pairingNumber ? `Duty ${duty.pairingNumber}` : 'Duty'}${route ? ` ${route}` : ''}`)}`,
+      `DESCRIPTION:${escapeIcsText(duty.legs.map(leg => `${getCalendarIcsLabel(leg.event)} ${leg.depCode}-${leg.arrCode}`).join('\n'))}`
+    ]);
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+function buildCalendarResponseBody(payload) {
+  return {
+    eventsByDate: payload.eventsByDate,
+    months: payload.months,
+    selectedMonth: payload.selectedMonth,
+    blockMonthsByMonthKey: payload.blockMonthsByMonthKey,
+    blockMonthRecurring: payload.blockMonthRecurring,
+    hotels: payload.hotels,
+    prefs: payload.prefs,
+    monthAnnotations: payload.monthAnnotations,
+    schemaVersion: payload.schemaVersion,
+    updatedAt: payload.updatedAt,
+    etag: payload.etag
+  };
+}
+
+function normalizeEtagHeader(value) {
+  return String(value || '').trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+}
+
+function doesIfMatchAllow(ifMatch, currentEtag) {
+  if (ifMatch === null || ifMatch === undefined) return true;
+  const candidates = String(ifMatch).split(',').map(normalizeEtagHeader).filter(Boolean);
+  if (candidates.includes('*')) return Boolean(currentEtag);
+  return candidates.includes(normalizeEtagHeader(currentEtag));
+}
+
+function getCalendarHistoryKey(calendarKey) {
+  return `${calendarKey}${CALENDAR_HISTORY_SUFFIX}`;
+}
+
+async function loadCalendarHistory(env, calendarKey) {
+  const stored = await env.AC_PAY_CALENDAR.get(getCalendarHistoryKey(calendarKey), 'json');
+  return Array.isArray(stored) ? stored.filter(entry => entry && entry.etag && entry.record) : [];
+}
+
+async function appendCalendarHistory(env, calendarKey, previousRecord, { replacedBy = 'client' } = {}) {
+  if (!previousRecord?.etag) return;
+  const history = await loadCalendarHistory(env, calendarKey);
+  history.unshift({
+    etag: previousRecord.etag,
+    updatedAt: previousRecord.updatedAt || null,
+    source: previousRecord.source || 'client',
+    replacedAt: new Date().toISOString(),
+    replacedBy,
+    record: buildCalendarRecordPayload(previousRecord)
+  });
+  await env.AC_PAY_CALENDAR.put(
+    getCalendarHistoryKey(calendarKey),
+    JSON.stringify(history.slice(0, CALENDAR_HISTORY_LIMIT))
+  );
+}
+
+function stableStringify(value) {
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
 }
 
-async function handleGet(env, origin) {
-  const stored = await env.AC_PAY_CALENDAR.get(CALENDAR_KEY, 'json');
+function summarizeCalendarVersion(entry) {
+  const eventsByDate = entry.record?.eventsByDate || entry.eventsByDate || {};
+  return {
+    etag: entry.etag || null,
+    updatedAt: entry.updatedAt || null,
+    source: entry.source || 'client',
+    replacedAt: entry.replacedAt || null,
+    replacedBy: entry.replacedBy || null,
+    months: buildCalendarMonths(eventsByDate),
+    dayCount: Object.keys(eventsByDate).length
+  };
+}
+
+function diffCalendarEventsByMonth(fromEventsByDate = {}, toEventsByDate = {}) {
+  const months = new Map();
+  const getMonth = (monthKey) => {
+    if (!months.has(monthKey)) {
+      months.set(monthKey, { monthKey, addedDates: [], removedDates: [], changedDates: [] });
+    }
+    return months.get(monthKey);
+  };
+  const dateKeys = new Set([...Object.keys(fromEventsByDate), ...Object.keys(toEventsByDate)]);
+  Array.from(dateKeys).sort().forEach((dateKey) => {
+    const before = fromEventsByDate[dateKey];
+    const after = toEventsByDate[dateKey];
+    const monthKey = dateKey.slice(0, 7);
+    if (!before && after) {
+      getMonth(monthKey).addedDates.push(dateKey);
+    } else if (before && !after) {
+      getMonth(monthKey).removedDates.push(dateKey);
+    } else if (stableStringify(before) !== stableStringify(after)) {
+      getMonth(monthKey).changedDates.push(dateKey);
+    }
+  });
+  return Array.from(months.values()).sort((a, b) => a.monthKey.localeCompare(b.monthKey));
+}
+
+async function handleCalendarHistory(request, env, origin, url, calendarKey) {
+  const headers = withCors({}, origin);
+  const current = normalizeCalendarRecord(await env.AC_PAY_CALENDAR.get(calendarKey, 'json'));
+  const history = await loadCalendarHistory(env, calendarKey);
+  const findVersion = (etag) => {
+    if (!etag || etag === 'current' || etag === current.etag) {
+      return { ...buildCalendarRecordPayload(current), etag: current.etag, updatedAt: current.updatedAt };
+    }
+    const entry = history.find(item => item.etag === etag);
+    return entry ? { ...entry.record, etag: entry.etag, updatedAt: entry.updatedAt } : null;
+  };
+
+  if (request.method === 'GET' && url.pathname === '/sync/calendar/history') {
+    return jsonResponse({
+      current: summarizeCalendarVersion({ ...current, record: current }),
+      versions: history.map(summarizeCalendarVersion)
+    }, { headers });
+  }
+
+  if (request.method === 'GET' && url.pathname === '/sync/calendar/history/diff') {
+    const from = findVersion(url.searchParams.get('from'));
+    const to = findVersion(url.searchParams.get('to') || 'current');
+    if (!from || !to) {
+      return jsonResponse({ error: 'Version not found.' }, { status: 404, headers });
+    }
+    return jsonResponse({
+      from: from.etag,
+      to: to.etag,
+      months: diffCalendarEventsByMonth(from.eventsByDate || {}, to.eventsByDate || {}),
+      hotelsChanged: stableStringify(from.hotels || []) !== stableStringify(to.hotels || [])
+    }, { headers });
+  }
+
+  if (request.method === 'POST' && url.pathname === '/sync/calendar/history/restore') {
+    let body = {};
+    try {
+      body = await request.json();
+    } catch (_err) {
+      body = {};
+    }
+    const entry = history.find(item => item.etag === body?.etag);
+    if (!entry) {
+      return jsonResponse({ error: 'Version not found.' }, { status: 404, headers });
+    }
+    const restored = normalizeCalendarRecord(entry.record);
+    const payloadForHash = buildCalendarRecordPayload(restored);
+    const etag = await computeEtag(payloadForHash);
+    const updatedAt = new Date().toISOString();
+    await appendCalendarHistory(env, calendarKey, current, { replacedBy: 'restore' });
+    await env.AC_PAY_CALENDAR.put(calendarKey, JSON.stringify({
+      ...payloadForHash,
+      updatedAt,
+      etag,
+      source: 'restore'
+    }));
+    return jsonResponse({ updatedAt, etag, restoredFrom: entry.etag }, { headers: withCors({ ETag: etag }, origin) });
+  }
+
+  return new Response('Method Not Allowed', { status: 405, headers });
+}
+
+async function handleGet(env, origin, calendarKey = CALENDAR_KEY) {
+  const stored = await env.AC_PAY_CALENDAR.get(calendarKey, 'json');
   const payload = normalizeCalendarRecord(stored);
   const headers = withCors({ ETag: payload.etag || '' }, origin);
-  return jsonResponse(
-    {
-      eventsByDate: payload.eventsByDate,
-      months: payload.months,
-      selectedMonth: payload.selectedMonth,
-      blockMonthsByMonthKey: payload.blockMonthsByMonthKey,
-      blockMonthRecurring: payload.blockMonthRecurring,
-      hotels: payload.hotels,
-      updatedAt: payload.updatedAt,
-      etag: payload.etag
-    },
-    { headers }
-  );
+  return jsonResponse(buildCalendarResponseBody(payload), { headers });
 }
 
-async function handlePut(request, env, origin) {
+async function handleIcsFeed(env, origin, calendarKey = CALENDAR_KEY) {
+  const stored = await env.AC_PAY_CALENDAR.get(calendarKey, 'json');
+  const record = normalizeCalendarRecord(stored);
+  await loadAirportTimezones();
+  const headers = withCors({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    ETag: record.etag || ''
+  }, origin);
+  return new Response(buildCalendarIcs(record), { status: 200, headers });
+}
+
+async function handlePut(request, env, origin, calendarKey = CALENDAR_KEY) {
   let payload;
   try {
     payload = await request.json();
   } catch (error) {
     return jsonResponse({ error: 'Invalid JSON payload.' }, { status: 400, headers: withCors({}, origin) });
   }
-  const validation = validatePayload(payload);
+  // Payloads from older clients are upgraded before validation; newer ones are refused.
+  let upgraded;
+  try {
+    upgraded = migrateCalendarRecord(payload);
+  } catch (err) {
+    return jsonResponse(
+      { error: err.message, message: err.message },
+      { status: 400, headers: withCors({}, origin) }
+    );
+  }
+  const validation = validatePayload(upgraded);
   if (!validation.ok) {
     return jsonResponse(
       { error: validation.message, message: validation.message },
       { status: 400, headers: withCors({}, origin) }
     );
   }
+  const current = normalizeCalendarRecord(await env.AC_PAY_CALENDAR.get(calendarKey, 'json'));
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch !== null) {
+    if (!doesIfMatchAllow(ifMatch, current.etag)) {
+      // Hand back the server copy so the client can merge and retry against the new ETag.
+      return jsonResponse(
+        {
+          error: 'Calendar changed on the server.',
+          message: 'Calendar changed on the server.',
+          current: buildCalendarResponseBody(current)
+        },
+        { status: 412, headers: withCors({ ETag: current.etag || '' }, origin) }
+      );
+    }
+  }
   const updatedAt = new Date().toISOString();
-  const blockMonthsByMonthKey = payload.blockMonthsByMonthKey || {};
-  const blockMonthRecurring = payload.blockMonthRecurring || {};
-  const hotels = Array.isArray(payload.hotels) ? payload.hotels : [];
-  const etag = await computeEtag({
-    eventsByDate: payload.eventsByDate,
-    months: payload.months,
-    selectedMonth: payload.selectedMonth,
+  const blockMonthsByMonthKey = upgraded.blockMonthsByMonthKey;
+  const blockMonthRecurring = upgraded.blockMonthRecurring;
+  const hotels = upgraded.hotels;
+  // Clients from before v4 do not send preferences or month annotations; keep the stored ones.
+  const prefs = 'prefs' in payload ? upgraded.prefs : current.prefs;
+  const monthAnnotations = 'monthAnnotations' in payload ? upgraded.monthAnnotations : current.monthAnnotations;
+  const payloadForHash = buildCalendarRecordPayload({
+    eventsByDate: upgraded.eventsByDate,
+    months: upgraded.months,
+    selectedMonth: upgraded.selectedMonth,
     blockMonthsByMonthKey,
     blockMonthRecurring,
-    hotels
+    hotels,
+    prefs,
+    monthAnnotations
   });
+  const etag = await computeEtag(payloadForHash);
   const record = {
-    eventsByDate: payload.eventsByDate,
-    months: payload.months,
-    selectedMonth: payload.selectedMonth,
-    blockMonthsByMonthKey,
-    blockMonthRecurring,
-    hotels,
+    ...payloadForHash,
     updatedAt,
-    etag
+    etag,
+    source: 'client'
   };
-  await env.AC_PAY_CALENDAR.put(CALENDAR_KEY, JSON.stringify(record));
+  if (current.etag && current.etag !== etag) {
+    await appendCalendarHistory(env, calendarKey, current, { replacedBy: 'client' });
+  }
+  await env.AC_PAY_CALENDAR.put(calendarKey, JSON.stringify(record));
   const headers = withCors({ ETag: etag }, origin);
   return jsonResponse({ updatedAt, etag }, { status: 200, headers });
 }
@@ -1467,27 +2021,109 @@ async function handleAirlabsProxy(request, env, origin) {
   }
 }
 
-async function runScheduledGateSync(env, scheduledTime) {
-  if (!env.AC_PAY_CALENDAR) {
-    console.warn('Calendar storage not configured; skipping scheduled gate sync.');
-    return { mutated: false, updatedCount: 0, pendingCount: 0, failedCount: 0, skipped: 'missingStorage' };
+async function loadSyncUsersIndex(env) {
+  const stored = await env.AC_PAY_CALENDAR.get(SYNC_USERS_INDEX_KEY, 'json');
+  const users = stored?.users && typeof stored.users === 'object' && !Array.isArray(stored.users)
+    ? stored.users
+    : {};
+  return { users };
+}
+
+async function saveSyncUsersIndex(env, index) {
+  await env.AC_PAY_CALENDAR.put(SYNC_USERS_INDEX_KEY, JSON.stringify(index));
+}
+
+async function listCalendarSyncUsers(env) {
+  const users = [];
+  if (env.SYNC_TOKEN) {
+    users.push({ userId: LEGACY_USER_ID, calendarKey: CALENDAR_KEY });
   }
-  if (!String(env.AIRLABS_API_KEY || '').trim()) {
-    console.warn('AIRLABS_API_KEY missing; skipping scheduled gate sync.');
-    return { mutated: false, updatedCount: 0, pendingCount: 0, failedCount: 0, skipped: 'missingAirlabsKey' };
+  const index = await loadSyncUsersIndex(env);
+  Object.entries(index.users).forEach(([userId, entry]) => {
+    if (!SYNC_USER_ID_PATTERN.test(userId) || userId === LEGACY_USER_ID) return;
+    if (!Object.keys(entry?.tokens || {}).length) return;
+    users.push({ userId, calendarKey: getCalendarKeyForUser(userId) });
+  });
+  return users;
+}
+
+async function handleAdminTokens(request, env, origin, url) {
+  const tokenIdMatch = url.pathname.match(/^\/admin\/tokens\/([a-f0-9]{64})$/);
+  const headers = withCors({}, origin);
+
+  if (request.method === 'GET' && url.pathname === '/admin/tokens') {
+    const index = await loadSyncUsersIndex(env);
+    return jsonResponse(index, { headers });
+  }
+
+  if (request.method === 'POST' && url.pathname === '/admin/tokens') {
+    let body = {};
+    try {
+      body = await request.json();
+    } catch (_err) {
+      body = {};
+    }
+    const userId = String(body?.userId || crypto.randomUUID()).trim();
+    if (!SYNC_USER_ID_PATTERN.test(userId) || userId === LEGACY_USER_ID) {
+      return jsonResponse(
+        { error: 'userId must be 1-64 letters, digits, "-" or "_" and not "default".' },
+        { status: 400, headers }
+      );
+    }
+    const label = typeof body?.label === 'string' ? body.label.trim().slice(0, 120) : '';
+    const token = generateSyncToken();
+    const tokenId = await hashSyncToken(token);
+    const createdAt = new Date().toISOString();
+    await env.AC_PAY_CALENDAR.put(`${SYNC_TOKEN_KEY_PREFIX}${tokenId}`, JSON.stringify({ userId, label, createdAt }));
+    const index = await loadSyncUsersIndex(env);
+    const userEntry = index.users[userId] || { createdAt, tokens: {} };
+    userEntry.tokens = { ...(userEntry.tokens || {}), [tokenId]: { label, createdAt } };
+    index.users[userId] = userEntry;
+    await saveSyncUsersIndex(env, index);
+    // The raw token is only ever returned here; KV keeps its SHA-256.
+    return jsonResponse({ userId, tokenId, token, label, createdAt }, { status: 201, headers });
+  }
+
+  if (request.method === 'DELETE' && tokenIdMatch) {
+    const tokenId = tokenIdMatch[1];
+    const tokenKey = `${SYNC_TOKEN_KEY_PREFIX}${tokenId}`;
+    const entry = await env.AC_PAY_CALENDAR.get(tokenKey, 'json');
+    if (!entry) {
+      return jsonResponse({ error: 'Token not found.' }, { status: 404, headers });
+    }
+    await env.AC_PAY_CALENDAR.delete(tokenKey);
+    const index = await loadSyncUsersIndex(env);
+    const userEntry = index.users[entry.userId];
+    if (userEntry?.tokens) {
+      delete userEntry.tokens[tokenId];
+      await saveSyncUsersIndex(env, index);
+    }
+    return jsonResponse({ revoked: tokenId, userId: entry.userId }, { headers });
   }
 
-  const stored = await env.AC_PAY_CALENDAR.get(CALENDAR_KEY, 'json');
+  return new Response('Method Not Allowed', { status: 405, headers });
+}
+
+async function runScheduledGateSyncForUser(env, user, scheduledTime, budget) {
+  const stored = await env.AC_PAY_CALENDAR.get(user.calendarKey, 'json');
   const record = normalizeCalendarRecord(stored);
   const result = await runCalendarGateTimeAutoSync(record, env, {
     force: false,
-    skipAlreadyUpdated: true
+    skipAlreadyUpdated: true,
+    budget
   });
 
   if (!result.mutated) {
     return result;
   }
 
+  // AirLabs lookups take a while; if a client PUT landed meanwhile, leave its copy alone and retry next run.
+  const latest = normalizeCalendarRecord(await env.AC_PAY_CALENDAR.get(user.calendarKey, 'json'));
+  if ((latest.etag || null) !== (record.etag || null)) {
+    console.warn('Calendar changed during scheduled gate sync; deferring write to the next run.', { userId: user.userId });
+    return { ...result, mutated: false, skipped: 'concurrentWrite' };
+  }
+
   const updatedAt = new Date(Number.isFinite(Number(scheduledTime)) ? Number(scheduledTime) : Date.now()).toISOString();
   const payloadForHash = buildCalendarRecordPayload(record);
   const etag = await computeEtag(payloadForHash);
@@ -1495,12 +2131,61 @@ async function runScheduledGateSync(env, scheduledTime) {
     ...record,
     ...payloadForHash,
     updatedAt,
-    etag
+    etag,
+    source: 'cron'
   };
-  await env.AC_PAY_CALENDAR.put(CALENDAR_KEY, JSON.stringify(nextRecord));
+  await appendCalendarHistory(env, user.calendarKey, latest, { replacedBy: 'cron' });
+  await env.AC_PAY_CALENDAR.put(user.calendarKey, JSON.stringify(nextRecord));
   return { ...result, updatedAt, etag };
 }
 
+async function runScheduledGateSync(env, scheduledTime) {
+  if (!env.AC_PAY_CALENDAR) {
+    console.warn('Calendar storage not configured; skipping scheduled gate sync.');
+    return { mutated: false, updatedCount: 0, pendingCount: 0, failedCount: 0, skipped: 'missingStorage' };
+  }
+  if (!String(env.AIRLABS_API_KEY || '').trim()) {
+    console.warn('AIRLABS_API_KEY missing; skipping scheduled gate sync.');
+    return { mutated: false, updatedCount: 0, pendingCount: 0, failedCount: 0, skipped: 'missingAirlabsKey' };
+  }
+
+  const users = await listCalendarSyncUsers(env);
+  const configuredBudget = Number.parseInt(env.AIRLABS_MAX_REQUESTS_PER_RUN, 10);
+  const budget = {
+    remaining: Number.isFinite(configuredBudget) && configuredBudget > 0
+      ? configuredBudget
+      : CALENDAR_AIRLABS_MAX_REQUESTS_PER_RUN
+  };
+  const totals = { mutated: false, updatedCount: 0, pendingCount: 0, failedCount: 0, userCount: users.length };
+  if (!users.length) {
+    return { ...totals, skipped: 'noUsers' };
+  }
+  // Rotate the starting user each run so one busy schedule cannot starve the rest of the budget.
+  const runIndex = Math.floor((Number(scheduledTime) || Date.now()) / (15 * 60 * 1000));
+  const offset = runIndex % users.length;
+  const ordered = users.slice(offset).concat(users.slice(0, offset));
+  for (const user of ordered) {
+    if (budget.remaining <= 0) {
+      totals.budgetExhausted = true;
+      break;
+    }
+    try {
+      const result = await runScheduledGateSyncForUser(env, user, scheduledTime, budget);
+      totals.mutated = totals.mutated || Boolean(result.mutated);
+      totals.updatedCount += result.updatedCount || 0;
+      totals.pendingCount += result.pendingCount || 0;
+      totals.failedCount += result.failedCount || 0;
+      if (result.budgetExhausted) {
+        totals.budgetExhausted = true;
+        break;
+      }
+    } catch (err) {
+      console.error('Scheduled gate sync failed for user', { userId: user.userId }, err);
+    }
+  }
+  return totals;
+}
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -1540,8 +2225,21 @@ export default {
       return new Response(resp.body, { status: resp.status, headers: responseHeaders });
     }
 
+    if (url.pathname === '/admin/tokens' || url.pathname.startsWith('/admin/tokens/')) {
+      if (!env.AC_PAY_CALENDAR) {
+        return jsonResponse(
+          { error: 'Calendar storage not configured.' },
+          { status: 503, headers: withCors({}, origin) }
+        );
+      }
+      if (!isAdminAuthorized(request, env)) {
+        return jsonResponse({ error: 'Unauthorized.' }, { status: 401, headers: withCors({}, origin) });
+      }
+      return handleAdminTokens(request, env, origin, url);
+    }
+
     if (url.pathname.startsWith('/airlabs/schedules')) {
-      if (!isAuthorized(request, env)) {
+      if (!(await resolveSyncUser(request, env))) {
         return jsonResponse({ error: 'Unauthorized.' }, { status: 401, headers: withCors({}, origin) });
       }
       return handleAirlabsProxy(request, env, origin);
@@ -1558,16 +2256,39 @@ export default {
       );
     }
 
-    if (!isAuthorized(request, env)) {
+    if (url.pathname === CALENDAR_ICS_FEED_PATH) {
+      if (request.method !== 'GET') {
+        return new Response('Method Not Allowed', { status: 405, headers: withCors({}, origin) });
+      }
+      const feedUser = await resolveFeedUser(request, env);
+      if (!feedUser) {
+        return new Response('Unauthorized', { status: 401, headers: withCors({}, origin) });
+      }
+      return handleIcsFeed(env, origin, feedUser.calendarKey);
+    }
+
+    const user = await resolveSyncUser(request, env);
+    if (!user) {
       return jsonResponse({ error: 'Unauthorized.' }, { status: 401, headers: withCors({}, origin) });
     }
 
+    if (url.pathname.startsWith('/sync/calendar/history')) {
+      return handleCalendarHistory(request, env, origin, url, user.calendarKey);
+    }
+
+    if (url.pathname === CALENDAR_FEED_TOKEN_PATH) {
+      if (request.method !== 'POST') {
+        return new Response('Method Not Allowed', { status: 405, headers: withCors({}, origin) });
+      }
+      return handleFeedToken(env, origin, user);
+    }
+
     if (request.method === 'GET') {
-      return handleGet(env, origin);
+      return handleGet(env, origin, user.calendarKey);
     }
 
     if (request.method === 'PUT') {
-      return handlePut(request, env, origin);
+      return handlePut(request, env, origin, user.calendarKey);
     }
 
     return new Response('Method Not Allowed', { status: 405, headers: withCors({}, origin) });
@@ -1583,6 +2304,8 @@ export default {
           pendingCount: result.pendingCount || 0,
           failedCount: result.failedCount || 0,
           mutated: Boolean(result.mutated),
+          userCount: result.userCount || 0,
+          budgetExhausted: Boolean(result.budgetExhausted),
           skipped: result.skipped || null
         });
       } catch (err) {
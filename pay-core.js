@@ -0,0 +1,2594 @@
+/*
+ * Pure pay, tax and duty calculators shared by app.js and the Node test
+ * suite.  Nothing in this file touches the DOM or storage: callers pass the
+ * pilot's hire date and any "as of" date explicitly.  In the browser it is
+ * loaded as a classic script ahead of app.js, so every top-level binding
+ * below is visible to app.js; under Node the same bindings are exported
+ * through module.exports.
+ */
+
+'use strict';
+
+// --- Constants ---
+const DEFAULT_DOH = new Date('2024-08-07T00:00:00Z');
+const PROGRESSION = {m:11, d:5};
+const SWITCH = {m:9, d:30};
+const PROVINCES = ['AB','BC','MB','NB','NL','NS','NT','NU','ON','PE','QC','SK','YT'];
+
+// --- FDP tables ---
+const FDP_MAX_TABLE = [
+  { start: 0, end: 239, label: '00:00-03:59', max14: 9, max56: 9, max14Over4: 8, max56Over4: 8 },
+  { start: 240, end: 299, label: '04:00-04:59', max14: 10, max56: 9, max14Over4: 9, max56Over4: 8 },
+  { start: 300, end: 359, label: '05:00-05:59', max14: 11.25, max56: 10.25, max14Over4: 10.25, max56Over4: 9.25 },
+  { start: 360, end: 419, label: '06:00-06:59', max14: 12, max56: 11, max14Over4: 11, max56Over4: 10 },
+  { start: 420, end: 779, label: '07:00-12:59', max14: 13, max56: 12, max14Over4: 12, max56Over4: 11 },
+  { start: 780, end: 1019, label: '13:00-16:59', max14: 12.25, max56: 11.25, max14Over4: 11.25, max56Over4: 10.25 },
+  { start: 1020, end: 1319, label: '17:00-21:59', max14: 12, max56: 11, max14Over4: 11, max56Over4: 10 },
+  { start: 1320, end: 1379, label: '22:00-22:59', max14: 11, max56: 10, max14Over4: 10, max56Over4: 9 },
+  { start: 1380, end: 1439, label: '23:00-23:59', max14: 10, max56: 9, max14Over4: 9, max56Over4: 8 }
+];
+const FDP_MAX_TABLE_OUTSIDE = [
+  { start: 0, end: 239, label: '00:00-03:59', max: 9.25, deadhead: 12 },
+  { start: 240, end: 299, label: '04:00-04:59', max: 10, deadhead: 12 },
+  { start: 300, end: 359, label: '05:00-05:59', max: 11.25, deadhead: 14 },
+  { start: 360, end: 1169, label: '06:00-19:29', max: 12, deadhead: 14 },
+  { start: 1170, end: 1319, label: '19:30-21:59', max: 11, deadhead: 13 },
+  { start: 1320, end: 1439, label: '22:00-23:59', max: 10, deadhead: 12 }
+];
+const FOM_FDP_TABLE = [
+  { start: 0, end: 239, label: '00:00-03:59', max14: 9, max56: 9 },
+  { start: 240, end: 299, label: '04:00-04:59', max14: 10, max56: 9 },
+  { start: 300, end: 359, label: '05:00-05:59', max14: 11, max56: 10 },
+  { start: 360, end: 419, label: '06:00-06:59', max14: 12, max56: 11 },
+  { start: 420, end: 779, label: '07:00-12:59', max14: 13, max56: 12 },
+  { start: 780, end: 1019, label: '13:00-16:59', max14: 12.5, max56: 11.5 },
+  { start: 1020, end: 1319, label: '17:00-21:59', max14: 12, max56: 11 },
+  { start: 1320, end: 1379, label: '22:00-22:59', max14: 11, max56: 10 },
+  { start: 1380, end: 1439, label: '23:00-23:59', max14: 10, max56: 9 }
+];
+const AUGMENTED_FDP_TABLE = [
+  { crew: 'basic+1', facility: 3, zone: 'inside', max: 14, deadhead: 16, facilityLabel: 'Class 3 seat' },
+  { crew: 'basic+1', facility: 3, zone: 'outside', max: 12, deadhead: 14, facilityLabel: 'Class 3 seat' },
+  { crew: 'basic+1', facility: 2, zone: 'any', max: 14, deadhead: 16, facilityLabel: 'Class 2 seat' },
+  { crew: 'basic+1', facility: 1, zone: 'any', max: 15, deadhead: 17, facilityLabel: 'Class 1 bunk' },
+  { crew: 'basic+2', facility: 1, zone: 'any', max: 18.25, deadhead: 18.25, facilityLabel: '2 Class 1 bunks' },
+  { crew: '2ca2fo', facility: 1, zone: 'any', max: 20, deadhead: 20, facilityLabel: '2 Class 1 bunks' }
+];
+const FOM_AUGMENTED_FDP_TABLE = [
+  { additionalCrew: 1, facility: 3, max: 14 },
+  { additionalCrew: 1, facility: 2, max: 15 },
+  { additionalCrew: 1, facility: 1, max: 15 },
+  { additionalCrew: 2, facility: 3, max: 15.25 },
+  { additionalCrew: 2, facility: 2, max: 16.5 },
+  { additionalCrew: 2, facility: 1, max: 18 }
+];
+
+// --- Pay tables ---
+// Filled from the contract rule packs by registerRulePacks, then extended
+// with the projected years below.
+const PAY_TABLES = {};
+
+// --- Projections 2027–2031 ---
+const PROJECTION_SCENARIOS = {
+  conservative: { label: 'Conservative', rates: [0.04, 0.03, 0.03, 0.03] },
+  realistic: { label: 'Realistic', rates: [0.10, 0.045, 0.045, 0.045] },
+  aggressive: { label: 'Aggressive', rates: [0.18, 0.06, 0.06, 0.06] }
+};
+const SLOPE_SCENARIOS = {
+  conservative: {
+    label: 'Conservative',
+    foNb: { 3:0.42, 4:0.445, 5:0.56, 6:0.575, 7:0.59, 8:0.605, 9:0.62, 10:0.635, 11:0.65, 12:0.665 },
+    foWb: { 3:0.37, 4:0.395, 5:0.545, 6:0.56, 7:0.575, 8:0.59, 9:0.605, 10:0.62, 11:0.635, 12:0.65 },
+    rp: { 3:0.285, 4:0.305, 5:0.37, 6:0.38, 7:0.39, 8:0.40, 9:0.41, 10:0.42, 11:0.425, 12:0.43 }
+  },
+  realistic: {
+    label: 'Realistic',
+    foNb: { 3:0.46, 4:0.49, 5:0.565, 6:0.58, 7:0.595, 8:0.61, 9:0.625, 10:0.64, 11:0.655, 12:0.67 },
+    foWb: { 3:0.42, 4:0.46, 5:0.55, 6:0.565, 7:0.58, 8:0.595, 9:0.61, 10:0.625, 11:0.64, 12:0.655 },
+    rp: { 3:0.32, 4:0.345, 5:0.375, 6:0.385, 7:0.395, 8:0.405, 9:0.415, 10:0.425, 11:0.43, 12:0.435 }
+  },
+  aggressive: {
+    label: 'Aggressive',
+    foNb: { 3:0.50, 4:0.53, 5:0.57, 6:0.585, 7:0.60, 8:0.615, 9:0.63, 10:0.645, 11:0.66, 12:0.68 },
+    foWb: { 3:0.47, 4:0.51, 5:0.56, 6:0.575, 7:0.59, 8:0.605, 9:0.62, 10:0.635, 11:0.65, 12:0.67 },
+    rp: { 3:0.34, 4:0.36, 5:0.385, 6:0.40, 7:0.415, 8:0.43, 9:0.44, 10:0.45, 11:0.46, 12:0.47 }
+  }
+};
+const PROJECTION_YEARS = [2027, 2028, 2029, 2030, 2031];
+let currentProjectionScenario = 'realistic';
+let currentSlopeScenario = 'realistic';
+
+function getProjectionRates(scenarioKey){
+  return PROJECTION_SCENARIOS[scenarioKey]?.rates || PROJECTION_SCENARIOS.realistic.rates;
+}
+
+function getSlopeScenario(scenarioKey){
+  return SLOPE_SCENARIOS[scenarioKey] || SLOPE_SCENARIOS.realistic;
+}
+
+function buildProjectionFactors(rates){
+  const factors = {};
+  let cumulative = 1;
+  PROJECTION_YEARS.forEach((year, idx) => {
+    const rate = rates[Math.min(idx, rates.length - 1)];
+    cumulative *= (1 + rate);
+    factors[year] = cumulative;
+  });
+  return factors;
+}
+
+function getContractPayYears(){
+  const years = new Set();
+  RULE_PACKS.contract.forEach(pack => Object.keys(pack.payTables).forEach(year => years.add(Number(year))));
+  return [...years].sort((a, b) => a - b);
+}
+
+// Projection years not already covered by a contract pack.
+function getProjectedYears(){
+  const contractYears = getContractPayYears();
+  const lastContractYear = contractYears[contractYears.length - 1];
+  return PROJECTION_YEARS.filter(year => year > lastContractYear);
+}
+
+function rebuildProjections(scenarioKey){
+  const contractYears = getContractPayYears();
+  const base = PAY_TABLES[contractYears[contractYears.length - 1]];
+  if (!base) return;
+  const rates = getProjectionRates(scenarioKey);
+  const factors = buildProjectionFactors(rates);
+  PROJECTION_YEARS.forEach((year) => { if (!contractYears.includes(year)) delete PAY_TABLES[year]; });
+  getProjectedYears().forEach((year) => {
+    const factor = factors[year];
+    const proj = {};
+    for (const seat in base){
+      proj[seat] = {};
+      for (const ac in base[seat]){
+        proj[seat][ac] = {};
+        for (const k in base[seat][ac]){
+          proj[seat][ac][k] = +(base[seat][ac][k] * factor).toFixed(2);
+        }
+      }
+    }
+    PAY_TABLES[year] = proj;
+  });
+  applyAnchoredSlopesFO_RP(currentSlopeScenario);
+  applyConservativeRPCompression();
+}
+
+// === Projected 2027–2031: FO & RP anchored to CA Step 12 ===
+// Captain "composite" anchor interpreted as CA Step 12 on the same fleet/year.
+// FO1/FO2 remain flat across fleets (use the year's flat values as‑is).
+
+const NB_FLEETS = new Set(['320','737','220']);           // narrow-body
+const WB_FLEETS = new Set(['777','787','330','767']);      // wide-body
+
+function applyAnchoredSlopesFO_RP(scenarioKey) {
+  const scenario = getSlopeScenario(scenarioKey);
+  const multFoNb = scenario.foNb;
+  const multFoWb = scenario.foWb;
+  const multRp = scenario.rp;
+  getProjectedYears().forEach((y) => {
+    const yr = PAY_TABLES[y];
+    if (!yr || !yr.CA) return;
+
+    // Use the year's FO1/FO2 (flat) from any AC to enforce uniformity
+    let flatFO1, flatFO2;
+    if (yr.FO) {
+      const ac0 = Object.keys(yr.FO)[0];
+      if (ac0) {
+        flatFO1 = yr.FO[ac0][1];
+        flatFO2 = yr.FO[ac0][2];
+      }
+    }
+
+    for (const ac of Object.keys(yr.CA)) {
+      const ca = yr.CA[ac]; if (!ca || !ca[12]) continue;
+      const ca12 = ca[12];
+
+      // ---- FO (anchor to CA12 with NB/WB slopes) ----
+      if (yr.FO && yr.FO[ac]) {
+        const fo = yr.FO[ac];
+
+        // Keep FO1/FO2 flat across fleets
+        if (typeof flatFO1 === 'number') fo[1] = flatFO1;
+        if (typeof flatFO2 === 'number') fo[2] = flatFO2;
+
+        const map = NB_FLEETS.has(ac) ? multFoNb : multFoWb;
+        for (let s = 3; s <= 12; s++) {
+          const m = map[s]; if (!m) continue;
+          const target = +(ca12 * m).toFixed(2);
+          // Only raise (never lower) any prior projection
+          fo[s] = Math.max(fo[s] || 0, target);
+        }
+        // Monotonic guard
+        for (let s = 2; s <= 12; s++) {
+          if (fo[s] < fo[s-1]) fo[s] = fo[s-1];
+        }
+      }
+
+      // ---- RP (anchor to CA12; same curve for all fleets) ----
+      if (yr.RP && yr.RP[ac]) {
+        const rp = yr.RP[ac];
+        for (let s = 3; s <= 12; s++) {
+          const m = multRp[s]; if (!m) continue;
+          const target = +(ca12 * m).toFixed(2);
+          rp[s] = Math.max(rp[s] || 0, target);
+        }
+        for (let s = 2; s <= 12; s++) {
+          if (rp[s] < rp[s-1]) rp[s] = rp[s-1];
+        }
+      }
+    }
+  });
+}
+
+// === Conservative RP1–4 discount compression for 2027–2031 ===
+// Discounts vs RP Step 5 on the same aircraft.
+const RP_EARLY_CONSERVATIVE = { 1: 0.42, 2: 0.35, 3: 0.22, 4: 0.15 };
+
+function applyConservativeRPCompression() {
+  getProjectedYears().forEach((y) => {
+    const rp = PAY_TABLES[y] && PAY_TABLES[y].RP;
+    if (!rp) return;
+    Object.keys(rp).forEach((ac) => {
+      const step5 = rp[ac][5];
+      if (!step5) return;
+      for (let s = 1; s <= 4; s++) {
+        const target = +(step5 * (1 - RP_EARLY_CONSERVATIVE[s])).toFixed(2);
+        rp[ac][s] = Math.max(rp[ac][s] || 0, target);
+      }
+    });
+  });
+}
+
+// --- Rule packs ---
+// Pay tables, tax years and contract parameters are data in rules/*.json,
+// listed by rules/index.json.  The browser fetches them (loadRulePacks in
+// app.js) and Node reads them at the bottom of this file; either way they go
+// through registerRulePacks, which checks every pack against
+// rules/schema.json first.  Nothing falls back to another year: a
+// calculation for a year no pack covers throws.
+const RULE_PACK_INDEX = 'rules/index.json';
+const RULE_PACK_SCHEMA = 'rules/schema.json';
+const RULE_PACKS = { contract: [], tax: [] };
+
+function resolveRuleSchemaRef(root, ref){
+  if (!ref.startsWith('#/')) throw new Error('Unsupported schema reference '+ref);
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new Error('Unresolved schema reference '+ref);
+  return target;
+}
+
+function ruleSchemaTypeOf(value){
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/*
+ * Validate a value against the JSON Schema subset rules/schema.json uses:
+ * type, enum, const, required, properties, patternProperties,
+ * additionalProperties, items (list or tuple), min/max bounds, pattern,
+ * $ref, anyOf, allOf and if/then.  Returns "path: problem" strings, empty
+ * when the value is valid.
+ */
+function validateRuleSchema(value, schema, root = schema, path = '$'){
+  if (schema.$ref) return validateRuleSchema(value, resolveRuleSchemaRef(root, schema.$ref), root, path);
+  const errors = [];
+  const type = ruleSchemaTypeOf(value);
+  if (schema.type){
+    const types = [].concat(schema.type);
+    if (!types.some(t => t === type || (t === 'number' && type === 'integer'))){
+      return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  if ('const' in schema && value !== schema.const) errors.push(`${path}: must be ${schema.const}`);
+  if (typeof value === 'number'){
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)){
+    errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+  if (type === 'array'){
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    value.forEach((item, i) => {
+      const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+      if (itemSchema) errors.push(...validateRuleSchema(item, itemSchema, root, `${path}[${i}]`));
+    });
+  }
+  if (type === 'object'){
+    const keys = Object.keys(value);
+    (schema.required || []).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}: missing ${key}`);
+    });
+    if (schema.minProperties != null && keys.length < schema.minProperties){
+      errors.push(`${path}: needs at least ${schema.minProperties} entries`);
+    }
+    keys.forEach((key) => {
+      const childPath = `${path}.${key}`;
+      const childSchemas = [];
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) childSchemas.push(schema.properties[key]);
+      Object.keys(schema.patternProperties || {}).forEach((pattern) => {
+        if (new RegExp(pattern).test(key)) childSchemas.push(schema.patternProperties[pattern]);
+      });
+      if (!childSchemas.length){
+        if (schema.additionalProperties === false) errors.push(`${childPath}: is not allowed`);
+        else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') childSchemas.push(schema.additionalProperties);
+      }
+      childSchemas.forEach(child => errors.push(...validateRuleSchema(value[key], child, root, childPath)));
+    });
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => !validateRuleSchema(value, sub, root, path).length)){
+    errors.push(`${path}: does not match any allowed form`);
+  }
+  (schema.allOf || []).forEach(sub => errors.push(...validateRuleSchema(value, sub, root, path)));
+  if (schema.if && schema.then && !validateRuleSchema(value, schema.if, root, path).length){
+    errors.push(...validateRuleSchema(value, schema.then, root, path));
+  }
+  return errors;
+}
+
+// JSON has no Infinity, so the open top bracket is stored with a null threshold.
+function toRuleBrackets(brackets){
+  return brackets.map(([cap, rate]) => [cap === null ? Infinity : cap, rate]);
+}
+
+function ruleEffectiveYear(pack, edge){
+  return pack.effective[edge] ? Number(pack.effective[edge].slice(0, 4)) : Infinity;
+}
+
+/*
+ * Validate and install a set of rule packs, replacing whatever was loaded
+ * before.  Throws with every schema problem listed when any pack is
+ * invalid, leaving the previous packs in place.  Later effective dates win
+ * where packs overlap.
+ */
+function registerRulePacks(packs, schema){
+  const problems = [];
+  const ids = new Set();
+  (packs || []).forEach((pack, index) => {
+    const label = (pack && typeof pack.id === 'string') ? pack.id : `pack ${index + 1}`;
+    validateRuleSchema(pack, schema).forEach(error => problems.push(`${label} ${error}`));
+    if (pack?.effective?.to && pack.effective.from && pack.effective.to < pack.effective.from){
+      problems.push(`${label} $.effective: ends before it starts`);
+    }
+    if (ids.has(label)) problems.push(`${label}: duplicate id`);
+    ids.add(label);
+  });
+  if (!(packs || []).length) problems.push('no packs listed');
+  if (problems.length) throw new Error('Invalid rule packs: '+problems.join('; '));
+  const byStart = (a, b) => a.effective.from.localeCompare(b.effective.from);
+  RULE_PACKS.contract = packs.filter(pack => pack.kind === 'contract').sort(byStart);
+  RULE_PACKS.tax = packs.filter(pack => pack.kind === 'tax').sort(byStart).map(pack => ({
+    ...pack,
+    federal: { ...pack.federal, brackets: toRuleBrackets(pack.federal.brackets) },
+    provincial: Object.fromEntries(Object.entries(pack.provincial)
+      .map(([code, prov]) => [code, { ...prov, brackets: toRuleBrackets(prov.brackets) }]))
+  }));
+  Object.keys(PAY_TABLES).forEach((year) => { delete PAY_TABLES[year]; });
+  RULE_PACKS.contract.forEach(pack => Object.assign(PAY_TABLES, pack.payTables));
+  rebuildProjections(currentProjectionScenario);
+  return listRulePacks();
+}
+
+function listRulePacks(){
+  return [...RULE_PACKS.contract, ...RULE_PACKS.tax].map(({ id, kind, version, title, effective, projected }) => ({
+    id, kind, version, title, effective: { ...effective }, projected: !!projected
+  }));
+}
+
+// The registered pack with this id, or null.
+function getRulePack(id){
+  return [...RULE_PACKS.contract, ...RULE_PACKS.tax].find(pack => pack.id === id) || null;
+}
+
+// Federal/provincial tax, CPP/QPP and EI for a tax year.
+function getTaxRules(year){
+  if (!RULE_PACKS.tax.length) throw new Error('Tax rule packs are not loaded');
+  const pack = RULE_PACKS.tax
+    .filter(p => ruleEffectiveYear(p, 'from') <= year && ruleEffectiveYear(p, 'to') >= year)
+    .pop();
+  if (!pack) throw new Error('No tax rule pack covers '+year);
+  return pack;
+}
+
+/*
+ * Contract parameters (XLR premium, union dues, health) for a pay year: the
+ * pack whose tables include that year, or for a projected year the latest
+ * pack already in effect.
+ */
+function getContractRules(year){
+  if (!RULE_PACKS.contract.length) throw new Error('Contract rule packs are not loaded');
+  const pack = RULE_PACKS.contract.filter(p => p.payTables[year]).pop()
+    || RULE_PACKS.contract.filter(p => ruleEffectiveYear(p, 'from') <= year).pop();
+  if (!pack) throw new Error('No contract rule pack covers '+year);
+  return pack;
+}
+
+// Whether a tax pack covers the year.
+function hasTaxRules(year){
+  return RULE_PACKS.tax.some(p => ruleEffectiveYear(p, 'from') <= year && ruleEffectiveYear(p, 'to') >= year);
+}
+
+/*
+ * Years the packs cover: every pay table year (contract or projected) and
+ * every year a dated tax pack covers.  Check hasTaxRules before computing
+ * tax for one.
+ */
+function getRulePackYears(){
+  const years = new Set(Object.keys(PAY_TABLES).map(Number));
+  RULE_PACKS.tax.forEach((pack) => {
+    for (let year = ruleEffectiveYear(pack, 'from'); year <= ruleEffectiveYear(pack, 'to'); year += 1) years.add(year);
+  });
+  return [...years].sort((a, b) => a - b);
+}
+
+// --- Helpers ---
+function clampStep(s){ s=+s; if (s<1) return 1; if (s>12) return 12; return s; }
+
+/*
+ * Compute the federal basic personal amount (BPA) for a given income and year.
+ * The additional amount is clawed back linearly between bpa_addl_start and
+ * bpa_addl_end from the year's tax rule pack (2025: $14,538 to $16,129 with
+ * clawback between $177,882 and $253,414).
+ */
+function federalBPA(year, income){
+  const b = getTaxRules(year).federal;
+  let addl = 0;
+  if (income <= b.bpa_addl_start) addl = b.bpa_additional;
+  else if (income < b.bpa_addl_end){
+    const frac = (b.bpa_addl_end - income) / (b.bpa_addl_end - b.bpa_addl_start);
+    addl = b.bpa_additional * Math.max(0, Math.min(1, frac));
+  }
+  return b.bpa_base + addl;
+}
+
+function provincialBPA(year, income, province){
+  const p = getTaxRules(year).provincial[province];
+  if (!p) throw new Error('Unsupported province '+province);
+  if (p.bpa_phase_out_start && p.bpa_phase_out_end){
+    if (income <= p.bpa_phase_out_start) return p.bpa;
+    if (income >= p.bpa_phase_out_end) return 0;
+    const frac = (p.bpa_phase_out_end - income) / (p.bpa_phase_out_end - p.bpa_phase_out_start);
+    return p.bpa * Math.max(0, Math.min(1, frac));
+  }
+  return p.bpa;
+}
+
+function taxFromBrackets(taxable, brackets){
+  let tax=0,last=0;
+  for (let i=0;i<brackets.length;i++){
+    const cap=brackets[i][0], rate=brackets[i][1];
+    const slice=Math.min(taxable,cap)-last;
+    if (slice>0){ tax+=slice*rate; last=cap; }
+    if (taxable<=cap) break;
+  }
+  return Math.max(0,tax);
+}
+function marginalRate(amount, brackets){
+  for (let i=0;i<brackets.length;i++){ if (amount<=brackets[i][0]) return brackets[i][1]; }
+  return brackets[brackets.length-1][1];
+}
+// Pension plan terms (contribution rates, accrual, retirement rules) from the latest contract pack.
+function getPensionRules(){
+  if (!RULE_PACKS.contract.length) throw new Error('Contract rule packs are not loaded');
+  return RULE_PACKS.contract[RULE_PACKS.contract.length - 1].pension;
+}
+// Member contribution rate after this many years of service.
+function pensionContributionRate(years){
+  const tiers = getPensionRules().contributionRates;
+  let rate = tiers[0].rate;
+  tiers.forEach((tier) => { if (years >= tier.fromYears) rate = tier.rate; });
+  return rate;
+}
+function pensionRateOnDate(d, hireDate = DEFAULT_DOH){ return pensionContributionRate((d-hireDate)/(365.2425*24*3600*1000)); }
+// Step 1 is the first year of service, so step s has s − 1 completed years.
+function pensionRateForStep(step){
+  return pensionContributionRate(clampStep(step) - 1);
+}
+function advanceGrossForSeatStep(seat, step){
+  const s = clampStep(step);
+  if (seat === 'CA') return 6500;
+  if (seat === 'RP') return s <= 2 ? 3250 : 4000;
+  if (seat === 'FO') return s <= 2 ? 3250 : 5000;
+  return 0;
+}
+function stepOnJan1(selectedStep, tieOn, year){ return tieOn ? clampStep((year-2025)+1) : clampStep(selectedStep); }
+function rateFor(seat, ac, year, step, xlr){
+  const table = PAY_TABLES[year] && PAY_TABLES[year][seat];
+  if (!table) throw new Error('Missing pay table for '+year+' '+seat);
+  if (seat==='RP' && ['777','787','330'].indexOf(ac)===-1) throw new Error('RP seat only on 777/787/330');
+  let rate = table[ac][clampStep(step)];
+  if (xlr){
+    const premium = getContractRules(year).xlrPremium;
+    const excluded = premium.excludedSteps[seat] || [];
+    if (premium.aircraft.includes(ac) && !excluded.includes(step)) rate += premium.hourly;
+  }
+  return rate;
+}
+// Hourly rate from one contract pack's own tables, ignoring projections.
+function contractPackRate(pack, seat, ac, year, step, xlr){
+  const table = pack.payTables[year] && pack.payTables[year][seat];
+  if (!table) throw new Error(pack.id+' has no '+year+' pay table for '+seat);
+  if (seat==='RP' && ['777','787','330'].indexOf(ac)===-1) throw new Error('RP seat only on 777/787/330');
+  let rate = table[ac][clampStep(step)];
+  if (xlr){
+    const premium = pack.xlrPremium;
+    const excluded = premium.excludedSteps[seat] || [];
+    if (premium.aircraft.includes(ac) && !excluded.includes(step)) rate += premium.hourly;
+  }
+  return rate;
+}
+function yearSegments(year, stepJan1){
+  const jan1=new Date(Date.UTC(year,0,1));
+  const sep30=new Date(Date.UTC(year, SWITCH.m-1, SWITCH.d));
+  const nov10=new Date(Date.UTC(year, PROGRESSION.m-1, PROGRESSION.d));
+  const dec31=new Date(Date.UTC(year,11,31));
+  const prev=year-1;
+  return [
+    {start:jan1, end:new Date(sep30.getTime()-86400000), payYear:prev, step:stepJan1},
+    {start:sep30, end:new Date(nov10.getTime()-86400000), payYear:year, step:stepJan1},
+    {start:nov10, end:dec31, payYear:year, step:clampStep(stepJan1+1)}
+  ];
+}
+function daysInclusive(a,b){ return Math.round((b-a)/86400000)+1; }
+function money(x){ return '$'+(x||0).toLocaleString(undefined,{minimumFractionDigits:2,maximumFractionDigits:2}); }
+// ---- CPP/QPP & EI precise daily caps ----
+// ---- CPP/QPP & EI precise daily caps (cumulative method) ----
+function computeCPP_EI_Daily({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours, province }) {
+  const segs = yearSegments(year, stepJan1);
+  const dailyHours = avgMonthlyHours * 12 / 365.2425;
+  const inQC = (province === 'QC');
+  const { cpp: cppPlan, qpp: qppPlan, ei: eiRules } = getTaxRules(year);
+
+  let cpp = 0, ei = 0;
+
+  // Cumulative earnings trackers (used to compute incremental eligible bases)
+  let cumGross = 0;           // cumulative pensionable/insurable gross
+  let cumEIBase = 0;          // EI base already counted
+  let cumBaseElig = 0;        // CPP/QPP Tier‑1 eligible base counted (above YBE, up to YMPE)
+  let cumTier2Elig = 0;       // CPP2/QPP2 eligible base counted (between YMPE and YAMPE)
+
+  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
+    const day = new Date(t);
+
+    // Which pay table/step applies today
+    let py = year, st = stepJan1;
+    for (const s of segs) { if (day >= s.start && day <= s.end) { py = s.payYear; st = s.step; break; } }
+    const rate = rateFor(seat, ac, py, st, !!xlrOn);
+    const g = dailyHours * rate;           // today's gross
+    cumGross += g;
+
+    // --- EI (cap by MIE; incremental contribution on new eligible amount) ---
+    {
+      const ei_rate = inQC ? eiRules.rate_qc : eiRules.rate;
+      const ei_maxPrem = inQC ? eiRules.max_prem_qc : eiRules.max_prem;
+      const eiEligibleToDate = Math.min(cumGross, eiRules.mie);
+      const addEIBase = Math.max(0, eiEligibleToDate - cumEIBase);
+      ei += addEIBase * ei_rate;
+      cumEIBase += addEIBase;
+      if (ei > ei_maxPrem) ei = ei_maxPrem; // rounding guard
+    }
+
+    // --- CPP/QPP base (Tier‑1) & Tier‑2 using cumulative windows ---
+    if (inQC) {
+      // QPP Tier‑1: between YBE and YMPE
+      const baseEligToDate = Math.max(0, Math.min(cumGross, qppPlan.ympe) - qppPlan.ybe);
+      const addBase = Math.max(0, baseEligToDate - cumBaseElig);
+      cpp += addBase * qppPlan.rate_base_total;
+      cumBaseElig += addBase;
+
+      // QPP2: between YMPE and YAMPE
+      const tier2EligToDate = Math.max(0, Math.min(cumGross, qppPlan.yampe) - qppPlan.ympe);
+      const add2 = Math.max(0, tier2EligToDate - cumTier2Elig);
+      cpp += add2 * qppPlan.rate_qpp2;
+      cumTier2Elig += add2;
+    } else {
+      // CPP Tier‑1: between YBE and YMPE
+      const baseEligToDate = Math.max(0, Math.min(cumGross, cppPlan.ympe) - cppPlan.ybe);
+      const addBase = Math.max(0, baseEligToDate - cumBaseElig);
+      cpp += addBase * cppPlan.rate_base;
+      cumBaseElig += addBase;
+
+      // CPP2: between YMPE and YAMPE
+      const tier2EligToDate = Math.max(0, Math.min(cumGross, cppPlan.yampe) - cppPlan.ympe);
+      const add2 = Math.max(0, tier2EligToDate - cumTier2Elig);
+      cpp += add2 * cppPlan.rate_cpp2;
+      cumTier2Elig += add2;
+    }
+  }
+
+  return { cpp_total: +cpp.toFixed(2), ei: +ei.toFixed(2) };
+}
+
+// ---- Union dues at the contract rate (unionDuesRate) of gross, computed monthly ----
+function computeUnionDuesMonthly({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours }) {
+  const segs = yearSegments(year, stepJan1);
+  const dailyHours = avgMonthlyHours * 12 / 365.2425;
+  const monthsGross = new Array(12).fill(0);
+
+  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
+    const day = new Date(t), m = day.getUTCMonth();
+    let py = year, st = stepJan1;
+    for (const s of segs) { if (day >= s.start && day <= s.end) { py = s.payYear; st = s.step; break; } }
+    const rate = rateFor(seat, ac, py, st, !!xlrOn);
+    monthsGross[m] += dailyHours * rate;
+  }
+
+  const duesRate = getContractRules(year).unionDuesRate;
+  const duesByMonth = monthsGross.map(g => +(g * duesRate).toFixed(2));
+  const annual = +(duesByMonth.reduce((a,b)=>a+b, 0).toFixed(2));
+  const avgMonthly = +(annual / 12).toFixed(2);
+  return { duesByMonth, annual, avgMonthly };
+}
+
+function segmentForDate(day, segs, year, stepJan1){
+  for (const s of segs) {
+    if (day >= s.start && day <= s.end) return s;
+  }
+  return { payYear: year, step: stepJan1 };
+}
+
+function computeMonthlyGrosses({ year, seat, ac, stepJan1, xlrOn, avgMonthlyHours }){
+  const segs = yearSegments(year, stepJan1);
+  const dailyHours = avgMonthlyHours * 12 / 365.2425;
+  const monthsGross = new Array(12).fill(0);
+  const monthSteps = new Array(12).fill(stepJan1);
+
+  for (let m = 0; m < 12; m++) {
+    const monthDate = new Date(Date.UTC(year, m, 1));
+    monthSteps[m] = segmentForDate(monthDate, segs, year, stepJan1).step;
+  }
+
+  for (let t = Date.UTC(year,0,1); t <= Date.UTC(year,11,31); t += 86400000) {
+    const day = new Date(t);
+    const seg = segmentForDate(day, segs, year, stepJan1);
+    const rate = rateFor(seat, ac, seg.payYear, seg.step, !!xlrOn);
+    monthsGross[day.getUTCMonth()] += dailyHours * rate;
+  }
+
+  return { monthsGross, monthSteps };
+}
+
+// --- Annual computation ---
+function computeAnnual(params){
+  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
+  const hireDate = params.hireDate instanceof Date ? params.hireDate : DEFAULT_DOH;
+  const stepJan1 = stepOnJan1(params.stepInput, !!params.tieOn, year);
+  const segs = yearSegments(year, stepJan1);
+  const dailyHours = (+params.avgMonthlyHours)*12/365.2425;
+  const audit=[]; let gross=0;
+  for (let seg of segs){
+    const r=rateFor(seat, ac, seg.payYear, seg.step, !!params.xlrOn);
+    const d=daysInclusive(seg.start, seg.end);
+    const h=dailyHours*d;
+    const pay=h*r;
+    gross += pay;
+    audit.push({start:seg.start, end:seg.end, pay_table_year:seg.payYear, step:seg.step, hourly:r, days:d, hours:h, segment_gross:pay});
+  }
+  // Pension accrual loop
+  let pension=0;
+  for (let t=Date.UTC(year,0,1); t<=Date.UTC(year,11,31); t+=86400000){
+    const day=new Date(t);
+    const pct = pensionRateOnDate(day, hireDate);
+    let py=year, st=stepJan1;
+    for (let s of segs){ if (day>=s.start && day<=s.end){ py=s.payYear; st=s.step; break; } }
+    const rate = rateFor(seat, ac, py, st, !!params.xlrOn);
+    const dayPay = dailyHours*rate; pension += dayPay*pct;
+  }
+  const rrsp = Math.max(0, +params.rrsp || 0);
+  // Taxable income before RRSP: used to compute original tax and monthly figures
+  const taxable_pre = Math.max(0, gross - pension);
+
+  // Precise CPP/QPP & EI using daily caps.  These represent the full year contributions
+  // if the CPP/EI cap has not yet been reached.
+  const ded = computeCPP_EI_Daily({
+    year,
+    seat,
+    ac,
+    stepJan1,
+    xlrOn: !!params.xlrOn,
+    avgMonthlyHours: +params.avgMonthlyHours,
+    province
+  });
+  const cpp_total_full = ded.cpp_total;
+  const eiPrem_full    = ded.ei;
+  const cpp_total_deduct = cpp_total_full;
+  const eiPrem_deduct   = eiPrem_full;
+
+  // Tax data for the year from its rule pack
+  const { federal: fedData, provincial: provMap } = getTaxRules(year);
+  const p = provMap[province];
+  if (!p) throw new Error('Unsupported province '+province);
+  // Taxes with credits, surtax, health premium and the Quebec abatement
+  const taxPre = computeIncomeTaxWithCredits({
+    taxable: taxable_pre,
+    year,
+    province,
+    cpp: cpp_total_full,
+    ei: eiPrem_full,
+    employmentIncome: gross
+  });
+  const income_tax_pre = taxPre.total;
+
+  // ESOP contribution based on gross
+  const esop = Math.min((+params.esopPct/100)*gross, 30000);
+
+  // Union dues (1.85% of gross) computed monthly
+  const union = computeUnionDuesMonthly({
+    year,
+    seat,
+    ac,
+    stepJan1,
+    xlrOn: !!params.xlrOn,
+    avgMonthlyHours: +params.avgMonthlyHours
+  });
+
+  // Compute taxable income after RRSP and union dues (used for tax-return calculation only)
+  const taxable_rrsp = Math.max(0, taxable_pre - rrsp - union.annual);
+  // Taxes on income after RRSP contributions are used only to compute the tax return
+  const income_tax_rrsp = computeIncomeTaxWithCredits({
+    taxable: taxable_rrsp,
+    year,
+    province,
+    cpp: cpp_total_full,
+    ei: eiPrem_full,
+    employmentIncome: gross
+  }).total;
+
+  // Income tax used for annual and monthly net is the tax before RRSP contributions.  The RRSP
+  // deduction does not reduce current year taxes in the pay calculation.  See tax_return below
+  // for the refund effect.
+  const income_tax = income_tax_pre;
+
+  // ESOP match after tax uses the marginal rate at the taxable income before RRSP contributions
+  const comb_top = marginalRate(taxable_pre, fedData.brackets) + marginalRate(taxable_pre, p.brackets);
+  const esop_match_net = +(0.30 * esop * (1 - comb_top)).toFixed(2);
+
+  // Totals
+  const annual_health = getContractRules(year).healthMonthly*12;
+  // Annual net: subtract tax, full CPP/QPP & EI contributions, health, union dues, and employee ESOP (ESOP is after-tax).
+  // Annual net does not depend on the Maxed CPP/EI toggle – always use full contributions.
+  const net = gross - income_tax - cpp_total_full - eiPrem_full - annual_health - union.annual - esop;
+
+  // Monthly results: do not adjust net for RRSP contributions; use pre‑RRSP taxable tax and net for monthly snapshot
+  const monthly = {
+    gross: +(gross/12).toFixed(2),
+    // monthly net excludes ESOP contributions and match.  Because income_tax equals income_tax_pre
+    // (i.e., taxes are not reduced by RRSP), use income_tax here.
+    net: +(((gross - income_tax - cpp_total_deduct - eiPrem_deduct - annual_health - union.annual + esop_match_net) - esop - esop_match_net)/12).toFixed(2),
+    income_tax: +(income_tax/12).toFixed(2),
+    cpp: +((cpp_total_deduct)/12).toFixed(2),
+    ei: +((eiPrem_deduct)/12).toFixed(2),
+    health: +(annual_health/12).toFixed(2),
+    pension: +(pension/12).toFixed(2),
+    esop: +(esop/12).toFixed(2),
+    esop_match_after_tax: +(esop_match_net/12).toFixed(2),
+    union_dues: +(union.annual/12).toFixed(2)
+  };
+
+  
+  // Annual tax return: compare annual liability to estimated withholdings across two
+  // paycheques per month using fixed advance amounts, second cheques annualized at 24,
+  // and pension based on the full month's gross.
+  const monthlyBreakdown = computeMonthlyGrosses({
+    year,
+    seat,
+    ac,
+    stepJan1,
+    xlrOn: !!params.xlrOn,
+    avgMonthlyHours: +params.avgMonthlyHours
+  });
+  const withholdingAudit = [];
+  let annualizedWithholdingTax = 0;
+  let chequeIndex = 1;
+  monthlyBreakdown.monthsGross.forEach((monthGross, idx) => {
+    const step = monthlyBreakdown.monthSteps[idx];
+    const advanceGross = Math.min(monthGross, advanceGrossForSeatStep(seat, step));
+    const secondGross = Math.max(0, monthGross - advanceGross);
+    const secondPension = monthGross * pensionRateForStep(step);
+    const advanceTax = advanceGross > 0 ? computeChequeTax({
+      gross: advanceGross,
+      pension: 0,
+      year,
+      province,
+      chequesPerYear: 12
+    }) : 0;
+    const secondTax = secondGross > 0 ? computeChequeTax({
+      gross: secondGross,
+      pension: secondPension,
+      year,
+      province,
+      chequesPerYear: 24
+    }) : 0;
+    annualizedWithholdingTax += advanceTax + secondTax;
+    withholdingAudit.push({
+      cheque: chequeIndex++,
+      month: idx + 1,
+      step,
+      type: 'Advance',
+      gross: advanceGross,
+      pension: 0,
+      tax: advanceTax
+    });
+    withholdingAudit.push({
+      cheque: chequeIndex++,
+      month: idx + 1,
+      step,
+      type: 'Second',
+      gross: secondGross,
+      pension: secondPension,
+      tax: secondTax
+    });
+  });
+  const tax_return = +((annualizedWithholdingTax - income_tax) + (income_tax - income_tax_rrsp)).toFixed(2);
+
+  return {
+    audit,
+    gross:+gross.toFixed(2),
+    net:+net.toFixed(2),
+    tax:+income_tax.toFixed(2),
+    tax_federal:+taxPre.federal.toFixed(2),
+    tax_provincial:+taxPre.provincial.toFixed(2),
+    tax_detail: taxPre.breakdown,
+    // Show CPP/QPP and EI deductions actually applied.
+    cpp:+cpp_total_deduct.toFixed(2),
+    ei:+eiPrem_deduct.toFixed(2),
+    health:+annual_health.toFixed(2),
+    pension:+pension.toFixed(2),
+    esop:+esop.toFixed(2),
+    esop_match_after_tax:+esop_match_net.toFixed(2),
+    monthly,
+    step_jan1:stepJan1,
+    tax_return,
+    taxable_pre:+taxable_pre.toFixed(2),
+    taxable_rrsp:+taxable_rrsp.toFixed(2),
+    income_tax_rrsp:+income_tax_rrsp.toFixed(2),
+    annualized_withholding_tax:+annualizedWithholdingTax.toFixed(2),
+    union_annual:+union.annual.toFixed(2),
+    withholding_audit: withholdingAudit,
+    cpp_full:+cpp_total_full.toFixed(2),
+    ei_full:+eiPrem_full.toFixed(2)
+  };
+}
+
+function getTaxDataForYear(year, province){
+  const { federal: fedData, provincial: provMap } = getTaxRules(year);
+  const p = provMap[province];
+  if (!p) throw new Error('Unsupported province '+province);
+  const fedLow = fedData.brackets[0][1];
+  const provLow = p.brackets[0][1];
+  return { fedData, provData: p, fedLow, provLow };
+}
+
+// Health premium tiers: above each "over", min(max, base + rate × excess).
+function provincialHealthPremium(income, tiers){
+  let premium = 0;
+  (tiers || []).forEach((tier) => {
+    if (income > tier.over) premium = Math.min(tier.max, tier.base + (income - tier.over) * tier.rate);
+  });
+  return premium;
+}
+
+/*
+ * Federal and provincial income tax after non-refundable credits.  Besides
+ * the BPAs and the CPP/QPP and EI credit this applies the Canada Employment
+ * Amount, the Quebec abatement of federal tax, Quebec's deduction for
+ * workers, provincial surtax, the Ontario tax reduction and the Ontario
+ * Health Premium.  The amounts come from the year's tax rule pack, so a
+ * province without a surtax or premium entry simply has none.
+ * employmentIncome (salary before pension) drives the CEA and the Quebec
+ * deduction; it defaults to taxable.  federalClaim and provincialClaim replace
+ * the basic personal amounts with TD1 claim totals when given.
+ */
+function computeIncomeTaxWithCredits({ taxable, year, province, cpp = 0, ei = 0, employmentIncome = taxable, federalClaim = null, provincialClaim = null }){
+  const { fedData, provData, fedLow, provLow } = getTaxDataForYear(year, province);
+  const contributions = cpp + ei;
+  const employment = Math.max(0, employmentIncome);
+
+  const cea = Math.min(fedData.cea, employment);
+  const federalBasic = Math.max(0, taxFromBrackets(taxable, fedData.brackets)
+    - (fedLow * ((federalClaim ?? federalBPA(year, taxable)) + cea) + 0.15 * contributions));
+  const qcAbatement = province === 'QC' ? federalBasic * fedData.qc_abatement : 0;
+  const federal = federalBasic - qcAbatement;
+
+  const employmentDeduction = provData.employment_deduction
+    ? Math.min(provData.employment_deduction.max, employment * provData.employment_deduction.rate)
+    : 0;
+  const provTaxable = Math.max(0, taxable - employmentDeduction);
+  // Quebec folds QPP, EI and QPIP into its basic amount instead of crediting them.
+  const contributionCredit = provData.contribution_credit === false ? 0 : provLow * contributions;
+  const provincialBasic = Math.max(0, taxFromBrackets(provTaxable, provData.brackets)
+    - (provLow * (provincialClaim ?? provincialBPA(year, provTaxable, province)) + contributionCredit));
+  const surtax = (provData.surtax || [])
+    .reduce((sum, tier) => sum + Math.max(0, provincialBasic - tier.over) * tier.rate, 0);
+  const beforeReduction = provincialBasic + surtax;
+  const lowIncomeReduction = provData.tax_reduction
+    ? Math.min(beforeReduction, Math.max(0, 2 * provData.tax_reduction.basic - beforeReduction))
+    : 0;
+  const healthPremium = provincialHealthPremium(provTaxable, provData.health_premium);
+  const provincial = beforeReduction - lowIncomeReduction + healthPremium;
+
+  return {
+    total: federal + provincial,
+    federal,
+    provincial,
+    fedLow,
+    provLow,
+    breakdown: {
+      cea: +cea.toFixed(2),
+      federal_basic: +federalBasic.toFixed(2),
+      qc_abatement: +qcAbatement.toFixed(2),
+      employment_deduction: +employmentDeduction.toFixed(2),
+      provincial_basic: +provincialBasic.toFixed(2),
+      surtax: +surtax.toFixed(2),
+      low_income_reduction: +lowIncomeReduction.toFixed(2),
+      health_premium: +healthPremium.toFixed(2)
+    }
+  };
+}
+
+
+// === Standalone paycheque helpers (FIXED LOGIC) ===
+function computeChequeTax({ gross, pension, year, province, chequesPerYear = 12 }) {
+  const taxable = Math.max(0, gross - pension);
+  const annualized = taxable * chequesPerYear;
+  // Withholding annualizes the cheque; CPP/QPP and EI credits are left to the return.
+  const { total } = computeIncomeTaxWithCredits({
+    taxable: annualized,
+    year,
+    province,
+    employmentIncome: Math.max(0, gross) * chequesPerYear
+  });
+  return total / chequesPerYear;
+}
+
+// --- CRA T4127 withholding ---
+// Air Canada pays an advance and a second pay each month: 24 pay periods.
+const PAY_PERIODS_PER_YEAR = 24;
+const WITHHOLDING_METHODS = ['annualized', 't4127'];
+
+// A TD1 claim total, or null for claim code 1 (the basic personal amount).
+function normalizeTd1Claim(value){
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.max(0, amount) : null;
+}
+
+/*
+ * Income tax withheld from one cheque by the CRA T4127 periodic formula,
+ * with the Quebec share per Revenu Québec TP-1015.F (deduction for
+ * employment income, no contribution credits).  The cheque is one of
+ * `periods` pay periods, so annual taxable income is
+ * A = P × (I − F − F5 − U1): gross less the RPP contribution, the enhanced
+ * part of this cheque's CPP/QPP (plus CPP2/QPP2) and union dues.  Base
+ * CPP/QPP and EI are credited at P × this cheque's amounts up to the annual
+ * maximums, or at the maximums once cppMaxed/eiMaxed says the year's
+ * contributions are complete.  federalClaim and provincialClaim are the TD1
+ * totals; null uses the basic amounts (claim code 1).
+ *
+ * A lump sum (bonus or retro pay) paid on the same cheque is not annualised:
+ * its tax is the annual tax on A plus the lump sum less the annual tax on A.
+ * cpp, cpp2 and ei are what the whole cheque deducts and are split pro rata
+ * between the periodic pay and the lump sum.
+ */
+function computeT4127ChequeTax({ gross, pension = 0, unionDues = 0, cpp = 0, cpp2 = 0, ei = 0, lumpSum = 0, year, province, periods = PAY_PERIODS_PER_YEAR, federalClaim = null, provincialClaim = null, cppMaxed = false, eiMaxed = false }){
+  const rules = getTaxRules(year);
+  const inQC = province === 'QC';
+  const plan = inQC ? rules.qpp : rules.cpp;
+  const baseRate = inQC ? plan.rate_base_total : plan.rate_base;
+  const enhancedShare = baseRate > 0 ? plan.rate_enhanced / baseRate : 0;
+  const maxBase = (plan.ympe - plan.ybe) * baseRate;
+  const maxEi = inQC ? rules.ei.max_prem_qc : rules.ei.max_prem;
+  const periodic = Math.max(0, +gross || 0);
+  const bonus = Math.max(0, +lumpSum || 0);
+  const periodicShare = periodic + bonus > 0 ? periodic / (periodic + bonus) : 1;
+  const enhanced = Math.max(0, cpp) * enhancedShare + Math.max(0, cpp2);
+  const f5 = enhanced * periodicShare;
+  const annualIncome = Math.max(0, periods * (periodic - pension - f5 - unionDues));
+  const annualCpp = cppMaxed ? maxBase : Math.min(maxBase, periods * Math.max(0, cpp) * periodicShare);
+  const annualEi = eiMaxed ? maxEi : Math.min(maxEi, periods * Math.max(0, ei) * periodicShare);
+  const claims = { federalClaim: normalizeTd1Claim(federalClaim), provincialClaim: normalizeTd1Claim(provincialClaim) };
+  const annualTax = (income, employmentIncome) => computeIncomeTaxWithCredits({
+    taxable: income,
+    year,
+    province,
+    cpp: annualCpp * (1 - enhancedShare),
+    ei: annualEi,
+    employmentIncome,
+    ...claims
+  });
+  const base = annualTax(annualIncome, periods * periodic);
+  const lumpTax = bonus > 0
+    ? annualTax(annualIncome + bonus - (enhanced - f5), periods * periodic + bonus).total - base.total
+    : 0;
+  const periodicTax = base.total / periods;
+  return {
+    tax: +(periodicTax + lumpTax).toFixed(2),
+    periodic: +periodicTax.toFixed(2),
+    lump_sum: +lumpTax.toFixed(2),
+    federal: +(base.federal / periods).toFixed(2),
+    provincial: +(base.provincial / periods).toFixed(2),
+    annual_income: +annualIncome.toFixed(2),
+    claims
+  };
+}
+
+function computeChequeCPP_EI({ year, seat, ac, step, xlrOn, gross, province, ytd, ybeShare }) {
+  // With year-to-date figures, deduct against the real cumulative caps
+  if (ytd){
+    const ded = computeCumulativeCPP_EI({ year, gross, province, ytd, ybeShare });
+    return { cpp: ded.cpp + ded.cpp2, ei: ded.ei, cpp_base: ded.cpp, cpp2: ded.cpp2 };
+  }
+  // Convert cheque gross to equivalent monthly hours, then compute CPP/EI on that cheque only
+  const rate = rateFor(seat, ac, year, step, !!xlrOn);
+  const hours = rate > 0 ? gross / rate : 0;
+  const ded = computeCPP_EI_Daily({
+    year,
+    seat,
+    ac,
+    stepJan1: step,
+    xlrOn: !!xlrOn,
+    avgMonthlyHours: hours,
+    province
+  });
+  return { cpp: ded.cpp_total / 12, ei: ded.ei / 12 };
+}
+
+// --- Year-to-date payroll ledger ---
+const PAYROLL_LEDGER_FIELDS = ['gross', 'pension', 'cpp', 'cpp2', 'ei', 'tax'];
+
+/*
+ * Totals for ledger months 1..throughMonth.  months is keyed by two-digit
+ * month ('01'…'12'); missing months and blank fields count as zero.
+ */
+function sumPayrollLedger(months, throughMonth = 12){
+  const totals = { gross: 0, pension: 0, cpp: 0, cpp2: 0, ei: 0, tax: 0, recordedMonths: 0 };
+  for (let month = 1; month <= throughMonth; month += 1){
+    const entry = months?.[String(month).padStart(2, '0')];
+    if (!entry) continue;
+    totals.recordedMonths += 1;
+    PAYROLL_LEDGER_FIELDS.forEach((field) => {
+      const value = Number(entry[field]);
+      if (Number.isFinite(value)) totals[field] += value;
+    });
+  }
+  PAYROLL_LEDGER_FIELDS.forEach((field) => { totals[field] = +totals[field].toFixed(2); });
+  return totals;
+}
+
+/*
+ * CPP/QPP, CPP2/QPP2 and EI on one cheque given what has already been
+ * earned and deducted this year.  Contributions owed to date follow the
+ * cumulative earnings against YBE/YMPE, YMPE/YAMPE and MIE, less what the
+ * ledger says was already taken, so a cheque after a cap is reached is zero
+ * and an under-deduction earlier in the year is caught up.  ybeShare is the
+ * part of the year's basic exemption earned by the end of this cheque, as
+ * payroll spreads YBE across pay periods (6/12 for a June cheque).
+ */
+function computeCumulativeCPP_EI({ year, gross, province, ytd = {}, ybeShare = 1 }){
+  const inQC = (province === 'QC');
+  const { cpp: cppPlan, qpp: qppPlan, ei: eiRules } = getTaxRules(year);
+  const plan = inQC ? qppPlan : cppPlan;
+  const baseRate = inQC ? qppPlan.rate_base_total : cppPlan.rate_base;
+  const tier2Rate = inQC ? qppPlan.rate_qpp2 : cppPlan.rate_cpp2;
+  const eiRate = inQC ? eiRules.rate_qc : eiRules.rate;
+  const grossBefore = Math.max(0, +ytd.gross || 0);
+  const grossAfter = grossBefore + Math.max(0, +gross || 0);
+  const exemption = plan.ybe * Math.max(0, Math.min(1, ybeShare));
+  const baseMax = (plan.ympe - plan.ybe) * baseRate;
+  const baseDue = Math.min(baseMax, Math.max(0, Math.min(grossAfter, plan.ympe) - exemption) * baseRate);
+  const tier2Due = Math.max(0, Math.min(grossAfter, plan.yampe) - plan.ympe) * tier2Rate;
+  const eiDue = Math.min(grossAfter, eiRules.mie) * eiRate;
+  const cpp = Math.max(0, baseDue - Math.max(0, +ytd.cpp || 0));
+  const cpp2 = Math.max(0, tier2Due - Math.max(0, +ytd.cpp2 || 0));
+  const ei = Math.max(0, eiDue - Math.max(0, +ytd.ei || 0));
+  return {
+    cpp: +cpp.toFixed(2),
+    cpp2: +cpp2.toFixed(2),
+    ei: +ei.toFixed(2),
+    ytd: {
+      gross: +grossAfter.toFixed(2),
+      cpp: +((+ytd.cpp || 0) + cpp).toFixed(2),
+      cpp2: +((+ytd.cpp2 || 0) + cpp2).toFixed(2),
+      ei: +((+ytd.ei || 0) + ei).toFixed(2)
+    },
+    reached: {
+      ympe: grossAfter >= plan.ympe,
+      yampe: grossAfter >= plan.yampe,
+      mie: grossAfter >= eiRules.mie
+    }
+  };
+}
+
+/*
+ * Year-end estimate from the ledger.  Months not yet recorded are projected
+ * at the recorded monthly average; tax on the projected income (gross less
+ * pension, with CPP/QPP and EI credits) is compared with the projected
+ * withholding.  A positive balance is a refund, negative is owing.
+ */
+function estimatePayrollYearEnd({ year, province, months }){
+  const totals = sumPayrollLedger(months);
+  if (!totals.recordedMonths) return null;
+  const scale = 12 / totals.recordedMonths;
+  const gross = totals.gross * scale;
+  const pension = totals.pension * scale;
+  const withheld = totals.tax * scale;
+  const contributions = computeCumulativeCPP_EI({ year, gross, province });
+  const taxable = Math.max(0, gross - pension);
+  const { total } = computeIncomeTaxWithCredits({
+    taxable,
+    year,
+    province,
+    cpp: contributions.cpp + contributions.cpp2,
+    ei: contributions.ei,
+    employmentIncome: gross
+  });
+  return {
+    recordedMonths: totals.recordedMonths,
+    totals,
+    gross: +gross.toFixed(2),
+    taxable: +taxable.toFixed(2),
+    tax: +total.toFixed(2),
+    withheld: +withheld.toFixed(2),
+    balance: +(withheld - total).toFixed(2)
+  };
+}
+
+// --- VO computation ---
+function computeVO(params){
+  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
+  const step = params.tieOn ? stepOnJan1(params.stepInput, true, year) : clampStep(params.stepInput);
+  const rate = rateFor(seat, ac, year, step, !!params.xlrOn);
+  const credits = Math.max(0, (+params.creditH) + Math.max(0, Math.min(59, +params.creditM))/60);
+  const hours = credits * 2;
+  const gross = hours * rate;
+  const { federal: fedData, provincial: provMap } = getTaxRules(year);
+  const p = provMap[province];
+  if (!p) throw new Error('Unsupported province '+province);
+  const fed_m = marginalRate(gross, fedData.brackets);
+  const prov_m = marginalRate(gross, p.brackets);
+  const net = gross*(1-(fed_m+prov_m));
+  return {rate,hours,gross,net,fed_m,prov_m,step_used:step};
+}
+
+// --- Monthly computation ---
+/*
+ * Compute a monthly snapshot based on a specific number of credit hours.
+ * Credits beyond 85 in a month are paid at double the hourly rate (per contract).
+ * This version also calculates a pay advance and second pay split and respects
+ * the Maxed CPP/EI option.  TAFB is paid after tax and is included in the
+ * second pay by default.  params.withholding picks how each cheque's tax is
+ * withheld: 'annualized' (the default) or 't4127' with the TD1 claims in
+ * params.td1Federal and params.td1Provincial.  params.lumpSum (bonus or retro
+ * pay) is paid on the second pay without pension.
+ */
+function computeMonthly(params){
+  const seat=params.seat, ac=params.ac, year=+params.year, province=params.province;
+  // Step on Jan1 if tie enabled; else use provided stepInput
+  const step = params.tieOn ? stepOnJan1(params.stepInput, true, year) : clampStep(params.stepInput);
+  const rate = rateFor(seat, ac, year, step, !!params.xlrOn);
+  const creditHours = Number.isFinite(+params.creditH) ? +params.creditH : +params.credits;
+  const creditMinutes = Number.isFinite(+params.creditM) ? +params.creditM : 0;
+  const credits = Math.max(0, (+creditHours) + Math.max(0, Math.min(59, +creditMinutes)) / 60);
+  const voHoursRaw = Number.isFinite(+params.voCredits) ? +params.voCredits : 0;
+  const voMinutesRaw = Number.isFinite(+params.voCreditMinutes)
+    ? +params.voCreditMinutes
+    : (Number.isFinite(+params.voCreditsMinutes) ? +params.voCreditsMinutes : (Number.isFinite(+params.voMinutes) ? +params.voMinutes : 0));
+  const voCredits = Math.max(0, voHoursRaw + Math.max(0, Math.min(59, voMinutesRaw)) / 60);
+  // Regular pay hours (<=85), overtime beyond 85, and VO credits (all double time)
+  const regHours = Math.min(85, credits);
+  const overtime = Math.max(0, credits - 85);
+  const gross = regHours * rate + overtime * 2 * rate + voCredits * 2 * rate;
+  const { federal: fedData, provincial: provMap } = getTaxRules(year);
+  const p = provMap[province];
+  if (!p) throw new Error('Unsupported province '+province);
+  // Annualize gross and pension for marginal rate determination
+  const annualGrossApprox = gross * 12;
+  const hireDate = params.hireDate instanceof Date ? params.hireDate : DEFAULT_DOH;
+  const asOfDate = params.asOfDate instanceof Date ? params.asOfDate : new Date();
+  const pensionRate = pensionRateOnDate(asOfDate, hireDate);
+  const annualPensionApprox = annualGrossApprox * pensionRate;
+  const taxableAnnualApprox = Math.max(0, annualGrossApprox - annualPensionApprox);
+  const fed_m = marginalRate(taxableAnnualApprox, fedData.brackets);
+  const prov_m = marginalRate(taxableAnnualApprox, p.brackets);
+  // Compute monthly income tax using the standalone cheque calculator so that
+  // the result aligns with the two‑pay split below.
+  const tax = computeChequeTax({ gross, pension: gross * pensionRate, year, province });
+  // Approximate CPP/QPP & EI contributions by annualizing and dividing by 12; include VO credits
+  const ded = computeCPP_EI_Daily({ year, seat, ac, stepJan1: step, xlrOn: !!params.xlrOn, avgMonthlyHours: credits + voCredits, province });
+  const cpp_month = ded.cpp_total / 12;
+  const ei_month  = ded.ei / 12;
+  // Union dues: use average monthly from annual computation (include VO credits)
+  const union = computeUnionDuesMonthly({ year, seat, ac, stepJan1: step, xlrOn: !!params.xlrOn, avgMonthlyHours: credits + voCredits });
+  const union_month = union.avgMonthly;
+  // Pension: approximate using current pension rate
+  const pension = gross * pensionRate;
+  const health = getContractRules(year).healthMonthly;
+  const esop = Math.min((+params.esopPct/100)*gross, 30000/12);
+  const esop_match_after_tax = 0.30 * esop * (1 - (fed_m + prov_m));
+  // TAFB: per diem hours times $5.427/hr (paid after tax)
+  const tafbHours = Math.max(0, +params.tafb || 0);
+  const tafb_net = tafbHours * 5.427;
+  // Monthly net (before pay split) subtracts ESOP contributions, pension, health and union dues and
+  // adds the employer ESOP match and TAFB.  This represents the money remaining after all
+  // deductions (including ESOP contributions) plus the employer match and per diem.
+  let net = gross - tax - cpp_month - ei_month - health - union_month - pension - esop + esop_match_after_tax + tafb_net;
+
+  
+  // --- Advance & Second Pay split (cheque-based deductions) ---
+  let payAdvance = 0, secondPay = 0;
+  let advAmt = Math.max(0, +params.adv || 0);
+  if (advAmt > gross) advAmt = gross;
+  const lumpSum = Math.max(0, +params.lumpSum || 0);
+  const withholding = WITHHOLDING_METHODS.includes(params.withholding) ? params.withholding : 'annualized';
+  const { cpp: cppPlan, qpp: qppPlan, ei: eiRules } = getTaxRules(year);
+  const plan = province === 'QC' ? qppPlan : cppPlan;
+
+  // Year-to-date ledger figures replace the Maxed CPP/EI guess: each cheque
+  // deducts against the cumulative caps, the second after the advance.
+  const ytd = params.ytd && typeof params.ytd === 'object' ? params.ytd : null;
+  const ytdMonth = asOfDate.getMonth() + 1;
+  const addCheque = (totals, chequeGross, ded) => ({
+    gross: +((+totals.gross || 0) + chequeGross).toFixed(2),
+    cpp: +((+totals.cpp || 0) + ded.cpp_base).toFixed(2),
+    cpp2: +((+totals.cpp2 || 0) + ded.cpp2).toFixed(2),
+    ei: +((+totals.ei || 0) + ded.ei).toFixed(2)
+  });
+
+  // T4127 credits contributions at the annual maximum once the year's are
+  // complete, which the ledger shows by gross after the cheque.
+  const t4127Cheque = (cheque, ded, totalsAfter) => computeT4127ChequeTax({
+    ...cheque,
+    cpp: ded.cpp_base ?? ded.cpp,
+    cpp2: ded.cpp2 || 0,
+    ei: ded.ei,
+    year,
+    province,
+    federalClaim: params.td1Federal,
+    provincialClaim: params.td1Provincial,
+    cppMaxed: totalsAfter ? totalsAfter.gross >= plan.ympe : !!params.maxcpp,
+    eiMaxed: totalsAfter ? totalsAfter.gross >= eiRules.mie : !!params.maxcpp
+  });
+
+  const advCppEi = ytd
+    ? computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: advAmt, province, ytd, ybeShare: (ytdMonth - 0.5) / 12 })
+    : (params.maxcpp || advAmt === 0 ? { cpp: 0, ei: 0 } : computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: advAmt, province }));
+  const advCpp = advCppEi.cpp;
+  const advEi = advCppEi.ei;
+  const secYtd = ytd ? addCheque(ytd, advAmt, advCppEi) : null;
+  let advWithholding = null;
+  if (advAmt > 0 && withholding === 't4127') advWithholding = t4127Cheque({ gross: advAmt }, advCppEi, secYtd);
+  const advTax = advAmt > 0
+    ? (advWithholding ? advWithholding.tax : computeChequeTax({ gross: advAmt, pension: 0, year, province, chequesPerYear: 12 }))
+    : 0;
+
+  payAdvance = advAmt - advTax - advCpp - advEi;
+
+  const secondGross = gross - advAmt;
+  const secondPaid = Math.max(0, secondGross) + lumpSum;
+  const secCppEi = ytd
+    ? computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: secondPaid, province, ytd: secYtd, ybeShare: ytdMonth / 12 })
+    : (params.maxcpp || secondPaid === 0 ? { cpp: 0, ei: 0 } : computeChequeCPP_EI({ year, seat, ac, step, xlrOn: !!params.xlrOn, gross: secondPaid, province }));
+  const secCpp = secCppEi.cpp;
+  const secEi = secCppEi.ei;
+  const ytdAfter = ytd ? addCheque(secYtd, secondPaid, secCppEi) : null;
+  let secWithholding = null;
+  if (secondPaid > 0 && withholding === 't4127'){
+    secWithholding = t4127Cheque({ gross: Math.max(0, secondGross), pension, unionDues: union_month, lumpSum }, secCppEi, ytdAfter);
+  }
+  const secTax = secondPaid > 0
+    ? (secWithholding ? secWithholding.tax : computeChequeTax({ gross: secondPaid, pension, year, province }))
+    : 0;
+  secondPay = secondPaid - secTax - secCpp - secEi - health - union_month - pension - esop + tafb_net;
+
+  const totalTax = advTax + secTax;
+  const totalCpp = advCpp + secCpp;
+  const totalEi = advEi + secEi;
+
+  net = gross + lumpSum - totalTax - totalCpp - totalEi - health - union_month - pension - esop + esop_match_after_tax + tafb_net;
+
+
+  const result = { rate, credits, voCredits, regHours, overtime, gross: gross + lumpSum, net, tax: totalTax, cpp: totalCpp, ei: totalEi, health, pension, esop, esop_match_after_tax, union: union_month, fed_m, prov_m, tafb_net, step_used: step, pay_advance: payAdvance, second_pay: secondPay };
+  result.withholding = withholding;
+  result.tax_advance = +advTax.toFixed(2);
+  result.tax_second = +secTax.toFixed(2);
+  if (lumpSum > 0){
+    result.lump_sum = lumpSum;
+    result.lump_sum_tax = secWithholding ? secWithholding.lump_sum : null;
+  }
+  if (withholding === 't4127') result.withholding_detail = { advance: advWithholding, second: secWithholding };
+  if (ytd){
+    result.cpp_base = +(advCppEi.cpp_base + secCppEi.cpp_base).toFixed(2);
+    result.cpp2 = +(advCppEi.cpp2 + secCppEi.cpp2).toFixed(2);
+    result.ytd_after = ytdAfter;
+    result.limits = {
+      ympe: ytdAfter.gross >= plan.ympe,
+      yampe: ytdAfter.gross >= plan.yampe,
+      mie: ytdAfter.gross >= eiRules.mie
+    };
+  }
+  return result;
+}
+
+const MONTHLY_REGULAR_MINUTES = 85 * 60;
+
+/*
+ * Split a month of calendar credit into computeMonthly's pay buckets, in
+ * minutes: regular credit up to 85 hours, overtime beyond it, VO and premium.
+ * VO is paid at double time and premium minutes at the hourly rate, so
+ * vo_input carries the premium as half as many VO minutes for the Monthly
+ * tab's VO field.
+ */
+function splitMonthlyCredit({ creditMinutes = 0, voMinutes = 0, premiumMinutes = 0 }){
+  const whole = value => Math.max(0, Math.round(+value || 0));
+  const credit = whole(creditMinutes);
+  const vo = whole(voMinutes);
+  const premium = whole(premiumMinutes);
+  const regular = Math.min(MONTHLY_REGULAR_MINUTES, credit);
+  return {
+    credit,
+    regular,
+    overtime: credit - regular,
+    vo,
+    premium,
+    vo_input: vo + Math.round(premium / 2)
+  };
+}
+
+/*
+ * Project a bid period's credit and cheque.  Credit flown and still to fly
+ * (each pairing already at its guarantee) is the projected credit, paid with
+ * computeMonthly through splitMonthlyCredit; params carries computeMonthly's
+ * other inputs.  A pickup ({ creditMinutes, tafbMinutes, premiumMinutes }) is
+ * priced on top, and its marginal gross and net are the difference it makes.
+ * The cheque is the advance plus the second pay.
+ */
+function projectMonthlyPay({ flownMinutes = 0, remainingMinutes = 0, voMinutes = 0, premiumMinutes = 0, tafbMinutes = 0, pickup = null, params }){
+  const round = value => +value.toFixed(2);
+  const price = ({ credit, premium, tafb }) => {
+    const split = splitMonthlyCredit({ creditMinutes: credit, voMinutes, premiumMinutes: premium });
+    const monthly = computeMonthly({
+      ...params,
+      creditH: Math.floor(split.credit / 60),
+      creditM: split.credit % 60,
+      voCredits: Math.floor(split.vo_input / 60),
+      voCreditMinutes: split.vo_input % 60,
+      tafb: Math.max(0, tafb) / 60
+    });
+    return { ...split, tafb: Math.max(0, Math.round(tafb)), gross: round(monthly.gross), cheque: round(monthly.pay_advance + monthly.second_pay), monthly };
+  };
+  const flown = Math.max(0, Math.round(flownMinutes));
+  const remaining = Math.max(0, Math.round(remainingMinutes));
+  const projected = price({ credit: flown + remaining, premium: premiumMinutes, tafb: tafbMinutes });
+  const result = {
+    flown,
+    remaining,
+    projected,
+    above_threshold: projected.overtime,
+    to_threshold: MONTHLY_REGULAR_MINUTES - projected.regular,
+    pickup: null
+  };
+  if (pickup){
+    const credit = Math.max(0, Math.round(+pickup.creditMinutes || 0));
+    const withPickup = price({
+      credit: projected.credit + credit,
+      premium: premiumMinutes + (+pickup.premiumMinutes || 0),
+      tafb: tafbMinutes + (+pickup.tafbMinutes || 0)
+    });
+    const marginalNet = round(withPickup.cheque - projected.cheque);
+    result.pickup = {
+      credit,
+      projected: withPickup,
+      above_threshold: withPickup.overtime,
+      marginal_gross: round(withPickup.gross - projected.gross),
+      marginal_net: marginalNet,
+      net_per_hour: credit ? round(marginalNet / (credit / 60)) : null
+    };
+  }
+  return result;
+}
+
+// --- Retroactive pay ---
+/*
+ * Retro owed for months already paid at old rates.  Each month
+ * ({ month: 'YYYY-MM', year: pay year, step, creditMinutes, voMinutes }) is
+ * repriced with computeMonthly's overtime and VO rules: old rates from
+ * oldPack, new rates from newPack or, when newPack is null, the old rates
+ * raised by raisePct.  Pension (at the month's rate), ESOP (within the
+ * monthly cap, matched at 30%) and union dues follow the retro gross.
+ *
+ * The total less pension and union dues is paid once in paidYear as a lump
+ * sum, withheld by the T4127 bonus method on top of `cheque`, the regular
+ * pay it comes with (default: half the average new monthly gross, with its
+ * pension and union dues).  CPP/QPP and EI are taken against
+ * the ytd caps, at the flat rates when there is no ytd, or not at all with
+ * maxcpp.
+ */
+function computeRetroPay({ months, seat, ac, xlrOn, province, oldPack, newPack = null, raisePct = 0, hireDate = DEFAULT_DOH, esopPct = 0, paidYear, cheque = null, ytd = null, maxcpp = false, federalClaim = null, provincialClaim = null }){
+  if (!oldPack) throw new Error('Choose the old rate table');
+  if (!(months || []).length) throw new Error('Add at least one retro month');
+  const esopCap = 30000 / 12;
+  const esopShare = Math.max(0, +esopPct || 0) / 100;
+  const round = value => +value.toFixed(2);
+  const rows = months.map((entry) => {
+    const [calendarYear, month] = String(entry.month).split('-').map(Number);
+    const oldRate = contractPackRate(oldPack, seat, ac, entry.year, entry.step, !!xlrOn);
+    const newRate = newPack
+      ? contractPackRate(newPack, seat, ac, entry.year, entry.step, !!xlrOn)
+      : +(oldRate * (1 + (+raisePct || 0) / 100)).toFixed(2);
+    const credits = Math.max(0, +entry.creditMinutes || 0) / 60;
+    const voCredits = Math.max(0, +entry.voMinutes || 0) / 60;
+    const paidHours = Math.min(85, credits) + Math.max(0, credits - 85) * 2 + voCredits * 2;
+    const oldGross = paidHours * oldRate;
+    const newGross = paidHours * newRate;
+    const retro = newGross - oldGross;
+    const pensionRate = pensionRateOnDate(new Date(calendarYear, month - 1, 1), hireDate);
+    const esop = Math.min(esopShare * newGross, esopCap) - Math.min(esopShare * oldGross, esopCap);
+    return {
+      month: entry.month,
+      year: entry.year,
+      step: entry.step,
+      credits: round(credits),
+      vo_credits: round(voCredits),
+      old_rate: oldRate,
+      new_rate: newRate,
+      old_gross: round(oldGross),
+      new_gross: round(newGross),
+      retro: round(retro),
+      pension_rate: pensionRate,
+      pension: round(retro * pensionRate),
+      esop: round(esop),
+      esop_match: round(0.30 * esop),
+      union: round(retro * (newPack || oldPack).unionDuesRate)
+    };
+  });
+  const sum = key => round(rows.reduce((total, row) => total + row[key], 0));
+  const gross = sum('retro');
+  const pension = sum('pension');
+  const union = sum('union');
+  const esop = sum('esop');
+  const lumpSum = Math.max(0, gross - pension - union);
+
+  let contributions = { cpp: 0, cpp2: 0, ei: 0 };
+  if (!maxcpp && gross > 0){
+    if (ytd){
+      contributions = computeCumulativeCPP_EI({ year: paidYear, gross, province, ytd });
+    } else {
+      const rules = getTaxRules(paidYear);
+      const inQC = province === 'QC';
+      contributions = {
+        cpp: round(gross * (inQC ? rules.qpp.rate_base_total : rules.cpp.rate_base)),
+        cpp2: 0,
+        ei: round(gross * (inQC ? rules.ei.rate_qc : rules.ei.rate))
+      };
+    }
+  }
+  const averageGross = rows.reduce((total, row) => total + row.new_gross, 0) / rows.length;
+  const regular = cheque || {
+    gross: averageGross / 2,
+    pension: averageGross / 2 * rows[rows.length - 1].pension_rate,
+    unionDues: averageGross / 2 * (newPack || oldPack).unionDuesRate
+  };
+  const withholding = computeT4127ChequeTax({
+    gross: regular.gross,
+    pension: regular.pension || 0,
+    unionDues: regular.unionDues || 0,
+    lumpSum,
+    year: paidYear,
+    province,
+    federalClaim,
+    provincialClaim,
+    cppMaxed: true,
+    eiMaxed: true
+  });
+  const tax = Math.max(0, withholding.lump_sum);
+  const cpp = round(contributions.cpp + contributions.cpp2);
+  const ei = contributions.ei;
+  return {
+    months: rows,
+    gross,
+    pension,
+    union,
+    esop,
+    esop_match: sum('esop_match'),
+    taxable: round(lumpSum),
+    tax,
+    cpp,
+    ei,
+    net: round(gross - pension - union - esop - tax - cpp - ei),
+    annual_income: withholding.annual_income
+  };
+}
+
+// --- Career forecast ---
+const CAREER_DEFAULTS = { avgMonthlyHours: 80, taxIndexation: 0.02, pensionAccrualRate: 0.02 };
+const DAY_MS = 86400000;
+
+/*
+ * Step on a date for a hire date (both UTC midnights): one step each
+ * PROGRESSION day, starting the year after the first progression on or
+ * after hire.  A step override (the profile's) wins.
+ */
+function stepOnServiceDate(hireDate, date, stepOverride = null){
+  if (stepOverride) return clampStep(stepOverride);
+  const hireYear = hireDate.getUTCFullYear();
+  let firstProgression = Date.UTC(hireYear, PROGRESSION.m - 1, PROGRESSION.d);
+  if (hireDate.getTime() > firstProgression) firstProgression = Date.UTC(hireYear + 1, PROGRESSION.m - 1, PROGRESSION.d);
+  let step = 1;
+  let stepYear = new Date(firstProgression).getUTCFullYear() + 1;
+  while (date.getTime() >= Date.UTC(stepYear, PROGRESSION.m - 1, PROGRESSION.d) && step < 12){
+    step += 1;
+    stepYear += 1;
+  }
+  return step;
+}
+
+/*
+ * The tax pack a forecast indexes forward to a year: the latest published
+ * (not projected) one starting on or before it, whatever its end date.
+ * Thresholds are indexed from the pack's first year.
+ */
+function getForecastTaxRules(year){
+  if (!RULE_PACKS.tax.length) throw new Error('Tax rule packs are not loaded');
+  const pack = RULE_PACKS.tax.filter(p => !p.projected && ruleEffectiveYear(p, 'from') <= year).pop();
+  if (!pack) throw new Error('No tax rule pack covers '+year);
+  return pack;
+}
+
+/*
+ * Hourly rate for any pay year: the pay table (contract or projected) when
+ * there is one, otherwise the last table grown at longRunGrowth a year.
+ */
+function careerPayRate(seat, ac, payYear, step, xlr, longRunGrowth){
+  const years = Object.keys(PAY_TABLES).map(Number);
+  const lastYear = Math.max(...years);
+  if (payYear <= lastYear) return rateFor(seat, ac, payYear, step, xlr);
+  return rateFor(seat, ac, lastYear, step, xlr) * Math.pow(1 + longRunGrowth, payYear - lastYear);
+}
+
+// Seat and fleet on a date: the last change dated on or before it (the first before any).
+function careerPositionOnDate(path, time){
+  let position = path[0];
+  path.forEach((change) => {
+    if (change.time <= time) position = change;
+  });
+  return position;
+}
+
+/*
+ * Year-by-year earnings along one career path, a list of seat/fleet changes
+ * ({ from: 'YYYY-MM-DD', seat, ac, xlr }) from startDate to retireDate.
+ * Days are paid at avgMonthlyHours with the step from hireDate, the pay year
+ * switching on SWITCH; years past the last pay table grow at longRunGrowth
+ * (default: the scenario's long-run rate); stepOverride holds the step.
+ * Tax, CPP/QPP and EI use the forecast tax pack, its thresholds indexed at
+ * taxIndexation a year from the pack's year, so pay growth alone does not
+ * push income into higher brackets.  Each year earns a pension of
+ * pensionAccrualRate × gross, capped at the year's defined benefit limit for
+ * the service worked; service from hireDate to startDate is credited at the
+ * first year's annual pay.  Net is after tax, CPP/QPP, EI, pension
+ * contributions, union dues and health.
+ */
+function computeCareerForecast({ path, hireDate = DEFAULT_DOH, startDate, retireDate, province, avgMonthlyHours = CAREER_DEFAULTS.avgMonthlyHours, longRunGrowth = null, taxIndexation = CAREER_DEFAULTS.taxIndexation, pensionAccrualRate = CAREER_DEFAULTS.pensionAccrualRate, stepOverride = null }){
+  if (!(path || []).length) throw new Error('Add at least one seat and fleet to the path');
+  const changes = path
+    .map(change => ({ ...change, time: Date.parse(`${change.from}T00:00:00Z`) }))
+    .sort((a, b) => a.time - b.time);
+  if (changes.some(change => !Number.isFinite(change.time))) throw new Error('Each path change needs a date');
+  const start = startDate instanceof Date ? startDate.getTime() : Date.parse(`${startDate}T00:00:00Z`);
+  const end = retireDate instanceof Date ? retireDate.getTime() : Date.parse(`${retireDate}T00:00:00Z`);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) throw new Error('Retirement must come after the start date');
+  const growth = longRunGrowth === null ? getProjectionRates(currentProjectionScenario).slice(-1)[0] : +longRunGrowth;
+  const dailyHours = (+avgMonthlyHours) * 12 / 365.2425;
+  const round = value => +value.toFixed(2);
+
+  const priorService = Math.max(0, (start - hireDate.getTime()) / (365.2425 * DAY_MS));
+
+  const years = [];
+  let cumulativeGross = 0, cumulativeNet = 0, cumulativeContributions = 0, annualPension = 0, priorPension = 0;
+  for (let year = new Date(start).getUTCFullYear(); year <= new Date(end).getUTCFullYear(); year += 1){
+    const first = Math.max(start, Date.UTC(year, 0, 1));
+    const last = Math.min(end, Date.UTC(year, 11, 31));
+    const switchTime = Date.UTC(year, SWITCH.m - 1, SWITCH.d);
+    let gross = 0, pension = 0, union = 0, days = 0, position = null, step = 1;
+    for (let t = first; t <= last; t += DAY_MS){
+      const day = new Date(t);
+      position = careerPositionOnDate(changes, t);
+      step = stepOnServiceDate(hireDate, day, stepOverride);
+      const payYear = t < switchTime ? year - 1 : year;
+      const dayPay = dailyHours * careerPayRate(position.seat, position.ac, payYear, step, !!position.xlr, growth);
+      gross += dayPay;
+      pension += dayPay * pensionRateOnDate(day, hireDate);
+      union += dayPay * getContractRules(payYear).unionDuesRate;
+      days += 1;
+    }
+    const taxPack = getForecastTaxRules(year);
+    const taxYear = ruleEffectiveYear(taxPack, 'from');
+    const index = Math.pow(1 + taxIndexation, year - taxYear);
+    const contributions = computeCumulativeCPP_EI({ year: taxYear, gross: gross / index, province });
+    const cpp = (contributions.cpp + contributions.cpp2) * index;
+    const ei = contributions.ei * index;
+    const tax = computeIncomeTaxWithCredits({
+      taxable: Math.max(0, gross - pension) / index,
+      year: taxYear,
+      province,
+      cpp: cpp / index,
+      ei: ei / index,
+      employmentIncome: gross / index
+    }).total * index;
+    const health = getContractRules(year).healthMonthly * 12 * days / (year % 4 === 0 ? 366 : 365);
+    const net = gross - tax - cpp - ei - pension - union - health;
+    const serviceShare = days / (year % 4 === 0 ? 366 : 365);
+    const pensionEarned = Math.min(pensionAccrualRate * gross, taxPack.registered.db_limit * index * serviceShare);
+    if (!years.length && serviceShare > 0){
+      priorPension = Math.min(pensionAccrualRate * gross / serviceShare, taxPack.registered.db_limit * index) * priorService;
+      annualPension += priorPension;
+    }
+    cumulativeGross += gross;
+    cumulativeNet += net;
+    cumulativeContributions += pension;
+    annualPension += pensionEarned;
+    years.push({
+      year,
+      seat: position.seat,
+      ac: position.ac,
+      step,
+      service: +serviceShare.toFixed(4),
+      gross: round(gross),
+      tax: round(tax),
+      cpp: round(cpp),
+      ei: round(ei),
+      pension_contributions: round(pension),
+      union: round(union),
+      health: round(health),
+      net: round(net),
+      pension_earned: round(pensionEarned),
+      cumulative_net: round(cumulativeNet),
+      annual_pension: round(annualPension)
+    });
+  }
+  return {
+    years,
+    gross: round(cumulativeGross),
+    net: round(cumulativeNet),
+    pension_contributions: round(cumulativeContributions),
+    annual_pension: round(annualPension),
+    prior_service: +priorService.toFixed(2),
+    prior_pension: round(priorPension),
+    long_run_growth: growth
+  };
+}
+
+/*
+ * Forecast several paths ([{ label, path }]) with the same options and
+ * report each one's cumulative net and annual pension against the first.
+ */
+function compareCareerPaths({ paths, ...options }){
+  const results = (paths || []).map(({ label, path }) => ({ label, ...computeCareerForecast({ ...options, path }) }));
+  const baseline = results[0];
+  return results.map(result => ({
+    ...result,
+    difference: {
+      net: +(result.net - baseline.net).toFixed(2),
+      annual_pension: +(result.annual_pension - baseline.annual_pension).toFixed(2)
+    }
+  }));
+}
+
+// --- Defined-benefit pension ---
+const RRSP_EARNED_INCOME_RATE = 0.18;
+
+/*
+ * Pension adjustment for a year of pensionable earnings: 9 × the pension
+ * that year earns (accrual × earnings, capped at the defined benefit limit
+ * for the service worked) less the year's offset.  It reduces the RRSP room
+ * the same earnings create.
+ */
+function computePensionAdjustment({ year, earnings, service = 1 }){
+  const { registered } = getTaxRules(year);
+  const benefit = Math.min(getPensionRules().accrualRate * Math.max(0, earnings), registered.db_limit * service);
+  return +Math.max(0, 9 * benefit - registered.pa_offset).toFixed(2);
+}
+
+/*
+ * RRSP room a year's earned income creates for the next year: 18% of it up
+ * to the next year's dollar limit, less the year's pension adjustment.
+ */
+function computeRrspRoom({ year, earnedIncome, pensionAdjustment = 0 }){
+  const earned = RRSP_EARNED_INCOME_RATE * Math.max(0, earnedIncome);
+  const limit = getTaxRules(year + 1).registered.rrsp_limit;
+  return {
+    year: year + 1,
+    earned: +earned.toFixed(2),
+    limit,
+    pension_adjustment: pensionAdjustment,
+    room: +Math.max(0, Math.min(earned, limit) - pensionAdjustment).toFixed(2)
+  };
+}
+
+/*
+ * Lifetime and bridge pension on retiring at retireDate, from yearly
+ * pensionable earnings ([{ year, gross, service }], service being the share
+ * of the year worked).  Best average earnings are the highest average over
+ * bestAverageYears consecutive years; credited service runs from hireDate.
+ * The lifetime pension is accrualRate × best average × service, held to the
+ * Income Tax Act maximum (the defined benefit limit, and 2% of best
+ * average, per year of service), and reduced by earlyReduction for each
+ * year short of the earliest unreduced age, points or service.  The bridge
+ * pays until bridge.toAge on the lesser of best average and the YMPE.
+ * Limits come from the forecast tax pack, indexed at taxIndexation a year
+ * from the pack's year as in the career forecast.
+ */
+function estimateDefinedBenefitPension({ earnings, hireDate = DEFAULT_DOH, birthDate, retireDate, taxIndexation = CAREER_DEFAULTS.taxIndexation }){
+  const rules = getPensionRules();
+  const timeOf = value => value instanceof Date ? value.getTime() : Date.parse(`${value}T00:00:00Z`);
+  const round = value => +value.toFixed(2);
+  const yearMs = 365.2425 * DAY_MS;
+  const birth = timeOf(birthDate);
+  const retire = timeOf(retireDate);
+  if (!Number.isFinite(birth)) throw new Error('Enter a date of birth');
+  if (!Number.isFinite(retire)) throw new Error('Enter a retirement date');
+  const age = (retire - birth) / yearMs;
+  if (age < rules.earliestRetirementAge) throw new Error(`The plan's earliest retirement age is ${rules.earliestRetirementAge}`);
+  const service = Math.max(0, (retire - hireDate.getTime()) / yearMs);
+
+  const rows = (earnings || []).filter(row => row.service > 0).sort((a, b) => a.year - b.year);
+  if (!rows.length) throw new Error('No pensionable earnings before retirement');
+  const window = Math.min(rules.bestAverageYears, rows.length);
+  let bestAverage = 0, bestYears = [];
+  for (let i = 0; i + window <= rows.length; i += 1){
+    const slice = rows.slice(i, i + window);
+    const average = slice.reduce((total, row) => total + row.gross, 0) / slice.reduce((total, row) => total + row.service, 0);
+    if (average > bestAverage){
+      bestAverage = average;
+      bestYears = slice.map(row => row.year);
+    }
+  }
+
+  const retireYear = new Date(retire).getUTCFullYear();
+  const taxPack = getForecastTaxRules(retireYear);
+  const index = Math.pow(1 + taxIndexation, retireYear - ruleEffectiveYear(taxPack, 'from'));
+  const formula = rules.accrualRate * bestAverage * service;
+  const limit = Math.min(taxPack.registered.db_limit * index, 0.02 * bestAverage) * service;
+
+  const { unreduced } = rules;
+  const yearsEarly = age >= rules.normalRetirementAge ? 0 : Math.max(0, Math.min(
+    unreduced.age - age,
+    (unreduced.points - age - service) / 2,
+    unreduced.service - service
+  ));
+  const reduction = Math.min(1, rules.earlyReduction * yearsEarly);
+  const lifetime = Math.min(formula, limit) * (1 - reduction);
+  const bridge = age < rules.bridge.toAge
+    ? rules.bridge.rate * Math.min(bestAverage, taxPack.cpp.ympe * index) * service * (1 - reduction)
+    : 0;
+
+  return {
+    age: +age.toFixed(2),
+    service: +service.toFixed(2),
+    best_average: round(bestAverage),
+    best_years: bestYears,
+    formula: round(formula),
+    limit: round(limit),
+    capped: formula > limit,
+    years_early: +yearsEarly.toFixed(2),
+    reduction: +reduction.toFixed(4),
+    lifetime: round(lifetime),
+    bridge: round(bridge),
+    bridge_to_age: rules.bridge.toAge,
+    before_bridge_end: round(lifetime + bridge)
+  };
+}
+
+// --- Registered account room ---
+const RRSP_OVER_CONTRIBUTION_ALLOWANCE = 2000;
+
+/*
+ * RRSP, TFSA and FHSA room year by year from the first tracked year.
+ * rrspLimit, tfsaRoom and fhsaRoom are that year's figures from the notice
+ * of assessment (fhsaRoom null when there is no FHSA; fhsaLifetime is what
+ * was contributed before it).  Each year ([{ year, earnedIncome,
+ * pensionAdjustment, rrsp, tfsa, tfsaWithdrawals, fhsa }]) uses up room and
+ * creates next year's: unused RRSP room plus 18% of earned income less the
+ * PA, unused TFSA room plus withdrawals plus the new dollar limit, and the
+ * FHSA limit plus up to one limit of unused room.  Over-contributions carry
+ * forward as negative room and are reported in warnings.
+ */
+function computeRegisteredRoom({ years, rrspLimit, tfsaRoom, fhsaRoom = null, fhsaLifetime = 0 }){
+  const round = value => +value.toFixed(2);
+  const amount = value => Math.max(0, +value || 0);
+  const rows = [...(years || [])].sort((a, b) => a.year - b.year);
+  const warnings = [];
+  let rrspAvailable = +rrspLimit || 0;
+  let tfsaAvailable = +tfsaRoom || 0;
+  let fhsaAvailable = fhsaRoom === null || fhsaRoom === undefined || fhsaRoom === '' ? null : +fhsaRoom || 0;
+  let fhsaUsed = amount(fhsaLifetime);
+
+  const out = rows.map((row) => {
+    const registered = getTaxRules(row.year).registered;
+    const nextRegistered = getTaxRules(row.year + 1).registered;
+
+    const rrsp = amount(row.rrsp);
+    const rrspUnused = rrspAvailable - rrsp;
+    const rrspOver = Math.max(0, -rrspUnused);
+    if (rrspOver > RRSP_OVER_CONTRIBUTION_ALLOWANCE){
+      warnings.push(`${row.year}: RRSP contributions are ${money(rrspOver)} over the deduction limit; the ${money(rrspOver - RRSP_OVER_CONTRIBUTION_ALLOWANCE)} above the ${money(RRSP_OVER_CONTRIBUTION_ALLOWANCE)} allowance is taxed 1% a month`);
+    } else if (rrspOver > 0){
+      warnings.push(`${row.year}: RRSP contributions are ${money(rrspOver)} over the deduction limit, within the ${money(RRSP_OVER_CONTRIBUTION_ALLOWANCE)} allowance but not deductible this year`);
+    }
+    const newRoom = computeRrspRoom({ year: row.year, earnedIncome: amount(row.earnedIncome), pensionAdjustment: amount(row.pensionAdjustment) });
+
+    const tfsa = amount(row.tfsa);
+    const tfsaUnused = tfsaAvailable - tfsa;
+    const tfsaOver = Math.max(0, -tfsaUnused);
+    if (tfsaOver > 0) warnings.push(`${row.year}: TFSA contributions are ${money(tfsaOver)} over the room; the excess is taxed 1% a month until withdrawn`);
+
+    let fhsa = null;
+    if (fhsaAvailable !== null){
+      const contributed = amount(row.fhsa);
+      const available = Math.min(fhsaAvailable, Math.max(0, registered.fhsa_lifetime - fhsaUsed));
+      const over = Math.max(0, contributed - available);
+      if (over > 0) warnings.push(`${row.year}: FHSA contributions are ${money(over)} over the room; the excess is taxed 1% a month until removed`);
+      fhsaUsed += contributed;
+      fhsa = { room: round(available), contributions: round(contributed), unused: round(available - contributed), over: round(over), lifetime_used: round(fhsaUsed) };
+      fhsaAvailable = nextRegistered.fhsa_limit + Math.min(registered.fhsa_limit, Math.max(0, available - contributed));
+    }
+
+    const result = {
+      year: row.year,
+      rrsp: {
+        limit: round(rrspAvailable),
+        contributions: round(rrsp),
+        unused: round(rrspUnused),
+        over: round(rrspOver),
+        new_room: newRoom.room,
+        pension_adjustment: newRoom.pension_adjustment
+      },
+      tfsa: {
+        room: round(tfsaAvailable),
+        contributions: round(tfsa),
+        withdrawals: round(amount(row.tfsaWithdrawals)),
+        unused: round(tfsaUnused),
+        over: round(tfsaOver)
+      },
+      fhsa
+    };
+    rrspAvailable = rrspUnused + newRoom.room;
+    tfsaAvailable = tfsaUnused + amount(row.tfsaWithdrawals) + nextRegistered.tfsa_limit;
+    return result;
+  });
+
+  const last = rows.length ? rows[rows.length - 1].year : null;
+  return {
+    years: out,
+    next: last === null ? null : {
+      year: last + 1,
+      rrsp_limit: round(rrspAvailable),
+      tfsa_room: round(tfsaAvailable),
+      fhsa_room: fhsaAvailable === null ? null : round(Math.min(fhsaAvailable, Math.max(0, getTaxRules(last + 1).registered.fhsa_lifetime - fhsaUsed)))
+    },
+    warnings
+  };
+}
+
+/*
+ * RRSP contribution that brings taxable income down to the nearest lower
+ * federal or provincial bracket threshold, capped at room when given.
+ * tax_saved is at the current combined marginal rate, which holds across
+ * the whole amount because no threshold lies inside it.
+ */
+function suggestRrspContribution({ taxable, year, province, room = null }){
+  const { fedData, provData } = getTaxDataForYear(year, province);
+  const thresholds = [...fedData.brackets, ...provData.brackets]
+    .map(([cap]) => cap)
+    .filter(cap => Number.isFinite(cap) && cap < taxable);
+  const rateNow = +(marginalRate(taxable, fedData.brackets) + marginalRate(taxable, provData.brackets)).toFixed(4);
+  if (!thresholds.length) return { amount: 0, threshold: null, rate_now: rateNow, rate_after: rateNow, tax_saved: 0, capped: false };
+  const threshold = Math.max(...thresholds);
+  const needed = taxable - threshold;
+  const amount = room === null ? needed : Math.min(needed, Math.max(0, room));
+  return {
+    amount: +amount.toFixed(2),
+    threshold,
+    rate_now: rateNow,
+    rate_after: +(marginalRate(threshold, fedData.brackets) + marginalRate(threshold, provData.brackets)).toFixed(4),
+    tax_saved: +(amount * rateNow).toFixed(2),
+    capped: amount < needed
+  };
+}
+
+// --- ESOP lots ---
+const ESOP_TERMS = { matchRate: 0.30, annualCap: 30000, vestingMonths: 12 };
+
+/*
+ * Holdings, adjusted cost base and gains from monthly ESOP purchases
+ * ([{ month: 'YYYY-MM', employee, price }]) and sales ([{ date, shares,
+ * price, commission }]).  Each purchase buys employee / price shares and the
+ * employer adds matchRate as many; the match is a taxable benefit at the
+ * purchase price, so both the contribution and the benefit go into the ACB.
+ * Purchases count from the first of their month and the employer shares
+ * vest vestingMonths later.  Identical shares pool into one ACB, so each
+ * sale's cost is the average ACB per share held at the time.  A sale larger
+ * than the vested shares held throws.  price, when given, values what is
+ * still held.  A year whose contributions go over annualCap is reported in
+ * warnings; the lots are what was bought, so they are not cut back.
+ */
+function computeEsopPosition({ lots, sales = [], price = null, matchRate = ESOP_TERMS.matchRate, annualCap = ESOP_TERMS.annualCap, vestingMonths = ESOP_TERMS.vestingMonths, asOf = new Date() }){
+  const round = (value, places = 2) => +value.toFixed(places);
+  const purchases = (lots || []).map((lot) => {
+    const [year, month] = String(lot.month || '').split('-').map(Number);
+    const time = Date.UTC(year, month - 1, 1);
+    const lotPrice = +lot.price;
+    const employee = Math.max(0, +lot.employee || 0);
+    if (!Number.isFinite(time)) throw new Error('Each ESOP purchase needs a month');
+    if (!(lotPrice > 0)) throw new Error(`Enter the share price for ${lot.month}`);
+    const benefit = employee * matchRate;
+    return {
+      month: lot.month,
+      year,
+      time,
+      vestTime: Date.UTC(year, month - 1 + vestingMonths, 1),
+      price: lotPrice,
+      employee,
+      benefit,
+      employeeShares: employee / lotPrice,
+      employerShares: benefit / lotPrice
+    };
+  }).sort((a, b) => a.time - b.time);
+  const disposals = (sales || []).map((sale) => {
+    const time = Date.parse(`${sale.date}T00:00:00Z`);
+    if (!Number.isFinite(time)) throw new Error('Each ESOP sale needs a date');
+    return { date: sale.date, time, shares: Math.max(0, +sale.shares || 0), price: Math.max(0, +sale.price || 0), commission: Math.max(0, +sale.commission || 0) };
+  }).sort((a, b) => a.time - b.time);
+
+  const vestedBy = time => purchases.reduce((total, lot) => total
+    + (lot.time <= time ? lot.employeeShares : 0)
+    + (lot.vestTime <= time ? lot.employerShares : 0), 0);
+  const byYear = {};
+  const yearEntry = year => (byYear[year] = byYear[year] || { year, employee: 0, benefit: 0, proceeds: 0, acb: 0, gain: 0 });
+  purchases.forEach((lot) => {
+    yearEntry(lot.year).employee += lot.employee;
+    yearEntry(lot.year).benefit += lot.benefit;
+  });
+
+  let shares = 0, acb = 0, sold = 0, next = 0;
+  const saleRows = disposals.map((sale) => {
+    while (next < purchases.length && purchases[next].time <= sale.time){
+      shares += purchases[next].employeeShares + purchases[next].employerShares;
+      acb += purchases[next].employee + purchases[next].benefit;
+      next += 1;
+    }
+    const available = vestedBy(sale.time) - sold;
+    if (sale.shares > available + 1e-6) throw new Error(`Only ${available.toFixed(4)} vested shares are held on ${sale.date}`);
+    const cost = shares > 0 ? acb * sale.shares / shares : 0;
+    const proceeds = sale.shares * sale.price - sale.commission;
+    shares -= sale.shares;
+    acb -= cost;
+    sold += sale.shares;
+    const year = new Date(sale.time).getUTCFullYear();
+    const entry = yearEntry(year);
+    entry.proceeds += proceeds;
+    entry.acb += cost;
+    entry.gain += proceeds - cost;
+    return { date: sale.date, year, shares: round(sale.shares, 4), price: sale.price, commission: sale.commission, proceeds: round(proceeds), acb: round(cost), gain: round(proceeds - cost) };
+  });
+  for (; next < purchases.length; next += 1){
+    shares += purchases[next].employeeShares + purchases[next].employerShares;
+    acb += purchases[next].employee + purchases[next].benefit;
+  }
+
+  const warnings = Object.values(byYear).sort((a, b) => a.year - b.year)
+    .filter(entry => round(entry.employee) > annualCap)
+    .map(entry => `${entry.year}: ESOP contributions are ${money(round(entry.employee - annualCap))} over the ${money(annualCap)} annual cap`);
+
+  const asOfTime = asOf instanceof Date ? asOf.getTime() : Date.parse(`${asOf}T00:00:00Z`);
+  const vested = Math.max(0, vestedBy(asOfTime) - sold);
+  const value = price === null || price === '' ? null : shares * (+price || 0);
+  return {
+    lots: purchases.map(lot => ({
+      month: lot.month,
+      price: lot.price,
+      employee: round(lot.employee),
+      benefit: round(lot.benefit),
+      employee_shares: round(lot.employeeShares, 4),
+      employer_shares: round(lot.employerShares, 4),
+      acb: round(lot.employee + lot.benefit),
+      vests: new Date(lot.vestTime).toISOString().slice(0, 7),
+      vested: lot.vestTime <= asOfTime
+    })),
+    sales: saleRows,
+    shares: round(shares, 4),
+    vested_shares: round(Math.min(vested, shares), 4),
+    unvested_shares: round(Math.max(0, shares - vested), 4),
+    acb: round(acb),
+    acb_per_share: shares > 0 ? round(acb / shares, 4) : 0,
+    market_value: value === null ? null : round(value),
+    unrealized_gain: value === null ? null : round(value - acb),
+    by_year: Object.values(byYear).sort((a, b) => a.year - b.year).map(entry => ({
+      year: entry.year,
+      employee: round(entry.employee),
+      benefit: round(entry.benefit),
+      proceeds: round(entry.proceeds),
+      acb: round(entry.acb),
+      gain: round(entry.gain)
+    })),
+    warnings
+  };
+}
+
+// --- Scenario comparison ---
+const SCENARIO_SHARE_VERSION = 1;
+const SCENARIO_COMPARE_MAX = 4;
+// What each kind of scenario compares: the tab its inputs come from and the result lines.
+const SCENARIO_KINDS = {
+  annual: {
+    label: 'Annual',
+    metrics: [
+      { key: 'gross', label: 'Gross' },
+      { key: 'tax', label: 'Income tax' },
+      { key: 'cpp', label: 'CPP/QPP' },
+      { key: 'ei', label: 'EI' },
+      { key: 'pension', label: 'Pension' },
+      { key: 'union', label: 'Union dues' },
+      { key: 'net', label: 'Net' }
+    ]
+  },
+  monthly: {
+    label: 'Monthly',
+    metrics: [
+      { key: 'gross', label: 'Gross' },
+      { key: 'tax', label: 'Income tax' },
+      { key: 'cpp', label: 'CPP/QPP' },
+      { key: 'ei', label: 'EI' },
+      { key: 'pension', label: 'Pension' },
+      { key: 'union', label: 'Union dues' },
+      { key: 'pay_advance', label: 'Pay advance' },
+      { key: 'second_pay', label: 'Second pay' },
+      { key: 'net', label: 'Net' }
+    ]
+  },
+  vo: {
+    label: 'VO',
+    metrics: [
+      { key: 'rate', label: 'Hourly rate' },
+      { key: 'hours', label: 'Paid hours' },
+      { key: 'gross', label: 'Gross' },
+      { key: 'net', label: 'Net (marginal)' }
+    ]
+  }
+};
+
+/*
+ * A saved scenario ({ name, kind, params }) with every input checked, so a
+ * scenario from a link or file cannot reach the calculator half-formed.
+ * kind is 'annual' (the default, for scenarios saved before there were
+ * others), 'monthly' or 'vo'; params are the inputs of computeAnnual,
+ * computeMonthly or computeVO.
+ */
+function normalizeScenario(raw, label = 'Scenario'){
+  const params = raw?.params || {};
+  const name = String(raw?.name || '').trim().slice(0, 60);
+  if (!name) throw new Error(`${label}: name is missing`);
+  const kind = raw?.kind === undefined ? 'annual' : String(raw.kind);
+  if (!SCENARIO_KINDS[kind]) throw new Error(`${name}: unknown scenario kind ${kind}`);
+  const seat = String(params.seat || '');
+  const ac = String(params.ac || '');
+  const year = Number(params.year);
+  const stepInput = Number(params.stepInput);
+  if (!['CA', 'FO', 'RP'].includes(seat)) throw new Error(`${name}: unknown seat ${seat}`);
+  if (!Object.values(PAY_TABLES).some(table => table[seat]?.[ac])) throw new Error(`${name}: unknown aircraft ${ac}`);
+  if (!Number.isInteger(year)) throw new Error(`${name}: year is missing`);
+  if (!Number.isInteger(stepInput) || stepInput < 1 || stepInput > 12) throw new Error(`${name}: step must be 1 to 12`);
+  if (!PROVINCES.includes(params.province)) throw new Error(`${name}: unknown province ${params.province}`);
+  const number = (key, max, message) => {
+    const value = Number(params[key] || 0);
+    if (!(value >= 0 && value <= max)) throw new Error(`${name}: ${message}`);
+    return value;
+  };
+  const common = { seat, ac, year, stepInput, tieOn: !!params.tieOn, xlrOn: !!params.xlrOn, province: params.province };
+  if (kind === 'vo'){
+    return {
+      name,
+      kind,
+      params: { ...common, creditH: number('creditH', 300, 'VO hours must be 0 to 300'), creditM: number('creditM', 59, 'VO minutes must be 0 to 59') }
+    };
+  }
+  const esopPct = number('esopPct', 100, 'ESOP must be 0 to 100%');
+  if (kind === 'monthly'){
+    return {
+      name,
+      kind,
+      params: {
+        ...common,
+        creditH: number('creditH', 300, 'credit hours must be 0 to 300'),
+        creditM: number('creditM', 59, 'credit minutes must be 0 to 59'),
+        voCredits: number('voCredits', 300, 'VO hours must be 0 to 300'),
+        voCreditMinutes: number('voCreditMinutes', 59, 'VO minutes must be 0 to 59'),
+        tafb: number('tafb', 744, 'TAFB must be 0 to 744 hours'),
+        adv: number('adv', 100000, 'the pay advance must be 0 to 100,000'),
+        esopPct,
+        maxcpp: !!params.maxcpp
+      }
+    };
+  }
+  return {
+    name,
+    kind,
+    params: { ...common, avgMonthlyHours: number('avgMonthlyHours', 300, 'credit hours must be 0 to 300'), esopPct }
+  };
+}
+
+// One scenario's result lines for its kind.
+function computeScenarioValues({ kind, params }, hireDate){
+  if (kind === 'vo'){
+    const res = computeVO(params);
+    return { rate: res.rate, hours: res.hours, gross: res.gross, net: res.net };
+  }
+  if (kind === 'monthly'){
+    const res = computeMonthly({ ...params, hireDate });
+    const values = {};
+    SCENARIO_KINDS.monthly.metrics.forEach(({ key }) => { values[key] = res[key]; });
+    return values;
+  }
+  const res = computeAnnual({ ...params, hireDate });
+  return { gross: res.gross, tax: res.tax, cpp: res.cpp, ei: res.ei, pension: res.pension, union: res.union_annual, net: res.net };
+}
+
+/*
+ * Compute 2 to SCENARIO_COMPARE_MAX scenarios of one kind with the same hire
+ * date, each with its kind's metrics and their difference from the first.
+ */
+function compareScenarios(scenarios, { hireDate = DEFAULT_DOH } = {}){
+  const list = (scenarios || []).map((scenario, index) => normalizeScenario(scenario, `Scenario ${index + 1}`));
+  if (list.length < 2 || list.length > SCENARIO_COMPARE_MAX) throw new Error(`Pick 2 to ${SCENARIO_COMPARE_MAX} scenarios to compare`);
+  const { kind } = list[0];
+  if (list.some(scenario => scenario.kind !== kind)){
+    throw new Error('Pick scenarios of one kind: Annual, Monthly or VO');
+  }
+  const results = list.map(scenario => ({ ...scenario, values: computeScenarioValues(scenario, hireDate) }));
+  const [baseline] = results;
+  return results.map(result => ({
+    ...result,
+    delta: Object.fromEntries(SCENARIO_KINDS[kind].metrics.map(({ key }) => [key, +(result.values[key] - baseline.values[key]).toFixed(2)]))
+  }));
+}
+
+// Scenarios as URL-safe base64 JSON for a link or file, and back.
+function encodeScenarioShare(scenarios){
+  const json = JSON.stringify({ v: SCENARIO_SHARE_VERSION, scenarios: scenarios.map(({ name, kind, params }) => ({ name, kind, params })) });
+  const bytes = new TextEncoder().encode(json);
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeScenarioShare(text){
+  let data;
+  try {
+    const base64 = String(text || '').trim().replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+  } catch (err){
+    throw new Error('The shared scenarios could not be read');
+  }
+  return parseScenarioFile(data);
+}
+
+// Scenarios from a parsed share or file ({ v, scenarios }), each normalized.
+function parseScenarioFile(data){
+  if (!data || data.v !== SCENARIO_SHARE_VERSION || !Array.isArray(data.scenarios)) throw new Error('Not an AC Pay scenario file');
+  return data.scenarios.map((scenario, index) => normalizeScenario(scenario, `Scenario ${index + 1}`));
+}
+
+// --- Pay statement reconciliation ---
+/*
+ * Statement lines are matched by description, first match wins, so the
+ * more specific patterns come first ("Canada Pension Plan" is CPP, not
+ * pension; "Overtime credit" is overtime, not credit).
+ */
+const PAY_STATEMENT_LINES = [
+  { key: 'gross', label: 'Gross pay', pattern: /\bgross\b/i },
+  { key: 'net', label: 'Net pay', pattern: /\bnet\b/i },
+  { key: 'cpp', label: 'CPP/QPP', pattern: /\b(?:cpp|qpp)2?\b|canada pension plan|quebec pension plan|r[ée]gime de rentes/i },
+  { key: 'ei', label: 'EI', pattern: /\bei\b|employment insurance|assurance[- ]emploi/i },
+  { key: 'tax', label: 'Income tax', pattern: /\btax\b|\bimp[oô]t/i },
+  { key: 'pension', label: 'Pension', pattern: /\bpension\b|\brpp\b|\bdb plan\b/i },
+  { key: 'union', label: 'Union dues', pattern: /\bunion\b|\balpa\b|\bdues\b/i },
+  { key: 'tafb', label: 'TAFB per diem', pattern: /\btafb\b|per\s*diem/i },
+  { key: 'vo', label: 'VO', pattern: /\bvo\b|voluntary/i },
+  { key: 'overtime', label: 'Overtime above 85', pattern: /\bovertime\b|\bo\/t\b|\bot\b/i },
+  { key: 'premium', label: 'Premium', pattern: /\bpremium\b|\bdraft\b|\bdog\b/i },
+  { key: 'credit', label: 'Credit', pattern: /\bcredit\b|\bflight pay\b|\bflying\b|\bregular\b|\bbasic pay\b|\bguarantee\b/i }
+];
+const PAY_STATEMENT_HOUR_KEYS = ['credit', 'overtime', 'vo', 'premium', 'tafb'];
+// Reconciliation rows run earnings, deductions, then net.
+const PAY_RECONCILE_ORDER = ['credit', 'overtime', 'vo', 'premium', 'tafb', 'gross', 'pension', 'union', 'tax', 'cpp', 'ei', 'net'];
+const PAY_RECONCILE_TOLERANCE = { minutes: 1, money: 1, taxRatio: 0.02 };
+
+function parseStatementMoney(token){
+  const negative = /^-|-$|^\(.*\)$/.test(token);
+  const value = Number(token.replace(/[()$,\s-]/g, ''));
+  if (!Number.isFinite(value)) return NaN;
+  return negative ? -value : value;
+}
+
+function isStatementProduct(hours, rate, amount){
+  if (!(hours > 0) || !(rate > 0)) return false;
+  const tolerance = Math.max(1, Math.abs(amount) * 0.01);
+  return Math.abs((hours * rate) - Math.abs(amount)) <= tolerance
+    || Math.abs((hours * rate * 2) - Math.abs(amount)) <= tolerance;
+}
+
+/*
+ * Pick hours and the current-period amount out of one statement line.
+ * Lines look like "Flight pay 85:00 124.46 10,579.10 84,632.80" (hours,
+ * rate, current, YTD) or "Pension 684.18- 5,473.44" (current, YTD).  Hours
+ * can be H:MM or a decimal before the rate; a leading pair is only read as
+ * hours × rate when it multiplies out (at single or double time) to the
+ * following amount, otherwise the first amount is the current one.
+ */
+function parsePayStatementLine(line){
+  const text = String(line || '');
+  const clockMatch = text.match(/\b(\d{1,3}):(\d{2})\b/);
+  const withoutClock = clockMatch ? text.replace(clockMatch[0], ' ') : text;
+  const amounts = (withoutClock.match(/\(?-?\$?\d{1,3}(?:,\d{3})*(?:\.\d{2})\)?-?|\(?-?\$?\d+\.\d{2}\)?-?/g) || [])
+    .map(parseStatementMoney)
+    .filter(Number.isFinite);
+  let minutes = clockMatch ? (Number(clockMatch[1]) * 60) + Number(clockMatch[2]) : null;
+  let amount = null;
+  if (minutes !== null){
+    if (amounts.length >= 2 && isStatementProduct(minutes / 60, amounts[0], amounts[1])){
+      amount = amounts[1];
+    } else if (amounts.length){
+      amount = amounts[0];
+    }
+  } else if (amounts.length >= 3 && isStatementProduct(amounts[0], amounts[1], amounts[2])){
+    minutes = Math.round(amounts[0] * 60);
+    amount = amounts[2];
+  } else if (amounts.length){
+    amount = amounts[0];
+  }
+  return { minutes, amount };
+}
+
+/*
+ * Parse pasted pay statement text into totals per reconciliation line.
+ * Matching lines are summed (federal + provincial tax, or an advance and a
+ * second pay pasted together); deductions are kept as positive amounts.
+ */
+function parsePayStatementText(text){
+  const lines = {};
+  const unmatched = [];
+  String(text || '').split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const definition = PAY_STATEMENT_LINES.find(entry => entry.pattern.test(line));
+    const parsed = parsePayStatementLine(line);
+    if (!definition || (parsed.amount === null && parsed.minutes === null)){
+      unmatched.push(line);
+      return;
+    }
+    const total = lines[definition.key] || (lines[definition.key] = { minutes: null, amount: null, sources: [] });
+    if (parsed.minutes !== null && PAY_STATEMENT_HOUR_KEYS.includes(definition.key)){
+      total.minutes = (total.minutes || 0) + parsed.minutes;
+    }
+    if (parsed.amount !== null){
+      total.amount = +((total.amount || 0) + Math.abs(parsed.amount)).toFixed(2);
+    }
+    total.sources.push(line);
+  });
+  return { lines, unmatched };
+}
+
+function getPayReconcileMoneyTolerance(key, expected){
+  if (key === 'tax') return Math.max(PAY_RECONCILE_TOLERANCE.money, Math.abs(expected) * PAY_RECONCILE_TOLERANCE.taxRatio);
+  return PAY_RECONCILE_TOLERANCE.money;
+}
+
+/*
+ * Compare expected lines ({ credit: { minutes, amount }, tax: { amount }, … })
+ * with a parsed statement.  Returns one row per hours or amount comparison;
+ * status is 'match', 'mismatch' or 'missing' (expected a non-zero value but
+ * the statement has no such line).  Lines that are zero on both sides are
+ * left out.
+ */
+function reconcilePayStatement(expectedLines, statement){
+  const rows = [];
+  const statementLines = statement?.lines || {};
+  PAY_RECONCILE_ORDER.forEach((key) => {
+    const { label } = PAY_STATEMENT_LINES.find(entry => entry.key === key);
+    const expected = expectedLines?.[key];
+    const actual = statementLines[key];
+    if (!expected && !actual) return;
+    const compare = (kind, expectedValue, actualValue) => {
+      const hasExpected = Number.isFinite(expectedValue);
+      const hasActual = Number.isFinite(actualValue);
+      if (!hasExpected && !hasActual) return;
+      const tolerance = kind === 'minutes'
+        ? PAY_RECONCILE_TOLERANCE.minutes
+        : getPayReconcileMoneyTolerance(key, expectedValue || 0);
+      if (!hasActual && Math.abs(expectedValue) <= tolerance) return;
+      const status = !hasActual
+        ? 'missing'
+        : (Math.abs((hasExpected ? expectedValue : 0) - actualValue) <= tolerance ? 'match' : 'mismatch');
+      rows.push({
+        key,
+        label: kind === 'minutes' ? `${label} hours` : label,
+        kind,
+        expected: hasExpected ? expectedValue : null,
+        actual: hasActual ? actualValue : null,
+        difference: hasActual ? +(actualValue - (hasExpected ? expectedValue : 0)).toFixed(2) : null,
+        status
+      });
+    };
+    if (PAY_STATEMENT_HOUR_KEYS.includes(key)){
+      compare('minutes', expected?.minutes, actual?.minutes);
+    }
+    compare('money', expected?.amount, actual?.amount);
+  });
+  return {
+    rows,
+    discrepancies: rows.filter(row => row.status !== 'match').length
+  };
+}
+
+// --- Duty & rest helpers ---
+function parseTimeToMinutes(value){
+  if (!value) return NaN;
+  const parts = String(value).split(':').map(Number);
+  if (parts.length < 2 || parts.some(n => !Number.isFinite(n))) return NaN;
+  const [hh, mm] = parts;
+  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return NaN;
+  return hh * 60 + mm;
+}
+
+function formatHoursValue(value){
+  const rounded = Math.round(value * 100) / 100;
+  if (!Number.isFinite(rounded)) return '--';
+  if (Math.abs(rounded % 1) < 1e-9) return String(rounded.toFixed(0));
+  return String(rounded.toFixed(2)).replace(/0+$/,'').replace(/\.$/,'');
+}
+
+function normalizeCrewType(value){
+  if (value === 'basic+1' || value === 'basic+2' || value === '2ca2fo') return value;
+  if (String(value) === '1') return 'basic+1';
+  if (String(value) === '2') return 'basic+2';
+  return null;
+}
+
+function crewTypeLabel(value){
+  const type = normalizeCrewType(value);
+  if (type === 'basic+1') return 'Basic +1 crew';
+  if (type === 'basic+2') return 'Basic +2 crew';
+  if (type === '2ca2fo') return '2CA 2FO crew';
+  return 'Augmented crew';
+}
+
+function additionalCrewCount(value){
+  const type = normalizeCrewType(value);
+  if (type === 'basic+1') return 1;
+  if (type === 'basic+2' || type === '2ca2fo') return 2;
+  return null;
+}
+
+function fomFacilityLabel(value){
+  if (value === 1) return 'Class 1 rest facility';
+  if (value === 2) return 'Class 2 rest facility';
+  if (value === 3) return 'Class 3 rest facility';
+  return 'rest facility';
+}
+
+function zoneLabel(zone){
+  return zone === 'outside' ? 'Outside North American zone' : 'Inside North American zone';
+}
+
+function computeMaxDuty(params){
+  const dutyMode = params.dutyMode === 'fom' ? 'fom' : 'alpa';
+  const dutyType = params.dutyType || 'unaugmented';
+  if (dutyMode === 'fom'){
+    if (dutyType === 'augmented'){
+      const additionalCrew = additionalCrewCount(params.crewType);
+      const facility = Number(params.restFacility);
+      if (!Number.isFinite(additionalCrew) || !Number.isFinite(facility)) {
+        throw new Error('Select the crew complement and rest facility class.');
+      }
+      const match = FOM_AUGMENTED_FDP_TABLE.find(row => row.additionalCrew === additionalCrew && row.facility === facility);
+      if (!match) {
+        return { maxFdp: null, detail: 'This augmentation/rest facility combination is not listed in the FOM table.' };
+      }
+      const crewLabel = `${additionalCrew} additional crew member${additionalCrew > 1 ? 's' : ''}`;
+      return {
+        maxFdp: match.max,
+        detail: `FOM augmented FDP: ${crewLabel} with ${fomFacilityLabel(facility)}.`
+      };
+    }
+    const startMinutes = parseTimeToMinutes(params.startTime);
+    const startValue = Number.isFinite(params.startMinutes) ? params.startMinutes : startMinutes;
+    const sectors = Number(params.sectors);
+    if (!Number.isFinite(startValue)) throw new Error('Enter an FDP start time in HH:MM.');
+    if (!Number.isFinite(sectors) || sectors < 1 || sectors > 6) throw new Error('Planned sectors must be between 1 and 6.');
+    const row = FOM_FDP_TABLE.find(item => startValue >= item.start && startValue <= item.end);
+    if (!row) throw new Error('Start time is outside the FOM FDP table range.');
+    const maxFdp = sectors <= 4 ? row.max14 : row.max56;
+    const sectorLabel = sectors <= 4 ? '1-4 sectors' : '5-6 sectors';
+    return {
+      maxFdp,
+      detail: `FOM unaugmented FDP: ${sectorLabel}, start time ${row.label}.`
+    };
+  }
+  const zone = params.zone === 'outside' ? 'outside' : 'inside';
+  const deadhead = params.deadhead === 'yes';
+  const tzDiff = Math.abs(Number(params.timezoneDiff));
+  const tzOver4 = Number.isFinite(tzDiff) && tzDiff >= 4;
+  if (dutyType === 'augmented'){
+    const crewType = normalizeCrewType(params.crewType);
+    const facility = Number(params.restFacility);
+    if (!crewType || !Number.isFinite(facility)) {
+      throw new Error('Select the crew complement and rest facility class.');
+    }
+    const match = AUGMENTED_FDP_TABLE.find(row =>
+      row.crew === crewType && row.facility === facility && (row.zone === zone || row.zone === 'any')
+    );
+    if (!match) {
+      return { maxFdp: null, detail: 'This augmentation/rest facility combination is not listed in the table.' };
+    }
+    const maxFdp = deadhead && Number.isFinite(match.deadhead) ? match.deadhead : match.max;
+    const deadheadNote = deadhead ? ' Deadhead at end of duty day applied.' : '';
+    const zoneNote = ` ${zoneLabel(zone)}.`;
+    return {
+      maxFdp,
+      detail: `ALPA ${crewTypeLabel(crewType)} with ${match.facilityLabel}.${zoneNote}${deadheadNote}`
+    };
+  }
+  const startMinutes = parseTimeToMinutes(params.startTime);
+  const startValue = Number.isFinite(params.startMinutes) ? params.startMinutes : startMinutes;
+  const sectors = Number(params.sectors);
+  if (!Number.isFinite(startValue)) throw new Error('Enter an FDP start time in HH:MM.');
+  if (!Number.isFinite(sectors) || sectors < 1 || sectors > 6) throw new Error('Planned sectors must be between 1 and 6.');
+  if (zone === 'outside' && sectors > 2) throw new Error('Outside North American zone maximum planned legs is 2.');
+  const row = (zone === 'outside' ? FDP_MAX_TABLE_OUTSIDE : FDP_MAX_TABLE)
+    .find(item => startValue >= item.start && startValue <= item.end);
+  if (!row) throw new Error('Start time is outside the FDP table range.');
+  if (!Number.isFinite(tzDiff) || tzDiff < 0) throw new Error('Time zone difference must be zero or greater.');
+  const baseMax = zone === 'outside'
+    ? row.max
+    : (sectors <= 4
+      ? (tzOver4 ? row.max14Over4 : row.max14)
+      : (tzOver4 ? row.max56Over4 : row.max56));
+  const maxFdp = zone === 'outside'
+    ? (deadhead ? row.deadhead : row.max)
+    : (deadhead ? Math.min(baseMax + 3, 18) : baseMax);
+  const sectorLabel = zone === 'outside'
+    ? `${sectors} leg${sectors > 1 ? 's' : ''}`
+    : (sectors <= 4 ? '1-4 sectors' : '5-6 sectors');
+  const conversionNote = params.conversionNote ? ` ${params.conversionNote}` : '';
+  const zoneNote = zone === 'outside' ? ' Table B (outside North American zone).' : ' Table A (inside North American zone).';
+  const tzNote = Number.isFinite(tzDiff)
+    ? ` Time zone difference ${formatHoursValue(tzDiff)} hrs (${tzOver4 ? '≥4' : '<4'} column).`
+    : '';
+  const deadheadNote = deadhead && zone === 'inside'
+    ? ' Deadhead at end of duty day adds up to 3 hours (cap 18).'
+    : (deadhead && zone === 'outside' ? ' Deadhead at end of duty day (Table D) applied.' : '');
+  return {
+    maxFdp,
+    detail: `ALPA unaugmented FDP, ${sectorLabel}, start time ${row.label} (home base local).${zoneNote}${tzNote}${deadheadNote}${conversionNote}`
+  };
+}
+
+function computeRestRequirement(params){
+  const dutyType = params.dutyType || 'unaugmented';
+  const endsHome = params.endsHome === 'home';
+  const fdpDuration = Number(params.fdpDuration);
+  const tzDiff = Math.abs(Number(params.timezoneDiff));
+  const awayHours = Number(params.awayHours);
+  const encroachWOCL = params.encroachWOCL === 'yes';
+  const disruptive = params.disruptive === 'yes';
+  const uocOver = Number(params.uocOver);
+
+  if (!Number.isFinite(fdpDuration) || fdpDuration < 0) throw new Error('FDP duration must be zero or greater.');
+  if (!Number.isFinite(tzDiff) || tzDiff < 0) throw new Error('Time zone difference must be zero or greater.');
+  if (!Number.isFinite(awayHours) || awayHours < 0) throw new Error('Time away from home base must be zero or greater.');
+  if (!Number.isFinite(uocOver) || uocOver < 0) throw new Error('UOC overage must be zero or greater.');
+
+  let baseHours = null;
+  let baseNights = null;
+  let basis = '';
+
+  if (dutyType === 'augmented'){
+    const minBase = endsHome ? 16 : 14;
+    baseHours = Math.max(fdpDuration, minBase);
+    basis = `Augmented FDP rest: max of FDP duration and ${minBase} hours${endsHome ? ' when ending at home base' : ''}.`;
+  } else if (endsHome){
+    if (tzDiff < 4 || awayHours <= 36){
+      baseHours = 12;
+      basis = 'Normal rest at home base: 12 hours total or 10 hours in suitable accommodation.';
+    } else if (tzDiff === 4){
+      baseHours = 13;
+      basis = 'Home base return with a 4-hour time zone difference and >36 hours away.';
+    } else if (tzDiff > 4 && tzDiff <= 10){
+      baseNights = (awayHours <= 60 && !encroachWOCL) ? 1 : 2;
+      basis = 'Home base return with >4 to 10 hours time zone difference.';
+    } else if (tzDiff > 10){
+      baseNights = awayHours <= 60 ? 2 : 3;
+      basis = 'Home base return with >10 hours time zone difference.';
+    }
+  } else {
+    if (tzDiff < 4){
+      baseHours = 10;
+      basis = 'Normal rest away from home base (<4 hour time zone difference).';
+    } else if (tzDiff === 4){
+      baseHours = 11;
+      basis = 'Away from home base with a 4-hour time zone difference.';
+    } else {
+      baseHours = 14;
+      basis = 'Away from home base with >4 hour time zone difference.';
+    }
+  }
+
+  if (baseHours === null && baseNights === null){
+    throw new Error('Unable to determine rest requirement from the provided inputs.');
+  }
+
+  const notes = [];
+  if (dutyType === 'unaugmented' && disruptive){
+    notes.push('Disruptive schedule requires a local night’s rest in addition to the minimum rest.');
+  }
+
+  let minimumText = '';
+  let minimumHours = null;
+  if (baseNights !== null){
+    minimumText = `${baseNights} local night${baseNights > 1 ? 's' : ''} rest`;
+    if (uocOver > 0){
+      notes.push(`UOC adds at least ${formatHoursValue(uocOver)} hours in addition to the local night’s rest.`);
+    }
+  } else {
+    minimumHours = baseHours;
+    if (uocOver > 0){
+      minimumHours += uocOver;
+      notes.push(`UOC adds ${formatHoursValue(uocOver)} hours to the minimum rest.`);
+    }
+    minimumText = `${formatHoursValue(minimumHours)} hours`;
+  }
+
+  // minimumHours is null when the rest is counted in local nights.
+  return { minimumText, minimumHours, minimumNights: baseNights, basis, notes };
+}
+
+// Under Node, register the packs in rules/ the way loadRulePacks does in the browser.
+if (typeof module !== 'undefined' && module.exports){
+  const fs = require('fs');
+  const path = require('path');
+  const readRuleFile = file => JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+  const ruleIndex = readRuleFile(RULE_PACK_INDEX);
+  registerRulePacks(ruleIndex.packs.map(file => readRuleFile(`rules/${file}`)), readRuleFile(RULE_PACK_SCHEMA));
+
+  module.exports = {
+    DEFAULT_DOH, PROGRESSION, SWITCH, PROVINCES,
+    FDP_MAX_TABLE, FDP_MAX_TABLE_OUTSIDE, AUGMENTED_FDP_TABLE, FOM_FDP_TABLE, FOM_AUGMENTED_FDP_TABLE,
+    PAY_TABLES, PROJECTION_SCENARIOS, SLOPE_SCENARIOS, PROJECTION_YEARS,
+    getProjectionRates, getSlopeScenario, rebuildProjections, getContractPayYears, getProjectedYears,
+    RULE_PACK_INDEX, RULE_PACK_SCHEMA, validateRuleSchema, registerRulePacks, listRulePacks,
+    getRulePack, getTaxRules, getContractRules, getRulePackYears, hasTaxRules,
+    clampStep, federalBPA, provincialBPA, taxFromBrackets, marginalRate,
+    getPensionRules, pensionContributionRate, pensionRateOnDate, pensionRateForStep, advanceGrossForSeatStep, stepOnJan1,
+    rateFor, contractPackRate, yearSegments, daysInclusive, money, computeCPP_EI_Daily,
+    computeUnionDuesMonthly, getTaxDataForYear, provincialHealthPremium, computeIncomeTaxWithCredits, computeChequeTax, computeChequeCPP_EI,
+    PAY_PERIODS_PER_YEAR, WITHHOLDING_METHODS, normalizeTd1Claim, computeT4127ChequeTax,
+    computeAnnual, computeVO, computeMonthly, MONTHLY_REGULAR_MINUTES, splitMonthlyCredit, projectMonthlyPay, computeRetroPay,
+    CAREER_DEFAULTS, stepOnServiceDate, getForecastTaxRules, careerPayRate, computeCareerForecast, compareCareerPaths,
+    RRSP_EARNED_INCOME_RATE, computePensionAdjustment, computeRrspRoom, estimateDefinedBenefitPension,
+    RRSP_OVER_CONTRIBUTION_ALLOWANCE, computeRegisteredRoom, suggestRrspContribution,
+    ESOP_TERMS, computeEsopPosition,
+    SCENARIO_SHARE_VERSION, SCENARIO_COMPARE_MAX, SCENARIO_KINDS, normalizeScenario, compareScenarios,
+    encodeScenarioShare, decodeScenarioShare, parseScenarioFile,
+    PAYROLL_LEDGER_FIELDS, sumPayrollLedger, computeCumulativeCPP_EI, estimatePayrollYearEnd,
+    PAY_STATEMENT_LINES, parsePayStatementLine, parsePayStatementText, reconcilePayStatement,
+    parseTimeToMinutes, formatHoursValue, normalizeCrewType, crewTypeLabel, additionalCrewCount,
+    computeMaxDuty, computeRestRequirement
+  };
+}
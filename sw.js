@@ -1,9 +1,17 @@
 // sw.js
-const CACHE = 'acpay-v591'; // ⬅️ bump this (v2, v3, ...) whenever you change assets
+const CACHE = 'acpay-v626'; // ⬅️ bump this (v2, v3, ...) whenever you change assets
 const ASSETS = [
   './',
   './index.html',
+  './pay-core.js',
+  './calendar-schema.js',
   './app.js',
+  './rules/index.json',
+  './rules/schema.json',
+  './rules/contract-2023.json',
+  './rules/tax-2025.json',
+  './rules/tax-2026.json',
+  './rules/tax-2027-projected.json',
   './manifest.webmanifest',
   './air-canada-a321.svg',
   './icons/icon-192-red.png',
@@ -42,6 +50,22 @@ self.addEventListener('fetch', event => {
     event.respondWith(fetch(event.request));
     return;
   }
+  // Rule packs are network-first so a new tax year or pay table reaches
+  // installed apps without a cache bump; the cached copy covers offline use.
+  if (url.pathname.includes('/rules/')) {
+    event.respondWith(
+      fetch(event.request)
+        .then(resp => {
+          if (resp.ok) {
+            const copy = resp.clone();
+            caches.open(CACHE).then(c => c.put(event.request, copy));
+          }
+          return resp;
+        })
+        .catch(() => caches.match(event.request, { ignoreSearch: true }))
+    );
+    return;
+  }
   event.respondWith(
     caches.match(event.request).then(hit =>
       hit ||
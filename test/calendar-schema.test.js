@@ -0,0 +1,63 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../calendar-schema.js');
+
+const EMPTY_V1 = { eventsByDate: {}, months: [], selectedMonth: '2025-07' };
+
+// One record per version as it was stored, plus one already at the current shape.
+const RECORDS = {
+  v1: { ...EMPTY_V1, blockMonthStartKey: '2025-07-02', blockMonthEndKey: '2025-07-31', pairingDisplayMode: 'bar' },
+  v2: { ...EMPTY_V1, blockMonthsByMonthKey: { '2025-07': { startKey: '2025-07-02', endKey: '2025-07-31' } }, blockMonthRecurring: {} },
+  v3: { ...EMPTY_V1, blockMonthsByMonthKey: {}, blockMonthRecurring: { 1: { startDay: 2 } }, hotels: [{ id: 'h1', name: 'Hotel', startKey: '2025-07-03' }] },
+  v4: {
+    ...EMPTY_V1, blockMonthsByMonthKey: {}, blockMonthRecurring: {}, hotels: [],
+    prefs: { pairingDisplayMode: 'classic' }, monthAnnotations: { '2025-07': { vacationCreditMinutes: 900 } }, schemaVersion: 4
+  }
+};
+
+describe('calendar schema migrations', () => {
+  for (const step of schema.CALENDAR_SCHEMA_MIGRATIONS){
+    test(`v${step.from} → v${step.from + 1} is idempotent`, () => {
+      for (const record of Object.values(RECORDS)){
+        const once = step.migrate(record);
+        assert.deepEqual(step.migrate(once), once);
+      }
+    });
+  }
+
+  test('cover every version up to the current one in order', () => {
+    assert.deepEqual(
+      schema.CALENDAR_SCHEMA_MIGRATIONS.map(step => step.from),
+      Array.from({ length: schema.CALENDAR_SCHEMA_VERSION - 1 }, (_, index) => index + 1)
+    );
+  });
+
+  test('migrateCalendarRecord is idempotent and stamps the version', () => {
+    for (const record of Object.values(RECORDS)){
+      const once = schema.migrateCalendarRecord(record);
+      assert.equal(once.schemaVersion, schema.CALENDAR_SCHEMA_VERSION);
+      assert.deepEqual(schema.migrateCalendarRecord(once), once);
+    }
+  });
+
+  test('fold the legacy block month and display mode into the v4 shape', () => {
+    const migrated = schema.migrateCalendarRecord(RECORDS.v1);
+    assert.deepEqual(migrated.blockMonthsByMonthKey, { '2025-07': { startKey: '2025-07-02', endKey: '2025-07-31' } });
+    assert.deepEqual(migrated.prefs, { pairingDisplayMode: 'bar' });
+    assert.deepEqual(migrated.hotels, []);
+    assert.deepEqual(migrated.monthAnnotations, {});
+    for (const key of ['blockMonthStartKey', 'blockMonthEndKey', 'pairingDisplayMode']){
+      assert.equal(key in migrated, false);
+    }
+  });
+
+  test('leave a current record as it is', () => {
+    assert.deepEqual(schema.migrateCalendarRecord(RECORDS.v4), RECORDS.v4);
+  });
+
+  test('refuse a record from a newer schema', () => {
+    assert.throws(() => schema.migrateCalendarRecord({ ...RECORDS.v4, schemaVersion: 99 }), /Calendar schema v99 is newer/);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOT, loadApp } = require('./support/load-app.js');
+const { loadWorker, createKv } = require('./support/load-worker.js');
+
+// T4102 (Oct 1-2) and T4388 (Oct 4-6), each with the schedule header.
+const [T4102, T4388] = fs.readFileSync(path.join(ROOT, 'test', 'fixtures', 'schedules', 'pairing-layover.txt'), 'utf8')
+  .split('=====\n');
+const HEADER = T4102.split('\n')[0] + '\n';
+const SYNC_TOKEN = 'sync-secret';
+const CALENDAR_KEY = 'calendar:default';
+const OCTOBER_BLOCK = { startKey: '2025-10-01', endKey: '2025-10-31' };
+
+describe('calendar month annotations', () => {
+  let app;
+  beforeEach(() => {
+    app = loadApp();
+  });
+
+  test('gather vacation credit and pay check VO and ESOP by month', () => {
+    app.localStorage.setItem('acpay.calendar.vacationCredit.2025-07', '1260');
+    app.localStorage.setItem('acpay.calendar.payCheck.2025-07', JSON.stringify({ advanceText: 'ADVANCE', voMinutes: 150, esopPct: 6 }));
+    app.localStorage.setItem('acpay.calendar.payCheck.2025-08', JSON.stringify({ advanceText: 'ADVANCE' }));
+    assert.deepEqual(JSON.parse(JSON.stringify(app.getCalendarMonthAnnotations())), {
+      '2025-07': { vacationCreditMinutes: 1260, voMinutes: 150, esopPct: 6 }
+    });
+  });
+
+  test('replace local annotations with the synced copy and keep statement text', () => {
+    app.localStorage.setItem('acpay.calendar.vacationCredit.2025-06', '600');
+    app.localStorage.setItem('acpay.calendar.payCheck.2025-07', JSON.stringify({ advanceText: 'ADVANCE', voMinutes: 30 }));
+    app.applyCalendarMonthAnnotations({ '2025-07': { vacationCreditMinutes: 900, voMinutes: 90 } });
+    assert.equal(app.localStorage.getItem('acpay.calendar.vacationCredit.2025-06'), null);
+    assert.equal(app.getCalendarVacationCreditMinutes('2025-07'), 900);
+    const draft = app.getCalendarPayCheckDraft('2025-07');
+    assert.equal(draft.advanceText, 'ADVANCE');
+    assert.equal(draft.voMinutes, 90);
+  });
+});
+
+describe('calendar sync conflicts', () => {
+  let worker;
+  let env;
+  before(async () => {
+    worker = await loadWorker();
+  });
+  beforeEach(() => {
+    env = { SYNC_TOKEN, AC_PAY_CALENDAR: createKv() };
+  });
+
+  // A device syncing to the worker, with its pairings parsed onto the calendar.
+  function createDevice(...schedules){
+    const app = loadApp();
+    app.console = { ...console, info(){} };
+    app.scheduleCalendarAutoSync = () => {};
+    app.fetch = (url, init) => worker.fetch(new Request(url, init), env, { waitUntil(){} });
+    app.localStorage.setItem('acpay.calendar.sync.endpoint', 'https://sync.example/sync/calendar');
+    app.localStorage.setItem('acpay.calendar.sync.token', SYNC_TOKEN);
+    schedules.forEach(text => app.applyParsedScheduleToCalendar(app.parsePastedScheduleText(text)));
+    return app;
+  }
+  const calendarOf = app => vm.runInContext('calendarState', app);
+  const stored = () => JSON.parse(env.AC_PAY_CALENDAR.store.get(CALENDAR_KEY));
+  // Another device's PUT, straight into the store under a new ETag.
+  const editOnServer = changes => env.AC_PAY_CALENDAR.put(CALENDAR_KEY, JSON.stringify({ ...stored(), ...changes, etag: 'other-device' }));
+
+  test('keeps a block month edited on the server when a 412 is merged', async () => {
+    const phone = createDevice(T4102);
+    calendarOf(phone).blockMonthsByMonthKey = { '2025-10': OCTOBER_BLOCK };
+    await phone.syncCalendarToCloud();
+    await editOnServer({ blockMonthsByMonthKey: { '2025-10': { startKey: '2025-09-30', endKey: '2025-10-30' } } });
+    phone.applyParsedScheduleToCalendar(phone.parsePastedScheduleText(HEADER + T4388));
+    calendarOf(phone).blockMonthsByMonthKey = { ...calendarOf(phone).blockMonthsByMonthKey, '2025-11': { startKey: '2025-10-31', endKey: null } };
+    const result = await phone.syncCalendarToCloud();
+    assert.equal(result.statusMessage, 'Merged changes from the cloud and synced.');
+    const record = stored();
+    assert.deepEqual(record.blockMonthsByMonthKey, {
+      '2025-10': { startKey: '2025-09-30', endKey: '2025-10-30' },
+      '2025-11': { startKey: '2025-10-31', endKey: null }
+    });
+    assert.ok(record.eventsByDate['2025-10-01'] && record.eventsByDate['2025-10-04']);
+    assert.deepEqual({ ...calendarOf(phone).blockMonthsByMonthKey['2025-10'] }, { startKey: '2025-09-30', endKey: '2025-10-30' });
+  });
+
+  test('merges month annotations and prefs from the server by month when a 412 is merged', async () => {
+    const phone = createDevice(T4102);
+    phone.localStorage.setItem('acpay.calendar.vacationCredit.2025-09', '600');
+    await phone.syncCalendarToCloud();
+    await editOnServer({
+      prefs: { pairingDisplayMode: 'bar' },
+      monthAnnotations: { ...stored().monthAnnotations, '2025-10': { vacationCreditMinutes: 1260 } }
+    });
+    phone.applyParsedScheduleToCalendar(phone.parsePastedScheduleText(HEADER + T4388));
+    phone.localStorage.setItem('acpay.calendar.payCheck.2025-09', JSON.stringify({ voMinutes: 90 }));
+    await phone.syncCalendarToCloud();
+    const record = stored();
+    assert.deepEqual(record.monthAnnotations, {
+      '2025-09': { vacationCreditMinutes: 600, voMinutes: 90 },
+      '2025-10': { vacationCreditMinutes: 1260 }
+    });
+    assert.deepEqual(record.prefs, { pairingDisplayMode: 'bar' });
+    assert.equal(phone.getCalendarVacationCreditMinutes('2025-10'), 1260);
+    assert.equal(vm.runInContext('calendarPairingDisplayMode', phone), 'bar');
+  });
+
+  test('reads the server before the first push from a device with no ETag', async () => {
+    const ipad = createDevice(T4102);
+    calendarOf(ipad).blockMonthsByMonthKey = { '2025-10': OCTOBER_BLOCK };
+    await ipad.syncCalendarToCloud();
+    const phone = createDevice(HEADER + T4388);
+    await phone.syncCalendarToCloud();
+    const record = stored();
+    assert.ok(record.eventsByDate['2025-10-01'] && record.eventsByDate['2025-10-04']);
+    assert.deepEqual(record.blockMonthsByMonthKey, { '2025-10': OCTOBER_BLOCK });
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const HIRE_2020 = new Date('2020-01-01T00:00:00Z');
+const FO_320 = [{ from: '2020-01-01', seat: 'FO', ac: '320' }];
+
+describe('stepOnServiceDate', () => {
+  test('first progression is the year after the first Nov 5 on or after hire', () => {
+    const hire = new Date('2024-08-07T00:00:00Z');
+    assert.equal(core.stepOnServiceDate(hire, new Date(Date.UTC(2025, 10, 4))), 1);
+    assert.equal(core.stepOnServiceDate(hire, new Date(Date.UTC(2025, 10, 5))), 2);
+  });
+
+  test('stops at step 12', () => {
+    assert.equal(core.stepOnServiceDate(HIRE_2020, new Date(Date.UTC(2045, 0, 1))), 12);
+  });
+
+  test('a step override wins', () => {
+    assert.equal(core.stepOnServiceDate(HIRE_2020, new Date(Date.UTC(2045, 0, 1)), 4), 4);
+  });
+});
+
+describe('careerPayRate', () => {
+  test('grows the last pay table past the projected years', () => {
+    const lastYear = Math.max(...Object.keys(core.PAY_TABLES).map(Number));
+    const last = core.rateFor('CA', '787', lastYear, 12, false);
+    assert.equal(core.careerPayRate('CA', '787', lastYear, 12, false, 0.03), last);
+    assert.ok(Math.abs(core.careerPayRate('CA', '787', lastYear + 2, 12, false, 0.03) - last * 1.03 * 1.03) < 1e-9);
+  });
+});
+
+describe('computeCareerForecast', () => {
+  const options = { hireDate: HIRE_2020, province: 'ON', avgMonthlyHours: 80 };
+
+  test('one calendar year matches the Annual computation', () => {
+    const forecast = core.computeCareerForecast({ ...options, path: FO_320, startDate: '2026-01-01', retireDate: '2026-12-31' });
+    const annual = core.computeAnnual({
+      seat: 'FO', ac: '320', year: 2026, stepInput: 6, tieOn: false, xlrOn: false,
+      province: 'ON', avgMonthlyHours: 80, esopPct: 0, hireDate: HIRE_2020
+    });
+    const [year] = forecast.years;
+    assert.equal(year.step, 7);
+    assert.equal(year.gross, +annual.gross.toFixed(2));
+    assert.equal(year.pension_contributions, +annual.pension.toFixed(2));
+    assert.equal(year.tax, +annual.tax.toFixed(2));
+  });
+
+  test('switches seat and fleet on the change date', () => {
+    const path = [...FO_320, { from: '2027-07-01', seat: 'CA', ac: '320' }];
+    const forecast = core.computeCareerForecast({ ...options, path, startDate: '2026-01-01', retireDate: '2028-12-31' });
+    assert.deepEqual(forecast.years.map(year => year.seat), ['FO', 'CA', 'CA']);
+    assert.ok(forecast.years[1].gross > forecast.years[0].gross * 1.3);
+  });
+
+  test('caps each year of pension at the defined benefit limit', () => {
+    const path = [{ from: '2020-01-01', seat: 'CA', ac: '777' }];
+    const forecast = core.computeCareerForecast({ ...options, path, startDate: '2025-01-01', retireDate: '2025-12-31', pensionAccrualRate: 0.5 });
+    assert.equal(+(forecast.annual_pension - forecast.prior_pension).toFixed(2), core.getTaxRules(2025).registered.db_limit);
+  });
+
+  test('credits the service from hire to the start date', () => {
+    const forecast = core.computeCareerForecast({ ...options, path: FO_320, startDate: '2026-01-01', retireDate: '2026-12-31' });
+    const [year] = forecast.years;
+    const service = (Date.UTC(2026, 0, 1) - HIRE_2020.getTime()) / 86400000 / 365.2425;
+    assert.equal(forecast.prior_service, +service.toFixed(2));
+    assert.ok(Math.abs(forecast.prior_pension - 0.02 * year.gross * service) < 0.01);
+    assert.equal(forecast.annual_pension, +(forecast.prior_pension + year.pension_earned).toFixed(2));
+  });
+
+  test('holds the step override', () => {
+    const forecast = core.computeCareerForecast({ ...options, path: FO_320, startDate: '2026-01-01', retireDate: '2027-12-31', stepOverride: 3 });
+    assert.deepEqual(forecast.years.map(year => year.step), [3, 3]);
+  });
+
+  test('indexes tax brackets from the pack year so tax on the same real income stays level', () => {
+    const flat = core.computeCareerForecast({ ...options, path: FO_320, startDate: '2040-01-01', retireDate: '2040-12-31', taxIndexation: 0, longRunGrowth: 0 });
+    const indexed = core.computeCareerForecast({ ...options, path: FO_320, startDate: '2040-01-01', retireDate: '2040-12-31', taxIndexation: 0.02, longRunGrowth: 0 });
+    assert.ok(indexed.years[0].tax < flat.years[0].tax);
+  });
+
+  test('refuses a retirement date before the start', () => {
+    assert.throws(() => core.computeCareerForecast({ ...options, path: FO_320, startDate: '2030-01-01', retireDate: '2029-01-01' }), /Retirement must come after the start date/);
+  });
+});
+
+describe('compareCareerPaths', () => {
+  test('reports each path against the first', () => {
+    const results = core.compareCareerPaths({
+      paths: [
+        { label: 'Hold FO widebody', path: [{ from: '2020-01-01', seat: 'FO', ac: '787' }] },
+        { label: 'Upgrade early', path: [{ from: '2020-01-01', seat: 'FO', ac: '787' }, { from: '2026-06-01', seat: 'CA', ac: '320' }] }
+      ],
+      hireDate: HIRE_2020,
+      startDate: '2026-01-01',
+      retireDate: '2030-12-31',
+      province: 'ON'
+    });
+    assert.deepEqual(results[0].difference, { net: 0, annual_pension: 0 });
+    assert.equal(results[1].difference.net, +(results[1].net - results[0].net).toFixed(2));
+    assert.ok(results[1].difference.net > 0);
+  });
+});
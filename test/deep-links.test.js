@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./support/load-app.js');
+
+describe('deep link hashes', () => {
+  let app;
+  before(() => {
+    app = loadApp();
+  });
+
+  test('round-trip a view and its inputs', () => {
+    const hash = app.buildDeepLinkHash('annual', { seat: 'CA', ac: '787', step: '7', tie: '1', hrs: '82.5' });
+    assert.match(hash, /^#v=1&view=annual&/);
+    const link = app.parseDeepLinkHash(hash);
+    assert.equal(link.view, 'annual');
+    assert.deepEqual({ ...link.values }, { seat: 'CA', ac: '787', step: '7', tie: '1', hrs: '82.5' });
+  });
+
+  test('keep offsets and airport codes on the weather view', () => {
+    const hash = app.buildDeepLinkHash('weather', { dep: 'CYYZ', arr: 'EGLL', depHrs: '1', arrHrs: '8' });
+    assert.deepEqual({ ...app.parseDeepLinkHash(hash).values }, { dep: 'CYYZ', arr: 'EGLL', depHrs: '1', arrHrs: '8' });
+  });
+
+  test('ignore keys the view does not carry', () => {
+    const link = app.parseDeepLinkHash('#v=1&view=vo&seat=FO&colour=blue&hrs=5');
+    assert.deepEqual({ ...link.values }, { seat: 'FO', hrs: '5' });
+  });
+
+  test('refuse other hashes, newer versions and unknown views', () => {
+    assert.equal(app.parseDeepLinkHash(''), null);
+    assert.equal(app.parseDeepLinkHash('#scenarios=abc'), null);
+    assert.equal(app.parseDeepLinkHash('#v=2&view=annual'), null);
+    assert.equal(app.parseDeepLinkHash('#v=1&view=toString'), null);
+  });
+});
+
+describe('applying a Monthly link', () => {
+  let app;
+  let elements;
+  // Inputs that keep their value and run their listeners, for every element id.
+  function createElement(id){
+    const listeners = {};
+    return {
+      id,
+      tagName: 'INPUT',
+      type: id === 'modern-mon-from-calendar' ? 'checkbox' : 'text',
+      value: '',
+      checked: false,
+      readOnly: false,
+      textContent: '',
+      innerHTML: '',
+      style: {},
+      classList: { add(){}, remove(){}, toggle(){}, contains(){ return false; } },
+      setAttribute(){},
+      querySelectorAll: () => [],
+      addEventListener(type, listener){ (listeners[type] ||= []).push(listener); },
+      dispatchEvent(event){ (listeners[event.type] || []).forEach(listener => listener(event)); }
+    };
+  }
+  function applyMonthlyLink(savedMode, hash){
+    app = loadApp();
+    elements = new Map();
+    app.document.getElementById = id => {
+      if (!elements.has(id)) elements.set(id, createElement(id));
+      return elements.get(id);
+    };
+    app.Event = function Event(type){ this.type = type; };
+    app.saveMonthlyCalendarMode(savedMode);
+    app.initMonthlyCalendarMode();
+    app.applyDeepLink(app.parseDeepLinkHash(hash));
+  }
+
+  test('keeps the linked hours when the recipient uses From Calendar', () => {
+    applyMonthlyLink({ on: true, month: '2025-10' }, '#v=1&view=monthly&seat=FO&ac=787&year=2026&step=6&prov=ON&hrs=85&mins=30&vo=4&tafb=120');
+    assert.equal(elements.get('modern-mon-hrs').value, '85');
+    assert.equal(elements.get('modern-mon-mins').value, '30');
+    assert.equal(elements.get('modern-mon-vo').value, '4');
+    assert.equal(elements.get('modern-mon-hrs').readOnly, false);
+    assert.equal(elements.get('modern-mon-from-calendar').checked, false);
+    app.refreshMonthlyFromCalendar();
+    assert.equal(elements.get('modern-mon-hrs').value, '85');
+    assert.deepEqual({ ...app.loadMonthlyCalendarMode() }, { on: true, month: '2025-10' });
+  });
+
+  test('does not turn on From Calendar for the recipient', () => {
+    applyMonthlyLink({ on: false, month: '' }, '#v=1&view=monthly&seat=FO&ac=787&year=2026&step=6&prov=ON&hrs=85&mins=30&cal=1&calMonth=2025-10');
+    assert.equal(elements.get('modern-mon-hrs').value, '85');
+    assert.equal(elements.get('modern-mon-from-calendar').checked, false);
+    assert.deepEqual({ ...app.loadMonthlyCalendarMode() }, { on: false, month: '' });
+  });
+});
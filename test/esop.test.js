@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const LOTS = [
+  { month: '2024-01', employee: 1000, price: 20 },
+  { month: '2024-02', employee: 1000, price: 25 }
+];
+
+describe('computeEsopPosition', () => {
+  test('adds the employer match in shares and puts the taxable benefit in the ACB', () => {
+    const position = core.computeEsopPosition({ lots: LOTS, asOf: '2024-06-01' });
+    assert.equal(position.lots[0].employee_shares, 50);
+    assert.equal(position.lots[0].employer_shares, 15);
+    assert.equal(position.lots[0].benefit, 300);
+    assert.equal(position.shares, 117);
+    assert.equal(position.acb, 2600);
+    assert.equal(position.unvested_shares, 27);
+    assert.deepEqual(position.by_year, [{ year: 2024, employee: 2000, benefit: 600, proceeds: 0, acb: 0, gain: 0 }]);
+  });
+
+  test('costs a sale at the pooled average ACB', () => {
+    const position = core.computeEsopPosition({
+      lots: LOTS,
+      sales: [{ date: '2025-03-01', shares: 100, price: 30, commission: 10 }],
+      price: 28,
+      asOf: '2025-06-01'
+    });
+    const [sale] = position.sales;
+    assert.equal(sale.proceeds, 2990);
+    assert.equal(sale.acb, +(2600 * 100 / 117).toFixed(2));
+    assert.equal(sale.gain, +(2990 - 2600 * 100 / 117).toFixed(2));
+    assert.equal(position.shares, 17);
+    assert.equal(position.market_value, 476);
+    assert.equal(position.by_year[1].gain, sale.gain);
+  });
+
+  test('refuses to sell employer shares before they vest', () => {
+    assert.throws(() => core.computeEsopPosition({
+      lots: LOTS,
+      sales: [{ date: '2024-06-01', shares: 100, price: 30 }]
+    }), /Only 90\.0000 vested shares are held on 2024-06-01/);
+  });
+
+  test('warns when contributions in a year go over the annual cap', () => {
+    const lots = Array.from({ length: 12 }, (unused, index) => ({ month: `2024-${String(index + 1).padStart(2, '0')}`, employee: 2600, price: 20 }));
+    const position = core.computeEsopPosition({ lots: [...lots, { month: '2025-01', employee: 2600, price: 20 }], asOf: '2025-06-01' });
+    assert.equal(position.by_year[0].employee, 31200);
+    assert.equal(position.lots[11].employee, 2600);
+    assert.deepEqual(position.warnings, [`2024: ESOP contributions are ${core.money(1200)} over the ${core.money(30000)} annual cap`]);
+    assert.deepEqual(core.computeEsopPosition({ lots: LOTS, asOf: '2024-06-01' }).warnings, []);
+  });
+
+  test('needs a price for each purchase', () => {
+    assert.throws(() => core.computeEsopPosition({ lots: [{ month: '2024-01', employee: 1000 }] }), /share price for 2024-01/);
+  });
+});
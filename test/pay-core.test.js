@@ -0,0 +1,618 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const HIRE_2020 = new Date('2020-01-01T00:00:00Z');
+
+function approx(actual, expected, tolerance = 0.005){
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+function minutesToTime(minutes){
+  return `${String(Math.floor(minutes / 60)).padStart(2,'0')}:${String(minutes % 60).padStart(2,'0')}`;
+}
+
+describe('rateFor', () => {
+  const cases = [
+    [2023, 'CA', '777', 12, 408.27],
+    [2024, 'CA', '777', 12, 424.6],
+    [2025, 'CA', '777', 12, 441.57],
+    [2026, 'CA', '777', 12, 459.25],
+    [2025, 'CA', '737', 5, 302.33],
+    [2026, 'CA', '737', 5, 314.43],
+    [2023, 'FO', '320', 3, 115.07],
+    [2025, 'FO', '320', 3, 124.46],
+    [2026, 'FO', '220', 1, 94.62],
+    [2024, 'RP', '787', 1, 87.48],
+    [2025, 'RP', '787', 1, 90.98]
+  ];
+  for (const [year, seat, ac, step, expected] of cases){
+    test(`${year} ${seat} ${ac} step ${step}`, () => {
+      assert.equal(core.rateFor(seat, ac, year, step, false), expected);
+    });
+  }
+
+  test('projected years follow the realistic scenario', () => {
+    assert.equal(core.rateFor('CA', '777', 2027, 12, false), 505.18);
+    assert.equal(core.rateFor('FO', '320', 2027, 3, false), 170.69);
+    assert.equal(core.rateFor('CA', '777', 2031, 12, false), 602.43);
+    assert.equal(core.rateFor('RP', '787', 2031, 1, false), 124.12);
+  });
+
+  test('clamps steps to 1-12', () => {
+    assert.equal(core.rateFor('CA', '777', 2025, 15, false), core.rateFor('CA', '777', 2025, 12, false));
+    assert.equal(core.rateFor('FO', '320', 2025, 0, false), core.rateFor('FO', '320', 2025, 1, false));
+  });
+
+  test('adds the XLR premium on the 320 except for FO steps 1-2', () => {
+    approx(core.rateFor('CA', '320', 2025, 4, true), 301.78);
+    approx(core.rateFor('FO', '320', 2025, 3, true), 126.92);
+    assert.equal(core.rateFor('FO', '320', 2025, 2, true), core.rateFor('FO', '320', 2025, 2, false));
+  });
+
+  test('rejects RP on narrow-body fleets and missing years', () => {
+    assert.throws(() => core.rateFor('RP', '320', 2025, 1, false), /RP seat only/);
+    assert.throws(() => core.rateFor('CA', '777', 2019, 1, false), /Missing pay table/);
+  });
+});
+
+describe('yearSegments', () => {
+  test('switches pay table on Sep 30 and steps up on the progression date', () => {
+    const segs = core.yearSegments(2025, 3);
+    assert.deepEqual(segs.map(seg => ({
+      start: seg.start.toISOString().slice(0, 10),
+      end: seg.end.toISOString().slice(0, 10),
+      payYear: seg.payYear,
+      step: seg.step
+    })), [
+      { start: '2025-01-01', end: '2025-09-29', payYear: 2024, step: 3 },
+      { start: '2025-09-30', end: '2025-11-04', payYear: 2025, step: 3 },
+      { start: '2025-11-05', end: '2025-12-31', payYear: 2025, step: 4 }
+    ]);
+  });
+
+  test('does not step past 12', () => {
+    assert.equal(core.yearSegments(2026, 12)[2].step, 12);
+  });
+
+  test('segments cover every day of the year once', () => {
+    const days = core.yearSegments(2024, 1).reduce((sum, seg) => sum + core.daysInclusive(seg.start, seg.end), 0);
+    assert.equal(days, 366);
+  });
+});
+
+describe('computeCPP_EI_Daily', () => {
+  const highEarner = { year: 2025, seat: 'CA', ac: '777', stepJan1: 12, xlrOn: false, avgMonthlyHours: 80 };
+  const lowEarner = { year: 2025, seat: 'FO', ac: '220', stepJan1: 1, xlrOn: false, avgMonthlyHours: 40 };
+
+  test('caps CPP at base plus CPP2 maximum and EI at the maximum premium', () => {
+    const res = core.computeCPP_EI_Daily({ ...highEarner, province: 'ON' });
+    assert.equal(res.cpp_total, 4430.1);
+    const { cpp } = core.getTaxRules(2025);
+    assert.equal(res.cpp_total, cpp.max_base + cpp.max_cpp2);
+    assert.equal(res.ei, 1077.48);
+  });
+
+  test('caps QPP and the Quebec EI premium', () => {
+    const res = core.computeCPP_EI_Daily({ ...highEarner, province: 'QC' });
+    assert.equal(res.cpp_total, 4735.2);
+    assert.equal(res.ei, 860.67);
+  });
+
+  test('stays under the caps below the YMPE', () => {
+    assert.deepEqual(core.computeCPP_EI_Daily({ ...lowEarner, province: 'ON' }), { cpp_total: 2347.94, ei: 704.56 });
+    assert.deepEqual(core.computeCPP_EI_Daily({ ...lowEarner, province: 'QC' }), { cpp_total: 2525.51, ei: 562.79 });
+  });
+});
+
+describe('basic personal amounts', () => {
+  test('2025 federal BPA claws back between $177,882 and $253,414', () => {
+    assert.equal(core.federalBPA(2025, 100000), 16129);
+    assert.equal(core.federalBPA(2025, 177882), 16129);
+    approx(core.federalBPA(2025, 215648), 15333.5);
+    assert.equal(core.federalBPA(2025, 253414), 14538);
+    assert.equal(core.federalBPA(2025, 300000), 14538);
+  });
+
+  test('2026 federal BPA claws back between $181,440 and $258,482', () => {
+    assert.equal(core.federalBPA(2026, 181440), 16452);
+    approx(core.federalBPA(2026, 215648), 15731.36);
+    assert.equal(core.federalBPA(2026, 258482), 14829);
+    assert.equal(core.federalBPA(2030, 300000), 14829);
+  });
+
+  test('Manitoba BPA phases out between $200,000 and $400,000', () => {
+    assert.equal(core.provincialBPA(2025, 200000, 'MB'), 15780);
+    assert.equal(core.provincialBPA(2025, 300000, 'MB'), 7890);
+    assert.equal(core.provincialBPA(2025, 400000, 'MB'), 0);
+  });
+
+  test('other provinces keep the full BPA', () => {
+    assert.equal(core.provincialBPA(2025, 300000, 'ON'), 12399);
+    assert.throws(() => core.provincialBPA(2025, 100000, 'XX'), /Unsupported province/);
+  });
+});
+
+describe('computeIncomeTaxWithCredits', () => {
+  const base = { taxable: 100000, year: 2025, cpp: 4430.1, ei: 1077.48, employmentIncome: 108000 };
+
+  test('Ontario surtax applies above the first threshold of provincial tax', () => {
+    const res = core.computeIncomeTaxWithCredits({ ...base, province: 'ON' });
+    approx(res.breakdown.surtax, 0.2 * (res.breakdown.provincial_basic - 5710), 0.01);
+    assert.equal(res.breakdown.health_premium, 750);
+  });
+
+  test('Ontario Health Premium follows its tiers', () => {
+    const ohp = core.getTaxRules(2025).provincial.ON.health_premium;
+    assert.equal(core.provincialHealthPremium(20000, ohp), 0);
+    assert.equal(core.provincialHealthPremium(25000, ohp), 300);
+    assert.equal(core.provincialHealthPremium(38000, ohp), 420);
+    assert.equal(core.provincialHealthPremium(49000, ohp), 600);
+    assert.equal(core.provincialHealthPremium(250000, ohp), 900);
+  });
+
+  test('the Ontario tax reduction clears tax at low income', () => {
+    const res = core.computeIncomeTaxWithCredits({ taxable: 15000, year: 2025, province: 'ON' });
+    assert.equal(res.breakdown.low_income_reduction, res.breakdown.provincial_basic);
+    assert.equal(res.total, 0);
+  });
+
+  test('the Canada Employment Amount is limited to employment income', () => {
+    assert.equal(core.computeIncomeTaxWithCredits({ ...base, province: 'ON' }).breakdown.cea, 1471);
+    assert.equal(core.computeIncomeTaxWithCredits({ ...base, province: 'ON', employmentIncome: 900 }).breakdown.cea, 900);
+  });
+
+  test('Quebec gets the federal abatement and the deduction for workers, without a QPP/EI credit', () => {
+    const res = core.computeIncomeTaxWithCredits({ ...base, province: 'QC', cpp: 4735.2, ei: 860.67 });
+    approx(res.breakdown.qc_abatement, res.breakdown.federal_basic * 0.165, 0.01);
+    approx(res.federal, res.breakdown.federal_basic * 0.835, 0.01);
+    assert.equal(res.breakdown.employment_deduction, 1460);
+    const noCredits = core.computeIncomeTaxWithCredits({ ...base, province: 'QC', cpp: 0, ei: 0 });
+    assert.equal(noCredits.provincial, res.provincial);
+  });
+});
+
+describe('computeAnnual', () => {
+  const params = {
+    seat: 'FO', ac: '320', year: 2025, stepInput: 3, tieOn: false, xlrOn: false,
+    avgMonthlyHours: 80, province: 'ON', esopPct: 10, rrsp: 0, hireDate: HIRE_2020
+  };
+
+  test('produces the golden annual figures', () => {
+    const res = core.computeAnnual(params);
+    assert.deepEqual(res.audit.map(row => [row.pay_table_year, row.step, row.hourly, row.days]), [
+      [2024, 3, 119.67, 272],
+      [2025, 3, 124.46, 36],
+      [2025, 4, 133.2, 57]
+    ]);
+    assert.equal(res.gross, 117287.21);
+    assert.equal(res.net, 73658.13);
+    assert.equal(res.tax, 23517.35);
+    assert.equal(res.cpp, 4430.1);
+    assert.equal(res.ei, 1077.48);
+    assert.equal(res.pension, 8210.1);
+    assert.equal(res.union_annual, 2169.82);
+  });
+
+  test('adds the Ontario surtax and Health Premium to provincial tax', () => {
+    const res = core.computeAnnual(params);
+    assert.deepEqual(res.tax_detail, {
+      cea: 1471,
+      federal_basic: 15540.17,
+      qc_abatement: 0,
+      employment_deduction: 0,
+      provincial_basic: 6974.32,
+      surtax: 252.86,
+      low_income_reduction: 0,
+      health_premium: 750
+    });
+    approx(res.tax, res.tax_federal + res.tax_provincial, 0.01);
+  });
+
+  test('uses the hire date passed in for the pension rate', () => {
+    const junior = core.computeAnnual({ ...params, hireDate: new Date('2024-08-07T00:00:00Z') });
+    assert.ok(junior.pension < core.computeAnnual(params).pension);
+  });
+});
+
+describe('computeMonthly', () => {
+  const params = {
+    seat: 'FO', ac: '320', year: 2025, stepInput: 3, tieOn: false, xlrOn: false, province: 'ON',
+    creditH: 90, creditM: 30, voCredits: 5, voCreditMinutes: 0, tafb: 200, esopPct: 10, adv: 5000,
+    maxcpp: false, hireDate: HIRE_2020, asOfDate: new Date('2025-06-01T00:00:00Z')
+  };
+
+  test('pays overtime past 85 hours and VO at double time', () => {
+    const res = core.computeMonthly(params);
+    assert.equal(res.rate, 124.46);
+    assert.equal(res.regHours, 85);
+    approx(res.overtime, 5.5);
+    assert.equal(res.gross, 13192.76);
+    approx(res.net, 8909.8);
+    approx(res.tax, 2285.51);
+    approx(res.pension, 923.49);
+    approx(res.pay_advance, 3844.74);
+    approx(res.second_pay, 4816.35);
+  });
+
+  test('uses the hire date and as-of date passed in for the pension rate', () => {
+    const res = core.computeMonthly({ ...params, hireDate: new Date('2024-08-07T00:00:00Z') });
+    approx(res.pension, 791.57);
+  });
+
+  test('deducts CPP and EI against year-to-date ledger figures', () => {
+    const res = core.computeMonthly({
+      ...params,
+      asOfDate: new Date(2025, 6, 1),
+      ytd: { gross: 70000, cpp: 3960, cpp2: 0, ei: 1077.48 }
+    });
+    approx(res.cpp_base, 74.1);
+    approx(res.cpp2, 396);
+    approx(res.cpp, 470.1);
+    assert.equal(res.ei, 0);
+    assert.deepEqual(res.limits, { ympe: true, yampe: true, mie: true });
+    assert.deepEqual(res.ytd_after, { gross: 83192.76, cpp: 4034.1, cpp2: 396, ei: 1077.48 });
+  });
+
+  test('ignores Maxed CPP/EI when year-to-date figures are given', () => {
+    const res = core.computeMonthly({ ...params, maxcpp: true, asOfDate: new Date(2025, 0, 1), ytd: {} });
+    assert.ok(res.cpp > 0);
+    assert.ok(res.ei > 0);
+  });
+});
+
+describe('splitMonthlyCredit', () => {
+  test('splits calendar credit at 85 hours and carries premium as half VO', () => {
+    assert.deepEqual(core.splitMonthlyCredit({ creditMinutes: 90 * 60 + 30, voMinutes: 120, premiumMinutes: 241 }), {
+      credit: 5430, regular: 5100, overtime: 330, vo: 120, premium: 241, vo_input: 241
+    });
+  });
+
+  test('pays the premium at the hourly rate through computeMonthly', () => {
+    const split = core.splitMonthlyCredit({ creditMinutes: 60 * 60, premiumMinutes: 240 });
+    const params = { seat: 'FO', ac: '320', year: 2025, stepInput: 3, province: 'ON', hireDate: HIRE_2020, creditH: 60 };
+    const base = core.computeMonthly(params);
+    const res = core.computeMonthly({ ...params, voCredits: Math.floor(split.vo_input / 60), voCreditMinutes: split.vo_input % 60 });
+    approx(res.gross - base.gross, 4 * res.rate);
+    assert.equal(split.overtime, 0);
+  });
+});
+
+describe('projectMonthlyPay', () => {
+  const params = { seat: 'FO', ac: '320', year: 2025, stepInput: 3, province: 'ON', hireDate: HIRE_2020, esopPct: 0, adv: 3000 };
+
+  test('adds credit flown and still to fly and measures it against 85 hours', () => {
+    const under = core.projectMonthlyPay({ flownMinutes: 40 * 60, remainingMinutes: 30 * 60, params });
+    assert.equal(under.projected.credit, 70 * 60);
+    assert.equal(under.above_threshold, 0);
+    assert.equal(under.to_threshold, 15 * 60);
+    const over = core.projectMonthlyPay({ flownMinutes: 50 * 60, remainingMinutes: 42 * 60 + 30, params });
+    assert.equal(over.above_threshold, 7 * 60 + 30);
+    assert.equal(over.to_threshold, 0);
+    const monthly = core.computeMonthly({ ...params, creditH: 92, creditM: 30, voCredits: 0, voCreditMinutes: 0, tafb: 0 });
+    assert.equal(over.projected.cheque, +(monthly.pay_advance + monthly.second_pay).toFixed(2));
+  });
+
+  test('prices a pickup as the difference it makes to the cheque', () => {
+    const projection = core.projectMonthlyPay({
+      flownMinutes: 50 * 60,
+      remainingMinutes: 30 * 60,
+      tafbMinutes: 100 * 60,
+      pickup: { creditMinutes: 10 * 60, tafbMinutes: 30 * 60 },
+      params
+    });
+    const base = core.computeMonthly({ ...params, creditH: 80, creditM: 0, voCredits: 0, voCreditMinutes: 0, tafb: 100 });
+    const withPickup = core.computeMonthly({ ...params, creditH: 90, creditM: 0, voCredits: 0, voCreditMinutes: 0, tafb: 130 });
+    const { pickup } = projection;
+    assert.equal(pickup.credit, 600);
+    assert.equal(pickup.above_threshold, 5 * 60);
+    approx(pickup.marginal_gross, withPickup.gross - base.gross);
+    approx(pickup.marginal_net, (withPickup.pay_advance + withPickup.second_pay) - (base.pay_advance + base.second_pay));
+    approx(pickup.net_per_hour, pickup.marginal_net / 10);
+    assert.ok(pickup.marginal_net < pickup.marginal_gross);
+  });
+
+  test('leaves the pickup out without one', () => {
+    assert.equal(core.projectMonthlyPay({ flownMinutes: 60, params }).pickup, null);
+  });
+});
+
+describe('computeT4127ChequeTax', () => {
+  const cheque = { gross: 6000, pension: 420, unionDues: 150, year: 2025, province: 'ON' };
+
+  test('annualises the cheque over 24 periods net of pension and union dues', () => {
+    const res = core.computeT4127ChequeTax(cheque);
+    const annual = core.computeIncomeTaxWithCredits({ taxable: 24 * 5430, year: 2025, province: 'ON', employmentIncome: 24 * 6000 });
+    assert.equal(res.annual_income, 130320);
+    approx(res.tax, annual.total / 24, 0.01);
+    assert.equal(res.lump_sum, 0);
+  });
+
+  test('deducts the enhanced CPP part and credits the base part up to the annual maximum', () => {
+    const res = core.computeT4127ChequeTax({ ...cheque, cpp: 340, ei: 98 });
+    approx(res.annual_income, 130320 - 24 * 340 * (0.01 / 0.0595), 0.01);
+    const maxed = core.computeT4127ChequeTax({ ...cheque, cpp: 340, ei: 98, cppMaxed: true, eiMaxed: true });
+    approx(maxed.tax, res.tax, 0.01);
+    assert.ok(res.tax < core.computeT4127ChequeTax(cheque).tax);
+  });
+
+  test('a claim code 0 TD1 removes the basic personal amounts', () => {
+    const basic = core.computeT4127ChequeTax({ ...cheque, province: 'AB' });
+    const none = core.computeT4127ChequeTax({ ...cheque, province: 'AB', federalClaim: 0, provincialClaim: 0 });
+    const { fedLow, provLow } = core.getTaxDataForYear(2025, 'AB');
+    const credits = fedLow * core.federalBPA(2025, basic.annual_income) + provLow * core.provincialBPA(2025, basic.annual_income, 'AB');
+    approx(none.tax - basic.tax, credits / 24, 0.01);
+  });
+
+  test('taxes a lump sum by the bonus method without changing the periodic tax', () => {
+    const periodic = core.computeT4127ChequeTax(cheque);
+    const res = core.computeT4127ChequeTax({ ...cheque, lumpSum: 10000 });
+    const annual = taxable => core.computeIncomeTaxWithCredits({ taxable, year: 2025, province: 'ON', employmentIncome: taxable + 24 * 570 }).total;
+    assert.equal(res.periodic, periodic.periodic);
+    approx(res.lump_sum, annual(140320) - annual(130320), 0.01);
+    approx(res.tax, res.periodic + res.lump_sum, 0.01);
+  });
+});
+
+describe('computeMonthly T4127 withholding', () => {
+  const params = {
+    seat: 'FO', ac: '320', year: 2025, stepInput: 3, tieOn: false, xlrOn: false, province: 'ON',
+    creditH: 90, creditM: 30, voCredits: 5, voCreditMinutes: 0, tafb: 200, esopPct: 10, adv: 5000,
+    maxcpp: false, hireDate: HIRE_2020, asOfDate: new Date('2025-06-01T00:00:00Z')
+  };
+
+  test('withholds each cheque as one of 24 pay periods', () => {
+    const annualized = core.computeMonthly(params);
+    const res = core.computeMonthly({ ...params, withholding: 't4127' });
+    assert.equal(annualized.withholding, 'annualized');
+    assert.equal(res.withholding, 't4127');
+    assert.equal(res.tax_advance, res.withholding_detail.advance.tax);
+    assert.equal(res.tax_second, res.withholding_detail.second.tax);
+    approx(res.pay_advance - annualized.pay_advance, annualized.tax_advance - res.tax_advance, 0.01);
+    approx(res.net + res.tax, annualized.net + annualized.tax, 0.01);
+  });
+
+  test('pays a lump sum on the second pay without pension', () => {
+    const base = core.computeMonthly({ ...params, withholding: 't4127', maxcpp: true });
+    const res = core.computeMonthly({ ...params, withholding: 't4127', maxcpp: true, lumpSum: 2500 });
+    approx(res.gross, base.gross + 2500);
+    assert.equal(res.pension, base.pension);
+    assert.equal(res.pay_advance, base.pay_advance);
+    approx(res.second_pay, base.second_pay + 2500 - res.lump_sum_tax, 0.01);
+  });
+});
+
+describe('payroll ledger', () => {
+  const months = {
+    '01': { gross: 30000, pension: 1800, cpp: 1600, cpp2: 0, ei: 490, tax: 7000 },
+    '02': { gross: 30000, pension: 1800, cpp: 1600, cpp2: 0, ei: 490, tax: 7000 },
+    '03': { gross: 30000, pension: 1800, cpp: 834.1, cpp2: 396, ei: 97.48, tax: 7000 }
+  };
+
+  test('sums months up to a cutoff', () => {
+    assert.deepEqual(core.sumPayrollLedger(months, 2), { gross: 60000, pension: 3600, cpp: 3200, cpp2: 0, ei: 980, tax: 14000, recordedMonths: 2 });
+  });
+
+  test('stops contributions once the caps are reached', () => {
+    const res = core.computeCumulativeCPP_EI({ year: 2025, gross: 30000, province: 'ON', ytd: core.sumPayrollLedger(months), ybeShare: 4 / 12 });
+    assert.deepEqual({ cpp: res.cpp, cpp2: res.cpp2, ei: res.ei }, { cpp: 0, cpp2: 0, ei: 0 });
+    assert.deepEqual(res.reached, { ympe: true, yampe: true, mie: true });
+  });
+
+  test('catches up contributions that were under-deducted', () => {
+    const res = core.computeCumulativeCPP_EI({ year: 2025, gross: 5000, province: 'ON', ytd: { gross: 20000, cpp: 0, ei: 0 }, ybeShare: 1 });
+    approx(res.cpp, 1279.25);
+    approx(res.ei, 410);
+  });
+
+  test('uses QPP and Quebec EI rates', () => {
+    const res = core.computeCumulativeCPP_EI({ year: 2025, gross: 10000, province: 'QC', ybeShare: 1 });
+    approx(res.cpp, 416);
+    approx(res.ei, 131);
+  });
+
+  test('projects the year-end refund or balance owing', () => {
+    const res = core.estimatePayrollYearEnd({ year: 2025, province: 'ON', months });
+    assert.equal(res.recordedMonths, 3);
+    assert.equal(res.gross, 360000);
+    assert.equal(res.withheld, 84000);
+    assert.equal(res.tax, 136015.48);
+    assert.equal(res.balance, -52015.48);
+  });
+
+  test('returns null for an empty ledger', () => {
+    assert.equal(core.estimatePayrollYearEnd({ year: 2025, province: 'ON', months: {} }), null);
+  });
+});
+
+describe('computeVO', () => {
+  test('pays VO credits at double time', () => {
+    const res = core.computeVO({
+      seat: 'CA', ac: '777', year: 2026, stepInput: 12, tieOn: false, xlrOn: false,
+      province: 'QC', creditH: 4, creditM: 30
+    });
+    assert.deepEqual(res, { rate: 459.25, hours: 9, gross: 4133.25, net: 2975.94, fed_m: 0.14, prov_m: 0.14, step_used: 12 });
+  });
+});
+
+describe('computeMaxDuty ALPA unaugmented, Table A', () => {
+  // [start, end, 1-4 sectors, 5-6 sectors, 1-4 sectors ≥4h TZ, 5-6 sectors ≥4h TZ]
+  const rows = [
+    [0, 239, 9, 9, 8, 8],
+    [240, 299, 10, 9, 9, 8],
+    [300, 359, 11.25, 10.25, 10.25, 9.25],
+    [360, 419, 12, 11, 11, 10],
+    [420, 779, 13, 12, 12, 11],
+    [780, 1019, 12.25, 11.25, 11.25, 10.25],
+    [1020, 1319, 12, 11, 11, 10],
+    [1320, 1379, 11, 10, 10, 9],
+    [1380, 1439, 10, 9, 9, 8]
+  ];
+  const base = { dutyMode: 'alpa', dutyType: 'unaugmented', zone: 'inside', deadhead: 'no' };
+  for (const [start, end, max14, max56, max14Over4, max56Over4] of rows){
+    test(`${minutesToTime(start)}-${minutesToTime(end)}`, () => {
+      for (const minutes of [start, end]){
+        const startTime = minutesToTime(minutes);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, sectors: 4, timezoneDiff: 0 }).maxFdp, max14);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, sectors: 5, timezoneDiff: 0 }).maxFdp, max56);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, sectors: 1, timezoneDiff: 4 }).maxFdp, max14Over4);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, sectors: 6, timezoneDiff: -5 }).maxFdp, max56Over4);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, sectors: 4, timezoneDiff: 0, deadhead: 'yes' }).maxFdp, Math.min(max14 + 3, 18));
+      }
+    });
+  }
+
+  test('rejects bad start times and sector counts', () => {
+    assert.throws(() => core.computeMaxDuty({ ...base, startTime: '', sectors: 1, timezoneDiff: 0 }), /start time/);
+    assert.throws(() => core.computeMaxDuty({ ...base, startTime: '08:00', sectors: 7, timezoneDiff: 0 }), /between 1 and 6/);
+  });
+});
+
+describe('computeMaxDuty ALPA unaugmented, Table B', () => {
+  // [start, end, max, with deadhead]
+  const rows = [
+    [0, 239, 9.25, 12],
+    [240, 299, 10, 12],
+    [300, 359, 11.25, 14],
+    [360, 1169, 12, 14],
+    [1170, 1319, 11, 13],
+    [1320, 1439, 10, 12]
+  ];
+  const base = { dutyMode: 'alpa', dutyType: 'unaugmented', zone: 'outside', sectors: 2, timezoneDiff: 6 };
+  for (const [start, end, max, deadhead] of rows){
+    test(`${minutesToTime(start)}-${minutesToTime(end)}`, () => {
+      for (const minutes of [start, end]){
+        const startTime = minutesToTime(minutes);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, deadhead: 'no' }).maxFdp, max);
+        assert.equal(core.computeMaxDuty({ ...base, startTime, deadhead: 'yes' }).maxFdp, deadhead);
+      }
+    });
+  }
+
+  test('limits planned legs to 2', () => {
+    assert.throws(() => core.computeMaxDuty({ ...base, startTime: '08:00', sectors: 3 }), /maximum planned legs is 2/);
+  });
+});
+
+describe('computeMaxDuty ALPA augmented', () => {
+  // [crew, facility, zone, max, with deadhead]
+  const rows = [
+    ['basic+1', 3, 'inside', 14, 16],
+    ['basic+1', 3, 'outside', 12, 14],
+    ['basic+1', 2, 'inside', 14, 16],
+    ['basic+1', 2, 'outside', 14, 16],
+    ['basic+1', 1, 'inside', 15, 17],
+    ['basic+1', 1, 'outside', 15, 17],
+    ['basic+2', 1, 'inside', 18.25, 18.25],
+    ['basic+2', 1, 'outside', 18.25, 18.25],
+    ['2ca2fo', 1, 'inside', 20, 20],
+    ['2ca2fo', 1, 'outside', 20, 20]
+  ];
+  for (const [crewType, restFacility, zone, max, deadhead] of rows){
+    test(`${crewType} class ${restFacility} ${zone}`, () => {
+      const base = { dutyMode: 'alpa', dutyType: 'augmented', crewType, restFacility, zone };
+      assert.equal(core.computeMaxDuty({ ...base, deadhead: 'no' }).maxFdp, max);
+      assert.equal(core.computeMaxDuty({ ...base, deadhead: 'yes' }).maxFdp, deadhead);
+    });
+  }
+
+  test('returns no limit for combinations missing from the table', () => {
+    assert.equal(core.computeMaxDuty({ dutyMode: 'alpa', dutyType: 'augmented', crewType: 'basic+2', restFacility: 2 }).maxFdp, null);
+  });
+});
+
+describe('computeMaxDuty FOM unaugmented', () => {
+  // [start, end, 1-4 sectors, 5-6 sectors]
+  const rows = [
+    [0, 239, 9, 9],
+    [240, 299, 10, 9],
+    [300, 359, 11, 10],
+    [360, 419, 12, 11],
+    [420, 779, 13, 12],
+    [780, 1019, 12.5, 11.5],
+    [1020, 1319, 12, 11],
+    [1320, 1379, 11, 10],
+    [1380, 1439, 10, 9]
+  ];
+  for (const [start, end, max14, max56] of rows){
+    test(`${minutesToTime(start)}-${minutesToTime(end)}`, () => {
+      for (const minutes of [start, end]){
+        const startTime = minutesToTime(minutes);
+        assert.equal(core.computeMaxDuty({ dutyMode: 'fom', dutyType: 'unaugmented', startTime, sectors: 4 }).maxFdp, max14);
+        assert.equal(core.computeMaxDuty({ dutyMode: 'fom', dutyType: 'unaugmented', startTime, sectors: 5 }).maxFdp, max56);
+      }
+    });
+  }
+});
+
+describe('computeMaxDuty FOM augmented', () => {
+  // [crew, facility, max]
+  const rows = [
+    ['basic+1', 3, 14],
+    ['basic+1', 2, 15],
+    ['basic+1', 1, 15],
+    ['basic+2', 3, 15.25],
+    ['basic+2', 2, 16.5],
+    ['basic+2', 1, 18],
+    ['2ca2fo', 1, 18]
+  ];
+  for (const [crewType, restFacility, max] of rows){
+    test(`${crewType} class ${restFacility}`, () => {
+      assert.equal(core.computeMaxDuty({ dutyMode: 'fom', dutyType: 'augmented', crewType, restFacility }).maxFdp, max);
+    });
+  }
+
+  test('requires a crew complement and facility', () => {
+    assert.throws(() => core.computeMaxDuty({ dutyMode: 'fom', dutyType: 'augmented', crewType: 'basic', restFacility: 1 }), /crew complement/);
+  });
+});
+
+describe('computeRestRequirement', () => {
+  const base = {
+    dutyType: 'unaugmented', endsHome: 'away', fdpDuration: 10, timezoneDiff: 0,
+    awayHours: 0, encroachWOCL: 'no', disruptive: 'no', uocOver: 0
+  };
+  const cases = [
+    ['away, under 4h TZ', {}, '10 hours'],
+    ['away, 4h TZ', { timezoneDiff: 4 }, '11 hours'],
+    ['away, over 4h TZ', { timezoneDiff: 6 }, '14 hours'],
+    ['home, short trip', { endsHome: 'home', timezoneDiff: 6, awayHours: 30 }, '12 hours'],
+    ['home, 4h TZ', { endsHome: 'home', timezoneDiff: 4, awayHours: 48 }, '13 hours'],
+    ['home, 4-10h TZ within 60h', { endsHome: 'home', timezoneDiff: 6, awayHours: 48 }, '1 local night rest'],
+    ['home, 4-10h TZ encroaching WOCL', { endsHome: 'home', timezoneDiff: 6, awayHours: 48, encroachWOCL: 'yes' }, '2 local nights rest'],
+    ['home, 4-10h TZ over 60h', { endsHome: 'home', timezoneDiff: 6, awayHours: 72 }, '2 local nights rest'],
+    ['home, over 10h TZ within 60h', { endsHome: 'home', timezoneDiff: 11, awayHours: 48 }, '2 local nights rest'],
+    ['home, over 10h TZ over 60h', { endsHome: 'home', timezoneDiff: 11, awayHours: 72 }, '3 local nights rest'],
+    ['augmented away', { dutyType: 'augmented', fdpDuration: 12 }, '14 hours'],
+    ['augmented home', { dutyType: 'augmented', endsHome: 'home', fdpDuration: 12 }, '16 hours'],
+    ['augmented long FDP', { dutyType: 'augmented', fdpDuration: 17.5 }, '17.5 hours'],
+    ['UOC overage', { uocOver: 1.25 }, '11.25 hours']
+  ];
+  for (const [name, overrides, minimumText] of cases){
+    test(name, () => {
+      assert.equal(core.computeRestRequirement({ ...base, ...overrides }).minimumText, minimumText);
+    });
+  }
+
+  test('gives the minimum as hours or local nights for legality checks', () => {
+    const hours = core.computeRestRequirement({ ...base, uocOver: 1.25 });
+    assert.equal(hours.minimumHours, 11.25);
+    assert.equal(hours.minimumNights, null);
+    const nights = core.computeRestRequirement({ ...base, endsHome: 'home', timezoneDiff: 6, awayHours: 72 });
+    assert.equal(nights.minimumHours, null);
+    assert.equal(nights.minimumNights, 2);
+  });
+
+  test('notes disruptive schedules on unaugmented duty', () => {
+    const res = core.computeRestRequirement({ ...base, disruptive: 'yes' });
+    assert.equal(res.notes.length, 1);
+    assert.match(res.notes[0], /Disruptive schedule/);
+  });
+
+  test('rejects negative inputs', () => {
+    assert.throws(() => core.computeRestRequirement({ ...base, fdpDuration: -1 }), /FDP duration/);
+    assert.throws(() => core.computeRestRequirement({ ...base, awayHours: -1 }), /Time away/);
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const SECOND_PAY = `EARNINGS            HOURS    RATE      CURRENT     YTD
+Flight pay          85:00    124.46   10,579.10   84,632.80
+Overtime credit     5:30     248.92    1,369.06    2,000.00
+VO credit           5.00     248.92    1,244.60    1,244.60
+TAFB per diem       200:00     5.427   1,085.40    9,000.00
+Gross pay                             14,278.16
+Federal income tax                     1,500.00-
+Provincial tax                           700.00-
+Canada Pension Plan                      643.86-
+EI                                       170.28-
+Pension (RPP)                            923.49-
+ALPA dues                                215.85-
+Net pay                                8,000.00
+Message: thank you`;
+
+describe('parsePayStatementLine', () => {
+  test('reads hours, rate, current and YTD columns', () => {
+    assert.deepEqual(core.parsePayStatementLine('Flight pay 85:00 124.46 10,579.10 84,632.80'), { minutes: 5100, amount: 10579.1 });
+  });
+
+  test('takes the first amount when no rate multiplies out', () => {
+    assert.deepEqual(core.parsePayStatementLine('Flight pay 85:00 10,579.10 84,632.80'), { minutes: 5100, amount: 10579.1 });
+  });
+
+  test('reads decimal hours at double time', () => {
+    assert.deepEqual(core.parsePayStatementLine('VO credit 5.00 124.46 1,244.60 1,244.60'), { minutes: 300, amount: 1244.6 });
+  });
+
+  test('keeps trailing-minus deductions negative', () => {
+    assert.deepEqual(core.parsePayStatementLine('Pension 684.18- 5,473.44'), { minutes: null, amount: -684.18 });
+  });
+});
+
+describe('parsePayStatementText', () => {
+  const { lines, unmatched } = core.parsePayStatementText(SECOND_PAY);
+
+  test('sums repeated lines and stores deductions as positive', () => {
+    assert.equal(lines.tax.amount, 2200);
+    assert.equal(lines.pension.amount, 923.49);
+    assert.equal(lines.union.amount, 215.85);
+  });
+
+  test('matches CPP before pension', () => {
+    assert.equal(lines.cpp.amount, 643.86);
+  });
+
+  test('keeps hours for earnings lines', () => {
+    assert.equal(lines.credit.minutes, 5100);
+    assert.equal(lines.overtime.minutes, 330);
+    assert.equal(lines.vo.minutes, 300);
+    assert.equal(lines.tafb.minutes, 12000);
+    assert.equal(lines.gross.minutes, null);
+  });
+
+  test('returns lines it could not place', () => {
+    assert.deepEqual(unmatched, ['EARNINGS            HOURS    RATE      CURRENT     YTD', 'Message: thank you']);
+  });
+});
+
+describe('reconcilePayStatement', () => {
+  const statement = core.parsePayStatementText(SECOND_PAY);
+  const expected = {
+    credit: { minutes: 5100, amount: 10579.1 },
+    overtime: { minutes: 300, amount: 1244.6 },
+    vo: { minutes: 300, amount: 1244.6 },
+    tafb: { minutes: 12000, amount: 1085.4 },
+    tax: { amount: 2180 },
+    pension: { amount: 923.49 },
+    union: { amount: 215.85 }
+  };
+  const { rows, discrepancies } = core.reconcilePayStatement(expected, statement);
+  const byLabel = Object.fromEntries(rows.map(row => [row.label, row]));
+
+  test('flags overtime hours and pay that differ', () => {
+    assert.equal(byLabel['Overtime above 85 hours'].status, 'mismatch');
+    assert.equal(byLabel['Overtime above 85 hours'].difference, 30);
+    assert.equal(byLabel['Overtime above 85'].difference, 124.46);
+  });
+
+  test('allows tax within two percent', () => {
+    assert.equal(byLabel['Income tax'].status, 'match');
+  });
+
+  test('reports statement lines with nothing expected', () => {
+    assert.equal(byLabel['Gross pay'].status, 'mismatch');
+    assert.equal(byLabel['Gross pay'].expected, null);
+  });
+
+  test('reports expected lines missing from the statement', () => {
+    const result = core.reconcilePayStatement({ premium: { minutes: 60, amount: 124.46 }, vo: { minutes: 0, amount: 0 } }, { lines: {} });
+    assert.deepEqual(result.rows.map(row => [row.label, row.status]), [['Premium hours', 'missing'], ['Premium', 'missing']]);
+  });
+
+  test('orders rows earnings first and counts discrepancies', () => {
+    assert.equal(rows[0].label, 'Credit hours');
+    assert.equal(rows[rows.length - 1].label, 'Net pay');
+    assert.equal(discrepancies, rows.filter(row => row.status !== 'match').length);
+    assert.equal(discrepancies, 6);
+  });
+});
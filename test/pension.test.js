@@ -0,0 +1,85 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const HIRE_2010 = new Date('2010-01-01T00:00:00Z');
+
+function approx(actual, expected, tolerance = 0.01){
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+function earnings(fromYear, toYear, gross){
+  const rows = [];
+  for (let year = fromYear; year <= toYear; year += 1) rows.push({ year, gross: gross(year), service: 1 });
+  return rows;
+}
+
+describe('pension contribution rates', () => {
+  test('come from the contract pack by years of service', () => {
+    assert.equal(core.pensionContributionRate(0), 0.06);
+    assert.equal(core.pensionContributionRate(2), 0.065);
+    assert.equal(core.pensionContributionRate(12), 0.07);
+    assert.equal(core.pensionRateOnDate(new Date('2013-06-01T00:00:00Z'), HIRE_2010), 0.065);
+    assert.deepEqual([1, 2, 3, 5, 6].map(core.pensionRateForStep), [0.06, 0.06, 0.065, 0.065, 0.07]);
+  });
+});
+
+describe('computePensionAdjustment', () => {
+  test('is 9 × the pension earned less the offset', () => {
+    assert.equal(core.computePensionAdjustment({ year: 2025, earnings: 100000 }), 9 * 2000 - 600);
+  });
+
+  test('caps the pension earned at the defined benefit limit', () => {
+    assert.equal(core.computePensionAdjustment({ year: 2025, earnings: 400000 }), +(9 * 3756.67 - 600).toFixed(2));
+  });
+});
+
+describe('computeRrspRoom', () => {
+  test('takes 18% of earned income up to the next year limit, less the PA', () => {
+    assert.deepEqual(core.computeRrspRoom({ year: 2025, earnedIncome: 100000, pensionAdjustment: 17400 }), {
+      year: 2026, earned: 18000, limit: 33810, pension_adjustment: 17400, room: 600
+    });
+    assert.equal(core.computeRrspRoom({ year: 2025, earnedIncome: 300000, pensionAdjustment: 0 }).room, 33810);
+  });
+});
+
+describe('estimateDefinedBenefitPension', () => {
+  const base = {
+    earnings: earnings(2026, 2035, year => 100000 + (year - 2026) * 10000),
+    hireDate: HIRE_2010,
+    birthDate: '1970-01-01',
+    retireDate: '2036-01-01'
+  };
+
+  test('averages the best consecutive years and credits service from hire', () => {
+    const estimate = core.estimateDefinedBenefitPension(base);
+    assert.deepEqual(estimate.best_years, [2031, 2032, 2033, 2034, 2035]);
+    assert.equal(estimate.best_average, 170000);
+    approx(estimate.service, 26);
+    assert.equal(estimate.reduction, 0);
+    approx(estimate.lifetime, 0.02 * 170000 * 26, 5);
+  });
+
+  test('holds the lifetime pension to the Income Tax Act maximum', () => {
+    const estimate = core.estimateDefinedBenefitPension({ ...base, earnings: earnings(2026, 2035, () => 500000), taxIndexation: 0 });
+    assert.equal(estimate.capped, true);
+    approx(estimate.lifetime, 3932.22 * 26, 10);
+  });
+
+  test('reduces an early pension until the first unreduced date', () => {
+    const estimate = core.estimateDefinedBenefitPension({ ...base, birthDate: '1980-01-01' });
+    // Age 56 with 26 years is 82 points, past the 80 for an unreduced pension.
+    assert.equal(estimate.reduction, 0);
+    const later = core.estimateDefinedBenefitPension({ ...base, hireDate: new Date('2020-01-01T00:00:00Z'), birthDate: '1980-01-01' });
+    // Age 56 with 16 years: 60 is 4 years away, 80 points 4 years away.
+    approx(later.years_early, 4);
+    approx(later.reduction, 0.12, 0.001);
+    assert.ok(later.bridge > 0);
+  });
+
+  test('refuses retirement before the earliest age', () => {
+    assert.throws(() => core.estimateDefinedBenefitPension({ ...base, birthDate: '1985-01-01' }), /earliest retirement age is 55/);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+describe('computeRegisteredRoom', () => {
+  test('carries unused RRSP room forward with new room from earned income less the PA', () => {
+    const room = core.computeRegisteredRoom({
+      years: [
+        { year: 2025, earnedIncome: 100000, pensionAdjustment: 17400, rrsp: 5000 },
+        { year: 2026, earnedIncome: 100000, pensionAdjustment: 17400, rrsp: 0 }
+      ],
+      rrspLimit: 6000,
+      tfsaRoom: 0
+    });
+    assert.deepEqual(room.years.map(row => row.rrsp.limit), [6000, 1600]);
+    assert.equal(room.next.rrsp_limit, 2200);
+    assert.deepEqual(room.warnings, []);
+  });
+
+  test('adds TFSA withdrawals back the next year with the new limit', () => {
+    const room = core.computeRegisteredRoom({
+      years: [{ year: 2025, tfsa: 10000, tfsaWithdrawals: 4000 }, { year: 2026 }],
+      rrspLimit: 0,
+      tfsaRoom: 12000
+    });
+    assert.equal(room.years[1].tfsa.room, 2000 + 4000 + 7000);
+  });
+
+  test('limits FHSA carry-forward to one year of room and the lifetime limit', () => {
+    const room = core.computeRegisteredRoom({
+      years: [{ year: 2025, fhsa: 0 }, { year: 2026, fhsa: 16000 }, { year: 2027, fhsa: 0 }],
+      rrspLimit: 0,
+      tfsaRoom: 0,
+      fhsaRoom: 8000,
+      fhsaLifetime: 20000
+    });
+    assert.deepEqual(room.years.map(row => row.fhsa.room), [8000, 16000, 4000]);
+    assert.equal(room.years[1].fhsa.lifetime_used, 36000);
+    assert.equal(room.next.fhsa_room, 4000);
+  });
+
+  test('warns on over-contributions, separating the RRSP allowance', () => {
+    const room = core.computeRegisteredRoom({
+      years: [{ year: 2025, rrsp: 7500, tfsa: 8000, fhsa: 9000 }],
+      rrspLimit: 6000,
+      tfsaRoom: 7000,
+      fhsaRoom: 8000
+    });
+    assert.equal(room.years[0].rrsp.over, 1500);
+    assert.match(room.warnings[0], /within the \$2,000\.00 allowance/);
+    assert.match(room.warnings[1], /TFSA contributions are \$1,000\.00 over/);
+    assert.match(room.warnings[2], /FHSA contributions are \$1,000\.00 over/);
+    assert.equal(room.next.rrsp_limit, -1500);
+  });
+
+  test('leaves the FHSA out without one', () => {
+    const room = core.computeRegisteredRoom({ years: [{ year: 2025, fhsa: 5000 }], rrspLimit: 0, tfsaRoom: 0 });
+    assert.equal(room.years[0].fhsa, null);
+    assert.equal(room.next.fhsa_room, null);
+  });
+});
+
+describe('suggestRrspContribution', () => {
+  test('reaches the nearest lower bracket threshold', () => {
+    const suggestion = core.suggestRrspContribution({ taxable: 120000, year: 2025, province: 'ON' });
+    assert.equal(suggestion.threshold, 114750);
+    assert.equal(suggestion.amount, 5250);
+    assert.ok(suggestion.rate_after < suggestion.rate_now);
+    assert.equal(suggestion.tax_saved, +(5250 * suggestion.rate_now).toFixed(2));
+  });
+
+  test('stays within the room left', () => {
+    const suggestion = core.suggestRrspContribution({ taxable: 120000, year: 2025, province: 'ON', room: 2000 });
+    assert.equal(suggestion.amount, 2000);
+    assert.equal(suggestion.capped, true);
+  });
+
+  test('suggests nothing in the lowest bracket', () => {
+    assert.equal(core.suggestRrspContribution({ taxable: 20000, year: 2025, province: 'ON' }).amount, 0);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+
+const HIRE_2020 = new Date('2020-01-01T00:00:00Z');
+
+function approx(actual, expected, tolerance = 0.005){
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+describe('contractPackRate', () => {
+  const pack = core.getRulePack('contract-2023');
+
+  test('reads the pack table and its XLR premium', () => {
+    assert.equal(core.contractPackRate(pack, 'FO', '320', 2025, 3, false), 124.46);
+    assert.equal(core.contractPackRate(pack, 'CA', '320', 2025, 12, true), core.rateFor('CA', '320', 2025, 12, true));
+  });
+
+  test('does not fall back to projected years', () => {
+    assert.throws(() => core.contractPackRate(pack, 'FO', '320', 2029, 3, false), /contract-2023 has no 2029 pay table for FO/);
+  });
+});
+
+describe('computeRetroPay', () => {
+  const base = {
+    months: [
+      { month: '2025-10', year: 2025, step: 3, creditMinutes: 85 * 60, voMinutes: 0 },
+      { month: '2025-11', year: 2025, step: 3, creditMinutes: 90 * 60, voMinutes: 120 }
+    ],
+    seat: 'FO', ac: '320', xlrOn: false, province: 'ON',
+    oldPack: core.getRulePack('contract-2023'), raisePct: 4,
+    hireDate: HIRE_2020, esopPct: 10, paidYear: 2026
+  };
+
+  test('reprices overtime and VO at double time', () => {
+    const { months } = core.computeRetroPay(base);
+    assert.equal(months[1].new_rate, 129.44);
+    approx(months[1].old_gross, (85 + 5 * 2 + 2 * 2) * 124.46);
+    approx(months[1].retro, (85 + 5 * 2 + 2 * 2) * (129.44 - 124.46));
+  });
+
+  test('takes pension, union dues and ESOP on the retro gross', () => {
+    const res = core.computeRetroPay(base);
+    assert.equal(res.gross, 916.32);
+    assert.equal(res.pension, 64.14);
+    assert.equal(res.union, 16.95);
+    assert.equal(res.esop, 91.63);
+    assert.equal(res.esop_match, 27.49);
+    assert.equal(res.taxable, 835.23);
+  });
+
+  test('withholds the lump sum after pension and union dues by the bonus method', () => {
+    const res = core.computeRetroPay({ ...base, maxcpp: true });
+    approx(res.taxable, res.gross - res.pension - res.union, 0.01);
+    const regularGross = res.months.reduce((total, row) => total + row.new_gross, 0) / 4;
+    const cheque = core.computeT4127ChequeTax({
+      gross: regularGross,
+      pension: regularGross * 0.07,
+      unionDues: regularGross * 0.0185,
+      lumpSum: res.taxable,
+      year: 2026,
+      province: 'ON',
+      cppMaxed: true,
+      eiMaxed: true
+    });
+    assert.equal(res.tax, cheque.lump_sum);
+    assert.equal(res.cpp, 0);
+    assert.equal(res.ei, 0);
+    approx(res.net, res.gross - res.pension - res.union - res.esop - res.tax, 0.01);
+  });
+
+  test('deducts CPP and EI only up to the caps left in the year', () => {
+    const res = core.computeRetroPay({ ...base, ytd: { gross: 70000, cpp: 3960, cpp2: 0, ei: 1077.48 } });
+    approx(res.cpp, (70916.32 - 3500) * 0.0595 - 3960, 0.01);
+    assert.equal(res.ei, 0);
+  });
+
+  test('uses a new contract pack when one is given', () => {
+    const oldPack = core.getRulePack('contract-2023');
+    const newPack = JSON.parse(JSON.stringify(oldPack));
+    newPack.id = 'contract-test';
+    newPack.payTables['2025'].FO['320']['3'] = 130;
+    const res = core.computeRetroPay({ ...base, newPack, raisePct: 0 });
+    assert.equal(res.months[0].new_rate, 130);
+    approx(res.months[0].retro, 85 * (130 - 124.46));
+  });
+});
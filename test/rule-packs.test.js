@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const core = require('../pay-core.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function readRuleFile(file){
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+const schema = readRuleFile(core.RULE_PACK_SCHEMA);
+const packFiles = readRuleFile(core.RULE_PACK_INDEX).packs;
+
+function readPacks(){
+  return packFiles.map(file => readRuleFile(`rules/${file}`));
+}
+
+function findPack(packs, id){
+  return packs.find(pack => pack.id === id);
+}
+
+describe('rule pack schema', () => {
+  test('every listed pack validates', () => {
+    readPacks().forEach((pack) => {
+      assert.deepEqual(core.validateRuleSchema(pack, schema), [], pack.id);
+    });
+  });
+
+  test('reports missing fields and out-of-range values by path', () => {
+    const pack = findPack(readPacks(), 'tax-2026');
+    delete pack.cpp.ympe;
+    pack.provincial.ON.brackets[0][1] = 5.05;
+    assert.deepEqual(core.validateRuleSchema(pack, schema), [
+      '$.provincial.ON.brackets[0][1]: above 1',
+      '$.cpp: missing ympe'
+    ]);
+  });
+
+  test('checks contract packs against the contract definition', () => {
+    const pack = findPack(readPacks(), 'contract-2023');
+    delete pack.payTables['2026'].FO['320']['12'];
+    pack.unionDuesRate = '1.85%';
+    assert.deepEqual(core.validateRuleSchema(pack, schema), [
+      '$.payTables.2026.FO.320: missing 12',
+      '$.unionDuesRate: expected number, got string'
+    ]);
+  });
+});
+
+describe('registerRulePacks', () => {
+  afterEach(() => {
+    core.registerRulePacks(readPacks(), schema);
+  });
+
+  test('rejects an invalid set and keeps the packs already loaded', () => {
+    const packs = readPacks();
+    packs.push({ ...findPack(packs, 'tax-2025') });
+    assert.throws(() => core.registerRulePacks(packs, schema), /tax-2025: duplicate id/);
+    assert.deepEqual(core.listRulePacks().map(pack => pack.id), ['contract-2023', 'tax-2025', 'tax-2026', 'tax-2027-projected']);
+  });
+
+  test('a contract pack year replaces the projection for that year', () => {
+    const packs = readPacks();
+    const contract = findPack(packs, 'contract-2023');
+    contract.payTables['2027'] = JSON.parse(JSON.stringify(contract.payTables['2026']));
+    core.registerRulePacks(packs, schema);
+    assert.equal(core.rateFor('CA', '777', 2027, 12, false), 459.25);
+    assert.deepEqual(core.getProjectedYears(), [2028, 2029, 2030, 2031]);
+  });
+
+  test('contract parameters come from the pack', () => {
+    const packs = readPacks();
+    findPack(packs, 'contract-2023').xlrPremium.hourly = 3;
+    core.registerRulePacks(packs, schema);
+    assert.equal(core.rateFor('CA', '320', 2025, 12, true), 327.36);
+  });
+});
+
+describe('rule pack lookups', () => {
+  test('years come from the pay tables and the tax packs together', () => {
+    assert.deepEqual(core.getRulePackYears(), [2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030, 2031]);
+    assert.deepEqual(core.getRulePackYears().filter(year => !core.hasTaxRules(year)), [2023, 2024]);
+  });
+
+  test('refuses a year past the last tax pack', () => {
+    assert.equal(core.getTaxRules(2026).id, 'tax-2026');
+    assert.equal(core.getTaxRules(2029).id, 'tax-2027-projected');
+    assert.equal(core.getTaxRules(2029).projected, true);
+    assert.throws(() => core.getTaxRules(2032), /No tax rule pack covers 2032/);
+  });
+
+  test('forecasts index the latest published tax pack', () => {
+    assert.equal(core.getForecastTaxRules(2029).id, 'tax-2026');
+    assert.equal(core.getForecastTaxRules(2045).id, 'tax-2026');
+  });
+
+  test('refuses a tax year no pack covers instead of falling back', () => {
+    assert.throws(() => core.getTaxRules(2024), /No tax rule pack covers 2024/);
+    assert.throws(() => core.computeChequeTax({ gross: 10000, pension: 0, year: 2024, province: 'ON' }), /No tax rule pack covers 2024/);
+  });
+
+  test('contract parameters for projected years come from the latest pack', () => {
+    assert.equal(core.getContractRules(2030).id, 'contract-2023');
+    assert.equal(core.getContractRules(2030).unionDuesRate, 0.0185);
+  });
+});
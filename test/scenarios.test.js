@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../pay-core.js');
+const { loadApp } = require('./support/load-app.js');
+
+const FO_787 = { name: '787 FO', params: { seat: 'FO', ac: '787', year: 2026, stepInput: 6, avgMonthlyHours: 80, province: 'ON', esopPct: 10 } };
+const CA_320 = { name: '320 CA (Québec)', params: { seat: 'CA', ac: '320', year: 2026, stepInput: 6, avgMonthlyHours: 80, province: 'QC', esopPct: 10 } };
+const MONTHLY_85 = {
+  name: '85 hrs',
+  kind: 'monthly',
+  params: { seat: 'FO', ac: '787', year: 2026, stepInput: 6, province: 'ON', creditH: 85, creditM: 0, voCredits: 0, voCreditMinutes: 0, tafb: 120, adv: 3500, esopPct: 10 }
+};
+const MONTHLY_VO = { ...MONTHLY_85, name: '85 hrs + VO', params: { ...MONTHLY_85.params, voCredits: 10, voCreditMinutes: 30 } };
+const VO_10 = { name: '10 VO', kind: 'vo', params: { seat: 'FO', ac: '787', year: 2026, stepInput: 6, province: 'ON', creditH: 10, creditM: 0 } };
+
+describe('normalizeScenario', () => {
+  test('keeps only the Annual inputs', () => {
+    const scenario = core.normalizeScenario({ name: ' 787 FO ', params: { ...FO_787.params, rrsp: 5000, xlrOn: 1 } });
+    assert.deepEqual(scenario, { name: '787 FO', kind: 'annual', params: { ...FO_787.params, tieOn: false, xlrOn: true } });
+  });
+
+  test('keeps the Monthly and VO inputs for those kinds', () => {
+    const monthly = core.normalizeScenario({ ...MONTHLY_85, params: { ...MONTHLY_85.params, avgMonthlyHours: 80, maxcpp: 1 } });
+    assert.deepEqual(monthly, { name: '85 hrs', kind: 'monthly', params: { ...MONTHLY_85.params, tieOn: false, xlrOn: false, maxcpp: true } });
+    assert.deepEqual(core.normalizeScenario(VO_10).params, { ...VO_10.params, tieOn: false, xlrOn: false });
+    assert.throws(() => core.normalizeScenario({ ...MONTHLY_85, params: { ...MONTHLY_85.params, creditM: 75 } }), /85 hrs: credit minutes must be 0 to 59/);
+    assert.throws(() => core.normalizeScenario({ ...VO_10, kind: 'weekly' }), /10 VO: unknown scenario kind weekly/);
+  });
+
+  test('rejects inputs computeAnnual cannot use', () => {
+    assert.throws(() => core.normalizeScenario({ name: 'A', params: { ...FO_787.params, ac: '999' } }), /A: unknown aircraft 999/);
+    assert.throws(() => core.normalizeScenario({ name: 'A', params: { ...FO_787.params, province: 'XX' } }), /A: unknown province XX/);
+    assert.throws(() => core.normalizeScenario({ params: FO_787.params }, 'Scenario 2'), /Scenario 2: name is missing/);
+  });
+});
+
+describe('compareScenarios', () => {
+  test('reports each scenario against the first', () => {
+    const [first, second] = core.compareScenarios([FO_787, CA_320]);
+    const annual = core.computeAnnual({ ...CA_320.params, hireDate: core.DEFAULT_DOH });
+    assert.equal(second.values.net, annual.net);
+    assert.equal(second.values.union, annual.union_annual);
+    assert.equal(second.delta.gross, +(annual.gross - first.values.gross).toFixed(2));
+    assert.ok(Object.values(first.delta).every(value => value === 0));
+  });
+
+  test('compares Monthly scenarios on the pay split', () => {
+    const [, second] = core.compareScenarios([MONTHLY_85, MONTHLY_VO]);
+    const monthly = core.computeMonthly({ ...MONTHLY_VO.params, hireDate: core.DEFAULT_DOH });
+    assert.equal(second.values.second_pay, monthly.second_pay);
+    assert.equal(second.delta.gross, +(monthly.gross - core.computeMonthly({ ...MONTHLY_85.params, hireDate: core.DEFAULT_DOH }).gross).toFixed(2));
+    assert.ok(second.delta.pay_advance === 0 && second.delta.net > 0);
+  });
+
+  test('compares VO scenarios', () => {
+    const [, second] = core.compareScenarios([VO_10, { ...VO_10, name: '12 VO', params: { ...VO_10.params, creditH: 12 } }]);
+    assert.equal(second.delta.hours, 4);
+    assert.equal(second.values.gross, core.computeVO({ ...VO_10.params, creditH: 12 }).gross);
+  });
+
+  test('refuses to mix kinds', () => {
+    assert.throws(() => core.compareScenarios([FO_787, MONTHLY_85]), /Pick scenarios of one kind/);
+  });
+
+  test('needs two to four scenarios', () => {
+    assert.throws(() => core.compareScenarios([FO_787]), /Pick 2 to 4 scenarios/);
+    assert.throws(() => core.compareScenarios([FO_787, CA_320, FO_787, CA_320, FO_787]), /Pick 2 to 4 scenarios/);
+  });
+});
+
+describe('scenario sharing', () => {
+  test('round-trips through a URL-safe string', () => {
+    const encoded = core.encodeScenarioShare([FO_787, CA_320]);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(core.decodeScenarioShare(encoded).map(scenario => scenario.name), ['787 FO', '320 CA (Québec)']);
+  });
+
+  test('keeps the scenario kind in a link', () => {
+    const [monthly, vo] = core.decodeScenarioShare(core.encodeScenarioShare([core.normalizeScenario(MONTHLY_85), core.normalizeScenario(VO_10)]));
+    assert.equal(monthly.kind, 'monthly');
+    assert.equal(monthly.params.adv, 3500);
+    assert.equal(vo.kind, 'vo');
+  });
+
+  test('refuses a damaged link or another file', () => {
+    assert.throws(() => core.decodeScenarioShare('not-a-share'), /could not be read/);
+    assert.throws(() => core.parseScenarioFile({ v: 2, scenarios: [] }), /Not an AC Pay scenario file/);
+  });
+
+  test('keeps the scenario kind in an exported file', () => {
+    const app = loadApp();
+    const saved = [MONTHLY_85, VO_10].map(scenario => core.normalizeScenario(scenario));
+    app.saveScenarioState({ scenarios: saved, selected: [] });
+    let exported = '';
+    app.downloadTextFile = (filename, text) => { exported = text; };
+    app.exportScenarioFile();
+    const imported = app.parseScenarioFile(JSON.parse(exported));
+    assert.deepEqual(imported.map(({ kind, params }) => ({ kind, params: { ...params } })), saved.map(({ kind, params }) => ({ kind, params })));
+  });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+/*
+ * Golden-file regression tests for parsePastedScheduleText and the PDF import
+ * path.  Run `npm run test:schedules:update` after an intended parser change
+ * to rewrite the .expected.json snapshots, then review the diff.
+ */
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./support/load-app.js');
+const {
+  listScheduleFixtures,
+  parseScheduleFixture,
+  diffPairingTotals,
+  readExpectedSnapshot,
+  writeExpectedSnapshot
+} = require('./support/schedule-goldens.js');
+
+const UPDATE_GOLDENS = process.env.UPDATE_SCHEDULE_GOLDENS === '1';
+
+describe('schedule parser goldens', () => {
+  let app;
+  before(() => {
+    app = loadApp();
+  });
+
+  for (const fixture of listScheduleFixtures()){
+    test(`${fixture.name}.${fixture.type}`, async () => {
+      const actual = await parseScheduleFixture(app, fixture);
+      if (UPDATE_GOLDENS){
+        writeExpectedSnapshot(fixture, actual);
+        return;
+      }
+      const expected = readExpectedSnapshot(fixture);
+      assert.ok(expected, `Missing ${fixture.name}.expected.json; run npm run test:schedules:update`);
+      const pairingChanges = diffPairingTotals(expected.pairings, actual.pairings);
+      assert.deepEqual(pairingChanges, [], `Pairing totals changed:\n  ${pairingChanges.join('\n  ')}`);
+      assert.deepEqual(actual.unclassifiedLines, expected.unclassifiedLines);
+      assert.deepEqual(actual.eventsByDate, expected.eventsByDate);
+    });
+  }
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+/*
+ * Load pay-core.js, calendar-schema.js and app.js into a Node vm context so
+ * tests can call the calendar and schedule parser functions without a
+ * browser.  The globals
+ * below are only what app.js touches while it loads: no element is ever
+ * found, storage is an in-memory map, and the bundled pdf.js stands in for
+ * the copy index.html loads.  The rule packs are read from rules/ and
+ * registered the way loadRulePacks does in the browser.  Top-level function
+ * declarations end up as properties of the returned context.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Calendar day keys are resolved in local time; pin it to the default base.
+process.env.TZ = 'America/Toronto';
+
+function createElementStub(){
+  return {
+    addEventListener(){},
+    setAttribute(){},
+    classList: { add(){}, remove(){}, toggle(){}, contains(){ return false; } },
+    style: {}
+  };
+}
+
+function createStorage(){
+  const store = new Map();
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: (key) => { store.delete(key); },
+    clear: () => { store.clear(); },
+    key: index => Array.from(store.keys())[index] ?? null,
+    get length(){ return store.size; }
+  };
+}
+
+function loadPdfjs(){
+  const pdfjs = require(path.join(ROOT, 'vendor', 'pdfjs', 'pdf.min.js'));
+  pdfjs.GlobalWorkerOptions.workerSrc = path.join(ROOT, 'vendor', 'pdfjs', 'pdf.worker.min.js');
+  return {
+    ...pdfjs,
+    // Standard font data is only needed for rendering, so keep its warnings out of test output.
+    getDocument: params => pdfjs.getDocument({ ...params, verbosity: pdfjs.VerbosityLevel.ERRORS })
+  };
+}
+
+function loadApp(){
+  const windowStub = {
+    addEventListener(){},
+    matchMedia: () => ({ matches: false, addEventListener(){} }),
+    pdfjsLib: loadPdfjs()
+  };
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    Uint8Array,
+    Element: function Element(){},
+    Event: function Event(){},
+    fetch: async () => ({ ok: false, status: 503 }),
+    navigator: {},
+    localStorage: createStorage(),
+    window: windowStub,
+    document: {
+      readyState: 'loading',
+      addEventListener(){},
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      body: createElementStub(),
+      documentElement: createElementStub()
+    }
+  };
+  context.self = windowStub;
+  vm.createContext(context);
+  ['pay-core.js', 'calendar-schema.js', 'app.js'].forEach((file) => {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  const readRuleFile = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  // Top-level consts are not context properties, so read the paths from inside.
+  const [indexFile, schemaFile] = vm.runInContext('[RULE_PACK_INDEX, RULE_PACK_SCHEMA]', context);
+  context.registerRulePacks(readRuleFile(indexFile).packs.map(file => readRuleFile(`rules/${file}`)), readRuleFile(schemaFile));
+  return context;
+}
+
+// The parser falls back to the calendar's selected month when text has no year.
+function setCalendarSelectedMonth(context, monthKey){
+  vm.runInContext(`calendarState.selectedMonth = ${JSON.stringify(monthKey || null)};`, context);
+}
+
+module.exports = { ROOT, loadApp, setCalendarSelectedMonth };
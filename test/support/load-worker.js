@@ -0,0 +1,47 @@
+'use strict';
+
+/*
+ * Import cloudflare-worker.js for tests.  The worker is an ES module in a
+ * CommonJS package, so its source is imported from a data: URL with the
+ * calendar-schema.js import pointed at the file itself.  createKv is an
+ * in-memory stand-in for the AC_PAY_CALENDAR namespace (get with 'json',
+ * put, delete), and request() calls the worker's fetch handler.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { ROOT } = require('./load-app.js');
+
+async function loadWorker(){
+  const source = fs.readFileSync(path.join(ROOT, 'cloudflare-worker.js'), 'utf8')
+    .replace("from './calendar-schema.js'", `from '${pathToFileURL(path.join(ROOT, 'calendar-schema.js')).href}'`);
+  const module = await import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+  return module.default;
+}
+
+function createKv(initial = {}){
+  const store = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    store,
+    async get(key, type){
+      if (!store.has(key)) return null;
+      return type === 'json' ? JSON.parse(store.get(key)) : store.get(key);
+    },
+    async put(key, value){ store.set(key, String(value)); },
+    async delete(key){ store.delete(key); }
+  };
+}
+
+async function request(worker, env, pathname, { method = 'GET', token = '', body } = {}){
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return worker.fetch(new Request(`https://sync.example${pathname}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }), env, { waitUntil(){} });
+}
+
+module.exports = { loadWorker, createKv, request };
@@ -0,0 +1,133 @@
+'use strict';
+
+/*
+ * Golden-file helpers for the schedule parser.  Each fixture in
+ * test/fixtures/schedules is either pasted schedule text (.txt) or a schedule
+ * PDF (.pdf).  An optional .options.json ({ "selectedMonth": "2025-12" })
+ * covers text that relies on the calendar's selected month for its year.
+ * The snapshot (.expected.json) holds the parsed eventsByDate, the lines the
+ * parser skipped, and per-pairing credit, TAFB and block totals so a
+ * regression can be reported in pay terms before the full diff.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { setCalendarSelectedMonth } = require('./load-app.js');
+
+const FIXTURE_DIR = path.resolve(__dirname, '..', 'fixtures', 'schedules');
+const FIXTURE_EXTENSIONS = ['.txt', '.pdf'];
+const PAIRING_TOTAL_FIELDS = ['creditMinutes', 'tafbMinutes', 'blockMinutes'];
+
+function listScheduleFixtures(){
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter(file => FIXTURE_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -path.extname(file).length);
+      return {
+        name,
+        file: path.join(FIXTURE_DIR, file),
+        type: path.extname(file).slice(1),
+        optionsFile: path.join(FIXTURE_DIR, `${name}.options.json`),
+        expectedFile: path.join(FIXTURE_DIR, `${name}.expected.json`)
+      };
+    });
+}
+
+// Round-trip through JSON so results from the vm context compare cleanly.
+function toPlainJson(value){
+  return JSON.parse(JSON.stringify(value));
+}
+
+function formatMinutes(minutes){
+  if (!Number.isFinite(minutes)) return '--';
+  const sign = minutes < 0 ? '-' : '';
+  const abs = Math.abs(minutes);
+  return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function summarizePairingTotals(app, eventsByDate){
+  return app.buildCalendarPdfImportPairings(eventsByDate).map((pairing) => {
+    let blockMinutes = 0;
+    pairing.days.forEach((dateKey) => {
+      (eventsByDate[dateKey]?.events || []).forEach((event) => {
+        if (Number.isFinite(event?.blockMinutes)) blockMinutes += event.blockMinutes;
+      });
+    });
+    return {
+      pairingId: pairing.pairingId,
+      pairingNumber: pairing.pairingNumber,
+      days: pairing.days,
+      creditMinutes: pairing.creditMinutes,
+      tafbMinutes: pairing.tafbMinutes,
+      blockMinutes
+    };
+  });
+}
+
+async function parseScheduleFixture(app, fixture){
+  const options = fs.existsSync(fixture.optionsFile)
+    ? JSON.parse(fs.readFileSync(fixture.optionsFile, 'utf8'))
+    : {};
+  setCalendarSelectedMonth(app, options.selectedMonth);
+  let result;
+  if (fixture.type === 'pdf'){
+    const data = fs.readFileSync(fixture.file);
+    const file = {
+      name: path.basename(fixture.file),
+      arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+    };
+    result = await app.parseSchedulePdf(file);
+  } else {
+    result = app.parsePastedScheduleText(fs.readFileSync(fixture.file, 'utf8'));
+  }
+  return toPlainJson({
+    pairings: summarizePairingTotals(app, result.eventsByDate),
+    unclassifiedLines: result.unclassifiedLines || [],
+    eventsByDate: result.eventsByDate
+  });
+}
+
+/*
+ * Compare pairing totals by pairing id.  Returns one line per added,
+ * removed or changed pairing, e.g. "PAIR-T1234-…: credit 10:00 -> 9:45".
+ */
+function diffPairingTotals(expectedPairings, actualPairings){
+  const expectedById = new Map((expectedPairings || []).map(pairing => [pairing.pairingId, pairing]));
+  const actualById = new Map((actualPairings || []).map(pairing => [pairing.pairingId, pairing]));
+  const changes = [];
+  expectedById.forEach((expected, pairingId) => {
+    const actual = actualById.get(pairingId);
+    if (!actual){
+      changes.push(`${pairingId}: missing from parser output`);
+      return;
+    }
+    const fieldChanges = PAIRING_TOTAL_FIELDS
+      .filter(field => expected[field] !== actual[field])
+      .map(field => `${field.replace('Minutes', '')} ${formatMinutes(expected[field])} -> ${formatMinutes(actual[field])}`);
+    if (fieldChanges.length) changes.push(`${pairingId}: ${fieldChanges.join(', ')}`);
+  });
+  actualById.forEach((actual, pairingId) => {
+    if (expectedById.has(pairingId)) return;
+    changes.push(`${pairingId}: new pairing (credit ${formatMinutes(actual.creditMinutes)}, TAFB ${formatMinutes(actual.tafbMinutes)}, block ${formatMinutes(actual.blockMinutes)})`);
+  });
+  return changes;
+}
+
+function readExpectedSnapshot(fixture){
+  if (!fs.existsSync(fixture.expectedFile)) return null;
+  return JSON.parse(fs.readFileSync(fixture.expectedFile, 'utf8'));
+}
+
+function writeExpectedSnapshot(fixture, snapshot){
+  fs.writeFileSync(fixture.expectedFile, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  listScheduleFixtures,
+  parseScheduleFixture,
+  diffPairingTotals,
+  readExpectedSnapshot,
+  writeExpectedSnapshot
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOT, loadApp } = require('./support/load-app.js');
+
+// T4102 (Oct 1-2) goes on the calendar; T4388 (Oct 4-6) is the candidate.
+const [T4102, T4388] = fs.readFileSync(path.join(ROOT, 'test', 'fixtures', 'schedules', 'pairing-layover.txt'), 'utf8')
+  .split('=====\n');
+const HEADER = T4102.split('\n')[0] + '\n';
+
+describe('evaluateCalendarTripText', () => {
+  let app;
+  beforeEach(() => {
+    app = loadApp();
+    app.applyParsedScheduleToCalendar(app.parsePastedScheduleText(T4102));
+  });
+
+  test('reports credit and TAFB per duty day and a legal fit without adding the trip', () => {
+    const before = JSON.stringify(app.getCalendarExistingPairings().map(pairing => pairing.pairingId));
+    const [pairing] = app.evaluateCalendarTripText(HEADER + T4388).pairings;
+    assert.equal(pairing.label, 'T4388');
+    assert.equal(pairing.creditMinutes, 970);
+    assert.equal(pairing.tafbMinutes, 2845);
+    assert.equal(pairing.dutyDays.length, 2);
+    assert.equal(pairing.dutyDays.reduce((total, dutyDay) => total + dutyDay.tafbMinutes, 0), pairing.checkOutMs / 60000 - pairing.checkInMs / 60000);
+    assert.deepEqual([...pairing.conflicts].map(conflict => conflict.label), []);
+    assert.deepEqual([...pairing.rests].map(rest => [rest.kind, rest.requirement.minimumText, rest.legal]), [
+      ['before', '12 hours', true],
+      ['layover', '10 hours', true]
+    ]);
+    assert.equal(pairing.legal, true);
+    assert.ok(pairing.pickup.marginal_net > 0);
+    assert.equal(JSON.stringify(app.getCalendarExistingPairings().map(item => item.pairingId)), before);
+  });
+
+  test('flags a trip that overlaps one already on the calendar', () => {
+    const [pairing] = app.evaluateCalendarTripText(T4102).pairings;
+    assert.deepEqual([...pairing.conflicts].map(conflict => conflict.label), ['Overlaps T4102']);
+    assert.equal(pairing.legal, false);
+  });
+
+  test('flags home base rest shorter than the minimum', () => {
+    const early = T4388
+      .replace('Sat 04 Oct 2025 C/I 13:10', 'Fri 03 Oct 2025 C/I 06:00')
+      .replace('YYZ 1410 LHR', 'YYZ 0700 LHR')
+      .replace('Sun 05 Oct 2025\nMon 06 Oct 2025', 'Sat 04 Oct 2025\nSun 05 Oct 2025');
+    const [pairing] = app.evaluateCalendarTripText(HEADER + early).pairings;
+    const [rest] = pairing.rests;
+    assert.equal(rest.label, 'After T4102');
+    assert.ok(rest.restMinutes < 12 * 60);
+    assert.equal(rest.legal, false);
+    assert.equal(pairing.legal, false);
+  });
+
+  test('leaves rest counted in local nights to be checked by hand', () => {
+    const computeRestRequirement = app.computeRestRequirement;
+    app.computeRestRequirement = inputs => (inputs.endsHome === 'away'
+      ? { minimumText: '1 local night rest', minimumHours: null, minimumNights: 1, basis: '', notes: [] }
+      : computeRestRequirement(inputs));
+    const [pairing] = app.evaluateCalendarTripText(HEADER + T4388).pairings;
+    assert.deepEqual([...pairing.rests].map(rest => [rest.kind, rest.legal]), [
+      ['before', true],
+      ['layover', null]
+    ]);
+    assert.equal(pairing.legal, null);
+  });
+
+  test('explains text with no pairing', () => {
+    const evaluation = app.evaluateCalendarTripText('nothing to see');
+    assert.equal(evaluation.pairings.length, 0);
+    assert.match(evaluation.statusMessage, /No calendar events/);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker, createKv, request } = require('./support/load-worker.js');
+
+const SYNC_TOKEN = 'sync-secret';
+const CALENDAR_KEY = 'calendar:default';
+
+const V3_PAYLOAD = {
+  eventsByDate: {},
+  months: ['2025-10'],
+  selectedMonth: '2025-10',
+  blockMonthsByMonthKey: {},
+  blockMonthRecurring: {},
+  hotels: []
+};
+
+describe('sync worker calendar schema', () => {
+  let worker;
+  let env;
+  before(async () => {
+    worker = await loadWorker();
+  });
+  beforeEach(() => {
+    env = { SYNC_TOKEN, AC_PAY_CALENDAR: createKv() };
+  });
+
+  async function readCalendar(){
+    const response = await request(worker, env, '/sync/calendar', { token: SYNC_TOKEN });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  test('upgrades a v3 PUT without schemaVersion and keeps the stored prefs and month annotations', async () => {
+    const prefs = { pairingDisplayMode: 'bar' };
+    const monthAnnotations = { '2025-10': { vacationCreditMinutes: 600, voMinutes: 120, esopPct: 10 } };
+    await env.AC_PAY_CALENDAR.put(CALENDAR_KEY, JSON.stringify({
+      ...V3_PAYLOAD, months: [], prefs, monthAnnotations, schemaVersion: 4, etag: 'stored', updatedAt: '2025-10-01T00:00:00.000Z'
+    }));
+    const response = await request(worker, env, '/sync/calendar', { method: 'PUT', token: SYNC_TOKEN, body: V3_PAYLOAD });
+    assert.equal(response.status, 200);
+    const calendar = await readCalendar();
+    assert.equal(calendar.schemaVersion, 4);
+    assert.deepEqual(calendar.months, ['2025-10']);
+    assert.deepEqual(calendar.prefs, prefs);
+    assert.deepEqual(calendar.monthAnnotations, monthAnnotations);
+  });
+
+  test('refuses a payload from a newer schema', async () => {
+    const response = await request(worker, env, '/sync/calendar', {
+      method: 'PUT', token: SYNC_TOKEN, body: { ...V3_PAYLOAD, schemaVersion: 99 }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(env.AC_PAY_CALENDAR.store.has(CALENDAR_KEY), false);
+  });
+
+  test('reads a stored v3 record back as v4', async () => {
+    await env.AC_PAY_CALENDAR.put(CALENDAR_KEY, JSON.stringify({
+      ...V3_PAYLOAD, pairingDisplayMode: 'bar', schemaVersion: 3, etag: 'stored', updatedAt: '2025-10-01T00:00:00.000Z'
+    }));
+    const calendar = await readCalendar();
+    assert.equal(calendar.schemaVersion, 4);
+    assert.deepEqual(calendar.prefs, { pairingDisplayMode: 'bar' });
+    assert.deepEqual(calendar.monthAnnotations, {});
+    assert.equal('pairingDisplayMode' in calendar, false);
+    assert.equal(calendar.etag, 'stored');
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker, createKv, request } = require('./support/load-worker.js');
+
+const SYNC_TOKEN = 'sync-secret';
+
+describe('calendar feed token', () => {
+  let worker;
+  let env;
+  const realFetch = globalThis.fetch;
+  before(async () => {
+    worker = await loadWorker();
+    // The .ics feed looks up airport time zones; fall back to the built-in map offline.
+    globalThis.fetch = async () => { throw new Error('offline'); };
+  });
+  after(() => { globalThis.fetch = realFetch; });
+  beforeEach(() => {
+    env = { SYNC_TOKEN, AC_PAY_CALENDAR: createKv() };
+  });
+
+  async function issueFeedToken(){
+    const response = await request(worker, env, '/sync/calendar/feed-token', { method: 'POST', token: SYNC_TOKEN });
+    assert.equal(response.status, 201);
+    return (await response.json()).feedToken;
+  }
+
+  test('reads the .ics feed with a feed token but not with the sync token', async () => {
+    const feedToken = await issueFeedToken();
+    assert.notEqual(feedToken, SYNC_TOKEN);
+    const feed = await request(worker, env, `/sync/calendar.ics?token=${encodeURIComponent(feedToken)}`);
+    assert.equal(feed.status, 200);
+    assert.match(await feed.text(), /BEGIN:VCALENDAR/);
+    const withSyncToken = await request(worker, env, `/sync/calendar.ics?token=${SYNC_TOKEN}`);
+    assert.equal(withSyncToken.status, 401);
+  });
+
+  test('does not accept a query token on the sync routes', async () => {
+    const feedToken = await issueFeedToken();
+    assert.equal((await request(worker, env, `/sync/calendar?token=${SYNC_TOKEN}`)).status, 401);
+    assert.equal((await request(worker, env, `/sync/calendar?token=${feedToken}`)).status, 401);
+    assert.equal((await request(worker, env, '/sync/calendar', { token: feedToken })).status, 401);
+    assert.equal((await request(worker, env, '/sync/calendar', { token: SYNC_TOKEN })).status, 200);
+  });
+
+  test('issuing a new feed token revokes the previous one', async () => {
+    const first = await issueFeedToken();
+    const second = await issueFeedToken();
+    assert.equal((await request(worker, env, `/sync/calendar.ics?token=${first}`)).status, 401);
+    assert.equal((await request(worker, env, `/sync/calendar.ics?token=${second}`)).status, 200);
+  });
+});